@@ -0,0 +1,8 @@
+// The client imports the vocabularies in ../shared, which Create React App
+// would otherwise refuse because they live outside src/
+module.exports = function override(config) {
+  config.resolve.plugins = config.resolve.plugins.filter(
+    plugin => plugin.constructor.name !== 'ModuleScopePlugin'
+  );
+  return config;
+};
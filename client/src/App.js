@@ -0,0 +1,55 @@
+import React from 'react';
+import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { AuthProvider } from './context/AuthContext';
+import { OrganizationProvider } from './context/OrganizationContext';
+import PrivateRoute from './components/PrivateRoute';
+import Layout from './components/Layout';
+import Login from './pages/Login';
+import Register from './pages/Register';
+import Dashboard from './pages/Dashboard';
+import Projects from './pages/Projects';
+import ProjectForm from './pages/ProjectForm';
+import ProjectDetail from './pages/ProjectDetail';
+import GenerateDocuments from './pages/GenerateDocuments';
+import ExtractionReview from './pages/ExtractionReview';
+import DocumentHistory from './pages/DocumentHistory';
+import MonitoringPeriods from './pages/MonitoringPeriods';
+import VerificationFindings from './pages/VerificationFindings';
+import SdgSafeguarding from './pages/SdgSafeguarding';
+import StakeholderConsultations from './pages/StakeholderConsultations';
+import OrganizationSettings from './pages/OrganizationSettings';
+import Notifications from './pages/Notifications';
+
+const App = () => (
+  <AuthProvider>
+    <OrganizationProvider>
+      <BrowserRouter>
+        <Routes>
+          <Route path="/login" element={<Login />} />
+          <Route path="/register" element={<Register />} />
+          <Route element={<PrivateRoute />}>
+            <Route element={<Layout />}>
+              <Route path="/" element={<Dashboard />} />
+              <Route path="/projects" element={<Projects />} />
+              <Route path="/projects/new" element={<ProjectForm />} />
+              <Route path="/projects/:projectId" element={<ProjectDetail />} />
+              <Route path="/projects/:projectId/edit" element={<ProjectForm />} />
+              <Route path="/projects/:projectId/documents/:documentId/review" element={<ExtractionReview />} />
+              <Route path="/projects/:projectId/documents/:documentId/history" element={<DocumentHistory />} />
+              <Route path="/projects/:projectId/monitoring" element={<MonitoringPeriods />} />
+              <Route path="/projects/:projectId/findings" element={<VerificationFindings />} />
+              <Route path="/projects/:projectId/sdg-safeguarding" element={<SdgSafeguarding />} />
+              <Route path="/projects/:projectId/consultations" element={<StakeholderConsultations />} />
+              <Route path="/generate/:projectId" element={<GenerateDocuments />} />
+              <Route path="/organization" element={<OrganizationSettings />} />
+              <Route path="/notifications" element={<Notifications />} />
+            </Route>
+          </Route>
+          <Route path="*" element={<Navigate to="/" replace />} />
+        </Routes>
+      </BrowserRouter>
+    </OrganizationProvider>
+  </AuthProvider>
+);
+
+export default App;
@@ -0,0 +1,55 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+} from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import CancelIcon from '@mui/icons-material/Cancel';
+import HelpOutlineIcon from '@mui/icons-material/HelpOutline';
+
+const STATUS_DISPLAY = {
+  pass: { label: 'Applicable', color: 'success', icon: <CheckCircleIcon color="success" fontSize="small" /> },
+  fail: { label: 'Not applicable', color: 'error', icon: <CancelIcon color="error" fontSize="small" /> },
+  unknown: { label: 'Needs information', color: 'warning', icon: <HelpOutlineIcon color="warning" fontSize="small" /> },
+};
+
+/**
+ * Lists the result of evaluateApplicability from shared/applicability
+ */
+const ApplicabilityChecklist = ({ result, dense = false }) => {
+  if (!result.known) {
+    return (
+      <Typography variant="body2" color="text.secondary">
+        {result.methodologyId
+          ? `${result.methodologyId} is not in the methodology registry, so its applicability cannot be checked automatically.`
+          : 'Select a methodology to check its applicability conditions.'}
+      </Typography>
+    );
+  }
+
+  const overall = STATUS_DISPLAY[result.status];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Typography variant="subtitle2">{result.methodologyId} applicability</Typography>
+        <Chip size="small" label={overall.label} color={overall.color} />
+      </Box>
+      <List dense={dense}>
+        {result.conditions.map(condition => (
+          <ListItem key={condition.id} disableGutters>
+            <ListItemIcon sx={{ minWidth: 32 }}>{STATUS_DISPLAY[condition.status].icon}</ListItemIcon>
+            <ListItemText primary={condition.description} />
+          </ListItem>
+        ))}
+      </List>
+    </Box>
+  );
+};
+
+export default ApplicabilityChecklist;
@@ -0,0 +1,52 @@
+import React, { useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, GeoJSON, useMap } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+
+// Tiles are served by the deployment itself so maps work without internet access
+const TILE_URL = process.env.REACT_APP_MAP_TILE_URL || '/tiles/{z}/{x}/{y}.png';
+const TILE_MAX_ZOOM = Number(process.env.REACT_APP_MAP_TILE_MAX_ZOOM) || 14;
+const TILE_ATTRIBUTION = process.env.REACT_APP_MAP_TILE_ATTRIBUTION || '&copy; OpenStreetMap contributors';
+
+const MAP_HEIGHT = 360;
+
+// [west, south, east, north] -> Leaflet's [[south, west], [north, east]]
+const toLatLngBounds = ([west, south, east, north]) => [[south, west], [north, east]];
+
+// Fits the view to the boundary again when it is replaced
+const FitBounds = ({ bbox }) => {
+  const map = useMap();
+  useEffect(() => {
+    map.fitBounds(toLatLngBounds(bbox), { padding: [16, 16] });
+  }, [map, bbox]);
+  return null;
+};
+
+/**
+ * The project boundary over offline map tiles, one colour per stratum
+ */
+const BoundaryMap = ({ boundary, colors }) => {
+  const data = useMemo(() => ({ type: 'FeatureCollection', features: boundary.features }), [boundary.features]);
+
+  return (
+    <MapContainer
+      bounds={toLatLngBounds(boundary.bbox)}
+      boundsOptions={{ padding: [16, 16] }}
+      style={{ height: MAP_HEIGHT, width: '100%' }}
+      scrollWheelZoom={false}
+    >
+      <TileLayer url={TILE_URL} maxNativeZoom={TILE_MAX_ZOOM} maxZoom={TILE_MAX_ZOOM + 4} attribution={TILE_ATTRIBUTION} />
+      {/* GeoJSON layers ignore new data, so a replaced or regrouped boundary remounts */}
+      <GeoJSON
+        key={`${boundary.uploadedAt}-${boundary.stratumField}`}
+        data={data}
+        style={feature => ({ color: colors[feature.stratum], weight: 2, fillOpacity: 0.3 })}
+        onEachFeature={(feature, layer) => {
+          layer.bindTooltip(`${feature.stratum}: ${feature.hectares.toLocaleString(undefined, { maximumFractionDigits: 2 })} ha`);
+        }}
+      />
+      <FitBounds bbox={boundary.bbox} />
+    </MapContainer>
+  );
+};
+
+export default BoundaryMap;
@@ -0,0 +1,252 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Alert,
+  Skeleton,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TextField,
+  MenuItem,
+  IconButton,
+  Tooltip,
+  useTheme,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import DownloadIcon from '@mui/icons-material/Download';
+import DeleteIcon from '@mui/icons-material/Delete';
+import BoundaryMap from './BoundaryMap';
+import {
+  fetchBoundary,
+  uploadBoundary,
+  updateBoundaryStrata,
+  downloadBoundaryFile,
+  deleteBoundary,
+} from '../services/boundaryService';
+import { getErrorMessage } from '../services/api';
+import { formatDateTime } from '../utils/format';
+import { downloadBlob } from '../utils/download';
+import { BOUNDARY_ACCEPT, BOUNDARY_FORMATS } from '../../../shared/boundary';
+
+const formatHectares = value => (value ?? 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+// Area and strata as the project keeps them, so the details and project list stay current
+const toProjectSummary = boundary => boundary && {
+  areaHectares: boundary.areaHectares,
+  strata: boundary.strata.map(({ name, hectares }) => ({ name, hectares })),
+  updatedAt: boundary.uploadedAt,
+};
+
+const BoundaryPanel = ({ project, canEdit, onChange }) => {
+  const theme = useTheme();
+  const [boundary, setBoundary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [problems, setProblems] = useState([]);
+
+  useEffect(() => {
+    const loadBoundary = async () => {
+      try {
+        setBoundary(await fetchBoundary(project._id));
+      } catch (err) {
+        console.error('Error fetching boundary:', err);
+        setError(getErrorMessage(err, 'Failed to load the project boundary.'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadBoundary();
+  }, [project._id]);
+
+  const colors = useMemo(() => {
+    const palette = [
+      theme.palette.primary.main,
+      theme.palette.secondary.main,
+      theme.palette.success.main,
+      theme.palette.warning.main,
+      theme.palette.info.main,
+      theme.palette.error.main,
+    ];
+    return Object.fromEntries((boundary?.strata || []).map((stratum, index) => [stratum.name, palette[index % palette.length]]));
+  }, [boundary, theme]);
+
+  const applyBoundary = (updated) => {
+    setBoundary(updated);
+    onChange(toProjectSummary(updated));
+  };
+
+  const handleFileChange = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    setSaving(true);
+    setError(null);
+    setProblems([]);
+    try {
+      applyBoundary(await uploadBoundary(project._id, file));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to upload the boundary.'));
+      setProblems(err.response?.data?.errors || []);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStratumFieldChange = async (event) => {
+    setSaving(true);
+    setError(null);
+    try {
+      applyBoundary(await updateBoundaryStrata(project._id, event.target.value));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to regroup the strata.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      downloadBlob(await downloadBoundaryFile(project._id), boundary.fileName);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to download the boundary file.'));
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm('Delete the project boundary?')) {
+      return;
+    }
+
+    try {
+      await deleteBoundary(project._id);
+      applyBoundary(null);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to delete the boundary.'));
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">Project Boundary</Typography>
+        <Box>
+          {boundary && (
+            <Tooltip title={`Download ${boundary.fileName}`}>
+              <IconButton size="small" onClick={handleDownload}>
+                <DownloadIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          {canEdit && boundary && (
+            <Tooltip title="Delete boundary">
+              <IconButton size="small" onClick={handleDelete} disabled={saving}>
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          )}
+          {canEdit && (
+            <Button component="label" size="small" startIcon={<UploadFileIcon />} disabled={saving} sx={{ ml: 1 }}>
+              {boundary ? 'Replace' : 'Upload Boundary'}
+              <input type="file" hidden accept={BOUNDARY_ACCEPT} onChange={handleFileChange} />
+            </Button>
+          )}
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => { setError(null); setProblems([]); }}>
+          {error}
+          {problems.length > 0 && (
+            <Box component="ul" sx={{ m: 0, pl: 2 }}>
+              {problems.map(problem => <li key={problem}>{problem}</li>)}
+            </Box>
+          )}
+        </Alert>
+      )}
+
+      {loading && <Skeleton variant="rectangular" height={120} />}
+
+      {!loading && !boundary && (
+        <Typography variant="body2" color="text.secondary">
+          No boundary has been uploaded. Upload polygons in WGS 84 as GeoJSON, KML or a zipped Shapefile;
+          a "stratum" (or "zone" or "name") attribute groups them into strata.
+        </Typography>
+      )}
+
+      {!loading && boundary && (
+        <>
+          {boundary.warnings?.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              {boundary.warnings.join(' ')}
+            </Alert>
+          )}
+
+          <BoundaryMap boundary={boundary} colors={colors} />
+
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2, gap: 2 }}>
+            <Typography variant="body2" color="text.secondary">
+              {BOUNDARY_FORMATS[boundary.format]?.label} · {boundary.fileName} · {formatDateTime(boundary.uploadedAt)}
+              {boundary.uploadedBy?.name && ` · ${boundary.uploadedBy.name}`}
+            </Typography>
+            <TextField
+              select
+              size="small"
+              label="Stratum attribute"
+              value={boundary.stratumField || ''}
+              onChange={handleStratumFieldChange}
+              disabled={!canEdit || saving}
+              sx={{ minWidth: 200 }}
+            >
+              <MenuItem value="">None (single stratum)</MenuItem>
+              {boundary.propertyKeys.map(key => (
+                <MenuItem key={key} value={key}>{key}</MenuItem>
+              ))}
+            </TextField>
+          </Box>
+
+          <Table size="small" sx={{ mt: 1 }}>
+            <TableHead>
+              <TableRow>
+                <TableCell>Stratum</TableCell>
+                <TableCell align="right">Polygons</TableCell>
+                <TableCell align="right">Area (ha)</TableCell>
+                <TableCell align="right">Share</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {boundary.strata.map(stratum => (
+                <TableRow key={stratum.name}>
+                  <TableCell>
+                    <Box component="span" sx={{ display: 'inline-block', width: 10, height: 10, mr: 1, bgcolor: colors[stratum.name] }} />
+                    {stratum.name}
+                  </TableCell>
+                  <TableCell align="right">{stratum.featureCount}</TableCell>
+                  <TableCell align="right">{formatHectares(stratum.hectares)}</TableCell>
+                  <TableCell align="right">
+                    {boundary.areaHectares ? `${((stratum.hectares / boundary.areaHectares) * 100).toFixed(1)}%` : '—'}
+                  </TableCell>
+                </TableRow>
+              ))}
+              <TableRow>
+                <TableCell sx={{ fontWeight: 'bold' }}>Total</TableCell>
+                <TableCell align="right">{boundary.features.length}</TableCell>
+                <TableCell align="right" sx={{ fontWeight: 'bold' }}>{formatHectares(boundary.areaHectares)}</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableBody>
+          </Table>
+        </>
+      )}
+    </Paper>
+  );
+};
+
+export default BoundaryPanel;
@@ -0,0 +1,54 @@
+import React from 'react';
+import {
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Typography,
+  Chip,
+} from '@mui/material';
+
+const formatQuantity = value => (value ?? 0).toLocaleString(undefined, { maximumFractionDigits: 6 });
+
+/**
+ * Step-by-step formulas of an emission reductions calculation, with the values each step read
+ */
+const CalculationAuditTrail = ({ steps }) => (
+  <Table size="small">
+    <TableHead>
+      <TableRow>
+        <TableCell>Step</TableCell>
+        <TableCell>Formula</TableCell>
+        <TableCell>Inputs</TableCell>
+        <TableCell align="right">Result</TableCell>
+      </TableRow>
+    </TableHead>
+    <TableBody>
+      {steps.map(step => (
+        <TableRow key={step.step}>
+          <TableCell>{step.step}</TableCell>
+          <TableCell>
+            <Typography variant="body2">{step.description}</Typography>
+            <Typography variant="caption" sx={{ fontFamily: 'monospace' }}>{step.formula}</Typography>
+          </TableCell>
+          <TableCell>
+            {step.inputs.map(input => (
+              <Typography variant="body2" key={input.key}>
+                {input.symbol} = {formatQuantity(input.value)} {input.unit}{' '}
+                {input.source !== 'calculated' && (
+                  <Chip size="small" variant="outlined" label={input.source} />
+                )}
+              </Typography>
+            ))}
+          </TableCell>
+          <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+            {step.symbol} = {formatQuantity(step.value)} {step.unit}
+          </TableCell>
+        </TableRow>
+      ))}
+    </TableBody>
+  </Table>
+);
+
+export default CalculationAuditTrail;
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Grid,
+  Alert,
+  Typography,
+  MenuItem,
+} from '@mui/material';
+import { createCalculation } from '../services/calculationService';
+import { fetchMonitoringPeriods, fetchPeriodInputs } from '../services/monitoringService';
+import { getErrorMessage } from '../services/api';
+import { formatDate } from '../utils/format';
+
+const emptyForm = { monitoringPeriodId: '', periodStart: '', periodEnd: '', notes: '', inputs: {} };
+
+const toDateInput = value => new Date(value).toISOString().slice(0, 10);
+
+const CalculationDialog = ({ open, projectId, model, onClose, onCalculated }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [periods, setPeriods] = useState([]);
+  const [periodInputs, setPeriodInputs] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+
+    fetchMonitoringPeriods(projectId)
+      .then(setPeriods)
+      .catch(err => console.error('Error fetching monitoring periods:', err));
+  }, [open, projectId]);
+
+  const handleClose = () => {
+    if (saving) return;
+    setForm(emptyForm);
+    setPeriodInputs(null);
+    setError(null);
+    onClose();
+  };
+
+  const setInput = (key, value) => setForm(current => ({ ...current, inputs: { ...current.inputs, [key]: value } }));
+
+  // Prefills the period dates and the inputs aggregated from its monitored time series
+  const handlePeriodChange = async (periodId) => {
+    setError(null);
+    setPeriodInputs(null);
+    if (!periodId) {
+      setForm(current => ({ ...current, monitoringPeriodId: '' }));
+      return;
+    }
+
+    try {
+      const aggregated = await fetchPeriodInputs(projectId, periodId);
+      setPeriodInputs(aggregated);
+      setForm(current => ({
+        ...current,
+        monitoringPeriodId: periodId,
+        periodStart: toDateInput(aggregated.period.startDate),
+        periodEnd: toDateInput(aggregated.period.endDate),
+        inputs: Object.fromEntries(Object.entries(aggregated.inputs).map(([key, value]) => [key, String(value)])),
+      }));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load monitoring data.'));
+    }
+  };
+
+  const describeSource = (input) => {
+    const source = periodInputs?.sources[input.key];
+    if (source) {
+      return `${source.aggregation === 'sum' ? 'Sum' : 'Average'} of ${source.readingCount} monitored readings`;
+    }
+    if (periodInputs?.pendingReview.includes(input.key)) return 'Monitored series awaiting QA/QC review';
+    if (periodInputs?.rejected.includes(input.key)) return 'Monitored series rejected in QA/QC review';
+    return input.default !== undefined ? `Default: ${input.default} ${input.unit}` : ' ';
+  };
+
+  const handleCalculate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      // Blank inputs fall back to the model defaults on the server
+      const inputs = Object.fromEntries(Object.entries(form.inputs).filter(([, value]) => value !== ''));
+      const calculation = await createCalculation(projectId, {
+        ...form,
+        monitoringPeriodId: form.monitoringPeriodId || undefined,
+        inputs,
+      });
+      setForm(emptyForm);
+      setPeriodInputs(null);
+      onCalculated(calculation);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Calculation failed.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const missingRequired = !form.periodStart || !form.periodEnd
+    || model.inputs.some(input => input.default === undefined && (form.inputs[input.key] ?? '') === '');
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="md">
+      <DialogTitle>Calculate Emission Reductions</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {model.name}. Enter totals for the monitoring period; leave a field with a default blank to apply it.
+        </Typography>
+
+        <Grid container spacing={2}>
+          {periods.length > 0 && (
+            <Grid item xs={12}>
+              <TextField
+                select
+                fullWidth
+                label="Monitoring Period"
+                helperText="Fill the dates and inputs from imported monitoring data"
+                value={form.monitoringPeriodId}
+                onChange={e => handlePeriodChange(e.target.value)}
+                disabled={saving}
+              >
+                <MenuItem value="">Enter values manually</MenuItem>
+                {periods.map(period => (
+                  <MenuItem key={period._id} value={period._id}>
+                    {period.name} ({formatDate(period.startDate)} – {formatDate(period.endDate)})
+                  </MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+          )}
+          {periodInputs && (periodInputs.pendingReview.length > 0 || periodInputs.rejected.length > 0) && (
+            <Grid item xs={12}>
+              <Alert severity="warning">
+                Some monitored series have not passed QA/QC, so their inputs were left blank. Review them on the
+                Monitoring page or enter the values here.
+              </Alert>
+            </Grid>
+          )}
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              required
+              type="date"
+              label="Monitoring Period Start"
+              InputLabelProps={{ shrink: true }}
+              value={form.periodStart}
+              onChange={e => setForm({ ...form, periodStart: e.target.value })}
+              disabled={saving || Boolean(form.monitoringPeriodId)}
+            />
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              required
+              type="date"
+              label="Monitoring Period End"
+              InputLabelProps={{ shrink: true }}
+              value={form.periodEnd}
+              onChange={e => setForm({ ...form, periodEnd: e.target.value })}
+              disabled={saving || Boolean(form.monitoringPeriodId)}
+            />
+          </Grid>
+          {model.inputs.map(input => (
+            <Grid item xs={12} md={6} key={input.key}>
+              <TextField
+                fullWidth
+                type="number"
+                inputProps={{ step: 'any' }}
+                required={input.default === undefined}
+                label={`${input.symbol} – ${input.label} (${input.unit})`}
+                placeholder={input.default !== undefined ? String(input.default) : undefined}
+                helperText={describeSource(input)}
+                value={form.inputs[input.key] ?? ''}
+                onChange={e => setInput(input.key, e.target.value)}
+                disabled={saving}
+              />
+            </Grid>
+          ))}
+          <Grid item xs={12}>
+            <TextField
+              fullWidth
+              multiline
+              minRows={2}
+              label="Notes (Optional)"
+              value={form.notes}
+              onChange={e => setForm({ ...form, notes: e.target.value })}
+              disabled={saving}
+            />
+          </Grid>
+        </Grid>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={saving}>Cancel</Button>
+        <Button variant="contained" onClick={handleCalculate} disabled={missingRequired || saving}>
+          {saving ? 'Calculating...' : 'Calculate'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default CalculationDialog;
@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Alert,
+  Skeleton,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TextField,
+  MenuItem,
+  Tooltip,
+  IconButton,
+} from '@mui/material';
+import PersonAddIcon from '@mui/icons-material/PersonAdd';
+import PersonRemoveIcon from '@mui/icons-material/PersonRemove';
+import AuthContext from '../context/AuthContext';
+import {
+  fetchCollaborators,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator,
+} from '../services/collaboratorService';
+import { getErrorMessage } from '../services/api';
+import { COLLABORATOR_ROLES } from '../../../shared/projectSchema';
+import { canPerform, PROJECT_ROLE_LABELS, PROJECT_ROLE_DESCRIPTIONS } from '../../../shared/permissions';
+
+/**
+ * Project owner and collaborators; admins can invite by email, change roles and remove access
+ */
+const CollaboratorsPanel = ({ project }) => {
+  const navigate = useNavigate();
+  const { user } = useContext(AuthContext);
+  const [team, setTeam] = useState(null);
+  const [error, setError] = useState(null);
+  const [invite, setInvite] = useState({ email: '', role: 'viewer' });
+  const [saving, setSaving] = useState(false);
+
+  const canManage = canPerform(project.userRole, 'manageCollaborators');
+
+  useEffect(() => {
+    const loadCollaborators = async () => {
+      try {
+        setTeam(await fetchCollaborators(project._id));
+      } catch (err) {
+        console.error('Error fetching collaborators:', err);
+        setError(getErrorMessage(err, 'Failed to load collaborators.'));
+      }
+    };
+
+    loadCollaborators();
+  }, [project._id]);
+
+  const handleInvite = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      setTeam(await addCollaborator(project._id, invite.email, invite.role));
+      setInvite({ email: '', role: invite.role });
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to add collaborator.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (collaborator, role) => {
+    try {
+      setTeam(await updateCollaborator(project._id, collaborator.user._id, role));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to change role.'));
+    }
+  };
+
+  const handleRemove = async (collaborator) => {
+    const leaving = collaborator.user._id === user?.id;
+    const prompt = leaving
+      ? `Leave ${project.name}? You will lose access to it.`
+      : `Remove ${collaborator.user.name || collaborator.user.email} from the project?`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    try {
+      const updated = await removeCollaborator(project._id, collaborator.user._id);
+      if (leaving) {
+        navigate('/projects');
+        return;
+      }
+      setTeam(updated);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to remove collaborator.'));
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h6" gutterBottom>Collaborators</Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+
+      {!team && <Skeleton variant="rectangular" height={80} />}
+
+      {team && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Name</TableCell>
+              <TableCell>Email</TableCell>
+              <TableCell>Role</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            <TableRow>
+              <TableCell>{team.owner?.name}</TableCell>
+              <TableCell>{team.owner?.email}</TableCell>
+              <TableCell>
+                <Tooltip title={PROJECT_ROLE_DESCRIPTIONS.owner}>
+                  <span>{PROJECT_ROLE_LABELS.owner}</span>
+                </Tooltip>
+              </TableCell>
+              <TableCell />
+            </TableRow>
+            {team.collaborators.filter(c => c.user).map(collaborator => (
+              <TableRow key={collaborator.user._id}>
+                <TableCell>{collaborator.user.name}</TableCell>
+                <TableCell>{collaborator.user.email}</TableCell>
+                <TableCell>
+                  {canManage ? (
+                    <TextField
+                      select
+                      size="small"
+                      variant="standard"
+                      value={collaborator.role}
+                      onChange={e => handleRoleChange(collaborator, e.target.value)}
+                    >
+                      {COLLABORATOR_ROLES.map(role => (
+                        <MenuItem key={role} value={role}>{PROJECT_ROLE_LABELS[role]}</MenuItem>
+                      ))}
+                    </TextField>
+                  ) : (
+                    <Tooltip title={PROJECT_ROLE_DESCRIPTIONS[collaborator.role]}>
+                      <span>{PROJECT_ROLE_LABELS[collaborator.role]}</span>
+                    </Tooltip>
+                  )}
+                </TableCell>
+                <TableCell align="right">
+                  {(canManage || collaborator.user._id === user?.id) && (
+                    <Tooltip title={collaborator.user._id === user?.id ? 'Leave project' : 'Remove'}>
+                      <IconButton size="small" color="error" onClick={() => handleRemove(collaborator)}>
+                        <PersonRemoveIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      {canManage && (
+        <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mt: 2 }}>
+          <TextField
+            size="small"
+            type="email"
+            label="Invite by email"
+            helperText="They must be a member of the organization"
+            value={invite.email}
+            onChange={e => setInvite({ ...invite, email: e.target.value })}
+            disabled={saving}
+            sx={{ flexGrow: 1 }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Role"
+            value={invite.role}
+            onChange={e => setInvite({ ...invite, role: e.target.value })}
+            helperText={PROJECT_ROLE_DESCRIPTIONS[invite.role]}
+            disabled={saving}
+            sx={{ width: 220 }}
+          >
+            {COLLABORATOR_ROLES.map(role => (
+              <MenuItem key={role} value={role}>{PROJECT_ROLE_LABELS[role]}</MenuItem>
+            ))}
+          </TextField>
+          <Button
+            variant="outlined"
+            startIcon={<PersonAddIcon />}
+            onClick={handleInvite}
+            disabled={!invite.email || saving}
+          >
+            Invite
+          </Button>
+        </Box>
+      )}
+    </Paper>
+  );
+};
+
+export default CollaboratorsPanel;
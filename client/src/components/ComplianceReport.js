@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Typography,
+  Chip,
+  Button,
+  Collapse,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+} from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import ErrorIcon from '@mui/icons-material/Error';
+import WarningIcon from '@mui/icons-material/Warning';
+import {
+  COMPLIANCE_STATUS_LABELS,
+  COMPLIANCE_SEVERITY_LABELS,
+  COMPLIANCE_CATEGORY_LABELS,
+} from '../../../shared/compliance';
+
+const STATUS_COLORS = {
+  blocked: 'error',
+  review: 'warning',
+  ready: 'success',
+};
+
+const SEVERITY_ICONS = {
+  blocking: <ErrorIcon color="error" fontSize="small" />,
+  warning: <WarningIcon color="warning" fontSize="small" />,
+};
+
+const SEVERITY_ORDER = { blocking: 0, warning: 1 };
+
+const ReportItem = ({ item, dense }) => (
+  <ListItem disableGutters alignItems="flex-start" dense={dense}>
+    <ListItemIcon sx={{ minWidth: 32, mt: 0.5 }}>
+      {item.passed ? <CheckCircleIcon color="success" fontSize="small" /> : SEVERITY_ICONS[item.severity]}
+    </ListItemIcon>
+    <ListItemText
+      primary={item.title}
+      secondary={(
+        <>
+          {COMPLIANCE_CATEGORY_LABELS[item.category]}
+          {!item.passed && ` · ${COMPLIANCE_SEVERITY_LABELS[item.severity]}`} · {item.detail}
+          {!item.passed && item.entries.length > 0 && (
+            <Box component="ul" sx={{ m: 0, pl: 2 }}>
+              {item.entries.map(entry => <li key={entry}>{entry}</li>)}
+            </Box>
+          )}
+        </>
+      )}
+      secondaryTypographyProps={{ component: 'div' }}
+    />
+  </ListItem>
+);
+
+/**
+ * Shows a compliance report from GET /projects/:projectId/compliance:
+ * the score, then failed checks (blocking first), with passed checks on demand
+ */
+const ComplianceReport = ({ report, dense = false }) => {
+  const [showPassed, setShowPassed] = useState(false);
+
+  const failed = report.items
+    .filter(item => !item.passed)
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+  const passed = report.items.filter(item => item.passed);
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Typography variant="subtitle2">Compliance score {report.score}%</Typography>
+        <Chip size="small" label={COMPLIANCE_STATUS_LABELS[report.status]} color={STATUS_COLORS[report.status]} />
+        {report.blocking > 0 && <Chip size="small" variant="outlined" color="error" label={`${report.blocking} blocking`} />}
+        {report.warnings > 0 && <Chip size="small" variant="outlined" color="warning" label={`${report.warnings} warning${report.warnings === 1 ? '' : 's'}`} />}
+      </Box>
+      <LinearProgress
+        variant="determinate"
+        value={report.score}
+        color={STATUS_COLORS[report.status]}
+        sx={{ my: 1, height: 6, borderRadius: 3 }}
+      />
+
+      {failed.length > 0 && (
+        <List dense={dense} disablePadding>
+          {failed.map(item => <ReportItem key={item.id} item={item} dense={dense} />)}
+        </List>
+      )}
+
+      {passed.length > 0 && (
+        <>
+          <Button size="small" onClick={() => setShowPassed(!showPassed)}>
+            {showPassed ? 'Hide' : 'Show'} {passed.length} passed check{passed.length === 1 ? '' : 's'}
+          </Button>
+          <Collapse in={showPassed}>
+            <List dense={dense} disablePadding>
+              {passed.map(item => <ReportItem key={item.id} item={item} dense={dense} />)}
+            </List>
+          </Collapse>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default ComplianceReport;
@@ -0,0 +1,104 @@
+import React from 'react';
+import { useTheme } from '@mui/material';
+import {
+  ResponsiveContainer,
+  BarChart,
+  ComposedChart,
+  Bar,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+} from 'recharts';
+
+const CHART_HEIGHT = 300;
+
+const formatNumber = value => Number(value ?? 0).toLocaleString(undefined, { maximumFractionDigits: 1 });
+
+// '2026-03' -> 'Mar 26'
+const formatMonth = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(year, monthIndex - 1, 1).toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+};
+
+/**
+ * Projects per workflow stage: how many are there now and how many got at least that far
+ */
+export const StatusFunnelChart = ({ data }) => {
+  const theme = useTheme();
+  return (
+    <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+      <BarChart data={data} layout="vertical" margin={{ left: 40 }}>
+        <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+        <XAxis type="number" allowDecimals={false} />
+        <YAxis type="category" dataKey="name" width={140} tick={{ fontSize: 12 }} />
+        <Tooltip />
+        <Legend />
+        <Bar dataKey="reached" name="Reached stage" fill={theme.palette.primary.light} />
+        <Bar dataKey="current" name="Currently in stage" fill={theme.palette.primary.dark} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+/**
+ * Estimated, calculated and issued credits (tCO2e) per standard
+ */
+export const CreditsByStandardChart = ({ data }) => {
+  const theme = useTheme();
+  return (
+    <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+      <BarChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" vertical={false} />
+        <XAxis dataKey="label" tick={{ fontSize: 12 }} />
+        <YAxis tickFormatter={formatNumber} />
+        <Tooltip formatter={formatNumber} />
+        <Legend />
+        <Bar dataKey="estimated" name="Estimated" fill={theme.palette.grey[400]} />
+        <Bar dataKey="calculated" name="Calculated" fill={theme.palette.info.main} />
+        <Bar dataKey="issued" name="Issued" fill={theme.palette.success.main} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+/**
+ * Average days projects spent in each workflow status
+ */
+export const TimeInStatusChart = ({ data }) => {
+  const theme = useTheme();
+  return (
+    <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+      <BarChart data={data.filter(entry => entry.projects > 0)}>
+        <CartesianGrid strokeDasharray="3 3" vertical={false} />
+        <XAxis dataKey="name" tick={{ fontSize: 11 }} interval={0} angle={-20} textAnchor="end" height={60} />
+        <YAxis unit=" d" />
+        <Tooltip formatter={(value, name, item) => [`${formatNumber(value)} days (${item.payload.projects} projects)`, 'Average']} />
+        <Bar dataKey="averageDays" name="Average days" fill={theme.palette.secondary.main} />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+/**
+ * Documents generated and credits issued per month
+ */
+export const MonthlyActivityChart = ({ data }) => {
+  const theme = useTheme();
+  return (
+    <ResponsiveContainer width="100%" height={CHART_HEIGHT}>
+      <ComposedChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" vertical={false} />
+        <XAxis dataKey="month" tickFormatter={formatMonth} tick={{ fontSize: 12 }} />
+        <YAxis yAxisId="documents" allowDecimals={false} />
+        <YAxis yAxisId="credits" orientation="right" tickFormatter={formatNumber} />
+        <Tooltip labelFormatter={formatMonth} formatter={formatNumber} />
+        <Legend />
+        <Bar yAxisId="documents" dataKey="documentsGenerated" name="Documents generated" fill={theme.palette.primary.main} />
+        <Line yAxisId="credits" type="monotone" dataKey="creditsIssued" name="Credits issued (tCO2e)" stroke={theme.palette.success.main} strokeWidth={2} />
+      </ComposedChart>
+    </ResponsiveContainer>
+  );
+};
@@ -0,0 +1,78 @@
+import React from 'react';
+import { Box, TextField, MenuItem } from '@mui/material';
+
+// YYYY-MM-DD in local time, as date inputs expect
+const toDateInput = date => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+const monthsAgo = (months) => {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return date;
+};
+
+export const DATE_RANGE_PRESETS = [
+  { value: '3m', label: 'Last 3 months', from: () => monthsAgo(3) },
+  { value: '6m', label: 'Last 6 months', from: () => monthsAgo(6) },
+  { value: '12m', label: 'Last 12 months', from: () => monthsAgo(12) },
+  { value: 'ytd', label: 'Year to date', from: () => new Date(new Date().getFullYear(), 0, 1) },
+  { value: '24m', label: 'Last 2 years', from: () => monthsAgo(24) },
+];
+
+/**
+ * Resolves a preset to concrete dates
+ * @param {string} preset - Value of one of DATE_RANGE_PRESETS
+ * @returns {Object} - { preset, from, to } as YYYY-MM-DD
+ */
+export const rangeFromPreset = (preset) => {
+  const match = DATE_RANGE_PRESETS.find(option => option.value === preset) || DATE_RANGE_PRESETS[2];
+  return { preset: match.value, from: toDateInput(match.from()), to: toDateInput(new Date()) };
+};
+
+/**
+ * Preset or custom date range; custom shows from/to date inputs
+ */
+const DateRangeSelector = ({ value, onChange }) => (
+  <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+    <TextField
+      select
+      size="small"
+      label="Period"
+      value={value.preset}
+      onChange={e => onChange(e.target.value === 'custom' ? { ...value, preset: 'custom' } : rangeFromPreset(e.target.value))}
+      sx={{ minWidth: 170 }}
+    >
+      {DATE_RANGE_PRESETS.map(option => (
+        <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+      ))}
+      <MenuItem value="custom">Custom range</MenuItem>
+    </TextField>
+    {value.preset === 'custom' && (
+      <>
+        <TextField
+          size="small"
+          type="date"
+          label="From"
+          value={value.from}
+          onChange={e => e.target.value && onChange({ ...value, from: e.target.value })}
+          InputLabelProps={{ shrink: true }}
+          inputProps={{ max: value.to }}
+        />
+        <TextField
+          size="small"
+          type="date"
+          label="To"
+          value={value.to}
+          onChange={e => e.target.value && onChange({ ...value, to: e.target.value })}
+          InputLabelProps={{ shrink: true }}
+          inputProps={{ min: value.from }}
+        />
+      </>
+    )}
+  </Box>
+);
+
+export default DateRangeSelector;
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Alert,
+  LinearProgress,
+  Typography,
+  FormControlLabel,
+  Checkbox,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { uploadDocument } from '../services/documentService';
+import { getErrorMessage } from '../services/api';
+import { sha256File } from '../utils/checksum';
+import {
+  DOCUMENT_TYPES,
+  MAX_UPLOAD_BYTES,
+  UPLOAD_ACCEPT,
+  resolveUploadType,
+} from '../../../shared/documentTypes';
+import { getDocumentLabel } from '../../../shared/standards';
+
+const DocumentUploadDialog = ({ open, projectId, standard, onClose, onUploaded }) => {
+  const [file, setFile] = useState(null);
+  const [documentType, setDocumentType] = useState('supporting-documentation');
+  const [description, setDescription] = useState('');
+  const [processImmediately, setProcessImmediately] = useState(true);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const uploading = progress !== null;
+
+  const reset = () => {
+    setFile(null);
+    setDescription('');
+    setProgress(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    if (uploading) return;
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0];
+    setError(null);
+
+    if (!selected) return;
+
+    if (!resolveUploadType(selected.name, selected.type)) {
+      setError('Unsupported file type. Upload a PDF, DOCX, XLSX, CSV, TXT, PNG or JPEG file.');
+      return;
+    }
+    if (selected.size > MAX_UPLOAD_BYTES) {
+      setError(`File exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB limit.`);
+      return;
+    }
+
+    setFile(selected);
+  };
+
+  const handleUpload = async () => {
+    setError(null);
+    setProgress(0);
+    try {
+      const checksum = await sha256File(file);
+      const document = await uploadDocument(projectId, file, { documentType, description, checksum, processImmediately }, setProgress);
+      reset();
+      onUploaded(document);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Upload failed. Please try again.'));
+      setProgress(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="sm">
+      <DialogTitle>Upload Document</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        <Button component="label" variant="outlined" startIcon={<UploadFileIcon />} disabled={uploading} sx={{ mt: 1 }}>
+          Choose File
+          <input type="file" hidden accept={UPLOAD_ACCEPT} onChange={handleFileChange} />
+        </Button>
+        {file && (
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            {file.name} ({(file.size / 1024).toFixed(0)} KB)
+          </Typography>
+        )}
+
+        <TextField
+          select
+          fullWidth
+          margin="normal"
+          label="Document Type"
+          value={documentType}
+          onChange={e => setDocumentType(e.target.value)}
+          disabled={uploading}
+        >
+          {Object.keys(DOCUMENT_TYPES).map(value => (
+            <MenuItem key={value} value={value}>{getDocumentLabel(standard, value)}</MenuItem>
+          ))}
+        </TextField>
+
+        <TextField
+          fullWidth
+          margin="normal"
+          label="Description (Optional)"
+          value={description}
+          onChange={e => setDescription(e.target.value)}
+          disabled={uploading}
+        />
+
+        <FormControlLabel
+          control={(
+            <Checkbox
+              checked={processImmediately}
+              onChange={e => setProcessImmediately(e.target.checked)}
+              disabled={uploading}
+            />
+          )}
+          label="Extract project data after upload"
+        />
+
+        {uploading && <LinearProgress variant="determinate" value={progress} sx={{ mt: 2 }} />}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={uploading}>Cancel</Button>
+        <Button variant="contained" onClick={handleUpload} disabled={!file || uploading}>
+          {uploading ? 'Uploading...' : 'Upload'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default DocumentUploadDialog;
@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Alert,
+  Skeleton,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tooltip,
+  IconButton,
+  Collapse,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import CalculationDialog from './CalculationDialog';
+import CalculationAuditTrail from './CalculationAuditTrail';
+import { fetchCalculations, fetchCalculation, deleteCalculation } from '../services/calculationService';
+import { getErrorMessage } from '../services/api';
+import { formatDate } from '../utils/format';
+import { getCalculationModel } from '../../../shared/calculationModels';
+
+const formatTonnes = value => (value ?? 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+const EmissionCalculationsPanel = ({ project, canEdit }) => {
+  const [calculations, setCalculations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [auditTrails, setAuditTrails] = useState({});
+
+  const model = getCalculationModel(project.methodologyId);
+
+  useEffect(() => {
+    const loadCalculations = async () => {
+      try {
+        setCalculations(await fetchCalculations(project._id));
+      } catch (err) {
+        console.error('Error fetching calculations:', err);
+        setError(getErrorMessage(err, 'Failed to load calculations.'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadCalculations();
+  }, [project._id]);
+
+  const handleCalculated = (calculation) => {
+    setCalculations(prev => [calculation, ...prev]);
+    setAuditTrails(prev => ({ ...prev, [calculation._id]: calculation.auditTrail }));
+    setExpanded(calculation._id);
+    setDialogOpen(false);
+  };
+
+  // Audit trails are left out of the list response and fetched on demand
+  const handleToggle = async (calculation) => {
+    if (expanded === calculation._id) {
+      setExpanded(null);
+      return;
+    }
+
+    setExpanded(calculation._id);
+    if (auditTrails[calculation._id]) return;
+
+    try {
+      const detail = await fetchCalculation(project._id, calculation._id);
+      setAuditTrails(prev => ({ ...prev, [calculation._id]: detail.auditTrail }));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load the audit trail.'));
+    }
+  };
+
+  const handleDelete = async (calculation) => {
+    if (!window.confirm(`Delete the calculation for ${formatDate(calculation.periodStart)} – ${formatDate(calculation.periodEnd)}?`)) {
+      return;
+    }
+
+    try {
+      await deleteCalculation(project._id, calculation._id);
+      setCalculations(prev => prev.filter(c => c._id !== calculation._id));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to delete calculation.'));
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">Emission Reductions</Typography>
+        {canEdit && (
+          <Button size="small" startIcon={<AddIcon />} onClick={() => setDialogOpen(true)} disabled={!model}>
+            New Calculation
+          </Button>
+        )}
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+
+      {!model && (
+        <Typography variant="body2" color="text.secondary">
+          No calculation model is available for {project.methodologyId || 'this project'}.
+        </Typography>
+      )}
+
+      {loading && <Skeleton variant="rectangular" height={80} />}
+
+      {!loading && model && calculations.length === 0 && (
+        <Typography variant="body2" color="text.secondary">
+          No monitoring periods have been calculated yet.
+        </Typography>
+      )}
+
+      {!loading && calculations.length > 0 && (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Monitoring Period</TableCell>
+              <TableCell align="right">Baseline (tCO2e)</TableCell>
+              <TableCell align="right">Project (tCO2e)</TableCell>
+              <TableCell align="right">Leakage (tCO2e)</TableCell>
+              <TableCell align="right">Buffer (tCO2e)</TableCell>
+              <TableCell align="right">Credits</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {calculations.map(calculation => (
+              <React.Fragment key={calculation._id}>
+                <TableRow>
+                  <TableCell>
+                    {formatDate(calculation.periodStart)} – {formatDate(calculation.periodEnd)}
+                  </TableCell>
+                  <TableCell align="right">{formatTonnes(calculation.results.baselineEmissions)}</TableCell>
+                  <TableCell align="right">{formatTonnes(calculation.results.projectEmissions)}</TableCell>
+                  <TableCell align="right">{formatTonnes(calculation.results.leakageEmissions)}</TableCell>
+                  <TableCell align="right">{formatTonnes(calculation.results.bufferDeduction)}</TableCell>
+                  <TableCell align="right">{formatTonnes(calculation.results.creditsIssuable)}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    <Tooltip title="Audit trail">
+                      <IconButton size="small" onClick={() => handleToggle(calculation)}>
+                        {expanded === calculation._id ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+                      </IconButton>
+                    </Tooltip>
+                    {canEdit && (
+                      <Tooltip title="Delete">
+                        <IconButton size="small" color="error" onClick={() => handleDelete(calculation)}>
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+                  </TableCell>
+                </TableRow>
+                <TableRow>
+                  <TableCell colSpan={7} sx={{ py: 0, borderBottom: expanded === calculation._id ? undefined : 0 }}>
+                    <Collapse in={expanded === calculation._id} unmountOnExit>
+                      <Box sx={{ py: 2 }}>
+                        {calculation.notes && (
+                          <Typography variant="body2" sx={{ mb: 1 }}>{calculation.notes}</Typography>
+                        )}
+                        {auditTrails[calculation._id]
+                          ? <CalculationAuditTrail steps={auditTrails[calculation._id]} />
+                          : <Skeleton variant="rectangular" height={120} />}
+                      </Box>
+                    </Collapse>
+                  </TableCell>
+                </TableRow>
+              </React.Fragment>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+
+      {model && (
+        <CalculationDialog
+          open={dialogOpen}
+          projectId={project._id}
+          model={model}
+          onClose={() => setDialogOpen(false)}
+          onCalculated={handleCalculated}
+        />
+      )}
+    </Paper>
+  );
+};
+
+export default EmissionCalculationsPanel;
@@ -0,0 +1,117 @@
+import React, { useContext } from 'react';
+import { Outlet, Link as RouterLink, useNavigate, useLocation } from 'react-router-dom';
+import {
+  AppBar,
+  Toolbar,
+  Typography,
+  Button,
+  Box,
+  Container,
+  TextField,
+  MenuItem,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import AuthContext from '../context/AuthContext';
+import OrganizationContext from '../context/OrganizationContext';
+import NotificationBell from './NotificationBell';
+
+const Layout = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { user, logout } = useContext(AuthContext);
+  const {
+    organizations,
+    currentOrganization,
+    loading,
+    error,
+    switchOrganization,
+    refreshOrganizations,
+  } = useContext(OrganizationContext);
+
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+
+  // Pages of the previous organization's projects would 404, so leave them
+  const handleSwitch = (organizationId) => {
+    switchOrganization(organizationId);
+    if (location.pathname !== '/organization') {
+      navigate('/');
+    }
+  };
+
+  const renderContent = () => {
+    if (error) {
+      return (
+        <Alert
+          severity="error"
+          action={<Button color="inherit" size="small" onClick={() => refreshOrganizations()}>Retry</Button>}
+        >
+          {error}
+        </Alert>
+      );
+    }
+
+    if (loading || !currentOrganization) {
+      return (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 8 }}>
+          <CircularProgress />
+        </Box>
+      );
+    }
+
+    // Keyed by organization so every page reloads its data after a switch
+    return <Outlet key={currentOrganization._id} />;
+  };
+
+  return (
+    <Box>
+      <AppBar position="static">
+        <Toolbar>
+          <Typography
+            variant="h6"
+            component={RouterLink}
+            to="/"
+            sx={{ color: 'inherit', textDecoration: 'none', mr: 3 }}
+          >
+            CNergy
+          </Typography>
+          <Button color="inherit" component={RouterLink} to="/">Dashboard</Button>
+          <Button color="inherit" component={RouterLink} to="/projects">Projects</Button>
+          <Button color="inherit" component={RouterLink} to="/organization">Organization</Button>
+          <Box sx={{ flexGrow: 1 }} />
+          {currentOrganization && (
+            <TextField
+              select
+              size="small"
+              variant="standard"
+              value={currentOrganization._id}
+              onChange={e => handleSwitch(e.target.value)}
+              inputProps={{ 'aria-label': 'Organization' }}
+              sx={{
+                mr: 3,
+                minWidth: 180,
+                '& .MuiInputBase-root, & .MuiSvgIcon-root': { color: 'inherit' },
+                '& .MuiInput-underline:before': { borderBottomColor: 'rgba(255, 255, 255, 0.5)' },
+              }}
+            >
+              {organizations.map(organization => (
+                <MenuItem key={organization._id} value={organization._id}>{organization.name}</MenuItem>
+              ))}
+            </TextField>
+          )}
+          <NotificationBell />
+          <Typography variant="body2" sx={{ mr: 2 }}>{user?.name}</Typography>
+          <Button color="inherit" onClick={handleLogout}>Logout</Button>
+        </Toolbar>
+      </AppBar>
+      <Container maxWidth="lg" sx={{ py: 4 }}>
+        {renderContent()}
+      </Container>
+    </Box>
+  );
+};
+
+export default Layout;
@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  IconButton,
+  Badge,
+  Popover,
+  Box,
+  Typography,
+  Button,
+  List,
+  ListItemButton,
+  ListItemText,
+  Divider,
+  Tooltip,
+} from '@mui/material';
+import NotificationsIcon from '@mui/icons-material/Notifications';
+import AuthContext from '../context/AuthContext';
+import {
+  fetchNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  openNotificationStream,
+} from '../services/notificationService';
+import { formatDateTime } from '../utils/format';
+
+const PREVIEW_COUNT = 8;
+
+/**
+ * App bar bell with the unread count and the latest notifications; new ones arrive live
+ */
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const { user } = useContext(AuthContext);
+  const [anchor, setAnchor] = useState(null);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  useEffect(() => {
+    const loadNotifications = async () => {
+      try {
+        const data = await fetchNotifications({ limit: PREVIEW_COUNT });
+        setNotifications(data.notifications);
+        setUnreadCount(data.unreadCount);
+      } catch (err) {
+        console.error('Error fetching notifications:', err);
+      }
+    };
+
+    loadNotifications();
+  }, []);
+
+  // Reconnects whenever the session token is refreshed, since the stream authenticates once
+  useEffect(() => {
+    if (!user) return undefined;
+
+    return openNotificationStream((notification) => {
+      setNotifications(current => [notification, ...current].slice(0, PREVIEW_COUNT));
+      setUnreadCount(count => count + 1);
+    });
+  }, [user]);
+
+  const handleOpen = async (notification) => {
+    setAnchor(null);
+    if (!notification.readAt) {
+      try {
+        const data = await markNotificationRead(notification._id);
+        setNotifications(current => current.map(n => (n._id === notification._id ? { ...n, readAt: data.notification.readAt } : n)));
+        setUnreadCount(data.unreadCount);
+      } catch (err) {
+        console.error('Error marking notification read:', err);
+      }
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      const readAt = new Date().toISOString();
+      setNotifications(current => current.map(n => ({ ...n, readAt: n.readAt || readAt })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+    }
+  };
+
+  return (
+    <>
+      <Tooltip title="Notifications">
+        <IconButton color="inherit" onClick={e => setAnchor(e.currentTarget)} sx={{ mr: 1 }}>
+          <Badge badgeContent={unreadCount} color="error" max={99}>
+            <NotificationsIcon />
+          </Badge>
+        </IconButton>
+      </Tooltip>
+      <Popover
+        open={Boolean(anchor)}
+        anchorEl={anchor}
+        onClose={() => setAnchor(null)}
+        anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+        transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+      >
+        <Box sx={{ width: 380 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', px: 2, py: 1 }}>
+            <Typography variant="subtitle1">Notifications</Typography>
+            <Button size="small" onClick={handleMarkAllRead} disabled={unreadCount === 0}>Mark all read</Button>
+          </Box>
+          <Divider />
+          {notifications.length === 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ p: 2 }}>
+              You're all caught up.
+            </Typography>
+          )}
+          <List dense disablePadding sx={{ maxHeight: 400, overflow: 'auto' }}>
+            {notifications.map(notification => (
+              <ListItemButton
+                key={notification._id}
+                onClick={() => handleOpen(notification)}
+                sx={{ bgcolor: notification.readAt ? 'transparent' : 'action.hover' }}
+              >
+                <ListItemText
+                  primary={notification.title}
+                  primaryTypographyProps={{ fontWeight: notification.readAt ? 'normal' : 'bold' }}
+                  secondary={[notification.message, formatDateTime(notification.createdAt)].filter(Boolean).join(' · ')}
+                />
+              </ListItemButton>
+            ))}
+          </List>
+          <Divider />
+          <Button fullWidth onClick={() => { setAnchor(null); navigate('/notifications'); }}>
+            View all and settings
+          </Button>
+        </Box>
+      </Popover>
+    </>
+  );
+};
+
+export default NotificationBell;
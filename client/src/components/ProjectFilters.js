@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Paper,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  InputAdornment,
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import { PROJECT_TYPES, PROJECT_TYPE_LABELS, TARGET_STANDARDS, TARGET_STANDARD_LABELS } from '../../../shared/projectSchema';
+import { WORKFLOW_STATUSES, getStatusName } from '../../../shared/workflow';
+
+// Free-text fields are applied once typing pauses so every keystroke doesn't hit the API
+const DEBOUNCE_MS = 400;
+const TEXT_FIELDS = ['search', 'country', 'minCredits', 'maxCredits'];
+
+const toDrafts = query => Object.fromEntries(TEXT_FIELDS.map(key => [key, query[key] ?? '']));
+
+const MULTI_SELECTS = [
+  { key: 'projectType', label: 'Type', options: PROJECT_TYPES, getLabel: type => PROJECT_TYPE_LABELS[type] },
+  { key: 'targetStandard', label: 'Standard', options: TARGET_STANDARDS, getLabel: standard => TARGET_STANDARD_LABELS[standard] },
+  { key: 'status', label: 'Status', options: WORKFLOW_STATUSES, getLabel: getStatusName },
+];
+
+/**
+ * Search box and filters of the Projects table
+ * @param {Object} props.query - Parsed list query (see shared/projectQuery.js)
+ * @param {Function} props.onChange - Called with the changed query fields
+ * @param {Function} props.onClear - Resets every filter
+ */
+const ProjectFilters = ({ query, onChange, onClear }) => {
+  const [drafts, setDrafts] = useState(() => toDrafts(query));
+
+  // Follow the URL when it changes underneath us, e.g. on back navigation
+  useEffect(() => {
+    setDrafts(toDrafts(query));
+  }, [query]);
+
+  useEffect(() => {
+    const changed = TEXT_FIELDS.filter(key => String(drafts[key]).trim() !== String(query[key] ?? ''));
+    if (changed.length === 0) return undefined;
+
+    const timer = setTimeout(() => {
+      onChange(Object.fromEntries(changed.map((key) => {
+        const value = String(drafts[key]).trim();
+        if (key === 'minCredits' || key === 'maxCredits') {
+          return [key, value === '' ? null : Number(value)];
+        }
+        return [key, value];
+      })));
+    }, DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [drafts, query, onChange]);
+
+  const setDraft = key => e => setDrafts(current => ({ ...current, [key]: e.target.value }));
+
+  return (
+    <Paper sx={{ p: 2, mb: 2 }}>
+      <Grid container spacing={2} alignItems="center">
+        <Grid item xs={12} md={6}>
+          <TextField
+            fullWidth
+            size="small"
+            placeholder="Search names and descriptions"
+            value={drafts.search}
+            onChange={setDraft('search')}
+            InputProps={{
+              startAdornment: (
+                <InputAdornment position="start">
+                  <SearchIcon fontSize="small" />
+                </InputAdornment>
+              ),
+            }}
+          />
+        </Grid>
+        <Grid item xs={12} sm={4} md={2}>
+          <TextField fullWidth size="small" label="Country" value={drafts.country} onChange={setDraft('country')} />
+        </Grid>
+        <Grid item xs={6} sm={4} md={2}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label="Min. credits"
+            value={drafts.minCredits}
+            onChange={setDraft('minCredits')}
+            inputProps={{ min: 0 }}
+          />
+        </Grid>
+        <Grid item xs={6} sm={4} md={2}>
+          <TextField
+            fullWidth
+            size="small"
+            type="number"
+            label="Max. credits"
+            value={drafts.maxCredits}
+            onChange={setDraft('maxCredits')}
+            inputProps={{ min: 0 }}
+          />
+        </Grid>
+        {MULTI_SELECTS.map(({ key, label, options, getLabel }) => (
+          <Grid item xs={12} sm={4} md={3} key={key}>
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label={label}
+              value={query[key]}
+              onChange={e => onChange({ [key]: e.target.value })}
+              SelectProps={{
+                multiple: true,
+                renderValue: selected => selected.map(getLabel).join(', '),
+              }}
+            >
+              {options.map(option => (
+                <MenuItem key={option} value={option}>{getLabel(option)}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+        ))}
+        <Grid item xs={12} md={3} sx={{ textAlign: { md: 'right' } }}>
+          <Button onClick={onClear}>Clear filters</Button>
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+};
+
+export default ProjectFilters;
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  MenuItem,
+  Alert,
+  LinearProgress,
+  Typography,
+  Grid,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import { importMonitoringData } from '../services/monitoringService';
+import { getErrorMessage } from '../services/api';
+import { sha256File } from '../utils/checksum';
+import { MAX_UPLOAD_BYTES, resolveUploadType } from '../../../shared/documentTypes';
+
+const AUTO_DETECT = '';
+
+// Only CSV headers can be read in the browser; XLSX columns are always matched on the server
+const readCsvHeaders = async (file) => {
+  const [firstLine = ''] = (await file.slice(0, 64 * 1024).text()).split(/\r?\n/);
+  return firstLine.split(',').map(header => header.trim().replace(/^"|"$/g, '')).filter(Boolean).slice(1);
+};
+
+/**
+ * Imports a CSV/XLSX time series into a monitoring period. Columns are matched
+ * to calculation inputs by symbol or label unless mapped explicitly.
+ */
+const TimeSeriesImportDialog = ({ open, projectId, period, model, onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const uploading = progress !== null;
+
+  const reset = () => {
+    setFile(null);
+    setHeaders([]);
+    setMapping({});
+    setProgress(null);
+    setError(null);
+  };
+
+  const handleClose = () => {
+    if (uploading) return;
+    reset();
+    onClose();
+  };
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0];
+    setError(null);
+    setHeaders([]);
+    setMapping({});
+
+    if (!selected) return;
+
+    const fileType = resolveUploadType(selected.name, selected.type);
+    if (!['csv', 'xlsx'].includes(fileType)) {
+      setError('Monitoring data must be a CSV or XLSX file.');
+      return;
+    }
+    if (selected.size > MAX_UPLOAD_BYTES) {
+      setError(`File exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB limit.`);
+      return;
+    }
+
+    setFile(selected);
+    if (fileType === 'csv') {
+      setHeaders(await readCsvHeaders(selected));
+    }
+  };
+
+  const handleImport = async () => {
+    setError(null);
+    setProgress(0);
+    try {
+      const checksum = await sha256File(file);
+      const selectedMapping = Object.fromEntries(Object.entries(mapping).filter(([, key]) => key !== AUTO_DETECT));
+      const result = await importMonitoringData(projectId, period._id, file, { checksum, mapping: selectedMapping }, setProgress);
+      reset();
+      onImported(result);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Import failed. Please try again.'));
+      setProgress(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} fullWidth maxWidth="sm">
+      <DialogTitle>Import Monitoring Data{period ? ` – ${period.name}` : ''}</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Typography variant="body2" color="text.secondary">
+          One row per reading: a date or timestamp column, then one column per parameter with its unit
+          in brackets, e.g. "EG_PJ,y (kWh)". Readings are converted to the calculation units and
+          re-imported readings replace those with the same timestamp.
+        </Typography>
+
+        <Button component="label" variant="outlined" startIcon={<UploadFileIcon />} disabled={uploading} sx={{ mt: 2 }}>
+          Choose File
+          <input type="file" hidden accept=".csv,.xlsx" onChange={handleFileChange} />
+        </Button>
+        {file && (
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            {file.name} ({(file.size / 1024).toFixed(0)} KB)
+          </Typography>
+        )}
+
+        {model && headers.length > 0 && (
+          <Grid container spacing={2} sx={{ mt: 1 }}>
+            {headers.map(header => (
+              <Grid item xs={12} key={header}>
+                <TextField
+                  select
+                  fullWidth
+                  size="small"
+                  label={header}
+                  value={mapping[header] ?? AUTO_DETECT}
+                  onChange={e => setMapping(current => ({ ...current, [header]: e.target.value }))}
+                  disabled={uploading}
+                >
+                  <MenuItem value={AUTO_DETECT}>Detect from header</MenuItem>
+                  {model.inputs.map(input => (
+                    <MenuItem key={input.key} value={input.key}>
+                      {input.symbol} – {input.label} ({input.unit})
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            ))}
+          </Grid>
+        )}
+
+        {uploading && <LinearProgress variant="determinate" value={progress} sx={{ mt: 2 }} />}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={uploading}>Cancel</Button>
+        <Button variant="contained" onClick={handleImport} disabled={!file || uploading}>
+          {uploading ? 'Importing...' : 'Import'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default TimeSeriesImportDialog;
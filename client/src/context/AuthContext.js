@@ -0,0 +1,165 @@
+import React, { createContext, useState, useEffect, useCallback, useRef } from 'react';
+import api, { TOKEN_KEY, setAuthToken, getErrorMessage } from '../services/api';
+import { loginUser, registerUser, fetchCurrentUser, refreshToken } from '../services/authService';
+
+const AuthContext = createContext({
+  user: null,
+  isAuthenticated: false,
+  loading: true,
+  error: null,
+  login: async () => false,
+  register: async () => false,
+  logout: () => {},
+  clearError: () => {},
+});
+
+// Refresh this long before the token actually expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+const MAX_TIMER_MS = 2147483647;
+
+// Reads the expiry (ms since epoch) from a JWT without verifying it
+const getTokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const refreshTimer = useRef(null);
+
+  const clearRefreshTimer = useCallback(() => {
+    if (refreshTimer.current) {
+      clearTimeout(refreshTimer.current);
+      refreshTimer.current = null;
+    }
+  }, []);
+
+  const logout = useCallback(() => {
+    clearRefreshTimer();
+    setAuthToken(null);
+    setUser(null);
+  }, [clearRefreshTimer]);
+
+  const scheduleRefresh = useCallback((token) => {
+    clearRefreshTimer();
+
+    const expiry = getTokenExpiry(token);
+    if (!expiry) return;
+
+    // setTimeout overflows past ~24.8 days, so long-lived tokens are refreshed early
+    const delay = Math.min(Math.max(expiry - Date.now() - REFRESH_MARGIN_MS, 0), MAX_TIMER_MS);
+    refreshTimer.current = setTimeout(async () => {
+      try {
+        const data = await refreshToken();
+        setAuthToken(data.token);
+        setUser(data.user);
+        scheduleRefresh(data.token);
+      } catch (err) {
+        logout();
+      }
+    }, delay);
+  }, [clearRefreshTimer, logout]);
+
+  const startSession = (token, sessionUser) => {
+    setAuthToken(token);
+    setUser(sessionUser);
+    scheduleRefresh(token);
+  };
+
+  // Restore the session from a stored token on reload
+  useEffect(() => {
+    const restoreSession = async () => {
+      const token = localStorage.getItem(TOKEN_KEY);
+      const expiry = token && getTokenExpiry(token);
+
+      if (!token || (expiry && expiry <= Date.now())) {
+        setAuthToken(null);
+        setLoading(false);
+        return;
+      }
+
+      setAuthToken(token);
+
+      try {
+        const currentUser = await fetchCurrentUser();
+        setUser(currentUser);
+        scheduleRefresh(token);
+      } catch (err) {
+        setAuthToken(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    restoreSession();
+
+    return clearRefreshTimer;
+  }, [clearRefreshTimer, scheduleRefresh]);
+
+  // Drop the session whenever the API rejects our token
+  useEffect(() => {
+    const interceptor = api.interceptors.response.use(
+      response => response,
+      (err) => {
+        const isAuthCall = err.config?.url?.startsWith('/auth/login') || err.config?.url?.startsWith('/auth/register');
+        if (err.response?.status === 401 && !isAuthCall) {
+          logout();
+        }
+        return Promise.reject(err);
+      }
+    );
+
+    return () => api.interceptors.response.eject(interceptor);
+  }, [logout]);
+
+  const login = async (email, password) => {
+    setError(null);
+    try {
+      const data = await loginUser(email, password);
+      startSession(data.token, data.user);
+      return true;
+    } catch (err) {
+      setError(getErrorMessage(err, 'Login failed. Please try again.'));
+      return false;
+    }
+  };
+
+  const register = async (formData) => {
+    setError(null);
+    try {
+      const data = await registerUser(formData);
+      startSession(data.token, data.user);
+      return true;
+    } catch (err) {
+      setError(getErrorMessage(err, 'Registration failed. Please try again.'));
+      return false;
+    }
+  };
+
+  const clearError = () => setError(null);
+
+  return (
+    <AuthContext.Provider
+      value={{
+        user,
+        isAuthenticated: !!user,
+        loading,
+        error,
+        login,
+        register,
+        logout,
+        clearError,
+      }}
+    >
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export default AuthContext;
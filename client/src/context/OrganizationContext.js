@@ -0,0 +1,77 @@
+import React, { createContext, useState, useEffect, useContext, useCallback } from 'react';
+import { ORGANIZATION_KEY, setOrganizationId, getErrorMessage } from '../services/api';
+import { fetchOrganizations } from '../services/organizationService';
+import AuthContext from './AuthContext';
+
+const OrganizationContext = createContext({
+  organizations: [],
+  currentOrganization: null,
+  loading: true,
+  error: null,
+  switchOrganization: () => {},
+  refreshOrganizations: async () => {},
+});
+
+// Keeps the user's organizations and the one currently selected; the
+// selection is sent with every API request and remembered across reloads
+export const OrganizationProvider = ({ children }) => {
+  const { user } = useContext(AuthContext);
+  const userId = user?.id;
+  const [organizations, setOrganizations] = useState([]);
+  const [currentId, setCurrentId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const switchOrganization = useCallback((organizationId) => {
+    setOrganizationId(organizationId);
+    setCurrentId(organizationId);
+  }, []);
+
+  const refreshOrganizations = useCallback(async (preferredId) => {
+    setError(null);
+    try {
+      const data = await fetchOrganizations();
+      setOrganizations(data);
+
+      const wanted = preferredId || localStorage.getItem(ORGANIZATION_KEY);
+      const selected = data.find(organization => organization._id === wanted) || data[0];
+      switchOrganization(selected?._id || null);
+    } catch (err) {
+      console.error('Error fetching organizations:', err);
+      setError(getErrorMessage(err, 'Failed to load your organizations.'));
+    } finally {
+      setLoading(false);
+    }
+  }, [switchOrganization]);
+
+  useEffect(() => {
+    // The stored selection is kept while signed out and checked against the list on sign-in
+    if (!userId) {
+      setOrganizations([]);
+      setCurrentId(null);
+      setLoading(true);
+      return;
+    }
+
+    refreshOrganizations();
+  }, [userId, refreshOrganizations]);
+
+  const currentOrganization = organizations.find(organization => organization._id === currentId) || null;
+
+  return (
+    <OrganizationContext.Provider
+      value={{
+        organizations,
+        currentOrganization,
+        loading,
+        error,
+        switchOrganization,
+        refreshOrganizations,
+      }}
+    >
+      {children}
+    </OrganizationContext.Provider>
+  );
+};
+
+export default OrganizationContext;
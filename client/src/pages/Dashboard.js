@@ -2,60 +2,44 @@ import React, { useState, useEffect, useContext } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
   Box, Typography, Grid, Card, CardContent, CardActions,
-  Button, Paper, Skeleton, Chip
+  Button, Paper, Skeleton, Chip, Alert
 } from '@mui/material';
 import AuthContext from '../context/AuthContext';
+import OrganizationContext from '../context/OrganizationContext';
+import DateRangeSelector, { rangeFromPreset } from '../components/DateRangeSelector';
+import {
+  StatusFunnelChart,
+  CreditsByStandardChart,
+  TimeInStatusChart,
+  MonthlyActivityChart,
+} from '../components/DashboardCharts';
+import { fetchProjects } from '../services/projectService';
+import { fetchDashboardStats } from '../services/dashboardService';
+import { getErrorMessage } from '../services/api';
+import { getStatusColor } from '../utils/status';
+import { getStatusName } from '../../../shared/workflow';
+import { getStandardLabel } from '../../../shared/standards';
+
+const RECENT_PROJECTS = 6;
 
 const Dashboard = () => {
   const navigate = useNavigate();
   const { user } = useContext(AuthContext);
+  const { currentOrganization } = useContext(OrganizationContext);
   const [projects, setProjects] = useState([]);
-  const [stats, setStats] = useState({
-    totalProjects: 0,
-    documentsGenerated: 0,
-    creditsEstimated: 0,
-    projectsInProgress: 0,
-  });
+  const [totalProjects, setTotalProjects] = useState(0);
+  const [range, setRange] = useState(() => rangeFromPreset('12m'));
+  const [stats, setStats] = useState(null);
+  const [statsError, setStatsError] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
     const fetchDashboardData = async () => {
       try {
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        const mockProjects = [
-          {
-            _id: '1',
-            name: 'Reforestation Project A',
-            description: 'Reforestation of degraded land in Region X1',
-            projectType: 'reforestation',
-            status: 'in-progress',
-            targetStandard: 'verra',
-            estimatedCredits: 5000,
-            createdAt: '2023-04-01T12:00:00Z',
-          },
-          {
-            _id: '2',
-            name: 'Solar Energy Project B',
-            description: 'Grid-connected solar PV installation',
-            projectType: 'renewable-energy',
-            status: 'draft',
-            targetStandard: 'gold-standard',
-            estimatedCredits: 8000,
-            createdAt: '2023-03-15T10:30:00Z',
-          },
-        ];
-
-        setProjects(mockProjects);
-
-        setStats({
-          totalProjects: mockProjects.length,
-          documentsGenerated: mockProjects.length * 2,
-          creditsEstimated: mockProjects.reduce((sum, p) => sum + (p.estimatedCredits || 0), 0),
-          projectsInProgress: mockProjects.filter(p => p.status === 'in-progress').length,
-        });
-
+        const { projects: recent, total } = await fetchProjects({ limit: RECENT_PROJECTS });
+        setProjects(recent);
+        setTotalProjects(total);
       } catch (error) {
         console.error('Error fetching dashboard data:', error);
         setError('Failed to load dashboard.');
@@ -67,6 +51,20 @@ const Dashboard = () => {
     fetchDashboardData();
   }, []);
 
+  useEffect(() => {
+    const loadStats = async () => {
+      setStatsError(null);
+      try {
+        setStats(await fetchDashboardStats({ from: range.from, to: range.to }));
+      } catch (err) {
+        console.error('Error fetching dashboard statistics:', err);
+        setStatsError(getErrorMessage(err, 'Failed to load statistics.'));
+      }
+    };
+
+    loadStats();
+  }, [range.from, range.to]);
+
   const handleViewProject = (projectId) => navigate(`/projects/${projectId}`);
   const handleCreateProject = () => navigate('/projects/new');
 
@@ -92,10 +90,50 @@ const Dashboard = () => {
   return (
     <Box>
       <Typography variant="h4" gutterBottom>Dashboard</Typography>
-      <Typography variant="h6" sx={{ mb: 3 }}>Welcome, {user?.name || 'User'}!</Typography>
+      <Typography variant="h6">Welcome, {user?.name || 'User'}!</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>{currentOrganization?.name}</Typography>
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h5">Portfolio</Typography>
+        <DateRangeSelector value={range} onChange={setRange} />
+      </Box>
+
+      {statsError && <Alert severity="error" sx={{ mb: 2 }}>{statsError}</Alert>}
+
+      <Grid container spacing={3} sx={{ mb: 3 }}>
+        {[
+          { label: 'Projects', value: totalProjects, caption: 'in this organization' },
+          { label: 'Estimated credits', value: stats?.totals.estimatedCredits, caption: 'tCO2e across the portfolio' },
+          { label: 'Credits issued', value: stats?.totals.issuedCredits, caption: 'tCO2e in this period' },
+          { label: 'Documents generated', value: stats?.totals.documentsGenerated, caption: 'in this period' },
+        ].map(card => (
+          <Grid item xs={12} sm={6} md={3} key={card.label}>
+            <Paper sx={{ p: 2 }}>
+              <Typography variant="body2" color="text.secondary">{card.label}</Typography>
+              {card.value === undefined
+                ? <Skeleton height={42} />
+                : <Typography variant="h4">{card.value.toLocaleString(undefined, { maximumFractionDigits: 0 })}</Typography>}
+              <Typography variant="caption" color="text.secondary">{card.caption}</Typography>
+            </Paper>
+          </Grid>
+        ))}
+      </Grid>
 
       <Grid container spacing={3} sx={{ mb: 4 }}>
-        {/* Stat cards (same as before) */}
+        {[
+          { title: 'Status funnel', subtitle: 'At the end of the period', Chart: StatusFunnelChart, data: stats?.statusFunnel },
+          { title: 'Credit pipeline by standard', subtitle: 'Estimated vs. calculated and issued in the period', Chart: CreditsByStandardChart, data: stats?.creditsByStandard },
+          { title: 'Time in each status', subtitle: 'Average days within the period', Chart: TimeInStatusChart, data: stats?.timeInStatus },
+          { title: 'Monthly activity', subtitle: 'Documents generated and credits issued', Chart: MonthlyActivityChart, data: stats?.monthly },
+        ].map(({ title, subtitle, Chart, data }) => (
+          <Grid item xs={12} md={6} key={title}>
+            <Paper sx={{ p: 2 }}>
+              <Typography variant="h6">{title}</Typography>
+              <Typography variant="caption" color="text.secondary">{subtitle}</Typography>
+              {data ? <Chart data={data} /> : <Skeleton variant="rectangular" height={300} sx={{ mt: 1 }} />}
+            </Paper>
+          </Grid>
+        ))}
       </Grid>
 
       <Typography variant="h5" sx={{ mb: 2 }}>Recent Projects</Typography>
@@ -118,13 +156,13 @@ const Dashboard = () => {
                   <Grid item xs={6}>
                     <Typography variant="caption">Standard:</Typography>
                     <Typography variant="body2">
-                      {project.targetStandard === 'verra' ? 'Verra (VCS)' : 'Gold Standard'}
+                      {getStandardLabel(project.targetStandard)}
                     </Typography>
                   </Grid>
                   <Grid item xs={6}>
                     <Typography variant="caption">Credits:</Typography>
                     <Typography variant="body2">
-                      {project.estimatedCredits.toLocaleString()}
+                      {(project.estimatedCredits || 0).toLocaleString()}
                     </Typography>
                   </Grid>
                   <Grid item xs={6}>
@@ -137,8 +175,8 @@ const Dashboard = () => {
 
                 {/* Status chip */}
                 <Chip
-                  label={project.status.replace('-', ' ').toUpperCase()}
-                  color={project.status === 'in-progress' ? 'primary' : 'default'}
+                  label={getStatusName(project.status, project.targetStandard)}
+                  color={getStatusColor(project.status)}
                   size="small"
                   sx={{ mt: 2 }}
                 />
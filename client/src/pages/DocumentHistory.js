@@ -0,0 +1,437 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Chip,
+  Button,
+  Skeleton,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tooltip,
+  IconButton,
+  TextField,
+  MenuItem,
+  LinearProgress,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  FormControlLabel,
+  Switch,
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import DownloadIcon from '@mui/icons-material/Download';
+import RestoreIcon from '@mui/icons-material/Restore';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import CompareArrowsIcon from '@mui/icons-material/CompareArrows';
+import { fetchProject } from '../services/projectService';
+import {
+  fetchDocumentVersions,
+  uploadDocumentVersion,
+  downloadDocumentVersion,
+  compareDocumentVersions,
+  restoreDocumentVersion,
+} from '../services/documentService';
+import { getErrorMessage } from '../services/api';
+import { formatDateTime } from '../utils/format';
+import { downloadBlob } from '../utils/download';
+import { sha256File } from '../utils/checksum';
+import { getFieldLabel } from '../utils/projectFields';
+import { MAX_UPLOAD_BYTES, UPLOAD_ACCEPT, resolveUploadType } from '../../../shared/documentTypes';
+import { canPerform } from '../../../shared/permissions';
+
+const SECTION_STATUS_CHIPS = {
+  changed: { label: 'Changed', color: 'warning' },
+  added: { label: 'Added', color: 'success' },
+  removed: { label: 'Removed', color: 'error' },
+  unchanged: { label: 'Unchanged', color: 'default' },
+};
+
+const LINE_STYLES = {
+  added: { bgcolor: 'success.light', prefix: '+' },
+  removed: { bgcolor: 'error.light', prefix: '−' },
+  equal: { bgcolor: 'transparent', prefix: ' ' },
+};
+
+// Unchanged lines kept around each change when context is collapsed
+const CONTEXT_LINES = 2;
+
+const formatFieldValue = value => (value === null || value === undefined ? '—' : String(value));
+
+// Keeps changed lines and a little context around them; runs of skipped lines become one marker
+const collapseContext = (lines) => {
+  const keep = lines.map((line, index) => line.type !== 'equal'
+    || lines.slice(Math.max(index - CONTEXT_LINES, 0), index + CONTEXT_LINES + 1).some(other => other.type !== 'equal'));
+
+  return lines.reduce((visible, line, index) => {
+    if (keep[index]) {
+      visible.push(line);
+    } else if (visible[visible.length - 1]?.type !== 'skipped') {
+      visible.push({ type: 'skipped' });
+    }
+    return visible;
+  }, []);
+};
+
+const DocumentHistory = () => {
+  const navigate = useNavigate();
+  const { projectId, documentId } = useParams();
+  const fileInput = useRef(null);
+  const [project, setProject] = useState(null);
+  const [document, setDocument] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [note, setNote] = useState('');
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    const loadHistory = async () => {
+      try {
+        const [projectData, history] = await Promise.all([
+          fetchProject(projectId),
+          fetchDocumentVersions(projectId, documentId),
+        ]);
+        setProject(projectData);
+        setDocument(history.document);
+        setVersions(history.versions);
+        // Default to comparing the two latest versions
+        if (history.versions.length > 1) {
+          setFrom(history.versions[1].number);
+          setTo(history.versions[0].number);
+        }
+      } catch (err) {
+        console.error('Error fetching document versions:', err);
+        setError(getErrorMessage(err, 'Failed to load document history.'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadHistory();
+  }, [projectId, documentId]);
+
+  const canEdit = canPerform(project?.userRole, 'edit');
+
+  const addVersion = ({ document: updated, version }) => {
+    setDocument(updated);
+    setVersions(prev => [version, ...prev]);
+    setFrom(versions[0]?.number ?? '');
+    setTo(version.number);
+    setComparison(null);
+  };
+
+  const handleCompare = async () => {
+    setComparing(true);
+    setError(null);
+    try {
+      setComparison(await compareDocumentVersions(projectId, documentId, from, to));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to compare versions.'));
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const handleDownload = async (version) => {
+    try {
+      downloadBlob(await downloadDocumentVersion(projectId, documentId, version.number), version.name);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to download version.'));
+    }
+  };
+
+  const handleRestore = async (version) => {
+    if (!window.confirm(`Make version ${version.number} the current version? It is added as a new version, so nothing is lost.`)) {
+      return;
+    }
+
+    try {
+      addVersion(await restoreDocumentVersion(projectId, documentId, version.number));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to restore version.'));
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!resolveUploadType(file.name, file.type)) {
+      setError('Unsupported file type. Upload a PDF, DOCX, XLSX, CSV, TXT, PNG or JPEG file.');
+      return;
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+      setError(`File exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB limit.`);
+      return;
+    }
+
+    setError(null);
+    setProgress(0);
+    try {
+      const checksum = await sha256File(file);
+      addVersion(await uploadDocumentVersion(projectId, documentId, file, { checksum, note }, setProgress));
+      setNote('');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Upload failed. Please try again.'));
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const renderLines = lines => (
+    <Box component="pre" sx={{ m: 0, fontFamily: 'monospace', fontSize: '0.8rem', whiteSpace: 'pre-wrap' }}>
+      {lines.map((line, index) => (line.type === 'skipped' ? (
+        <Box key={index} sx={{ color: 'text.secondary' }}>  …</Box>
+      ) : (
+        <Box key={index} sx={{ bgcolor: LINE_STYLES[line.type].bgcolor, px: 0.5 }}>
+          {LINE_STYLES[line.type].prefix} {line.text}
+        </Box>
+      )))}
+    </Box>
+  );
+
+  if (loading) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Skeleton height={50} />
+        <Skeleton variant="rectangular" height={200} sx={{ my: 2 }} />
+      </Box>
+    );
+  }
+
+  if (!project || !document) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Typography color="error">{error || 'Document not found.'}</Typography>
+        <Button variant="contained" onClick={() => navigate(`/projects/${projectId}`)} sx={{ mt: 2 }}>
+          Back to Project
+        </Button>
+      </Box>
+    );
+  }
+
+  const sections = (comparison?.sections || []).filter(section => showUnchanged || section.status !== 'unchanged');
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ mb: 3 }}>
+        <Button startIcon={<ArrowBackIcon />} onClick={() => navigate(`/projects/${projectId}`)} sx={{ mb: 1 }}>
+          {project.name}
+        </Button>
+        <Typography variant="h4">Version History</Typography>
+        <Typography variant="body2" color="text.secondary">
+          {document.name} · current version {document.version}
+        </Typography>
+      </Box>
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h6">Versions</Typography>
+          {canEdit && document.source === 'uploaded' && (
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              <TextField
+                size="small"
+                label="Note for the new version"
+                value={note}
+                onChange={e => setNote(e.target.value)}
+                disabled={progress !== null}
+              />
+              <input ref={fileInput} type="file" hidden accept={UPLOAD_ACCEPT} onChange={handleFileChange} />
+              <Button startIcon={<UploadFileIcon />} onClick={() => fileInput.current.click()} disabled={progress !== null}>
+                Upload New Version
+              </Button>
+            </Box>
+          )}
+          {canEdit && document.source === 'generated' && (
+            <Button onClick={() => navigate(`/generate/${projectId}`)}>Regenerate</Button>
+          )}
+        </Box>
+        {progress !== null && <LinearProgress variant="determinate" value={progress} sx={{ mb: 1 }} />}
+
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Version</TableCell>
+              <TableCell>File</TableCell>
+              <TableCell>Created</TableCell>
+              <TableCell>Template</TableCell>
+              <TableCell>Note</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {versions.map(version => (
+              <TableRow key={version._id}>
+                <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                  v{version.number}
+                  {String(version.number) === document.version && (
+                    <Chip label="Current" color="primary" size="small" sx={{ ml: 1 }} />
+                  )}
+                </TableCell>
+                <TableCell>{version.name}</TableCell>
+                <TableCell>
+                  {formatDateTime(version.createdAt)}
+                  {version.createdBy && ` · ${version.createdBy.name}`}
+                </TableCell>
+                <TableCell>
+                  {version.templateVersion ? (
+                    <Tooltip title="Revision of the template the document was generated from">
+                      <Typography variant="body2" sx={{ fontFamily: 'monospace' }}>{version.templateVersion}</Typography>
+                    </Tooltip>
+                  ) : '—'}
+                </TableCell>
+                <TableCell>{version.note || '—'}</TableCell>
+                <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                  <Tooltip title="Download">
+                    <IconButton size="small" onClick={() => handleDownload(version)}>
+                      <DownloadIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  {canEdit && String(version.number) !== document.version && (
+                    <Tooltip title="Restore this version">
+                      <IconButton size="small" onClick={() => handleRestore(version)}>
+                        <RestoreIcon fontSize="small" />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Paper>
+
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="h6" gutterBottom>Compare Versions</Typography>
+        {versions.length < 2 ? (
+          <Typography variant="body2" color="text.secondary">
+            There is only one version so far. Changes can be compared once the document has been regenerated or a new version uploaded.
+          </Typography>
+        ) : (
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', mb: 2 }}>
+            {[['From', from, setFrom], ['To', to, setTo]].map(([label, value, setValue]) => (
+              <TextField
+                key={label}
+                select
+                size="small"
+                label={label}
+                value={value}
+                onChange={e => setValue(e.target.value)}
+                sx={{ minWidth: 140 }}
+              >
+                {versions.map(version => (
+                  <MenuItem key={version._id} value={version.number}>v{version.number}</MenuItem>
+                ))}
+              </TextField>
+            ))}
+            <Button
+              variant="contained"
+              startIcon={<CompareArrowsIcon />}
+              onClick={handleCompare}
+              disabled={comparing || from === '' || to === '' || from === to}
+            >
+              {comparing ? 'Comparing...' : 'Compare'}
+            </Button>
+          </Box>
+        )}
+
+        {comparing && <LinearProgress sx={{ mb: 2 }} />}
+
+        {comparison && (
+          <>
+            {comparison.warnings.map(warning => (
+              <Alert severity="info" sx={{ mb: 1 }} key={warning}>{warning}</Alert>
+            ))}
+            {comparison.templateChanged && (
+              <Alert severity="warning" sx={{ mb: 1 }}>
+                The template changed between these versions ({comparison.from.templateVersion} → {comparison.to.templateVersion}),
+                so some differences come from the template rather than the project data.
+              </Alert>
+            )}
+
+            {comparison.fields.length > 0 && (
+              <Box sx={{ mb: 3 }}>
+                <Typography variant="subtitle1" gutterBottom>Changed project data</Typography>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Field</TableCell>
+                      <TableCell>v{comparison.from.number}</TableCell>
+                      <TableCell>v{comparison.to.number}</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {comparison.fields.map(field => (
+                      <TableRow key={field.path}>
+                        <TableCell>{getFieldLabel(field.path)}</TableCell>
+                        <TableCell sx={{ color: 'error.main' }}>{formatFieldValue(field.before)}</TableCell>
+                        <TableCell sx={{ color: 'success.main' }}>{formatFieldValue(field.after)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </Box>
+            )}
+
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+              <Typography variant="subtitle1">
+                Sections ({comparison.sections.filter(section => section.status !== 'unchanged').length} changed)
+              </Typography>
+              <FormControlLabel
+                control={<Switch checked={showUnchanged} onChange={e => setShowUnchanged(e.target.checked)} />}
+                label="Show unchanged"
+              />
+            </Box>
+            {sections.length === 0 && (
+              <Typography variant="body2" color="text.secondary">
+                {comparison.sections.length === 0 ? 'No text to compare.' : 'The text of the two versions is identical.'}
+              </Typography>
+            )}
+            {sections.map(section => (
+              <Accordion key={`${section.status}-${section.heading}`} defaultExpanded={section.status !== 'unchanged'} disableGutters>
+                <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                  <Typography sx={{ flexGrow: 1 }}>{section.heading}</Typography>
+                  <Chip
+                    size="small"
+                    label={SECTION_STATUS_CHIPS[section.status].label}
+                    color={SECTION_STATUS_CHIPS[section.status].color}
+                    sx={{ mr: 1 }}
+                  />
+                  {section.status === 'changed' && (
+                    <Typography variant="body2" color="text.secondary" sx={{ mr: 1 }}>
+                      +{section.added} −{section.removed}
+                    </Typography>
+                  )}
+                </AccordionSummary>
+                <AccordionDetails>
+                  {renderLines(section.status === 'changed' ? collapseContext(section.lines) : section.lines)}
+                </AccordionDetails>
+              </Accordion>
+            ))}
+          </>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default DocumentHistory;
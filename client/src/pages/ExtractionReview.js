@@ -0,0 +1,358 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { getIn } from 'formik';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Chip,
+  Button,
+  Skeleton,
+  Alert,
+  TextField,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  Divider,
+} from '@mui/material';
+import { fetchProject } from '../services/projectService';
+import { fetchExtractedData, reviewExtraction } from '../services/documentService';
+import { getErrorMessage } from '../services/api';
+import { formatDate, formatDateTime } from '../utils/format';
+import { getFieldLabel } from '../utils/projectFields';
+import { PROJECT_TYPES, PROJECT_TYPE_LABELS, TARGET_STANDARDS, TARGET_STANDARD_LABELS } from '../../../shared/projectSchema';
+import { canPerform } from '../../../shared/permissions';
+
+// Values below this confidence start out rejected, matching the project form prefill
+const ACCEPT_MIN_CONFIDENCE = 0.6;
+
+const SELECT_OPTIONS = {
+  projectType: PROJECT_TYPES.map(value => ({ value, label: PROJECT_TYPE_LABELS[value] })),
+  targetStandard: TARGET_STANDARDS.map(value => ({ value, label: TARGET_STANDARD_LABELS[value] })),
+};
+
+const DATE_FIELDS = ['startDate', 'endDate'];
+const NUMBER_FIELDS = ['estimatedCredits', 'location.coordinates.latitude', 'location.coordinates.longitude'];
+
+const REVIEW_LABELS = { accepted: 'Accepted', corrected: 'Corrected', rejected: 'Rejected' };
+
+const getConfidenceColor = (confidence) => {
+  if (confidence >= 0.8) return 'success';
+  if (confidence >= ACCEPT_MIN_CONFIDENCE) return 'warning';
+  return 'error';
+};
+
+const formatValue = (path, value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (DATE_FIELDS.includes(path)) return formatDate(value);
+  if (SELECT_OPTIONS[path]) return SELECT_OPTIONS[path].find(option => option.value === value)?.label || value;
+  return String(value);
+};
+
+// Splits the text into plain and highlighted segments; overlapping spans are merged into the first
+const buildSegments = (text, fields) => {
+  const spans = [];
+  Object.entries(fields).forEach(([path, field]) => {
+    if (field.start === undefined || field.end === undefined) return;
+
+    const existing = spans.find(span => span.start === field.start && span.end === field.end);
+    if (existing) {
+      existing.paths.push(path);
+    } else {
+      spans.push({ start: field.start, end: field.end, paths: [path] });
+    }
+  });
+  spans.sort((a, b) => a.start - b.start);
+
+  const segments = [];
+  let cursor = 0;
+  spans.forEach((span) => {
+    if (span.start < cursor) return;
+    if (span.start > cursor) {
+      segments.push({ text: text.slice(cursor, span.start) });
+    }
+    segments.push({ text: text.slice(span.start, span.end), start: span.start, paths: span.paths });
+    cursor = span.end;
+  });
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor) });
+  }
+  return segments;
+};
+
+const initialDecisions = fields => Object.fromEntries(
+  Object.entries(fields)
+    .filter(([, field]) => !field.review)
+    .map(([path, field]) => [path, {
+      action: field.confidence >= ACCEPT_MIN_CONFIDENCE ? 'accepted' : 'rejected',
+      value: field.value,
+    }])
+);
+
+const ExtractionReview = () => {
+  const navigate = useNavigate();
+  const { projectId, documentId } = useParams();
+  const [project, setProject] = useState(null);
+  const [extraction, setExtraction] = useState(null);
+  const [decisions, setDecisions] = useState({});
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const textRef = useRef(null);
+
+  useEffect(() => {
+    const loadExtraction = async () => {
+      try {
+        const [projectData, extractionData] = await Promise.all([
+          fetchProject(projectId),
+          fetchExtractedData(projectId, documentId),
+        ]);
+        setProject(projectData);
+        setExtraction(extractionData);
+        setDecisions(initialDecisions(extractionData.extractedData.fields || {}));
+      } catch (err) {
+        console.error('Error fetching extraction:', err);
+        setError(getErrorMessage(err, 'Failed to load extracted data.'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadExtraction();
+  }, [projectId, documentId]);
+
+  const fields = useMemo(() => extraction?.extractedData.fields || {}, [extraction]);
+  const text = extraction?.extractedData.text || '';
+  const segments = useMemo(() => buildSegments(text, fields), [text, fields]);
+
+  const selectField = (path) => {
+    setSelectedPath(path);
+    const start = fields[path]?.start;
+    const mark = textRef.current?.querySelector(`[data-start="${start}"]`);
+    mark?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  const handleAction = (path, action) => {
+    if (!action) return;
+    setDecisions(prev => ({
+      ...prev,
+      [path]: { action, value: action === 'accepted' ? fields[path].value : prev[path].value },
+    }));
+  };
+
+  const handleValueChange = (path, rawValue) => {
+    const value = NUMBER_FIELDS.includes(path) && rawValue !== '' ? Number(rawValue) : rawValue;
+    let action = value === fields[path].value ? 'accepted' : 'corrected';
+    if (value === '') action = 'rejected';
+    setDecisions(prev => ({ ...prev, [path]: { action, value } }));
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    setError(null);
+    setFieldErrors({});
+    try {
+      const payload = Object.entries(decisions).map(([field, { action, value }]) => ({ field, action, value }));
+      await reviewExtraction(projectId, documentId, payload);
+      navigate(`/projects/${projectId}`);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to apply reviewed values.'));
+      setFieldErrors(err.response?.data?.errors || {});
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Skeleton height={50} />
+        <Skeleton variant="rectangular" height={400} sx={{ my: 2 }} />
+      </Box>
+    );
+  }
+
+  if (!project || !extraction) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Typography color="error">{error || 'Document not found.'}</Typography>
+        <Button variant="contained" onClick={() => navigate(`/projects/${projectId}`)} sx={{ mt: 2 }}>
+          Back to Project
+        </Button>
+      </Box>
+    );
+  }
+
+  const { extractedData } = extraction;
+  const pendingCount = Object.keys(decisions).length;
+  const canEdit = canPerform(project?.userRole, 'edit');
+
+  if (extractedData.status !== 'completed') {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Typography>
+          {extractedData.status === 'failed'
+            ? `Extraction failed: ${extractedData.error}`
+            : 'This document has not been extracted yet.'}
+        </Typography>
+        <Button variant="contained" onClick={() => navigate(`/projects/${projectId}`)} sx={{ mt: 2 }}>
+          Back to Project
+        </Button>
+      </Box>
+    );
+  }
+
+  const renderInput = (path, decision) => {
+    const inputProps = {
+      size: 'small',
+      fullWidth: true,
+      value: decision.value ?? '',
+      onChange: e => handleValueChange(path, e.target.value),
+      onFocus: () => selectField(path),
+      error: Boolean(fieldErrors[path]),
+      helperText: fieldErrors[path],
+      disabled: saving || !canEdit,
+    };
+
+    if (SELECT_OPTIONS[path]) {
+      return (
+        <TextField select {...inputProps}>
+          {SELECT_OPTIONS[path].map(option => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+      );
+    }
+    if (DATE_FIELDS.includes(path)) {
+      return <TextField type="date" InputLabelProps={{ shrink: true }} {...inputProps} />;
+    }
+    if (NUMBER_FIELDS.includes(path)) {
+      return <TextField type="number" {...inputProps} />;
+    }
+    return <TextField multiline={path === 'description'} maxRows={4} {...inputProps} />;
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Review Extracted Data</Typography>
+      <Typography variant="h6" sx={{ mb: 1 }}>{extraction.name}</Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Extracted {formatDateTime(extractedData.processedAt)} · Text confidence{' '}
+        {Math.round((extractedData.textConfidence ?? 1) * 100)}%
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+      {!canEdit && (
+        <Alert severity="info" sx={{ mb: 2 }}>Only project editors can apply extracted values.</Alert>
+      )}
+      {extractedData.warnings?.map(warning => (
+        <Alert key={warning} severity="warning" sx={{ mb: 2 }}>{warning}</Alert>
+      ))}
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <Paper sx={{ p: 3, height: '75vh', overflow: 'auto' }} ref={textRef}>
+            <Typography variant="h6" gutterBottom>Source Text</Typography>
+            <Typography
+              component="div"
+              variant="body2"
+              sx={{ whiteSpace: 'pre-wrap', fontFamily: 'monospace', lineHeight: 1.7 }}
+            >
+              {segments.map((segment, index) => (segment.paths ? (
+                <Box
+                  component="mark"
+                  key={segment.start}
+                  data-start={segment.start}
+                  title={segment.paths.map(getFieldLabel).join(', ')}
+                  onClick={() => selectField(segment.paths[0])}
+                  sx={{
+                    cursor: 'pointer',
+                    borderRadius: 0.5,
+                    bgcolor: segment.paths.includes(selectedPath) ? 'warning.light' : 'info.light',
+                  }}
+                >
+                  {segment.text}
+                </Box>
+              ) : (
+                <React.Fragment key={`text-${index}`}>{segment.text}</React.Fragment>
+              )))}
+            </Typography>
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <Paper sx={{ p: 3, height: '75vh', overflow: 'auto' }}>
+            <Typography variant="h6" gutterBottom>Proposed Values</Typography>
+            {Object.keys(fields).length === 0 && (
+              <Typography variant="body2" color="text.secondary">
+                No project fields were found in this document.
+              </Typography>
+            )}
+            {Object.entries(fields).map(([path, field]) => (
+              <Box
+                key={path}
+                onClick={() => selectField(path)}
+                sx={{
+                  py: 2,
+                  px: 1,
+                  borderRadius: 1,
+                  bgcolor: selectedPath === path ? 'action.selected' : 'transparent',
+                }}
+              >
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                  <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>{getFieldLabel(path)}</Typography>
+                  <Chip
+                    size="small"
+                    label={`${Math.round(field.confidence * 100)}%`}
+                    color={getConfidenceColor(field.confidence)}
+                  />
+                </Box>
+                <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1 }}>
+                  Current: {formatValue(path, getIn(project, path))}
+                  {field.alternatives?.length > 0 && (
+                    <> · Alternatives: {field.alternatives.map(alt => formatValue(path, alt.value)).join(', ')}</>
+                  )}
+                </Typography>
+
+                {field.review ? (
+                  <Typography variant="body2">
+                    {formatValue(path, field.review.value ?? field.value)}{' '}
+                    <Chip size="small" variant="outlined" label={REVIEW_LABELS[field.review.action]} />
+                  </Typography>
+                ) : (
+                  <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+                    {renderInput(path, decisions[path])}
+                    <ToggleButtonGroup
+                      size="small"
+                      exclusive
+                      value={decisions[path].action === 'rejected' ? 'rejected' : 'accepted'}
+                      onChange={(e, action) => handleAction(path, action)}
+                      disabled={saving || !canEdit}
+                    >
+                      <ToggleButton value="accepted" color="success">Use</ToggleButton>
+                      <ToggleButton value="rejected" color="error">Reject</ToggleButton>
+                    </ToggleButtonGroup>
+                  </Box>
+                )}
+                <Divider sx={{ mt: 2 }} />
+              </Box>
+            ))}
+          </Paper>
+        </Grid>
+      </Grid>
+
+      <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 3, gap: 1 }}>
+        <Button onClick={() => navigate(`/projects/${projectId}`)} disabled={saving}>Cancel</Button>
+        <Button variant="contained" onClick={handleSubmit} disabled={saving || pendingCount === 0 || !canEdit}>
+          {saving ? 'Applying...' : 'Apply to Project'}
+        </Button>
+      </Box>
+    </Box>
+  );
+};
+
+export default ExtractionReview;
@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+  Skeleton,
+  CircularProgress,
+} from '@mui/material';
+import VisibilityIcon from '@mui/icons-material/Visibility';
+import DownloadIcon from '@mui/icons-material/Download';
+import ComplianceReport from '../components/ComplianceReport';
+import { fetchProject } from '../services/projectService';
+import { fetchGeneratorOptions, previewDocument, generateDocument } from '../services/generatorService';
+import { fetchCalculations } from '../services/calculationService';
+import { fetchComplianceReport } from '../services/complianceService';
+import { getErrorMessage } from '../services/api';
+import { downloadBlob } from '../utils/download';
+import { getFieldLabel } from '../utils/projectFields';
+import { formatDate } from '../utils/format';
+import { TARGET_STANDARD_LABELS } from '../../../shared/projectSchema';
+import { canPerform } from '../../../shared/permissions';
+
+const GenerateDocuments = () => {
+  const navigate = useNavigate();
+  const { projectId } = useParams();
+  const [project, setProject] = useState(null);
+  const [options, setOptions] = useState({ documentTypes: [], formats: [] });
+  const [documentType, setDocumentType] = useState('');
+  const [calculations, setCalculations] = useState([]);
+  // Empty means the calculation for the latest monitoring period
+  const [calculationId, setCalculationId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [compliance, setCompliance] = useState(null);
+  const [complianceError, setComplianceError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    const loadOptions = async () => {
+      try {
+        const [projectData, optionData, calculationData] = await Promise.all([
+          fetchProject(projectId),
+          fetchGeneratorOptions(projectId),
+          fetchCalculations(projectId),
+        ]);
+        setProject(projectData);
+        setOptions(optionData);
+        setCalculations(calculationData);
+        setDocumentType(optionData.documentTypes[0]?.documentType || '');
+      } catch (err) {
+        console.error('Error loading generator options:', err);
+        setError(getErrorMessage(err, 'Failed to load project.'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadOptions();
+  }, [projectId]);
+
+  useEffect(() => {
+    if (!documentType) return;
+
+    const loadCompliance = async () => {
+      setCompliance(null);
+      setComplianceError(null);
+      try {
+        setCompliance(await fetchComplianceReport(projectId, documentType, calculationId || undefined));
+      } catch (err) {
+        console.error('Error checking compliance:', err);
+        setComplianceError(getErrorMessage(err, 'Failed to run the compliance check.'));
+      }
+    };
+
+    loadCompliance();
+  }, [projectId, documentType, calculationId]);
+
+  const handlePreview = async () => {
+    setWorking('preview');
+    setError(null);
+    try {
+      setPreview(await previewDocument(projectId, documentType, calculationId || undefined));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to generate preview.'));
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleDownload = async (format) => {
+    const allowIncomplete = compliance?.blocking > 0;
+    if (allowIncomplete && !window.confirm(
+      `The compliance check reports ${compliance.blocking} blocking issue${compliance.blocking === 1 ? '' : 's'}. Generate an incomplete draft anyway?`
+    )) {
+      return;
+    }
+
+    setWorking(format);
+    setError(null);
+    setNotice(null);
+    try {
+      const { blob, filename } = await generateDocument(projectId, documentType, format, calculationId || undefined, allowIncomplete);
+      downloadBlob(blob, filename);
+      setNotice(`${filename} was generated and added to the project documents.`);
+    } catch (err) {
+      // The project changed since the report was loaded and now has blocking items
+      if (err.response?.data?.compliance) {
+        setCompliance(err.response.data.compliance);
+      }
+      setError(getErrorMessage(err, 'Failed to generate document.'));
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Skeleton height={50} />
+        <Skeleton variant="rectangular" height={300} sx={{ my: 2 }} />
+      </Box>
+    );
+  }
+
+  if (!project) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Typography color="error">{error || 'Project not found.'}</Typography>
+        <Button variant="contained" onClick={() => navigate('/projects')} sx={{ mt: 2 }}>
+          Back to Projects
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>Generate Documents</Typography>
+      <Typography variant="h6" sx={{ mb: 3 }}>
+        {project.name} · {TARGET_STANDARD_LABELS[project.targetStandard]}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+      {notice && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>{notice}</Alert>
+      )}
+
+      {options.documentTypes.length === 0 ? (
+        <Paper sx={{ p: 3 }}>
+          <Typography>
+            Document templates are not yet available for {TARGET_STANDARD_LABELS[project.targetStandard]} projects.
+          </Typography>
+        </Paper>
+      ) : (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Grid container spacing={2} alignItems="center">
+            <Grid item xs={12} md={5}>
+              <TextField
+                select
+                fullWidth
+                label="Document"
+                value={documentType}
+                onChange={(e) => { setDocumentType(e.target.value); setPreview(null); }}
+                disabled={Boolean(working)}
+              >
+                {options.documentTypes.map(option => (
+                  <MenuItem key={option.documentType} value={option.documentType}>{option.title}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            {documentType === 'monitoring-report' && (
+              <Grid item xs={12} md={4}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Monitoring Period"
+                  value={calculationId}
+                  onChange={(e) => { setCalculationId(e.target.value); setPreview(null); }}
+                  disabled={Boolean(working) || calculations.length === 0}
+                  helperText={calculations.length === 0 ? 'Calculate emission reductions on the project page first.' : ' '}
+                >
+                  <MenuItem value="">Latest period</MenuItem>
+                  {calculations.map(calculation => (
+                    <MenuItem key={calculation._id} value={calculation._id}>
+                      {formatDate(calculation.periodStart)} – {formatDate(calculation.periodEnd)}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+            )}
+            <Grid item xs={12} md={documentType === 'monitoring-report' ? 3 : 7} sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+              <Button
+                variant="outlined"
+                startIcon={working === 'preview' ? <CircularProgress size={16} /> : <VisibilityIcon />}
+                onClick={handlePreview}
+                disabled={Boolean(working)}
+              >
+                Preview
+              </Button>
+              {canPerform(project.userRole, 'edit') && options.formats.filter(format => format !== 'html').map(format => (
+                <Button
+                  key={format}
+                  variant="contained"
+                  startIcon={working === format ? <CircularProgress size={16} color="inherit" /> : <DownloadIcon />}
+                  onClick={() => handleDownload(format)}
+                  disabled={Boolean(working)}
+                >
+                  {format.toUpperCase()}
+                </Button>
+              ))}
+            </Grid>
+          </Grid>
+        </Paper>
+      )}
+
+      {options.documentTypes.length > 0 && (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          {complianceError && <Alert severity="error">{complianceError}</Alert>}
+          {!complianceError && !compliance && <Skeleton variant="rectangular" height={60} />}
+          {compliance && <ComplianceReport report={compliance} dense />}
+        </Paper>
+      )}
+
+      {preview && (
+        <>
+          {preview.missingFields.length > 0 && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Missing project data: {preview.missingFields.map(getFieldLabel).join(', ')}.{' '}
+              {canPerform(project.userRole, 'edit') && (
+                <Button size="small" onClick={() => navigate(`/projects/${projectId}/edit`)}>Edit project</Button>
+              )}
+            </Alert>
+          )}
+          {preview.applicability?.known && preview.applicability.status !== 'pass' && (
+            <Alert severity={preview.applicability.status === 'fail' ? 'error' : 'warning'} sx={{ mb: 2 }}>
+              {preview.applicability.status === 'fail'
+                ? `The project does not meet all ${preview.applicability.methodologyId} applicability conditions: `
+                : `Some ${preview.applicability.methodologyId} applicability conditions cannot be confirmed yet: `}
+              {preview.applicability.conditions
+                .filter(condition => condition.status !== 'pass')
+                .map(condition => condition.description)
+                .join('; ')}.
+            </Alert>
+          )}
+          <Paper sx={{ height: '70vh', overflow: 'hidden' }}>
+            <iframe
+              title="Document preview"
+              srcDoc={preview.html}
+              sandbox=""
+              style={{ width: '100%', height: '100%', border: 0 }}
+            />
+          </Paper>
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default GenerateDocuments;
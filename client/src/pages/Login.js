@@ -53,13 +53,7 @@ const Login = () => {
     setIsSubmitting(true);
     
     try {
-      // For development, since the API isn't implemented yet
-      // Simulate successful login for testing the UI
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // In production, this would call the actual login function
-      // const success = await login(formData.email, formData.password);
-      const success = true;
+      const success = await login(formData.email, formData.password);
       
       if (success) {
         navigate('/');
@@ -0,0 +1,655 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Chip,
+  Button,
+  Skeleton,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tooltip,
+  IconButton,
+  Collapse,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import DeleteIcon from '@mui/icons-material/Delete';
+import LockIcon from '@mui/icons-material/Lock';
+import LockOpenIcon from '@mui/icons-material/LockOpen';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import PublicIcon from '@mui/icons-material/Public';
+import TimeSeriesImportDialog from '../components/TimeSeriesImportDialog';
+import { fetchProject } from '../services/projectService';
+import {
+  fetchMonitoringPeriods,
+  createMonitoringPeriod,
+  updateMonitoringPeriod,
+  deleteMonitoringPeriod,
+  fetchSeries,
+  reviewSeries,
+  deleteSeries,
+} from '../services/monitoringService';
+import { getErrorMessage } from '../services/api';
+import { formatDate, formatDateTime } from '../utils/format';
+import { getCalculationModel } from '../../../shared/calculationModels';
+import { QA_STATUS_LABELS } from '../../../shared/monitoring';
+import { formatSdg } from '../../../shared/sdg';
+import { canPerform } from '../../../shared/permissions';
+
+const QA_STATUS_COLORS = {
+  passed: 'success',
+  flagged: 'warning',
+  approved: 'info',
+  rejected: 'error',
+};
+
+const emptyPeriod = { name: '', startDate: '', endDate: '' };
+
+// Readings shown in the expanded view; the full series stays on the server
+const READING_PREVIEW = 50;
+
+const formatQuantity = value => (value ?? 0).toLocaleString(undefined, { maximumFractionDigits: 6 });
+
+// Recorded SDG results of a period keyed by contribution, in the shape the dialog edits
+const toSdgForm = period => Object.fromEntries((period.sdgResults || []).map(result => [result.contribution, {
+  value: result.value ?? '',
+  notes: result.notes || '',
+}]));
+
+const replaceSeries = (periods, periodId, series) => periods.map(period => (period._id === periodId
+  ? { ...period, series: period.series.map(entry => (entry._id === series._id ? { ...entry, ...series } : entry)) }
+  : period));
+
+const MonitoringPeriods = () => {
+  const navigate = useNavigate();
+  const { projectId } = useParams();
+  const [project, setProject] = useState(null);
+  const [periods, setPeriods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [periodDialogOpen, setPeriodDialogOpen] = useState(false);
+  const [periodForm, setPeriodForm] = useState(emptyPeriod);
+  const [saving, setSaving] = useState(false);
+  const [importPeriod, setImportPeriod] = useState(null);
+  const [importWarnings, setImportWarnings] = useState({});
+  const [expanded, setExpanded] = useState(null);
+  const [seriesDetails, setSeriesDetails] = useState({});
+  const [reviewComment, setReviewComment] = useState('');
+  const [sdgPeriod, setSdgPeriod] = useState(null);
+  const [sdgForm, setSdgForm] = useState({});
+
+  useEffect(() => {
+    const loadMonitoring = async () => {
+      try {
+        const [projectData, periodData] = await Promise.all([
+          fetchProject(projectId),
+          fetchMonitoringPeriods(projectId),
+        ]);
+        setProject(projectData);
+        setPeriods(periodData);
+      } catch (err) {
+        console.error('Error fetching monitoring periods:', err);
+        setError(getErrorMessage(err, 'Failed to load monitoring data.'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadMonitoring();
+  }, [projectId]);
+
+  const model = getCalculationModel(project?.methodologyId);
+  const canEdit = canPerform(project?.userRole, 'edit');
+  const contributions = [...(project?.sdgContributions || [])].sort((a, b) => a.goal - b.goal);
+
+  const handleCreatePeriod = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const period = await createMonitoringPeriod(projectId, periodForm);
+      setPeriods(prev => [period, ...prev].sort((a, b) => new Date(b.startDate) - new Date(a.startDate)));
+      setPeriodForm(emptyPeriod);
+      setPeriodDialogOpen(false);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to create monitoring period.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleStatus = async (period) => {
+    try {
+      const updated = await updateMonitoringPeriod(projectId, period._id, {
+        status: period.status === 'open' ? 'closed' : 'open',
+      });
+      setPeriods(prev => prev.map(p => (p._id === period._id ? { ...p, ...updated } : p)));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to update monitoring period.'));
+    }
+  };
+
+  const openSdgResults = (period) => {
+    setSdgForm(toSdgForm(period));
+    setSdgPeriod(period);
+  };
+
+  const setSdgResult = (contributionId, field, value) => {
+    setSdgForm(prev => ({ ...prev, [contributionId]: { value: '', notes: '', ...prev[contributionId], [field]: value } }));
+  };
+
+  const handleSaveSdgResults = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const sdgResults = contributions
+        .map(contribution => ({ contribution: contribution._id, ...sdgForm[contribution._id] }))
+        .filter(result => (result.value !== undefined && result.value !== '') || result.notes);
+      const updated = await updateMonitoringPeriod(projectId, sdgPeriod._id, { sdgResults });
+      setPeriods(prev => prev.map(p => (p._id === sdgPeriod._id ? { ...p, ...updated } : p)));
+      setSdgPeriod(null);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to save SDG results.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderSdgResults = (period) => {
+    const results = toSdgForm(period);
+    return (
+      <Box sx={{ mt: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <Typography variant="subtitle2">SDG indicators</Typography>
+          {canEdit && (
+            <Button size="small" startIcon={<PublicIcon />} onClick={() => openSdgResults(period)}>
+              Record Values
+            </Button>
+          )}
+        </Box>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>SDG</TableCell>
+              <TableCell>Indicator</TableCell>
+              <TableCell align="right">Target</TableCell>
+              <TableCell align="right">Monitored</TableCell>
+              <TableCell>Notes</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {contributions.map(contribution => (
+              <TableRow key={contribution._id}>
+                <TableCell>{formatSdg(contribution.goal)}</TableCell>
+                <TableCell>{contribution.indicator}{contribution.unit && ` (${contribution.unit})`}</TableCell>
+                <TableCell align="right">{contribution.targetValue?.toLocaleString() ?? '—'}</TableCell>
+                <TableCell align="right">
+                  {results[contribution._id]?.value !== undefined && results[contribution._id].value !== ''
+                    ? results[contribution._id].value.toLocaleString()
+                    : '—'}
+                </TableCell>
+                <TableCell>{results[contribution._id]?.notes || ''}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </Box>
+    );
+  };
+
+  const handleDeletePeriod = async (period) => {
+    if (!window.confirm(`Delete ${period.name} and all of its monitoring data?`)) {
+      return;
+    }
+
+    try {
+      await deleteMonitoringPeriod(projectId, period._id);
+      setPeriods(prev => prev.filter(p => p._id !== period._id));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to delete monitoring period.'));
+    }
+  };
+
+  const handleImported = ({ series, warnings }) => {
+    const periodId = importPeriod._id;
+    setPeriods(prev => prev.map((period) => {
+      if (period._id !== periodId) return period;
+      const importedKeys = series.map(entry => entry.parameter);
+      return { ...period, series: [...series, ...period.series.filter(entry => !importedKeys.includes(entry.parameter))] };
+    }));
+    setSeriesDetails(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => !series.some(entry => entry._id === id))));
+    setImportWarnings(prev => ({ ...prev, [periodId]: warnings }));
+    setImportPeriod(null);
+  };
+
+  // Readings are left out of the period list and fetched on demand
+  const handleToggleSeries = async (period, series) => {
+    setReviewComment('');
+    if (expanded === series._id) {
+      setExpanded(null);
+      return;
+    }
+
+    setExpanded(series._id);
+    if (seriesDetails[series._id]) return;
+
+    try {
+      const detail = await fetchSeries(projectId, period._id, series._id);
+      setSeriesDetails(prev => ({ ...prev, [series._id]: detail }));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load readings.'));
+    }
+  };
+
+  const handleReview = async (period, series, qaStatus) => {
+    try {
+      const updated = await reviewSeries(projectId, period._id, series._id, { qaStatus, comment: reviewComment });
+      setPeriods(prev => replaceSeries(prev, period._id, updated));
+      setReviewComment('');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to review series.'));
+    }
+  };
+
+  const handleDeleteSeries = async (period, series) => {
+    if (!window.confirm(`Delete the ${series.label} readings from ${period.name}?`)) {
+      return;
+    }
+
+    try {
+      await deleteSeries(projectId, period._id, series._id);
+      setPeriods(prev => prev.map(p => (p._id === period._id
+        ? { ...p, series: p.series.filter(entry => entry._id !== series._id) }
+        : p)));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to delete series.'));
+    }
+  };
+
+  const renderSeriesDetail = (period, series) => {
+    const detail = seriesDetails[series._id];
+    const { gaps = [], outliers = [] } = series.qa || {};
+
+    return (
+      <Box sx={{ py: 2 }}>
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={6}>
+            <Typography variant="subtitle2">Gaps</Typography>
+            {gaps.length === 0 && <Typography variant="body2" color="text.secondary">None</Typography>}
+            {gaps.map(gap => (
+              <Typography variant="body2" key={`${gap.from}-${gap.to}`}>
+                {formatDateTime(gap.from)} – {formatDateTime(gap.to)}: about {gap.missing} missing
+              </Typography>
+            ))}
+
+            <Typography variant="subtitle2" sx={{ mt: 2 }}>Outliers</Typography>
+            {outliers.length === 0 && <Typography variant="body2" color="text.secondary">None</Typography>}
+            {outliers.map(outlier => (
+              <Typography variant="body2" key={outlier.timestamp}>
+                {formatDateTime(outlier.timestamp)}: {formatQuantity(outlier.value)} {series.unit} (score {outlier.score})
+              </Typography>
+            ))}
+
+            {series.review?.reviewedAt && (
+              <Typography variant="body2" sx={{ mt: 2 }}>
+                {QA_STATUS_LABELS[series.qaStatus]} by {series.review.reviewedBy?.name || 'a reviewer'} on{' '}
+                {formatDate(series.review.reviewedAt)}{series.review.comment ? `: ${series.review.comment}` : ''}
+              </Typography>
+            )}
+
+            {canEdit && series.qaStatus !== 'passed' && (
+              <Box sx={{ mt: 2 }}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Review comment"
+                  helperText="Required when rejecting"
+                  value={reviewComment}
+                  onChange={e => setReviewComment(e.target.value)}
+                />
+                <Box sx={{ mt: 1, display: 'flex', gap: 1 }}>
+                  <Button size="small" variant="outlined" onClick={() => handleReview(period, series, 'approved')}>
+                    Approve
+                  </Button>
+                  <Button
+                    size="small"
+                    color="error"
+                    onClick={() => handleReview(period, series, 'rejected')}
+                    disabled={!reviewComment}
+                  >
+                    Reject
+                  </Button>
+                </Box>
+              </Box>
+            )}
+          </Grid>
+          <Grid item xs={12} md={6}>
+            <Typography variant="subtitle2">Readings ({series.unit})</Typography>
+            {!detail && <Skeleton variant="rectangular" height={120} />}
+            {detail && (
+              <Table size="small">
+                <TableBody>
+                  {detail.readings.slice(0, READING_PREVIEW).map(reading => (
+                    <TableRow key={reading.timestamp}>
+                      <TableCell>{formatDateTime(reading.timestamp)}</TableCell>
+                      <TableCell align="right">{formatQuantity(reading.value)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+            {detail?.readings.length > READING_PREVIEW && (
+              <Typography variant="caption" color="text.secondary">
+                Showing the first {READING_PREVIEW} of {detail.readings.length} readings.
+              </Typography>
+            )}
+          </Grid>
+        </Grid>
+      </Box>
+    );
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Skeleton height={50} />
+        <Skeleton variant="rectangular" height={200} sx={{ my: 2 }} />
+      </Box>
+    );
+  }
+
+  if (!project) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Typography color="error">{error || 'Project not found.'}</Typography>
+        <Button variant="contained" onClick={() => navigate('/projects')} sx={{ mt: 2 }}>
+          Back to Projects
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Button startIcon={<ArrowBackIcon />} onClick={() => navigate(`/projects/${projectId}`)} sx={{ mb: 1 }}>
+            {project.name}
+          </Button>
+          <Typography variant="h4">Monitoring Data</Typography>
+        </Box>
+        {canEdit && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => setPeriodDialogOpen(true)}>
+            New Period
+          </Button>
+        )}
+      </Box>
+
+      {!model && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          No calculation model is available for {project.methodologyId || 'this project'}, so imported
+          parameters are stored for reporting but not used in calculations.
+        </Alert>
+      )}
+
+      {periods.length === 0 && (
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="body2" color="text.secondary">
+            Create a monitoring period, then import metered readings as CSV or XLSX.
+          </Typography>
+        </Paper>
+      )}
+
+      {periods.map(period => (
+        <Paper sx={{ p: 3, mb: 3 }} key={period._id}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+            <Box>
+              <Typography variant="h6">
+                {period.name}{' '}
+                <Chip size="small" label={period.status === 'open' ? 'Open' : 'Closed'} color={period.status === 'open' ? 'primary' : 'default'} />
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                {formatDate(period.startDate)} – {formatDate(period.endDate)}
+              </Typography>
+            </Box>
+            {canEdit && (
+              <Box sx={{ whiteSpace: 'nowrap' }}>
+                <Button
+                  size="small"
+                  startIcon={<UploadFileIcon />}
+                  onClick={() => setImportPeriod(period)}
+                  disabled={period.status === 'closed'}
+                >
+                  Import Data
+                </Button>
+                <Tooltip title={period.status === 'open' ? 'Close period' : 'Reopen period'}>
+                  <IconButton size="small" onClick={() => handleToggleStatus(period)}>
+                    {period.status === 'open' ? <LockIcon fontSize="small" /> : <LockOpenIcon fontSize="small" />}
+                  </IconButton>
+                </Tooltip>
+                <Tooltip title="Delete period">
+                  <IconButton size="small" color="error" onClick={() => handleDeletePeriod(period)}>
+                    <DeleteIcon fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              </Box>
+            )}
+          </Box>
+
+          {importWarnings[period._id]?.length > 0 && (
+            <Alert
+              severity="warning"
+              sx={{ mb: 2 }}
+              onClose={() => setImportWarnings(prev => ({ ...prev, [period._id]: [] }))}
+            >
+              {importWarnings[period._id].map(warning => <div key={warning}>{warning}</div>)}
+            </Alert>
+          )}
+
+          {period.series.length === 0 ? (
+            <Typography variant="body2" color="text.secondary">No data imported yet.</Typography>
+          ) : (
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Parameter</TableCell>
+                  <TableCell>Unit</TableCell>
+                  <TableCell align="right">Readings</TableCell>
+                  <TableCell>Coverage</TableCell>
+                  <TableCell>QA/QC</TableCell>
+                  <TableCell>Issues</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {period.series.map(series => (
+                  <React.Fragment key={series._id}>
+                    <TableRow>
+                      <TableCell>
+                        {series.symbol ? `${series.symbol} – ` : ''}{series.label}
+                        {!series.inCalculation && (
+                          <Chip size="small" variant="outlined" label="Not in calculation" sx={{ ml: 1 }} />
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {series.sourceUnit && series.sourceUnit !== series.unit
+                          ? `${series.sourceUnit} → ${series.unit}`
+                          : series.unit || '—'}
+                      </TableCell>
+                      <TableCell align="right">{series.qa?.readingCount ?? 0}</TableCell>
+                      <TableCell>
+                        {formatDate(series.qa?.coverageStart)} – {formatDate(series.qa?.coverageEnd)}
+                      </TableCell>
+                      <TableCell>
+                        <Chip
+                          size="small"
+                          label={QA_STATUS_LABELS[series.qaStatus]}
+                          color={QA_STATUS_COLORS[series.qaStatus]}
+                        />
+                      </TableCell>
+                      <TableCell>
+                        {(series.qa?.issues || []).map(issue => (
+                          <Typography variant="body2" key={issue}>{issue}</Typography>
+                        ))}
+                      </TableCell>
+                      <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                        <Tooltip title="Details">
+                          <IconButton size="small" onClick={() => handleToggleSeries(period, series)}>
+                            {expanded === series._id ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+                          </IconButton>
+                        </Tooltip>
+                        {canEdit && (
+                          <Tooltip title="Delete">
+                            <IconButton size="small" color="error" onClick={() => handleDeleteSeries(period, series)}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                    <TableRow>
+                      <TableCell colSpan={7} sx={{ py: 0, borderBottom: expanded === series._id ? undefined : 0 }}>
+                        <Collapse in={expanded === series._id} unmountOnExit>
+                          {renderSeriesDetail(period, series)}
+                        </Collapse>
+                      </TableCell>
+                    </TableRow>
+                  </React.Fragment>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+
+          {contributions.length > 0 && renderSdgResults(period)}
+        </Paper>
+      ))}
+
+      <Dialog open={periodDialogOpen} onClose={() => !saving && setPeriodDialogOpen(false)} fullWidth maxWidth="sm">
+        <DialogTitle>New Monitoring Period</DialogTitle>
+        <DialogContent>
+          <TextField
+            fullWidth
+            required
+            margin="normal"
+            label="Name"
+            placeholder="e.g. Monitoring period 1"
+            value={periodForm.name}
+            onChange={e => setPeriodForm({ ...periodForm, name: e.target.value })}
+            disabled={saving}
+          />
+          <Grid container spacing={2}>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                required
+                margin="normal"
+                type="date"
+                label="Start"
+                InputLabelProps={{ shrink: true }}
+                value={periodForm.startDate}
+                onChange={e => setPeriodForm({ ...periodForm, startDate: e.target.value })}
+                disabled={saving}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                required
+                margin="normal"
+                type="date"
+                label="End"
+                InputLabelProps={{ shrink: true }}
+                value={periodForm.endDate}
+                onChange={e => setPeriodForm({ ...periodForm, endDate: e.target.value })}
+                disabled={saving}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPeriodDialogOpen(false)} disabled={saving}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleCreatePeriod}
+            disabled={saving || !periodForm.name || !periodForm.startDate || !periodForm.endDate}
+          >
+            {saving ? 'Creating...' : 'Create'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(sdgPeriod)} onClose={() => !saving && setSdgPeriod(null)} fullWidth maxWidth="md">
+        <DialogTitle>SDG Indicators – {sdgPeriod?.name}</DialogTitle>
+        <DialogContent>
+          {contributions.map(contribution => (
+            <Grid container spacing={2} key={contribution._id} sx={{ mt: 0 }}>
+              <Grid item xs={12} md={5}>
+                <Typography variant="body2">{formatSdg(contribution.goal)}</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {contribution.indicator}{contribution.unit && ` (${contribution.unit})`}
+                </Typography>
+              </Grid>
+              <Grid item xs={12} md={3}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  type="number"
+                  label="Monitored value"
+                  value={sdgForm[contribution._id]?.value ?? ''}
+                  onChange={e => setSdgResult(contribution._id, 'value', e.target.value)}
+                  disabled={saving}
+                />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Notes"
+                  value={sdgForm[contribution._id]?.notes ?? ''}
+                  onChange={e => setSdgResult(contribution._id, 'notes', e.target.value)}
+                  disabled={saving}
+                />
+              </Grid>
+            </Grid>
+          ))}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setSdgPeriod(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveSdgResults} disabled={saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <TimeSeriesImportDialog
+        open={Boolean(importPeriod)}
+        projectId={projectId}
+        period={importPeriod}
+        model={model}
+        onClose={() => setImportPeriod(null)}
+        onImported={handleImported}
+      />
+    </Box>
+  );
+};
+
+export default MonitoringPeriods;
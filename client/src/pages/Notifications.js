@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Alert,
+  Skeleton,
+  List,
+  ListItemButton,
+  ListItemText,
+  Chip,
+  Switch,
+  FormControlLabel,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+} from '@mui/material';
+import {
+  fetchNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  fetchNotificationPreferences,
+  updateNotificationPreferences,
+} from '../services/notificationService';
+import { getErrorMessage } from '../services/api';
+import { formatDateTime } from '../utils/format';
+import { NOTIFICATION_TYPES, NOTIFICATION_TYPE_LABELS } from '../../../shared/notifications';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Full notification inbox and the user's delivery preferences
+ */
+const Notifications = () => {
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState(null);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [preferences, setPreferences] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadNotifications = async () => {
+      try {
+        const data = await fetchNotifications({ limit: PAGE_SIZE, unread: unreadOnly || undefined });
+        setNotifications(data.notifications);
+        setUnreadCount(data.unreadCount);
+        setHasMore(data.notifications.length === PAGE_SIZE);
+      } catch (err) {
+        console.error('Error fetching notifications:', err);
+        setError(getErrorMessage(err, 'Failed to load notifications.'));
+      }
+    };
+
+    loadNotifications();
+  }, [unreadOnly]);
+
+  useEffect(() => {
+    const loadPreferences = async () => {
+      try {
+        setPreferences(await fetchNotificationPreferences());
+      } catch (err) {
+        console.error('Error fetching notification preferences:', err);
+        setError(getErrorMessage(err, 'Failed to load notification settings.'));
+      }
+    };
+
+    loadPreferences();
+  }, []);
+
+  const handleLoadMore = async () => {
+    try {
+      const before = notifications[notifications.length - 1].createdAt;
+      const data = await fetchNotifications({ limit: PAGE_SIZE, before, unread: unreadOnly || undefined });
+      setNotifications(current => [...current, ...data.notifications]);
+      setHasMore(data.notifications.length === PAGE_SIZE);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load more notifications.'));
+    }
+  };
+
+  const handleOpen = async (notification) => {
+    if (!notification.readAt) {
+      try {
+        const data = await markNotificationRead(notification._id);
+        setNotifications(current => current.map(n => (n._id === notification._id ? data.notification : n)));
+        setUnreadCount(data.unreadCount);
+      } catch (err) {
+        console.error('Error marking notification read:', err);
+      }
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      const readAt = new Date().toISOString();
+      setNotifications(current => (unreadOnly ? [] : current.map(n => ({ ...n, readAt: n.readAt || readAt }))));
+      setUnreadCount(0);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to mark notifications read.'));
+    }
+  };
+
+  const handlePreferenceChange = async (type, channel, enabled) => {
+    const previous = preferences;
+    setPreferences({ ...preferences, [type]: { ...preferences[type], [channel]: enabled } });
+    try {
+      setPreferences(await updateNotificationPreferences({ [type]: { [channel]: enabled } }));
+    } catch (err) {
+      setPreferences(previous);
+      setError(getErrorMessage(err, 'Failed to save notification settings.'));
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="h4" sx={{ mb: 3 }}>Notifications</Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+
+      <Paper sx={{ mb: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', px: 2, py: 1 }}>
+          <FormControlLabel
+            control={<Switch checked={unreadOnly} onChange={e => setUnreadOnly(e.target.checked)} />}
+            label={`Unread only (${unreadCount})`}
+          />
+          <Button onClick={handleMarkAllRead} disabled={unreadCount === 0}>Mark all read</Button>
+        </Box>
+
+        {!notifications && <Skeleton variant="rectangular" height={200} />}
+
+        {notifications?.length === 0 && (
+          <Typography color="text.secondary" sx={{ p: 3, textAlign: 'center' }}>
+            {unreadOnly ? 'No unread notifications.' : 'No notifications yet.'}
+          </Typography>
+        )}
+
+        {notifications && (
+          <List disablePadding>
+            {notifications.map(notification => (
+              <ListItemButton key={notification._id} divider onClick={() => handleOpen(notification)}>
+                <ListItemText
+                  primary={notification.title}
+                  primaryTypographyProps={{ fontWeight: notification.readAt ? 'normal' : 'bold' }}
+                  secondary={[notification.message, formatDateTime(notification.createdAt)].filter(Boolean).join(' · ')}
+                />
+                <Chip label={NOTIFICATION_TYPE_LABELS[notification.type]} size="small" variant="outlined" sx={{ ml: 2 }} />
+              </ListItemButton>
+            ))}
+          </List>
+        )}
+
+        {hasMore && (
+          <Box sx={{ textAlign: 'center', p: 1 }}>
+            <Button onClick={handleLoadMore}>Load more</Button>
+          </Box>
+        )}
+      </Paper>
+
+      <Paper sx={{ p: 3 }}>
+        <Typography variant="h6" gutterBottom>Settings</Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Email notifications are collected into one digest a day.
+        </Typography>
+        {!preferences ? <Skeleton variant="rectangular" height={120} /> : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Notification</TableCell>
+                <TableCell align="center">In app</TableCell>
+                <TableCell align="center">Daily email</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {NOTIFICATION_TYPES.map(type => (
+                <TableRow key={type}>
+                  <TableCell>{NOTIFICATION_TYPE_LABELS[type]}</TableCell>
+                  {['inApp', 'email'].map(channel => (
+                    <TableCell align="center" key={channel}>
+                      <Switch
+                        checked={preferences[type][channel]}
+                        onChange={e => handlePreferenceChange(type, channel, e.target.checked)}
+                      />
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default Notifications;
@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useContext } from 'react';
+import {
+  Box,
+  Typography,
+  Paper,
+  Button,
+  Alert,
+  Skeleton,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  TextField,
+  MenuItem,
+  Tooltip,
+  IconButton,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import PersonAddIcon from '@mui/icons-material/PersonAdd';
+import PersonRemoveIcon from '@mui/icons-material/PersonRemove';
+import AuthContext from '../context/AuthContext';
+import OrganizationContext from '../context/OrganizationContext';
+import {
+  fetchOrganization,
+  createOrganization,
+  updateOrganization,
+  addMember,
+  updateMember,
+  removeMember,
+} from '../services/organizationService';
+import { getErrorMessage } from '../services/api';
+import {
+  ORGANIZATION_ROLES,
+  ORGANIZATION_ROLE_LABELS,
+  ORGANIZATION_ROLE_DESCRIPTIONS,
+  canPerformInOrganization,
+} from '../../../shared/permissions';
+
+/**
+ * Members and settings of the current organization, plus creating new ones
+ */
+const OrganizationSettings = () => {
+  const { user } = useContext(AuthContext);
+  const { currentOrganization, refreshOrganizations } = useContext(OrganizationContext);
+  const [organization, setOrganization] = useState(null);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [invite, setInvite] = useState({ email: '', role: 'member' });
+  const [saving, setSaving] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [createOpen, setCreateOpen] = useState(false);
+
+  const organizationId = currentOrganization._id;
+  const role = organization?.userRole;
+  const canManageMembers = canPerformInOrganization(role, 'manageMembers');
+  const isOwner = canPerformInOrganization(role, 'manageOrganization');
+  // Admins can neither appoint owners nor change them
+  const assignableRoles = isOwner ? ORGANIZATION_ROLES : ORGANIZATION_ROLES.filter(r => r !== 'owner');
+
+  useEffect(() => {
+    const loadOrganization = async () => {
+      try {
+        const data = await fetchOrganization(organizationId);
+        setOrganization(data);
+        setName(data.name);
+      } catch (err) {
+        console.error('Error fetching organization:', err);
+        setError(getErrorMessage(err, 'Failed to load the organization.'));
+      }
+    };
+
+    loadOrganization();
+  }, [organizationId]);
+
+  const handleRename = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      setOrganization(await updateOrganization(organizationId, name));
+      await refreshOrganizations(organizationId);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to rename the organization.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInvite = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      setOrganization(await addMember(organizationId, invite.email, invite.role));
+      setInvite({ email: '', role: invite.role });
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to add member.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (member, memberRole) => {
+    try {
+      setOrganization(await updateMember(organizationId, member.user._id, memberRole));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to change role.'));
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.user._id === user?.id;
+    const prompt = leaving
+      ? `Leave ${organization.name}? You will lose access to all of its projects.`
+      : `Remove ${member.user.name || member.user.email} from ${organization.name}? They will lose access to all of its projects.`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    try {
+      const updated = await removeMember(organizationId, member.user._id);
+      if (leaving) {
+        await refreshOrganizations();
+        return;
+      }
+      setOrganization(updated);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to remove member.'));
+    }
+  };
+
+  const handleCreate = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const created = await createOrganization(newName);
+      setCreateOpen(false);
+      setNewName('');
+      await refreshOrganizations(created._id);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to create the organization.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canChangeMember = member => canManageMembers && member.user._id !== user?.id && (isOwner || member.role !== 'owner');
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h4">Organization</Typography>
+        <Button variant="outlined" startIcon={<AddIcon />} onClick={() => setCreateOpen(true)}>
+          New Organization
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+
+      {!organization && <Skeleton variant="rectangular" height={200} />}
+
+      {organization && (
+        <>
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+              <TextField
+                size="small"
+                label="Name"
+                value={name}
+                onChange={e => setName(e.target.value)}
+                disabled={!isOwner || saving}
+                sx={{ flexGrow: 1 }}
+              />
+              {isOwner && (
+                <Button
+                  variant="contained"
+                  onClick={handleRename}
+                  disabled={!name.trim() || name === organization.name || saving}
+                >
+                  Rename
+                </Button>
+              )}
+              <Tooltip title={ORGANIZATION_ROLE_DESCRIPTIONS[role]}>
+                <Chip label={`Your role: ${ORGANIZATION_ROLE_LABELS[role]}`} variant="outlined" />
+              </Tooltip>
+            </Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 2 }}>
+              Projects belong to an organization and are only visible to its members. Project
+              collaborators must be members first.
+            </Typography>
+          </Paper>
+
+          <Paper sx={{ p: 3 }}>
+            <Typography variant="h6" gutterBottom>Members</Typography>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>Name</TableCell>
+                  <TableCell>Email</TableCell>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Joined</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {organization.members.filter(m => m.user).map(member => (
+                  <TableRow key={member.user._id}>
+                    <TableCell>{member.user.name}</TableCell>
+                    <TableCell>{member.user.email}</TableCell>
+                    <TableCell>
+                      {canChangeMember(member) ? (
+                        <TextField
+                          select
+                          size="small"
+                          variant="standard"
+                          value={member.role}
+                          onChange={e => handleRoleChange(member, e.target.value)}
+                        >
+                          {assignableRoles.map(r => (
+                            <MenuItem key={r} value={r}>{ORGANIZATION_ROLE_LABELS[r]}</MenuItem>
+                          ))}
+                        </TextField>
+                      ) : (
+                        <Tooltip title={ORGANIZATION_ROLE_DESCRIPTIONS[member.role]}>
+                          <span>{ORGANIZATION_ROLE_LABELS[member.role]}</span>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                    <TableCell>{new Date(member.joinedAt).toLocaleDateString()}</TableCell>
+                    <TableCell align="right">
+                      {(canChangeMember(member) || member.user._id === user?.id) && (
+                        <Tooltip title={member.user._id === user?.id ? 'Leave organization' : 'Remove'}>
+                          <IconButton size="small" color="error" onClick={() => handleRemove(member)}>
+                            <PersonRemoveIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+
+            {canManageMembers && (
+              <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start', mt: 2 }}>
+                <TextField
+                  size="small"
+                  type="email"
+                  label="Add by email"
+                  helperText="They need a CNergy account"
+                  value={invite.email}
+                  onChange={e => setInvite({ ...invite, email: e.target.value })}
+                  disabled={saving}
+                  sx={{ flexGrow: 1 }}
+                />
+                <TextField
+                  select
+                  size="small"
+                  label="Role"
+                  value={invite.role}
+                  onChange={e => setInvite({ ...invite, role: e.target.value })}
+                  helperText={ORGANIZATION_ROLE_DESCRIPTIONS[invite.role]}
+                  disabled={saving}
+                  sx={{ width: 260 }}
+                >
+                  {assignableRoles.map(r => (
+                    <MenuItem key={r} value={r}>{ORGANIZATION_ROLE_LABELS[r]}</MenuItem>
+                  ))}
+                </TextField>
+                <Button
+                  variant="outlined"
+                  startIcon={<PersonAddIcon />}
+                  onClick={handleInvite}
+                  disabled={!invite.email || saving}
+                >
+                  Add
+                </Button>
+              </Box>
+            )}
+          </Paper>
+        </>
+      )}
+
+      <Dialog open={createOpen} onClose={() => !saving && setCreateOpen(false)} fullWidth maxWidth="xs">
+        <DialogTitle>New Organization</DialogTitle>
+        <DialogContent>
+          <TextField
+            autoFocus
+            fullWidth
+            margin="dense"
+            label="Name"
+            value={newName}
+            onChange={e => setNewName(e.target.value)}
+            helperText="You will be its owner and can add members afterwards"
+            disabled={saving}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCreateOpen(false)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleCreate} disabled={!newName.trim() || saving}>
+            Create
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default OrganizationSettings;
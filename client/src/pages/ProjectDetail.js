@@ -0,0 +1,554 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Chip,
+  Button,
+  Skeleton,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Tooltip,
+  IconButton,
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import AssignmentIcon from '@mui/icons-material/Assignment';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import DownloadIcon from '@mui/icons-material/Download';
+import DeleteIcon from '@mui/icons-material/Delete';
+import FindInPageIcon from '@mui/icons-material/FindInPage';
+import RateReviewIcon from '@mui/icons-material/RateReview';
+import TimelineIcon from '@mui/icons-material/Timeline';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import HistoryIcon from '@mui/icons-material/History';
+import PublicIcon from '@mui/icons-material/Public';
+import GroupsIcon from '@mui/icons-material/Groups';
+import DocumentUploadDialog from '../components/DocumentUploadDialog';
+import ApplicabilityChecklist from '../components/ApplicabilityChecklist';
+import EmissionCalculationsPanel from '../components/EmissionCalculationsPanel';
+import CollaboratorsPanel from '../components/CollaboratorsPanel';
+import BoundaryPanel from '../components/BoundaryPanel';
+import ComplianceReport from '../components/ComplianceReport';
+import { fetchProject, transitionProjectStatus } from '../services/projectService';
+import {
+  fetchProjectDocuments,
+  downloadDocument,
+  deleteDocument,
+  processDocument,
+} from '../services/documentService';
+import { fetchComplianceReport } from '../services/complianceService';
+import { getErrorMessage } from '../services/api';
+import { formatDate, formatDateTime } from '../utils/format';
+import { getStatusColor } from '../utils/status';
+import { downloadBlob } from '../utils/download';
+import { PROJECT_TYPE_LABELS, TARGET_STANDARD_LABELS } from '../../../shared/projectSchema';
+import { getStatusName, getAllowedTransitions, checkTransition, workflowStates, TRANSITION_ACTION } from '../../../shared/workflow';
+import { getMethodology } from '../../../shared/methodologies';
+import { evaluateApplicability } from '../../../shared/applicability';
+import { getCreditLabel, getDocumentLabel } from '../../../shared/standards';
+import { canPerform, PROJECT_ROLE_LABELS } from '../../../shared/permissions';
+
+const EXTRACTION_POLL_MS = 3000;
+
+const EXTRACTION_CHIPS = {
+  pending: { label: 'Queued', color: 'default' },
+  processing: { label: 'Extracting...', color: 'info' },
+  completed: { label: 'Extracted', color: 'success' },
+  failed: { label: 'Extraction failed', color: 'error' },
+};
+
+const isExtracting = doc => ['pending', 'processing'].includes(doc.extractedData?.status);
+
+const Field = ({ label, children }) => (
+  <Grid item xs={12} sm={6} md={4}>
+    <Typography variant="caption">{label}:</Typography>
+    <Typography variant="body2">{children || '—'}</Typography>
+  </Grid>
+);
+
+const ProjectDetail = () => {
+  const navigate = useNavigate();
+  const { projectId } = useParams();
+  const [project, setProject] = useState(null);
+  const [documents, setDocuments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pendingStatus, setPendingStatus] = useState(null);
+  const [transitionComment, setTransitionComment] = useState('');
+  const [transitionError, setTransitionError] = useState(null);
+  const [transitioning, setTransitioning] = useState(false);
+  // Compliance report for transitions that require one, checked when the dialog opens
+  const [compliance, setCompliance] = useState(null);
+  const [complianceError, setComplianceError] = useState(null);
+  const [uploadOpen, setUploadOpen] = useState(false);
+  const [extractingId, setExtractingId] = useState(null);
+
+  useEffect(() => {
+    const loadProject = async () => {
+      try {
+        const [projectData, documentData] = await Promise.all([
+          fetchProject(projectId),
+          fetchProjectDocuments(projectId),
+        ]);
+        setProject(projectData);
+        setDocuments(documentData);
+      } catch (err) {
+        console.error('Error fetching project:', err);
+        setError(getErrorMessage(err, 'Failed to load project.'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProject();
+  }, [projectId]);
+
+  // Refresh the document list while background extractions are running
+  useEffect(() => {
+    if (!documents.some(isExtracting)) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        setDocuments(await fetchProjectDocuments(projectId));
+      } catch (err) {
+        console.error('Error refreshing documents:', err);
+      }
+    }, EXTRACTION_POLL_MS);
+
+    return () => clearTimeout(timer);
+  }, [documents, projectId]);
+
+  const documentsByType = useMemo(() => documents.reduce((groups, doc) => {
+    (groups[doc.documentType] = groups[doc.documentType] || []).push(doc);
+    return groups;
+  }, {}), [documents]);
+
+  const openTransition = async (status) => {
+    setPendingStatus(status);
+    setTransitionComment('');
+    setTransitionError(null);
+    setCompliance(null);
+    setComplianceError(null);
+
+    if (!workflowStates[status]?.requiresCompliance) return;
+    try {
+      setCompliance(await fetchComplianceReport(projectId, undefined, undefined, true));
+    } catch (err) {
+      console.error('Error checking compliance:', err);
+      setComplianceError(getErrorMessage(err, 'Failed to run the compliance check.'));
+    }
+  };
+
+  const closeTransition = () => setPendingStatus(null);
+
+  const handleTransition = async () => {
+    setTransitioning(true);
+    setTransitionError(null);
+    try {
+      const result = await transitionProjectStatus(projectId, pendingStatus, transitionComment);
+      setProject(prev => ({ ...prev, status: result.status, statusHistory: result.statusHistory }));
+      setPendingStatus(null);
+    } catch (err) {
+      setTransitionError({
+        message: getErrorMessage(err, 'Failed to update status.'),
+        missingDocuments: err.response?.data?.missingDocuments || [],
+      });
+      if (err.response?.data?.compliance) {
+        setCompliance(err.response.data.compliance);
+      }
+    } finally {
+      setTransitioning(false);
+    }
+  };
+
+  const handleUploaded = (document) => {
+    setDocuments(prev => [document, ...prev]);
+    setUploadOpen(false);
+  };
+
+  const handleDownload = async (doc) => {
+    try {
+      downloadBlob(await downloadDocument(projectId, doc._id), doc.name);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to download document.'));
+    }
+  };
+
+  const handleExtract = async (doc) => {
+    setExtractingId(doc._id);
+    try {
+      const extractedData = await processDocument(projectId, doc._id);
+      setDocuments(prev => prev.map(d => (d._id === doc._id ? { ...d, extractedData } : d)));
+      if (extractedData.status === 'failed') {
+        setError(`Could not extract data from ${doc.name}: ${extractedData.error}`);
+      }
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to extract document data.'));
+    } finally {
+      setExtractingId(null);
+    }
+  };
+
+  const handleDeleteDocument = async (doc) => {
+    if (!window.confirm(`Delete ${doc.name}?`)) {
+      return;
+    }
+
+    try {
+      await deleteDocument(projectId, doc._id);
+      setDocuments(prev => prev.filter(d => d._id !== doc._id));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to delete document.'));
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Skeleton height={50} />
+        <Skeleton height={30} width="60%" />
+        <Skeleton variant="rectangular" height={200} sx={{ my: 2 }} />
+      </Box>
+    );
+  }
+
+  if (!project) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Typography color="error">{error || 'Project not found.'}</Typography>
+        <Button variant="contained" onClick={() => navigate('/projects')} sx={{ mt: 2 }}>
+          Back to Projects
+        </Button>
+      </Box>
+    );
+  }
+
+  const methodology = getMethodology(project.methodologyId);
+  const applicability = evaluateApplicability(project);
+  const coordinates = project.location?.coordinates;
+  const history = [...(project.statusHistory || [])].reverse();
+  const documentTypes = Object.keys(documentsByType);
+  const canEdit = canPerform(project.userRole, 'edit');
+  const canTransition = canPerform(project.userRole, TRANSITION_ACTION);
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Typography variant="h4">{project.name}</Typography>
+          <Chip
+            label={getStatusName(project.status, project.targetStandard)}
+            color={getStatusColor(project.status)}
+            size="small"
+            sx={{ mt: 1 }}
+          />
+          {project.userRole && (
+            <Chip label={PROJECT_ROLE_LABELS[project.userRole]} variant="outlined" size="small" sx={{ mt: 1, ml: 1 }} />
+          )}
+        </Box>
+        <Box>
+          {canEdit && (
+            <Button startIcon={<EditIcon />} onClick={() => navigate(`/projects/${projectId}/edit`)} sx={{ mr: 1 }}>
+              Edit
+            </Button>
+          )}
+          <Button startIcon={<TimelineIcon />} onClick={() => navigate(`/projects/${projectId}/monitoring`)} sx={{ mr: 1 }}>
+            Monitoring
+          </Button>
+          <Button startIcon={<FactCheckIcon />} onClick={() => navigate(`/projects/${projectId}/findings`)} sx={{ mr: 1 }}>
+            Findings{project.openFindingCount > 0 ? ` (${project.openFindingCount} open)` : ''}
+          </Button>
+          <Button startIcon={<GroupsIcon />} onClick={() => navigate(`/projects/${projectId}/consultations`)} sx={{ mr: 1 }}>
+            Consultation
+          </Button>
+          {project.targetStandard === 'gold-standard' && (
+            <Button startIcon={<PublicIcon />} onClick={() => navigate(`/projects/${projectId}/sdg-safeguarding`)} sx={{ mr: 1 }}>
+              SDGs &amp; Safeguarding
+            </Button>
+          )}
+          {canEdit && (
+            <Button variant="contained" startIcon={<AssignmentIcon />} onClick={() => navigate(`/generate/${projectId}`)}>
+              Generate Docs
+            </Button>
+          )}
+        </Box>
+      </Box>
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Project Details</Typography>
+        <Typography variant="body2" sx={{ mb: 2, whiteSpace: 'pre-wrap' }}>{project.description}</Typography>
+        <Grid container spacing={2}>
+          <Field label="Type">{PROJECT_TYPE_LABELS[project.projectType]}</Field>
+          <Field label="Standard">{TARGET_STANDARD_LABELS[project.targetStandard]}</Field>
+          <Field label="Methodology">
+            {methodology ? `${methodology.id} v${methodology.version} – ${methodology.name}` : project.methodologyId}
+          </Field>
+          <Field label="Location">
+            {[project.location?.region, project.location?.country].filter(Boolean).join(', ')}
+          </Field>
+          <Field label="Coordinates">
+            {coordinates?.latitude != null && `${coordinates.latitude}, ${coordinates.longitude}`}
+          </Field>
+          <Field label={getCreditLabel(project.targetStandard)}>{project.estimatedCredits?.toLocaleString()}</Field>
+          <Field label="Area">
+            {project.boundary?.areaHectares != null
+              && `${project.boundary.areaHectares.toLocaleString(undefined, { maximumFractionDigits: 2 })} ha`}
+          </Field>
+          <Field label="Start Date">{formatDate(project.startDate)}</Field>
+          <Field label="End Date">{formatDate(project.endDate)}</Field>
+          <Field label="Created">{formatDate(project.createdAt)}</Field>
+        </Grid>
+      </Paper>
+
+      <BoundaryPanel
+        project={project}
+        canEdit={canEdit}
+        onChange={boundary => setProject(prev => ({ ...prev, boundary }))}
+      />
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Methodology Applicability</Typography>
+        <ApplicabilityChecklist result={applicability} />
+        {canEdit && applicability.status === 'unknown' && applicability.known && (
+          <Button size="small" onClick={() => navigate(`/projects/${projectId}/edit`)}>
+            Add methodology parameters
+          </Button>
+        )}
+      </Paper>
+
+      <EmissionCalculationsPanel project={project} canEdit={canEdit} />
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <Paper sx={{ p: 3, height: '100%' }}>
+            <Typography variant="h6" gutterBottom>Workflow</Typography>
+            <Typography variant="caption">Next steps:</Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1, mb: 2 }}>
+              {!canTransition && (
+                <Typography variant="body2" color="text.secondary">Editors can move the project to the next step.</Typography>
+              )}
+              {canTransition && getAllowedTransitions(project.status).map((status) => {
+                const { allowed, missingDocuments, openFindings } = checkTransition(
+                  project.status,
+                  status,
+                  documentTypes,
+                  project.openFindingCount,
+                  0,
+                  project.targetStandard
+                );
+                const blockers = [
+                  missingDocuments.length > 0 && `Missing: ${missingDocuments.map(type => getDocumentLabel(project.targetStandard, type)).join(', ')}`,
+                  openFindings > 0 && `${openFindings} verification finding${openFindings === 1 ? '' : 's'} not closed`,
+                ].filter(Boolean);
+                return (
+                  <Tooltip key={status} title={blockers.join('. ')}>
+                    <span>
+                      <Button
+                        variant="outlined"
+                        size="small"
+                        disabled={!allowed}
+                        onClick={() => openTransition(status)}
+                      >
+                        {getStatusName(status, project.targetStandard)}
+                      </Button>
+                    </span>
+                  </Tooltip>
+                );
+              })}
+            </Box>
+
+            <Divider />
+
+            <List dense>
+              {history.map((entry, index) => (
+                <ListItem key={entry._id || index} alignItems="flex-start" disableGutters>
+                  <ListItemText
+                    primary={getStatusName(entry.status, project.targetStandard)}
+                    secondary={(
+                      <>
+                        {formatDateTime(entry.timestamp)}
+                        {entry.updatedBy && ` · ${entry.updatedBy.name || entry.updatedBy.email}`}
+                        {entry.comment && (
+                          <Typography component="span" variant="body2" display="block" color="text.primary">
+                            {entry.comment}
+                          </Typography>
+                        )}
+                      </>
+                    )}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          </Paper>
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <Paper sx={{ p: 3, height: '100%' }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+              <Typography variant="h6">Documents</Typography>
+              {canEdit && (
+                <Button size="small" startIcon={<UploadFileIcon />} onClick={() => setUploadOpen(true)}>
+                  Upload
+                </Button>
+              )}
+            </Box>
+            {documents.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                No documents have been uploaded or generated yet.
+              </Typography>
+            ) : (
+              Object.entries(documentsByType).map(([documentType, docs]) => (
+                <Box key={documentType} sx={{ mb: 2 }}>
+                  <Typography variant="subtitle2">{getDocumentLabel(project.targetStandard, documentType)}</Typography>
+                  <List dense>
+                    {docs.map(doc => (
+                      <ListItem key={doc._id} disableGutters>
+                        <ListItemText
+                          primary={doc.name}
+                          secondary={[
+                            doc.version && `v${doc.version}`,
+                            formatDateTime(doc.updatedAt || doc.createdAt),
+                            doc.uploadedBy?.name,
+                          ].filter(Boolean).join(' · ')}
+                        />
+                        <Chip
+                          label={doc.source === 'generated' ? 'Generated' : 'Uploaded'}
+                          color={doc.source === 'generated' ? 'primary' : 'default'}
+                          size="small"
+                        />
+                        {doc.extractedData && (
+                          <Chip
+                            label={EXTRACTION_CHIPS[doc.extractedData.status].label}
+                            color={EXTRACTION_CHIPS[doc.extractedData.status].color}
+                            size="small"
+                            variant="outlined"
+                            sx={{ ml: 1 }}
+                          />
+                        )}
+                        {canEdit && doc.source === 'uploaded' && (
+                          <Tooltip title="Extract project data">
+                            <span>
+                              <IconButton
+                                size="small"
+                                onClick={() => handleExtract(doc)}
+                                disabled={!doc.filePath || extractingId === doc._id || isExtracting(doc)}
+                              >
+                                <FindInPageIcon fontSize="small" />
+                              </IconButton>
+                            </span>
+                          </Tooltip>
+                        )}
+                        {doc.extractedData?.status === 'completed' && (
+                          <Tooltip title="Review extracted data">
+                            <IconButton
+                              size="small"
+                              onClick={() => navigate(`/projects/${projectId}/documents/${doc._id}/review`)}
+                            >
+                              <RateReviewIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        <Tooltip title="Version history">
+                          <IconButton size="small" onClick={() => navigate(`/projects/${projectId}/documents/${doc._id}/history`)}>
+                            <HistoryIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Download">
+                          <span>
+                            <IconButton size="small" onClick={() => handleDownload(doc)} disabled={!doc.filePath}>
+                              <DownloadIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                        {canEdit && (
+                          <Tooltip title="Delete">
+                            <IconButton size="small" color="error" onClick={() => handleDeleteDocument(doc)}>
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                      </ListItem>
+                    ))}
+                  </List>
+                </Box>
+              ))
+            )}
+          </Paper>
+        </Grid>
+      </Grid>
+
+      <Box sx={{ mt: 3 }}>
+        <CollaboratorsPanel project={project} />
+      </Box>
+
+      <DocumentUploadDialog
+        open={uploadOpen}
+        projectId={projectId}
+        standard={project.targetStandard}
+        onClose={() => setUploadOpen(false)}
+        onUploaded={handleUploaded}
+      />
+
+      <Dialog open={Boolean(pendingStatus)} onClose={closeTransition} fullWidth maxWidth="sm">
+        <DialogTitle>Move to {getStatusName(pendingStatus, project.targetStandard)}</DialogTitle>
+        <DialogContent>
+          {transitionError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {transitionError.message}
+              {transitionError.missingDocuments.length > 0 && (
+                <Box component="ul" sx={{ m: 0, pl: 2 }}>
+                  {transitionError.missingDocuments.map(doc => <li key={doc}>{getDocumentLabel(project.targetStandard, doc)}</li>)}
+                </Box>
+              )}
+            </Alert>
+          )}
+          {workflowStates[pendingStatus]?.requiresCompliance && (
+            <Box sx={{ mb: 2 }}>
+              {complianceError && <Alert severity="warning">{complianceError}</Alert>}
+              {!complianceError && !compliance && <Skeleton variant="rectangular" height={60} />}
+              {compliance && <ComplianceReport report={compliance} dense />}
+            </Box>
+          )}
+          <TextField
+            label="Comment"
+            multiline
+            minRows={3}
+            fullWidth
+            value={transitionComment}
+            onChange={e => setTransitionComment(e.target.value)}
+            disabled={transitioning}
+            sx={{ mt: 1 }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeTransition} disabled={transitioning}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleTransition}
+            disabled={transitioning || (workflowStates[pendingStatus]?.requiresCompliance && !complianceError && (!compliance || compliance.blocking > 0))}
+          >
+            {transitioning ? 'Updating...' : 'Confirm'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default ProjectDetail;
@@ -0,0 +1,539 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useFormik, getIn } from 'formik';
+import {
+  Box,
+  Typography,
+  Paper,
+  Stepper,
+  Step,
+  StepLabel,
+  TextField,
+  MenuItem,
+  Button,
+  Grid,
+  Alert,
+  IconButton,
+  Skeleton,
+  Divider,
+  Menu,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import FindInPageIcon from '@mui/icons-material/FindInPage';
+import { fetchProject, createProject, updateProject } from '../services/projectService';
+import { fetchProjectDocuments } from '../services/documentService';
+import { getErrorMessage } from '../services/api';
+import {
+  projectStepSchemas,
+  projectSchema,
+  emptyProject,
+  projectToFormValues,
+  formValuesToProject,
+  parametersFromForm,
+} from '../utils/projectValidation';
+import {
+  PROJECT_TYPES,
+  PROJECT_TYPE_LABELS,
+  TARGET_STANDARDS,
+  TARGET_STANDARD_LABELS,
+  COLLABORATOR_ROLES,
+} from '../../../shared/projectSchema';
+import { findMethodologies, getMethodology } from '../../../shared/methodologies';
+import { getCreditLabel } from '../../../shared/standards';
+import { evaluateApplicability } from '../../../shared/applicability';
+import { canPerform, PROJECT_ROLE_LABELS } from '../../../shared/permissions';
+import ApplicabilityChecklist from '../components/ApplicabilityChecklist';
+
+const STEPS = ['Basics', 'Location', 'Standard & Methodology', 'Collaborators', 'Review'];
+const AUTOSAVE_DELAY_MS = 1000;
+// Extracted values below this confidence are left for the user to enter
+const PREFILL_MIN_CONFIDENCE = 0.6;
+
+const draftKey = (projectId) => `cnergy_project_draft_${projectId || 'new'}`;
+
+const readDraft = (projectId) => {
+  try {
+    return JSON.parse(localStorage.getItem(draftKey(projectId)));
+  } catch (err) {
+    return null;
+  }
+};
+
+const ProjectForm = () => {
+  const navigate = useNavigate();
+  const { projectId } = useParams();
+  const isEdit = Boolean(projectId);
+
+  const [activeStep, setActiveStep] = useState(0);
+  const [initialValues, setInitialValues] = useState(emptyProject);
+  const [loading, setLoading] = useState(isEdit);
+  const [error, setError] = useState(null);
+  const [pendingDraft, setPendingDraft] = useState(null);
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const [extractedDocuments, setExtractedDocuments] = useState([]);
+  const [prefillAnchor, setPrefillAnchor] = useState(null);
+  const [prefillNotice, setPrefillNotice] = useState(null);
+  const [userRole, setUserRole] = useState(isEdit ? null : 'owner');
+
+  const isReviewStep = activeStep === STEPS.length - 1;
+  const canManageCollaborators = canPerform(userRole, 'manageCollaborators');
+
+  const formik = useFormik({
+    initialValues,
+    enableReinitialize: true,
+    validationSchema: isReviewStep ? projectSchema : projectStepSchemas[activeStep],
+    onSubmit: async (values, { setSubmitting, setTouched }) => {
+      if (!isReviewStep) {
+        setTouched({});
+        setActiveStep(step => step + 1);
+        setSubmitting(false);
+        return;
+      }
+
+      setError(null);
+      try {
+        const payload = formValuesToProject(values);
+        // Editors may save project data but collaborators are left to admins
+        if (!canManageCollaborators) {
+          delete payload.collaborators;
+        }
+        const saved = isEdit
+          ? await updateProject(projectId, payload)
+          : await createProject(payload);
+
+        localStorage.removeItem(draftKey(projectId));
+        navigate(`/projects/${saved._id}`);
+      } catch (err) {
+        setError(getErrorMessage(err, 'Failed to save project.'));
+      } finally {
+        setSubmitting(false);
+      }
+    },
+  });
+
+  const { values, setFieldValue } = formik;
+
+  // Load the project being edited and offer any autosaved draft
+  useEffect(() => {
+    const loadProject = async () => {
+      try {
+        if (isEdit) {
+          const [project, documents] = await Promise.all([
+            fetchProject(projectId),
+            fetchProjectDocuments(projectId),
+          ]);
+          setInitialValues(projectToFormValues(project));
+          setUserRole(project.userRole);
+          setExtractedDocuments(documents.filter(doc => doc.extractedData?.status === 'completed'));
+        }
+
+        const draft = readDraft(projectId);
+        if (draft?.values) {
+          setPendingDraft(draft);
+        }
+      } catch (err) {
+        console.error('Error loading project:', err);
+        setError(getErrorMessage(err, 'Failed to load project.'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProject();
+  }, [isEdit, projectId]);
+
+  // Autosave a draft shortly after the user stops typing
+  useEffect(() => {
+    if (loading || pendingDraft || !formik.dirty) return undefined;
+
+    const timer = setTimeout(() => {
+      const savedAt = new Date().toISOString();
+      localStorage.setItem(draftKey(projectId), JSON.stringify({ values, savedAt }));
+      setDraftSavedAt(savedAt);
+    }, AUTOSAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [values, formik.dirty, loading, pendingDraft, projectId]);
+
+  const methodologies = useMemo(
+    () => findMethodologies({ standard: values.targetStandard, projectType: values.projectType }),
+    [values.targetStandard, values.projectType]
+  );
+
+  const selectedMethodology = getMethodology(values.methodologyId);
+
+  // Re-evaluated on every change so the checklist reflects unsaved edits
+  const applicability = useMemo(
+    () => evaluateApplicability({
+      ...values,
+      methodologyParameters: parametersFromForm(values.methodologyId, values.methodologyParameters),
+    }),
+    [values]
+  );
+
+  // Clear a methodology that no longer matches the selected standard and project type
+  const handleScopeChange = (e) => {
+    const { name, value } = e.target;
+    setFieldValue(name, value);
+
+    const next = { targetStandard: values.targetStandard, projectType: values.projectType, [name]: value };
+    const stillValid = findMethodologies(next).some(m => m.id === values.methodologyId);
+    if (values.methodologyId && !stillValid && findMethodologies({ standard: next.targetStandard }).length > 0) {
+      setFieldValue('methodologyId', '');
+    }
+  };
+
+  const handleRestoreDraft = () => {
+    setInitialValues(pendingDraft.values);
+    setDraftSavedAt(pendingDraft.savedAt);
+    setPendingDraft(null);
+  };
+
+  const handleDiscardDraft = () => {
+    localStorage.removeItem(draftKey(projectId));
+    setPendingDraft(null);
+  };
+
+  // Fill empty fields with confidently extracted values; never overwrite user input
+  const handlePrefill = (doc) => {
+    setPrefillAnchor(null);
+
+    const filled = Object.entries(doc.extractedData.fields || {})
+      .filter(([path, field]) => field.confidence >= PREFILL_MIN_CONFIDENCE && getIn(values, path) === '');
+    filled.forEach(([path, field]) => setFieldValue(path, field.value));
+
+    setPrefillNotice(filled.length > 0
+      ? `Prefilled ${filled.length} field${filled.length === 1 ? '' : 's'} from ${doc.name}. Review them before saving.`
+      : `${doc.name} had no confident values for the empty fields.`);
+  };
+
+  const handleBack = () => setActiveStep(step => step - 1);
+
+  const fieldProps = (name) => {
+    const fieldError = getIn(formik.touched, name) && getIn(formik.errors, name);
+    return {
+      name,
+      id: name,
+      value: getIn(values, name) ?? '',
+      onChange: formik.handleChange,
+      onBlur: formik.handleBlur,
+      error: Boolean(fieldError),
+      helperText: fieldError || ' ',
+      fullWidth: true,
+      disabled: formik.isSubmitting,
+    };
+  };
+
+  const renderParameterField = (parameter) => {
+    const props = {
+      ...fieldProps(`methodologyParameters.${parameter.key}`),
+      label: parameter.unit ? `${parameter.label} (${parameter.unit})` : parameter.label,
+    };
+
+    if (parameter.type === 'select') {
+      return (
+        <TextField select {...props}>
+          {parameter.options.map(option => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+      );
+    }
+    if (parameter.type === 'boolean') {
+      return (
+        <TextField select {...props}>
+          <MenuItem value="true">Yes</MenuItem>
+          <MenuItem value="false">No</MenuItem>
+        </TextField>
+      );
+    }
+    return <TextField type={parameter.type === 'number' ? 'number' : 'text'} inputProps={{ step: 'any' }} {...props} />;
+  };
+
+  const formatParameter = (parameter) => {
+    const value = values.methodologyParameters?.[parameter.key];
+    if (value === undefined || value === '') return '—';
+    if (parameter.type === 'boolean') return value === 'true' ? 'Yes' : 'No';
+    if (parameter.type === 'select') return parameter.options.find(option => option.value === value)?.label || value;
+    return parameter.unit ? `${value} ${parameter.unit}` : value;
+  };
+
+  const addCollaborator = () => {
+    setFieldValue('collaborators', [...values.collaborators, { email: '', role: 'viewer' }]);
+  };
+
+  const removeCollaborator = (index) => {
+    setFieldValue('collaborators', values.collaborators.filter((_, i) => i !== index));
+  };
+
+  const renderStep = () => {
+    switch (activeStep) {
+      case 0:
+        return (
+          <Grid container spacing={2}>
+            <Grid item xs={12}>
+              <TextField label="Project Name" required {...fieldProps('name')} />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField label="Description" required multiline minRows={4} {...fieldProps('description')} />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField select label="Project Type" required {...fieldProps('projectType')} onChange={handleScopeChange}>
+                {PROJECT_TYPES.map(type => (
+                  <MenuItem key={type} value={type}>{PROJECT_TYPE_LABELS[type]}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+          </Grid>
+        );
+      case 1:
+        return (
+          <Grid container spacing={2}>
+            <Grid item xs={12} md={6}>
+              <TextField label="Country" required {...fieldProps('location.country')} />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField label="Region" {...fieldProps('location.region')} />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField label="Latitude" type="number" inputProps={{ step: 'any' }} {...fieldProps('location.coordinates.latitude')} />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField label="Longitude" type="number" inputProps={{ step: 'any' }} {...fieldProps('location.coordinates.longitude')} />
+            </Grid>
+          </Grid>
+        );
+      case 2:
+        return (
+          <Grid container spacing={2}>
+            <Grid item xs={12} md={6}>
+              <TextField select label="Target Standard" required {...fieldProps('targetStandard')} onChange={handleScopeChange}>
+                {TARGET_STANDARDS.map(standard => (
+                  <MenuItem key={standard} value={standard}>{TARGET_STANDARD_LABELS[standard]}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              {methodologies.length > 0 ? (
+                <TextField select label="Methodology" required {...fieldProps('methodologyId')}>
+                  {methodologies.map(m => (
+                    <MenuItem key={m.id} value={m.id}>{m.id} v{m.version} – {m.name}</MenuItem>
+                  ))}
+                </TextField>
+              ) : (
+                <TextField label="Methodology ID" required {...fieldProps('methodologyId')} />
+              )}
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField label="Start Date" type="date" required InputLabelProps={{ shrink: true }} {...fieldProps('startDate')} />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField label="End Date" type="date" required InputLabelProps={{ shrink: true }} {...fieldProps('endDate')} />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField label={`${getCreditLabel(values.targetStandard)} (tCO2e)`} type="number" {...fieldProps('estimatedCredits')} />
+            </Grid>
+            {selectedMethodology && (
+              <>
+                <Grid item xs={12}>
+                  <Typography variant="subtitle1">Methodology Parameters</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {selectedMethodology.scope}
+                  </Typography>
+                </Grid>
+                {selectedMethodology.parameters.map(parameter => (
+                  <Grid item xs={12} md={6} key={parameter.key}>
+                    {renderParameterField(parameter)}
+                  </Grid>
+                ))}
+              </>
+            )}
+            <Grid item xs={12}>
+              <ApplicabilityChecklist result={applicability} dense />
+            </Grid>
+          </Grid>
+        );
+      case 3:
+        if (!canManageCollaborators) {
+          return (
+            <Box>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Only project admins can change collaborators.
+              </Typography>
+              {values.collaborators.map(collaborator => (
+                <Typography variant="body2" key={collaborator.email}>
+                  {collaborator.email} ({PROJECT_ROLE_LABELS[collaborator.role]})
+                </Typography>
+              ))}
+            </Box>
+          );
+        }
+        return (
+          <Box>
+            {values.collaborators.length === 0 && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                No collaborators yet. Collaborators must already be members of your organization.
+              </Typography>
+            )}
+            {values.collaborators.map((collaborator, index) => (
+              <Grid container spacing={2} key={index} alignItems="flex-start">
+                <Grid item xs={12} md={7}>
+                  <TextField label="Email" {...fieldProps(`collaborators.${index}.email`)} />
+                </Grid>
+                <Grid item xs={10} md={4}>
+                  <TextField select label="Role" {...fieldProps(`collaborators.${index}.role`)}>
+                    {COLLABORATOR_ROLES.map(role => (
+                      <MenuItem key={role} value={role}>{PROJECT_ROLE_LABELS[role]}</MenuItem>
+                    ))}
+                  </TextField>
+                </Grid>
+                <Grid item xs={2} md={1}>
+                  <IconButton color="error" onClick={() => removeCollaborator(index)} sx={{ mt: 1 }}>
+                    <DeleteIcon />
+                  </IconButton>
+                </Grid>
+              </Grid>
+            ))}
+            <Button startIcon={<AddIcon />} onClick={addCollaborator}>Add Collaborator</Button>
+          </Box>
+        );
+      default:
+        return (
+          <Grid container spacing={2}>
+            {[
+              ['Name', values.name],
+              ['Type', PROJECT_TYPE_LABELS[values.projectType]],
+              ['Location', [values.location.region, values.location.country].filter(Boolean).join(', ')],
+              ['Coordinates', values.location.coordinates.latitude !== ''
+                ? `${values.location.coordinates.latitude}, ${values.location.coordinates.longitude}`
+                : '—'],
+              ['Standard', TARGET_STANDARD_LABELS[values.targetStandard]],
+              ['Methodology', values.methodologyId],
+              ['Period', `${values.startDate} to ${values.endDate}`],
+              [getCreditLabel(values.targetStandard), values.estimatedCredits !== '' ? Number(values.estimatedCredits).toLocaleString() : '—'],
+              ['Collaborators', values.collaborators.map(c => `${c.email} (${c.role})`).join(', ') || '—'],
+            ].map(([label, value]) => (
+              <Grid item xs={12} md={6} key={label}>
+                <Typography variant="caption">{label}:</Typography>
+                <Typography variant="body2">{value}</Typography>
+              </Grid>
+            ))}
+            {selectedMethodology?.parameters.map(parameter => (
+              <Grid item xs={12} md={6} key={parameter.key}>
+                <Typography variant="caption">{parameter.label}:</Typography>
+                <Typography variant="body2">{formatParameter(parameter)}</Typography>
+              </Grid>
+            ))}
+            <Grid item xs={12}>
+              <Typography variant="caption">Description:</Typography>
+              <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap' }}>{values.description}</Typography>
+            </Grid>
+            <Grid item xs={12}>
+              <ApplicabilityChecklist result={applicability} dense />
+            </Grid>
+          </Grid>
+        );
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Skeleton height={50} />
+        <Skeleton variant="rectangular" height={300} sx={{ my: 2 }} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="h4" gutterBottom>
+        {isEdit ? 'Edit Project' : 'Create New Project'}
+      </Typography>
+
+      {pendingDraft && (
+        <Alert
+          severity="info"
+          sx={{ mb: 2 }}
+          action={(
+            <>
+              <Button color="inherit" size="small" onClick={handleRestoreDraft}>Restore</Button>
+              <Button color="inherit" size="small" onClick={handleDiscardDraft}>Discard</Button>
+            </>
+          )}
+        >
+          You have an unsaved draft from {new Date(pendingDraft.savedAt).toLocaleString()}.
+        </Alert>
+      )}
+
+      {extractedDocuments.length > 0 && (
+        <Box sx={{ mb: 2 }}>
+          <Button
+            variant="outlined"
+            startIcon={<FindInPageIcon />}
+            onClick={e => setPrefillAnchor(e.currentTarget)}
+            disabled={formik.isSubmitting}
+          >
+            Prefill from document
+          </Button>
+          <Menu anchorEl={prefillAnchor} open={Boolean(prefillAnchor)} onClose={() => setPrefillAnchor(null)}>
+            {extractedDocuments.map(doc => (
+              <MenuItem key={doc._id} onClick={() => handlePrefill(doc)}>{doc.name}</MenuItem>
+            ))}
+          </Menu>
+        </Box>
+      )}
+
+      {prefillNotice && (
+        <Alert severity="info" sx={{ mb: 2 }} onClose={() => setPrefillNotice(null)}>
+          {prefillNotice}
+        </Alert>
+      )}
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 3 }}>
+        <Stepper activeStep={activeStep} sx={{ mb: 4 }}>
+          {STEPS.map(label => (
+            <Step key={label}>
+              <StepLabel>{label}</StepLabel>
+            </Step>
+          ))}
+        </Stepper>
+
+        <Box component="form" onSubmit={formik.handleSubmit} noValidate>
+          {renderStep()}
+
+          <Divider sx={{ my: 3 }} />
+
+          <Box sx={{ display: 'flex', alignItems: 'center' }}>
+            <Button disabled={activeStep === 0 || formik.isSubmitting} onClick={handleBack}>
+              Back
+            </Button>
+            <Box sx={{ flexGrow: 1 }} />
+            {draftSavedAt && (
+              <Typography variant="caption" color="text.secondary" sx={{ mr: 2 }}>
+                Draft saved {new Date(draftSavedAt).toLocaleTimeString()}
+              </Typography>
+            )}
+            <Button onClick={() => navigate(-1)} sx={{ mr: 1 }} disabled={formik.isSubmitting}>
+              Cancel
+            </Button>
+            <Button type="submit" variant="contained" disabled={formik.isSubmitting}>
+              {isReviewStep
+                ? (formik.isSubmitting ? 'Saving...' : isEdit ? 'Save Changes' : 'Create Project')
+                : 'Next'}
+            </Button>
+          </Box>
+        </Box>
+      </Paper>
+    </Box>
+  );
+};
+
+export default ProjectForm;
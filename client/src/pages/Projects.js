@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useContext, useMemo, useCallback } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
   Box,
   Typography,
@@ -12,110 +12,107 @@ import {
   TableHead,
   TableRow,
   TablePagination,
+  TableSortLabel,
+  LinearProgress,
   Chip,
   IconButton,
   Tooltip,
+  Alert,
 } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
 import VisibilityIcon from '@mui/icons-material/Visibility';
 import EditIcon from '@mui/icons-material/Edit';
 import DeleteIcon from '@mui/icons-material/Delete';
 import AssignmentIcon from '@mui/icons-material/Assignment';
+import OrganizationContext from '../context/OrganizationContext';
+import ProjectFilters from '../components/ProjectFilters';
+import { fetchProjects, deleteProject } from '../services/projectService';
+import { getErrorMessage } from '../services/api';
+import { getStatusColor } from '../utils/status';
+import { getStatusName } from '../../../shared/workflow';
+import { canPerform, PROJECT_ROLE_LABELS } from '../../../shared/permissions';
+import { PROJECT_TYPE_LABELS } from '../../../shared/projectSchema';
+import { getStandardLabel } from '../../../shared/standards';
+import {
+  parseProjectQuery,
+  serializeProjectQuery,
+  PAGE_SIZES,
+} from '../../../shared/projectQuery';
+
+// Table columns; those with a sort key can be ordered by the server
+const COLUMNS = [
+  { label: 'Project Name', sort: 'name' },
+  { label: 'Type', sort: 'projectType' },
+  { label: 'Location', sort: 'country' },
+  { label: 'Target Standard', sort: 'targetStandard' },
+  { label: 'Est. Credits', sort: 'estimatedCredits' },
+  { label: 'Area (ha)', sort: 'area' },
+  { label: 'Status', sort: 'status' },
+  { label: 'Your Role' },
+];
+
+const FILTER_KEYS = ['search', 'projectType', 'targetStandard', 'status', 'country', 'minCredits', 'maxCredits'];
 
 const Projects = () => {
   const navigate = useNavigate();
-  const [projects, setProjects] = useState([]);
+  const { currentOrganization } = useContext(OrganizationContext);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [page, setPage] = useState(0);
-  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // The URL is the single source of truth for the table's view, so it can be shared
+  const query = useMemo(() => parseProjectQuery(Object.fromEntries(searchParams)), [searchParams]);
+
+  const filtered = FILTER_KEYS.some((key) => {
+    const value = query[key];
+    return Array.isArray(value) ? value.length > 0 : value !== null && value !== '';
+  });
+
+  // Any change but paging itself starts again from the first page
+  const updateQuery = useCallback((changes) => {
+    setSearchParams(serializeProjectQuery({ ...query, page: 1, ...changes }));
+  }, [query, setSearchParams]);
 
   useEffect(() => {
-    const fetchProjects = async () => {
+    const loadProjects = async () => {
+      setLoading(true);
+      setError(null);
       try {
-        // In a real implementation, this would fetch from the API
-        // For now, we'll use placeholder data
-        
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 500));
-        
-        // Mock projects data
-        const mockProjects = [
-          {
-            _id: '1',
-            name: 'Reforestation Project A',
-            description: 'Reforestation of degraded land in Region X',
-            projectType: 'reforestation',
-            status: 'in-progress',
-            targetStandard: 'verra',
-            estimatedCredits: 5000,
-            createdAt: '2023-04-01T12:00:00Z',
-            location: {
-              country: 'Brazil',
-              region: 'Amazon'
-            }
-          },
-          {
-            _id: '2',
-            name: 'Solar Energy Project B',
-            description: 'Grid-connected solar PV installation',
-            projectType: 'renewable-energy',
-            status: 'draft',
-            targetStandard: 'gold-standard',
-            estimatedCredits: 8000,
-            createdAt: '2023-03-15T10:30:00Z',
-            location: {
-              country: 'India',
-              region: 'Maharashtra'
-            }
-          },
-          {
-            _id: '3',
-            name: 'Methane Capture Project C',
-            description: 'Landfill methane capture and utilization',
-            projectType: 'methane-capture',
-            status: 'submitted',
-            targetStandard: 'verra',
-            estimatedCredits: 12000,
-            createdAt: '2023-02-20T14:15:00Z',
-            location: {
-              country: 'Mexico',
-              region: 'Jalisco'
-            }
-          },
-          {
-            _id: '4',
-            name: 'Energy Efficiency Project D',
-            description: 'Industrial energy efficiency improvements',
-            projectType: 'energy-efficiency',
-            status: 'verified',
-            targetStandard: 'gold-standard',
-            estimatedCredits: 3500,
-            createdAt: '2023-01-10T09:45:00Z',
-            location: {
-              country: 'South Africa',
-              region: 'Western Cape'
-            }
-          },
-        ];
-        
-        setProjects(mockProjects);
-        setLoading(false);
+        const data = await fetchProjects(serializeProjectQuery(query));
+        // A shared link may point past the last page once projects are deleted
+        if (data.projects.length === 0 && data.total > 0) {
+          updateQuery({ page: Math.ceil(data.total / data.limit) });
+          return;
+        }
+        setResult(data);
       } catch (error) {
         console.error('Error fetching projects:', error);
+        setError(getErrorMessage(error, 'Failed to load projects.'));
+      } finally {
         setLoading(false);
       }
     };
 
-    fetchProjects();
-  }, []);
+    loadProjects();
+  }, [query, reloadKey, updateQuery]);
+
+  const handleClearFilters = () => {
+    setSearchParams(serializeProjectQuery({ ...parseProjectQuery(), sort: query.sort, limit: query.limit }));
+  };
+
+  const handleSort = (key) => {
+    const ascending = query.sort === key;
+    updateQuery({ sort: ascending ? `-${key}` : key });
+  };
 
   const handleChangePage = (event, newPage) => {
-    setPage(newPage);
+    updateQuery({ page: newPage + 1 });
   };
 
   const handleChangeRowsPerPage = (event) => {
-    setRowsPerPage(parseInt(event.target.value, 10));
-    setPage(0);
+    updateQuery({ limit: parseInt(event.target.value, 10) });
   };
 
   const handleViewProject = (projectId) => {
@@ -126,9 +123,23 @@ const Projects = () => {
     navigate(`/projects/${projectId}/edit`);
   };
 
-  const handleDeleteProject = (projectId) => {
-    // In a real implementation, this would call the API to delete the project
-    console.log(`Delete project ${projectId}`);
+  const handleDeleteProject = async (projectId) => {
+    if (!window.confirm('Delete this project? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await deleteProject(projectId);
+      // Step back when the last project on a page goes, otherwise refetch to fill the page
+      if (result.projects.length === 1 && query.page > 1) {
+        updateQuery({ page: query.page - 1 });
+      } else {
+        setReloadKey(key => key + 1);
+      }
+    } catch (error) {
+      console.error('Error deleting project:', error);
+      setError(getErrorMessage(error, 'Failed to delete project.'));
+    }
   };
 
   const handleGenerateDocuments = (projectId) => {
@@ -139,30 +150,23 @@ const Projects = () => {
     navigate('/projects/new');
   };
 
-  // Get status color based on project status
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'draft':
-        return 'default';
-      case 'in-progress':
-        return 'primary';
-      case 'submitted':
-        return 'warning';
-      case 'verified':
-        return 'success';
-      default:
-        return 'default';
-    }
-  };
-
-  if (loading) {
-    return <Typography>Loading projects...</Typography>;
+  if (!result) {
+    return error
+      ? <Alert severity="error">{error}</Alert>
+      : <Typography>Loading projects...</Typography>;
   }
 
+  const { projects, total } = result;
+  const sortKey = query.sort.replace(/^-/, '');
+  const sortDirection = query.sort.startsWith('-') ? 'desc' : 'asc';
+
   return (
     <Box>
       <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
-        <Typography variant="h4">Projects</Typography>
+        <Box>
+          <Typography variant="h4">Projects</Typography>
+          <Typography variant="body2" color="text.secondary">{currentOrganization?.name}</Typography>
+        </Box>
         <Button
           variant="contained"
           color="primary"
@@ -172,8 +176,16 @@ const Projects = () => {
           Create New Project
         </Button>
       </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
       
-      {projects.length === 0 ? (
+      <ProjectFilters query={query} onChange={updateQuery} onClear={handleClearFilters} />
+
+      {total === 0 && !filtered ? (
         <Paper sx={{ p: 3, textAlign: 'center' }}>
           <Typography variant="body1" sx={{ mb: 2 }}>
             You don't have any projects yet.
@@ -189,48 +201,66 @@ const Projects = () => {
         </Paper>
       ) : (
         <Paper sx={{ width: '100%', overflow: 'hidden' }}>
+          {loading && <LinearProgress />}
           <TableContainer>
             <Table stickyHeader aria-label="projects table">
               <TableHead>
                 <TableRow>
-                  <TableCell>Project Name</TableCell>
-                  <TableCell>Type</TableCell>
-                  <TableCell>Location</TableCell>
-                  <TableCell>Target Standard</TableCell>
-                  <TableCell>Est. Credits</TableCell>
-                  <TableCell>Status</TableCell>
+                  {COLUMNS.map(column => (
+                    <TableCell key={column.label} sortDirection={sortKey === column.sort ? sortDirection : false}>
+                      {column.sort ? (
+                        <TableSortLabel
+                          active={sortKey === column.sort}
+                          direction={sortKey === column.sort ? sortDirection : 'asc'}
+                          onClick={() => handleSort(column.sort)}
+                        >
+                          {column.label}
+                        </TableSortLabel>
+                      ) : column.label}
+                    </TableCell>
+                  ))}
                   <TableCell align="right">Actions</TableCell>
                 </TableRow>
               </TableHead>
               <TableBody>
+                {projects.length === 0 && (
+                  <TableRow>
+                    <TableCell colSpan={COLUMNS.length + 1} align="center" sx={{ py: 4 }}>
+                      No projects match these filters.
+                    </TableCell>
+                  </TableRow>
+                )}
                 {projects
-                  .slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage)
                   .map((project) => (
                     <TableRow hover key={project._id}>
                       <TableCell component="th" scope="row">
                         {project.name}
                       </TableCell>
                       <TableCell>
-                        {project.projectType.split('-').map(word => 
-                          word.charAt(0).toUpperCase() + word.slice(1)
-                        ).join(' ')}
+                        {PROJECT_TYPE_LABELS[project.projectType] || project.projectType}
                       </TableCell>
                       <TableCell>
                         {project.location?.country}, {project.location?.region}
                       </TableCell>
                       <TableCell>
-                        {project.targetStandard === 'verra' ? 'Verra (VCS)' : 'Gold Standard'}
+                        {getStandardLabel(project.targetStandard)}
                       </TableCell>
                       <TableCell>
                         {project.estimatedCredits?.toLocaleString() || 'N/A'}
                       </TableCell>
+                      <TableCell>
+                        {project.boundary?.areaHectares != null
+                          ? project.boundary.areaHectares.toLocaleString(undefined, { maximumFractionDigits: 1 })
+                          : '—'}
+                      </TableCell>
                       <TableCell>
                         <Chip
-                          label={project.status.charAt(0).toUpperCase() + project.status.slice(1)}
+                          label={getStatusName(project.status, project.targetStandard)}
                           color={getStatusColor(project.status)}
                           size="small"
                         />
                       </TableCell>
+                      <TableCell>{PROJECT_ROLE_LABELS[project.userRole] || '—'}</TableCell>
                       <TableCell align="right">
                         <Tooltip title="View">
                           <IconButton
@@ -240,32 +270,38 @@ const Projects = () => {
                             <VisibilityIcon fontSize="small" />
                           </IconButton>
                         </Tooltip>
-                        <Tooltip title="Edit">
-                          <IconButton
-                            onClick={() => handleEditProject(project._id)}
-                            size="small"
-                          >
-                            <EditIcon fontSize="small" />
-                          </IconButton>
-                        </Tooltip>
-                        <Tooltip title="Delete">
-                          <IconButton
-                            onClick={() => handleDeleteProject(project._id)}
-                            size="small"
-                            color="error"
-                          >
-                            <DeleteIcon fontSize="small" />
-                          </IconButton>
-                        </Tooltip>
-                        <Tooltip title="Generate Documents">
-                          <IconButton
-                            onClick={() => handleGenerateDocuments(project._id)}
-                            size="small"
-                            color="primary"
-                          >
-                            <AssignmentIcon fontSize="small" />
-                          </IconButton>
-                        </Tooltip>
+                        {canPerform(project.userRole, 'edit') && (
+                          <Tooltip title="Edit">
+                            <IconButton
+                              onClick={() => handleEditProject(project._id)}
+                              size="small"
+                            >
+                              <EditIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {canPerform(project.userRole, 'delete') && (
+                          <Tooltip title="Delete">
+                            <IconButton
+                              onClick={() => handleDeleteProject(project._id)}
+                              size="small"
+                              color="error"
+                            >
+                              <DeleteIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
+                        {canPerform(project.userRole, 'edit') && (
+                          <Tooltip title="Generate Documents">
+                            <IconButton
+                              onClick={() => handleGenerateDocuments(project._id)}
+                              size="small"
+                              color="primary"
+                            >
+                              <AssignmentIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                        )}
                       </TableCell>
                     </TableRow>
                   ))}
@@ -273,11 +309,11 @@ const Projects = () => {
             </Table>
           </TableContainer>
           <TablePagination
-            rowsPerPageOptions={[5, 10, 25]}
+            rowsPerPageOptions={PAGE_SIZES}
             component="div"
-            count={projects.length}
-            rowsPerPage={rowsPerPage}
-            page={page}
+            count={total}
+            rowsPerPage={query.limit}
+            page={query.page - 1}
             onPageChange={handleChangePage}
             onRowsPerPageChange={handleChangeRowsPerPage}
           />
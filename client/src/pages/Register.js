@@ -61,13 +61,7 @@ const Register = () => {
     setIsSubmitting(true);
     
     try {
-      // For development, since the API isn't implemented yet
-      // Simulate successful registration for testing the UI
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // In production, this would call the actual register function
-      // const success = await register(formData);
-      const success = true;
+      const success = await register(formData);
       
       if (success) {
         navigate('/');
@@ -148,6 +142,7 @@ const Register = () => {
               id="organization"
               label="Organization (Optional)"
               name="organization"
+              helperText="Your workspace; you can invite colleagues to it once registered"
               value={formData.organization}
               onChange={handleChange}
               disabled={isSubmitting}
@@ -0,0 +1,490 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Chip,
+  Button,
+  Skeleton,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tooltip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  ToggleButton,
+  ToggleButtonGroup,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  LinearProgress,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import { fetchProject, updateProject } from '../services/projectService';
+import { getErrorMessage } from '../services/api';
+import {
+  SDG_GOAL_NUMBERS,
+  SDG_MONITORING_FREQUENCIES,
+  SDG_MONITORING_FREQUENCY_LABELS,
+  checkSdgContributions,
+  formatSdg,
+} from '../../../shared/sdg';
+import {
+  SAFEGUARDING_PRINCIPLES,
+  SAFEGUARDING_ANSWERS,
+  SAFEGUARDING_ANSWER_LABELS,
+  summarizeSafeguarding,
+} from '../../../shared/safeguarding';
+import { TARGET_STANDARD_LABELS } from '../../../shared/projectSchema';
+import { canPerform } from '../../../shared/permissions';
+
+const emptyContribution = {
+  goal: 13,
+  indicator: '',
+  unit: '',
+  baselineValue: '',
+  targetValue: '',
+  monitoringFrequency: 'annual',
+  description: '',
+};
+
+const toNumberOrNull = value => (value === '' || value === null || value === undefined ? null : Number(value));
+
+const formatNumber = value => (value === null || value === undefined ? '—' : value.toLocaleString());
+
+// Answers keyed by question id, in the shape the questionnaire edits
+const toAnswerMap = safeguarding => Object.fromEntries((safeguarding || []).map(answer => [answer.question, {
+  answer: answer.answer || '',
+  justification: answer.justification || '',
+  mitigation: answer.mitigation || '',
+}]));
+
+const SdgSafeguarding = () => {
+  const navigate = useNavigate();
+  const { projectId } = useParams();
+  const [project, setProject] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyContribution);
+  const [answers, setAnswers] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadProject = async () => {
+      try {
+        const projectData = await fetchProject(projectId);
+        setProject(projectData);
+        setAnswers(toAnswerMap(projectData.safeguarding));
+      } catch (err) {
+        console.error('Error fetching project:', err);
+        setError(getErrorMessage(err, 'Failed to load project.'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadProject();
+  }, [projectId]);
+
+  const canEdit = canPerform(project?.userRole, 'edit');
+  const contributions = useMemo(
+    () => [...(project?.sdgContributions || [])].sort((a, b) => a.goal - b.goal),
+    [project]
+  );
+  const sdgProblems = useMemo(() => checkSdgContributions(contributions), [contributions]);
+
+  const safeguarding = Object.entries(answers).map(([question, answer]) => ({
+    question,
+    answer: answer.answer || undefined,
+    justification: answer.justification,
+    mitigation: answer.answer === 'yes' ? answer.mitigation : '',
+  }));
+  const summary = summarizeSafeguarding(safeguarding);
+  const savedAnswers = JSON.stringify(toAnswerMap(project?.safeguarding));
+  const unsaved = Boolean(project) && JSON.stringify(toAnswerMap(safeguarding)) !== savedAnswers;
+
+  const saveProject = async (updates, message) => {
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const updated = await updateProject(projectId, updates);
+      setProject(updated);
+      setNotice(message);
+      return updated;
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to save.'));
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openCreate = () => {
+    setForm(emptyContribution);
+    setEditing('new');
+  };
+
+  const openEdit = (contribution) => {
+    setForm({
+      goal: contribution.goal,
+      indicator: contribution.indicator,
+      unit: contribution.unit || '',
+      baselineValue: contribution.baselineValue ?? '',
+      targetValue: contribution.targetValue ?? '',
+      monitoringFrequency: contribution.monitoringFrequency || '',
+      description: contribution.description || '',
+    });
+    setEditing(contribution);
+  };
+
+  const handleSaveContribution = async () => {
+    const contribution = {
+      ...form,
+      baselineValue: toNumberOrNull(form.baselineValue),
+      targetValue: toNumberOrNull(form.targetValue),
+      monitoringFrequency: form.monitoringFrequency || undefined,
+    };
+    // Existing contributions keep their ids, which monitoring periods record results against
+    const next = editing === 'new'
+      ? [...contributions, contribution]
+      : contributions.map(c => (c._id === editing._id ? { ...contribution, _id: c._id } : c));
+
+    if (await saveProject({ sdgContributions: next }, `${formatSdg(form.goal)} contribution saved.`)) {
+      setEditing(null);
+    }
+  };
+
+  const handleDeleteContribution = async (contribution) => {
+    if (!window.confirm(`Delete the ${formatSdg(contribution.goal)} contribution? Values recorded for it in monitoring periods are no longer reported.`)) {
+      return;
+    }
+    await saveProject(
+      { sdgContributions: contributions.filter(c => c._id !== contribution._id) },
+      `${formatSdg(contribution.goal)} contribution deleted.`
+    );
+  };
+
+  const setAnswer = (questionId, field, value) => {
+    setAnswers(prev => ({
+      ...prev,
+      [questionId]: { answer: '', justification: '', mitigation: '', ...prev[questionId], [field]: value },
+    }));
+  };
+
+  const handleSaveSafeguarding = async () => {
+    const updated = await saveProject(
+      { safeguarding: safeguarding.filter(answer => answer.answer || answer.justification) },
+      'Safeguarding assessment saved.'
+    );
+    if (updated) {
+      setAnswers(toAnswerMap(updated.safeguarding));
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Skeleton height={50} />
+        <Skeleton variant="rectangular" height={200} sx={{ my: 2 }} />
+      </Box>
+    );
+  }
+
+  if (!project) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Typography color="error">{error || 'Project not found.'}</Typography>
+        <Button variant="contained" onClick={() => navigate('/projects')} sx={{ mt: 2 }}>
+          Back to Projects
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+      {notice && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>{notice}</Alert>
+      )}
+
+      <Box sx={{ mb: 3 }}>
+        <Button startIcon={<ArrowBackIcon />} onClick={() => navigate(`/projects/${projectId}`)} sx={{ mb: 1 }}>
+          {project.name}
+        </Button>
+        <Typography variant="h4">SDG Contributions &amp; Safeguarding</Typography>
+        {project.targetStandard !== 'gold-standard' && (
+          <Typography variant="body2" color="text.secondary">
+            Gold Standard requires this assessment; {TARGET_STANDARD_LABELS[project.targetStandard]} documents do not include it.
+          </Typography>
+        )}
+      </Box>
+
+      <Paper sx={{ p: 3, mb: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h6">SDG Contributions</Typography>
+          {canEdit && (
+            <Button startIcon={<AddIcon />} onClick={openCreate} disabled={saving}>
+              Add Contribution
+            </Button>
+          )}
+        </Box>
+
+        {sdgProblems.length > 0 && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            <Box component="ul" sx={{ m: 0, pl: 2 }}>
+              {sdgProblems.map(problem => <li key={problem}>{problem}</li>)}
+            </Box>
+          </Alert>
+        )}
+
+        {contributions.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            No SDG contributions yet. Add each goal the project contributes to with the indicator it is monitored by.
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>SDG</TableCell>
+                <TableCell>Indicator</TableCell>
+                <TableCell align="right">Baseline</TableCell>
+                <TableCell align="right">Target</TableCell>
+                <TableCell>Monitoring</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {contributions.map(contribution => (
+                <TableRow key={contribution._id}>
+                  <TableCell>{formatSdg(contribution.goal)}</TableCell>
+                  <TableCell>
+                    {contribution.indicator}{contribution.unit && ` (${contribution.unit})`}
+                    {contribution.description && (
+                      <Typography variant="body2" color="text.secondary">{contribution.description}</Typography>
+                    )}
+                  </TableCell>
+                  <TableCell align="right">{formatNumber(contribution.baselineValue)}</TableCell>
+                  <TableCell align="right">{formatNumber(contribution.targetValue)}</TableCell>
+                  <TableCell>{SDG_MONITORING_FREQUENCY_LABELS[contribution.monitoringFrequency] || '—'}</TableCell>
+                  <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                    {canEdit && (
+                      <>
+                        <Tooltip title="Edit">
+                          <IconButton size="small" onClick={() => openEdit(contribution)} disabled={saving}>
+                            <EditIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Delete">
+                          <IconButton size="small" onClick={() => handleDeleteContribution(contribution)} disabled={saving}>
+                            <DeleteIcon fontSize="small" />
+                          </IconButton>
+                        </Tooltip>
+                      </>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Paper>
+
+      <Paper sx={{ p: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+          <Typography variant="h6">Safeguarding Principles</Typography>
+          {canEdit && (
+            <Button variant="contained" onClick={handleSaveSafeguarding} disabled={saving || !unsaved}>
+              {saving ? 'Saving...' : 'Save Assessment'}
+            </Button>
+          )}
+        </Box>
+        <Typography variant="body2" color="text.secondary">
+          {summary.answered} of {summary.total} questions answered · {summary.risks} risk{summary.risks === 1 ? '' : 's'} identified
+          {summary.unmitigated.length > 0 && ` · ${summary.unmitigated.length} without a mitigation action`}
+        </Typography>
+        <LinearProgress variant="determinate" value={(summary.answered / summary.total) * 100} sx={{ my: 2 }} />
+
+        {SAFEGUARDING_PRINCIPLES.map((principle) => {
+          const risks = principle.questions.filter(question => answers[question.id]?.answer === 'yes').length;
+          const answered = principle.questions.filter(question => answers[question.id]?.answer).length;
+          return (
+            <Accordion key={principle.id} disableGutters>
+              <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                <Typography sx={{ flexGrow: 1 }}>{principle.title}</Typography>
+                {risks > 0 && <Chip size="small" color="warning" label={`${risks} risk${risks === 1 ? '' : 's'}`} sx={{ mr: 1 }} />}
+                <Chip
+                  size="small"
+                  variant="outlined"
+                  color={answered === principle.questions.length ? 'success' : 'default'}
+                  label={`${answered}/${principle.questions.length}`}
+                  sx={{ mr: 1 }}
+                />
+              </AccordionSummary>
+              <AccordionDetails>
+                {principle.questions.map((question) => {
+                  const answer = answers[question.id] || {};
+                  return (
+                    <Box key={question.id} sx={{ mb: 3 }}>
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, mb: 1 }}>
+                        <Typography variant="body2">{question.text}</Typography>
+                        <ToggleButtonGroup
+                          size="small"
+                          exclusive
+                          value={answer.answer || null}
+                          onChange={(e, value) => setAnswer(question.id, 'answer', value || '')}
+                          disabled={!canEdit || saving}
+                        >
+                          {SAFEGUARDING_ANSWERS.map(value => (
+                            <ToggleButton key={value} value={value} color={value === 'yes' ? 'warning' : 'success'}>
+                              {SAFEGUARDING_ANSWER_LABELS[value]}
+                            </ToggleButton>
+                          ))}
+                        </ToggleButtonGroup>
+                      </Box>
+                      <Grid container spacing={2}>
+                        <Grid item xs={12} md={answer.answer === 'yes' ? 6 : 12}>
+                          <TextField
+                            fullWidth
+                            multiline
+                            size="small"
+                            label="Justification"
+                            value={answer.justification || ''}
+                            onChange={e => setAnswer(question.id, 'justification', e.target.value)}
+                            disabled={!canEdit || saving}
+                          />
+                        </Grid>
+                        {answer.answer === 'yes' && (
+                          <Grid item xs={12} md={6}>
+                            <TextField
+                              fullWidth
+                              multiline
+                              size="small"
+                              label="Mitigation action"
+                              value={answer.mitigation || ''}
+                              onChange={e => setAnswer(question.id, 'mitigation', e.target.value)}
+                              error={!answer.mitigation?.trim()}
+                              helperText={!answer.mitigation?.trim() ? 'Identified risks need a mitigation action.' : ' '}
+                              disabled={!canEdit || saving}
+                            />
+                          </Grid>
+                        )}
+                      </Grid>
+                    </Box>
+                  );
+                })}
+              </AccordionDetails>
+            </Accordion>
+          );
+        })}
+      </Paper>
+
+      <Dialog open={Boolean(editing)} onClose={() => setEditing(null)} fullWidth maxWidth="sm">
+        <DialogTitle>{editing === 'new' ? 'Add SDG Contribution' : 'Edit SDG Contribution'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12}>
+              <TextField
+                select
+                fullWidth
+                label="Goal"
+                value={form.goal}
+                onChange={e => setForm({ ...form, goal: Number(e.target.value) })}
+              >
+                {SDG_GOAL_NUMBERS.map(goal => (
+                  <MenuItem key={goal} value={goal}>{formatSdg(goal)}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} md={8}>
+              <TextField
+                fullWidth
+                required
+                label="Indicator"
+                value={form.indicator}
+                onChange={e => setForm({ ...form, indicator: e.target.value })}
+                helperText="e.g. Households using improved cookstoves"
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                label="Unit"
+                value={form.unit}
+                onChange={e => setForm({ ...form, unit: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Baseline value"
+                value={form.baselineValue}
+                onChange={e => setForm({ ...form, baselineValue: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                fullWidth
+                type="number"
+                label="Target value"
+                value={form.targetValue}
+                onChange={e => setForm({ ...form, targetValue: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} md={4}>
+              <TextField
+                select
+                fullWidth
+                label="Monitoring frequency"
+                value={form.monitoringFrequency}
+                onChange={e => setForm({ ...form, monitoringFrequency: e.target.value })}
+              >
+                {SDG_MONITORING_FREQUENCIES.map(frequency => (
+                  <MenuItem key={frequency} value={frequency}>{SDG_MONITORING_FREQUENCY_LABELS[frequency]}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                multiline
+                minRows={2}
+                label="How the project contributes"
+                value={form.description}
+                onChange={e => setForm({ ...form, description: e.target.value })}
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveContribution} disabled={saving || !form.indicator.trim()}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default SdgSafeguarding;
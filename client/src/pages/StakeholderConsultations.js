@@ -0,0 +1,869 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Chip,
+  Button,
+  Skeleton,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tooltip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Accordion,
+  AccordionSummary,
+  AccordionDetails,
+  FormControlLabel,
+  Checkbox,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import DownloadIcon from '@mui/icons-material/Download';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import { fetchProject } from '../services/projectService';
+import {
+  fetchConsultations,
+  createConsultation,
+  updateConsultation,
+  deleteConsultation,
+  importAttendees,
+  uploadConsultationFile,
+  addConsultationComment,
+  updateConsultationComment,
+  deleteConsultationComment,
+} from '../services/consultationService';
+import { downloadDocument, deleteDocument } from '../services/documentService';
+import { getErrorMessage } from '../services/api';
+import { sha256File } from '../utils/checksum';
+import { downloadBlob } from '../utils/download';
+import { formatDate } from '../utils/format';
+import {
+  CONSULTATION_FORMATS,
+  CONSULTATION_FORMAT_LABELS,
+  STAKEHOLDER_GROUPS,
+  STAKEHOLDER_GROUP_LABELS,
+  ATTENDEE_GENDERS,
+  ATTENDEE_GENDER_LABELS,
+  isCommentAnswered,
+  summarizeConsultations,
+} from '../../../shared/consultations';
+import { MAX_UPLOAD_BYTES, UPLOAD_ACCEPT, resolveUploadType } from '../../../shared/documentTypes';
+import { canPerform } from '../../../shared/permissions';
+
+const emptyEvent = {
+  title: '',
+  date: '',
+  location: '',
+  format: 'meeting',
+  description: '',
+};
+
+const emptyAttendee = {
+  name: '',
+  organization: '',
+  stakeholderGroup: '',
+  gender: '',
+  contact: '',
+};
+
+const emptyComment = {
+  stakeholder: '',
+  stakeholderGroup: '',
+  comment: '',
+  response: '',
+  action: '',
+};
+
+const StakeholderConsultations = () => {
+  const navigate = useNavigate();
+  const { projectId } = useParams();
+  const [project, setProject] = useState(null);
+  const [consultations, setConsultations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [editingEvent, setEditingEvent] = useState(null);
+  const [eventForm, setEventForm] = useState(emptyEvent);
+  const [attendeeTarget, setAttendeeTarget] = useState(null);
+  const [attendeeForm, setAttendeeForm] = useState(emptyAttendee);
+  const [importTarget, setImportTarget] = useState(null);
+  const [importFile, setImportFile] = useState(null);
+  const [importReplace, setImportReplace] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [editingComment, setEditingComment] = useState(null);
+  const [commentForm, setCommentForm] = useState(emptyComment);
+
+  useEffect(() => {
+    const loadConsultations = async () => {
+      try {
+        const [projectData, consultationData] = await Promise.all([
+          fetchProject(projectId),
+          fetchConsultations(projectId),
+        ]);
+        setProject(projectData);
+        setConsultations(consultationData);
+      } catch (err) {
+        console.error('Error fetching consultations:', err);
+        setError(getErrorMessage(err, 'Failed to load stakeholder consultations.'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadConsultations();
+  }, [projectId]);
+
+  const canEdit = canPerform(project?.userRole, 'edit');
+  const sorted = useMemo(
+    () => [...consultations].sort((a, b) => new Date(a.date) - new Date(b.date)),
+    [consultations]
+  );
+  const totals = summarizeConsultations(consultations);
+  const uploading = uploadProgress !== null;
+
+  const replaceConsultation = (updated) => {
+    setConsultations(prev => prev.map(c => (c._id === updated._id ? updated : c)));
+  };
+
+  // Runs a request that returns the updated consultation
+  const save = async (request, message) => {
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const updated = await request();
+      replaceConsultation(updated);
+      setNotice(message);
+      return updated;
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to save.'));
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openCreateEvent = () => {
+    setEventForm({ ...emptyEvent, date: new Date().toISOString().slice(0, 10) });
+    setEditingEvent('new');
+  };
+
+  const openEditEvent = (consultation) => {
+    setEventForm({
+      title: consultation.title,
+      date: consultation.date.slice(0, 10),
+      location: consultation.location || '',
+      format: consultation.format || 'meeting',
+      description: consultation.description || '',
+    });
+    setEditingEvent(consultation);
+  };
+
+  const handleSaveEvent = async () => {
+    if (editingEvent !== 'new') {
+      if (await save(() => updateConsultation(projectId, editingEvent._id, eventForm), `${eventForm.title} saved.`)) {
+        setEditingEvent(null);
+      }
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const created = await createConsultation(projectId, eventForm);
+      setConsultations(prev => [...prev, created]);
+      setExpanded(created._id);
+      setNotice(`${created.title} added.`);
+      setEditingEvent(null);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to add the consultation event.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteEvent = async (consultation) => {
+    if (!window.confirm(`Delete ${consultation.title}? Its attendees, comments and ${consultation.files.length} uploaded file(s) are deleted with it.`)) {
+      return;
+    }
+    try {
+      await deleteConsultation(projectId, consultation._id);
+      setConsultations(prev => prev.filter(c => c._id !== consultation._id));
+      setNotice(`${consultation.title} deleted.`);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to delete the consultation event.'));
+    }
+  };
+
+  const openAddAttendee = (consultation) => {
+    setAttendeeForm(emptyAttendee);
+    setAttendeeTarget(consultation);
+  };
+
+  const handleSaveAttendee = async () => {
+    const updated = await save(
+      () => updateConsultation(projectId, attendeeTarget._id, { attendees: [...attendeeTarget.attendees, attendeeForm] }),
+      `${attendeeForm.name} added to ${attendeeTarget.title}.`
+    );
+    if (updated) {
+      setAttendeeTarget(null);
+    }
+  };
+
+  const handleRemoveAttendee = async (consultation, index) => {
+    const attendee = consultation.attendees[index];
+    if (!window.confirm(`Remove ${attendee.name} from the attendee list?`)) {
+      return;
+    }
+    await save(
+      () => updateConsultation(projectId, consultation._id, { attendees: consultation.attendees.filter((a, i) => i !== index) }),
+      `${attendee.name} removed.`
+    );
+  };
+
+  const openImport = (consultation) => {
+    setImportFile(null);
+    setImportReplace(false);
+    setImportTarget(consultation);
+  };
+
+  const closeImport = () => {
+    if (uploading) return;
+    setImportTarget(null);
+  };
+
+  const handleImportFileChange = (e) => {
+    const selected = e.target.files[0];
+    setError(null);
+    if (!selected) return;
+
+    if (!['csv', 'xlsx'].includes(resolveUploadType(selected.name, selected.type))) {
+      setError('Attendance lists must be a CSV or XLSX file.');
+      return;
+    }
+    setImportFile(selected);
+  };
+
+  const handleImport = async () => {
+    setError(null);
+    setNotice(null);
+    setUploadProgress(0);
+    try {
+      const checksum = await sha256File(importFile);
+      const result = await importAttendees(projectId, importTarget._id, importFile, { checksum, replace: importReplace }, setUploadProgress);
+      replaceConsultation(result.consultation);
+      setNotice([
+        `${result.imported} attendee${result.imported === 1 ? '' : 's'} imported.`,
+        ...result.warnings,
+      ].join(' '));
+      setImportTarget(null);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Import failed. Please try again.'));
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  const handleUploadFile = async (consultation, e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    setNotice(null);
+    if (!resolveUploadType(file.name, file.type)) {
+      setError('Unsupported file type. Upload a PDF, DOCX, XLSX, CSV, TXT, PNG or JPEG file.');
+      return;
+    }
+    if (file.size > MAX_UPLOAD_BYTES) {
+      setError(`File exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB limit.`);
+      return;
+    }
+
+    setUploadProgress(0);
+    try {
+      const checksum = await sha256File(file);
+      replaceConsultation(await uploadConsultationFile(projectId, consultation._id, file, { checksum }, setUploadProgress));
+      setNotice(`${file.name} uploaded.`);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Upload failed. Please try again.'));
+    } finally {
+      setUploadProgress(null);
+    }
+  };
+
+  const handleDownloadFile = async (file) => {
+    try {
+      downloadBlob(await downloadDocument(projectId, file._id), file.name);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to download file.'));
+    }
+  };
+
+  const handleDeleteFile = async (consultation, file) => {
+    if (!window.confirm(`Delete ${file.name}?`)) {
+      return;
+    }
+    try {
+      await deleteDocument(projectId, file._id);
+      replaceConsultation({ ...consultation, files: consultation.files.filter(f => f._id !== file._id) });
+      setNotice(`${file.name} deleted.`);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to delete file.'));
+    }
+  };
+
+  const openAddComment = (consultation) => {
+    setCommentForm(emptyComment);
+    setEditingComment({ consultation, comment: 'new' });
+  };
+
+  const openEditComment = (consultation, comment) => {
+    setCommentForm({
+      stakeholder: comment.stakeholder || '',
+      stakeholderGroup: comment.stakeholderGroup || '',
+      comment: comment.comment,
+      response: comment.response || '',
+      action: comment.action || '',
+    });
+    setEditingComment({ consultation, comment });
+  };
+
+  const handleSaveComment = async () => {
+    const { consultation, comment } = editingComment;
+    const updated = await save(
+      () => (comment === 'new'
+        ? addConsultationComment(projectId, consultation._id, commentForm)
+        : updateConsultationComment(projectId, consultation._id, comment._id, commentForm)),
+      'Comment saved.'
+    );
+    if (updated) {
+      setEditingComment(null);
+    }
+  };
+
+  const handleDeleteComment = async (consultation, comment) => {
+    if (!window.confirm('Delete this comment and its response?')) {
+      return;
+    }
+    await save(() => deleteConsultationComment(projectId, consultation._id, comment._id), 'Comment deleted.');
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Skeleton height={50} />
+        <Skeleton variant="rectangular" height={200} sx={{ my: 2 }} />
+      </Box>
+    );
+  }
+
+  if (!project) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Typography color="error">{error || 'Project not found.'}</Typography>
+        <Button variant="contained" onClick={() => navigate('/projects')} sx={{ mt: 2 }}>
+          Back to Projects
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>{error}</Alert>
+      )}
+      {notice && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setNotice(null)}>{notice}</Alert>
+      )}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end', mb: 3 }}>
+        <Box>
+          <Button startIcon={<ArrowBackIcon />} onClick={() => navigate(`/projects/${projectId}`)} sx={{ mb: 1 }}>
+            {project.name}
+          </Button>
+          <Typography variant="h4">Stakeholder Consultation</Typography>
+          <Typography variant="body2" color="text.secondary">
+            {totals.events} event{totals.events === 1 ? '' : 's'} · {totals.attendees} attendee{totals.attendees === 1 ? '' : 's'} ({totals.female} female)
+            · {totals.answered} of {totals.comments} comment{totals.comments === 1 ? '' : 's'} answered
+          </Typography>
+        </Box>
+        {canEdit && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openCreateEvent} disabled={saving}>
+            Add Event
+          </Button>
+        )}
+      </Box>
+
+      {uploading && <LinearProgress variant="determinate" value={uploadProgress} sx={{ mb: 2 }} />}
+
+      {sorted.length === 0 ? (
+        <Paper sx={{ p: 3 }}>
+          <Typography variant="body2" color="text.secondary">
+            No consultation events yet. Log each meeting held with local stakeholders, with its attendees,
+            minutes and photos, and the comments raised.
+          </Typography>
+        </Paper>
+      ) : sorted.map((consultation) => {
+        const unanswered = consultation.comments.filter(comment => !isCommentAnswered(comment)).length;
+        const female = consultation.attendees.filter(attendee => attendee.gender === 'female').length;
+        return (
+          <Accordion
+            key={consultation._id}
+            expanded={expanded === consultation._id}
+            onChange={(e, isExpanded) => setExpanded(isExpanded ? consultation._id : null)}
+          >
+            <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+              <Box sx={{ flexGrow: 1 }}>
+                <Typography>{consultation.title}</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  {formatDate(consultation.date)} · {CONSULTATION_FORMAT_LABELS[consultation.format]}
+                  {consultation.location && ` · ${consultation.location}`}
+                </Typography>
+              </Box>
+              <Chip size="small" variant="outlined" label={`${consultation.attendees.length} attendees (${female} female)`} sx={{ mr: 1 }} />
+              {unanswered > 0 && (
+                <Chip size="small" color="warning" label={`${unanswered} without response`} sx={{ mr: 1 }} />
+              )}
+            </AccordionSummary>
+            <AccordionDetails>
+              {consultation.description && (
+                <Typography variant="body2" sx={{ mb: 2, whiteSpace: 'pre-wrap' }}>{consultation.description}</Typography>
+              )}
+              {canEdit && (
+                <Box sx={{ mb: 2 }}>
+                  <Button size="small" startIcon={<EditIcon />} onClick={() => openEditEvent(consultation)} disabled={saving}>
+                    Edit Event
+                  </Button>
+                  <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={() => handleDeleteEvent(consultation)} disabled={saving}>
+                    Delete Event
+                  </Button>
+                </Box>
+              )}
+
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                <Typography variant="subtitle1">Attendees</Typography>
+                {canEdit && (
+                  <Box>
+                    <Button size="small" startIcon={<UploadFileIcon />} onClick={() => openImport(consultation)} disabled={saving || uploading}>
+                      Import List
+                    </Button>
+                    <Button size="small" startIcon={<AddIcon />} onClick={() => openAddAttendee(consultation)} disabled={saving}>
+                      Add Attendee
+                    </Button>
+                  </Box>
+                )}
+              </Box>
+              {consultation.attendees.length === 0 ? (
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  No attendees recorded. Import the attendance sheet as a CSV or XLSX file.
+                </Typography>
+              ) : (
+                <Table size="small" sx={{ mb: 2 }}>
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Name</TableCell>
+                      <TableCell>Organization</TableCell>
+                      <TableCell>Stakeholder group</TableCell>
+                      <TableCell>Gender</TableCell>
+                      <TableCell>Contact</TableCell>
+                      <TableCell />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {consultation.attendees.map((attendee, index) => (
+                      <TableRow key={`${attendee.name}-${index}`}>
+                        <TableCell>{attendee.name}</TableCell>
+                        <TableCell>{attendee.organization || '—'}</TableCell>
+                        <TableCell>{STAKEHOLDER_GROUP_LABELS[attendee.stakeholderGroup] || '—'}</TableCell>
+                        <TableCell>{ATTENDEE_GENDER_LABELS[attendee.gender] || '—'}</TableCell>
+                        <TableCell>{attendee.contact || '—'}</TableCell>
+                        <TableCell align="right">
+                          {canEdit && (
+                            <Tooltip title="Remove">
+                              <IconButton size="small" onClick={() => handleRemoveAttendee(consultation, index)} disabled={saving}>
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                <Typography variant="subtitle1">Minutes &amp; Photos</Typography>
+                {canEdit && (
+                  <Button component="label" size="small" startIcon={<UploadFileIcon />} disabled={uploading}>
+                    Upload File
+                    <input type="file" hidden accept={UPLOAD_ACCEPT} onChange={e => handleUploadFile(consultation, e)} />
+                  </Button>
+                )}
+              </Box>
+              {consultation.files.length === 0 ? (
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                  No minutes, photos or attendance sheets uploaded.
+                </Typography>
+              ) : (
+                <List dense sx={{ mb: 2 }}>
+                  {consultation.files.map(file => (
+                    <ListItem
+                      key={file._id}
+                      secondaryAction={(
+                        <>
+                          <Tooltip title="Download">
+                            <IconButton size="small" onClick={() => handleDownloadFile(file)}>
+                              <DownloadIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          {canEdit && (
+                            <Tooltip title="Delete">
+                              <IconButton size="small" onClick={() => handleDeleteFile(consultation, file)}>
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                        </>
+                      )}
+                    >
+                      <ListItemText primary={file.name} secondary={file.description || formatDate(file.createdAt)} />
+                    </ListItem>
+                  ))}
+                </List>
+              )}
+
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                <Typography variant="subtitle1">Comments &amp; Responses</Typography>
+                {canEdit && (
+                  <Button size="small" startIcon={<AddIcon />} onClick={() => openAddComment(consultation)} disabled={saving}>
+                    Add Comment
+                  </Button>
+                )}
+              </Box>
+              {consultation.comments.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No comments recorded for this event.
+                </Typography>
+              ) : (
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Stakeholder</TableCell>
+                      <TableCell>Comment</TableCell>
+                      <TableCell>Response</TableCell>
+                      <TableCell>Action taken</TableCell>
+                      <TableCell />
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {consultation.comments.map(comment => (
+                      <TableRow key={comment._id}>
+                        <TableCell>
+                          {comment.stakeholder || 'Not named'}
+                          {comment.stakeholderGroup && (
+                            <Typography variant="body2" color="text.secondary">
+                              {STAKEHOLDER_GROUP_LABELS[comment.stakeholderGroup]}
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell sx={{ whiteSpace: 'pre-wrap' }}>{comment.comment}</TableCell>
+                        <TableCell sx={{ whiteSpace: 'pre-wrap' }}>
+                          {isCommentAnswered(comment)
+                            ? comment.response
+                            : <Chip size="small" color="warning" label="No response" />}
+                        </TableCell>
+                        <TableCell sx={{ whiteSpace: 'pre-wrap' }}>{comment.action || '—'}</TableCell>
+                        <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                          {canEdit && (
+                            <>
+                              <Tooltip title="Edit">
+                                <IconButton size="small" onClick={() => openEditComment(consultation, comment)} disabled={saving}>
+                                  <EditIcon fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
+                              <Tooltip title="Delete">
+                                <IconButton size="small" onClick={() => handleDeleteComment(consultation, comment)} disabled={saving}>
+                                  <DeleteIcon fontSize="small" />
+                                </IconButton>
+                              </Tooltip>
+                            </>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </AccordionDetails>
+          </Accordion>
+        );
+      })}
+
+      <Dialog open={Boolean(editingEvent)} onClose={() => setEditingEvent(null)} fullWidth maxWidth="sm">
+        <DialogTitle>{editingEvent === 'new' ? 'Add Consultation Event' : 'Edit Consultation Event'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                required
+                label="Title"
+                value={eventForm.title}
+                onChange={e => setEventForm({ ...eventForm, title: e.target.value })}
+                placeholder="e.g. Initial stakeholder consultation meeting"
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                required
+                type="date"
+                label="Date"
+                value={eventForm.date}
+                onChange={e => setEventForm({ ...eventForm, date: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                select
+                fullWidth
+                label="Format"
+                value={eventForm.format}
+                onChange={e => setEventForm({ ...eventForm, format: e.target.value })}
+              >
+                {CONSULTATION_FORMATS.map(format => (
+                  <MenuItem key={format} value={format}>{CONSULTATION_FORMAT_LABELS[format]}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Location"
+                value={eventForm.location}
+                onChange={e => setEventForm({ ...eventForm, location: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                multiline
+                minRows={3}
+                label="Description"
+                value={eventForm.description}
+                onChange={e => setEventForm({ ...eventForm, description: e.target.value })}
+                helperText="How the event was announced, and what was presented and discussed."
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditingEvent(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSaveEvent}
+            disabled={saving || !eventForm.title.trim() || !eventForm.date}
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(attendeeTarget)} onClose={() => setAttendeeTarget(null)} fullWidth maxWidth="sm">
+        <DialogTitle>Add Attendee{attendeeTarget ? ` – ${attendeeTarget.title}` : ''}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                required
+                label="Name"
+                value={attendeeForm.name}
+                onChange={e => setAttendeeForm({ ...attendeeForm, name: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                label="Organization or community"
+                value={attendeeForm.organization}
+                onChange={e => setAttendeeForm({ ...attendeeForm, organization: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                select
+                fullWidth
+                label="Stakeholder group"
+                value={attendeeForm.stakeholderGroup}
+                onChange={e => setAttendeeForm({ ...attendeeForm, stakeholderGroup: e.target.value })}
+              >
+                <MenuItem value="">Not recorded</MenuItem>
+                {STAKEHOLDER_GROUPS.map(group => (
+                  <MenuItem key={group} value={group}>{STAKEHOLDER_GROUP_LABELS[group]}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                select
+                fullWidth
+                label="Gender"
+                value={attendeeForm.gender}
+                onChange={e => setAttendeeForm({ ...attendeeForm, gender: e.target.value })}
+              >
+                <MenuItem value="">Not recorded</MenuItem>
+                {ATTENDEE_GENDERS.map(gender => (
+                  <MenuItem key={gender} value={gender}>{ATTENDEE_GENDER_LABELS[gender]}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                label="Contact"
+                value={attendeeForm.contact}
+                onChange={e => setAttendeeForm({ ...attendeeForm, contact: e.target.value })}
+                helperText="Phone or email for follow-up; not included in generated documents."
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setAttendeeTarget(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveAttendee} disabled={saving || !attendeeForm.name.trim()}>
+            {saving ? 'Saving...' : 'Add'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(importTarget)} onClose={closeImport} fullWidth maxWidth="sm">
+        <DialogTitle>Import Attendees{importTarget ? ` – ${importTarget.title}` : ''}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary">
+            One row per attendee with a header row. Columns named Name, Organization, Stakeholder group,
+            Gender and Contact are recognised; the file is kept with the event as evidence.
+          </Typography>
+          <Button component="label" variant="outlined" startIcon={<UploadFileIcon />} disabled={uploading} sx={{ mt: 2 }}>
+            Choose File
+            <input type="file" hidden accept=".csv,.xlsx" onChange={handleImportFileChange} />
+          </Button>
+          {importFile && (
+            <Typography variant="body2" sx={{ mt: 1 }}>
+              {importFile.name} ({(importFile.size / 1024).toFixed(0)} KB)
+            </Typography>
+          )}
+          {importTarget?.attendees.length > 0 && (
+            <FormControlLabel
+              sx={{ display: 'block', mt: 1 }}
+              control={<Checkbox checked={importReplace} onChange={e => setImportReplace(e.target.checked)} disabled={uploading} />}
+              label={`Replace the ${importTarget.attendees.length} attendees already recorded`}
+            />
+          )}
+          {uploading && <LinearProgress variant="determinate" value={uploadProgress} sx={{ mt: 2 }} />}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeImport} disabled={uploading}>Cancel</Button>
+          <Button variant="contained" onClick={handleImport} disabled={!importFile || uploading}>
+            {uploading ? 'Importing...' : 'Import'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={Boolean(editingComment)} onClose={() => setEditingComment(null)} fullWidth maxWidth="sm">
+        <DialogTitle>{editingComment?.comment === 'new' ? 'Add Stakeholder Comment' : 'Edit Stakeholder Comment'}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2} sx={{ mt: 0 }}>
+            <Grid item xs={12} md={6}>
+              <TextField
+                fullWidth
+                label="Stakeholder"
+                value={commentForm.stakeholder}
+                onChange={e => setCommentForm({ ...commentForm, stakeholder: e.target.value })}
+                helperText="Leave blank for anonymous comments."
+              />
+            </Grid>
+            <Grid item xs={12} md={6}>
+              <TextField
+                select
+                fullWidth
+                label="Stakeholder group"
+                value={commentForm.stakeholderGroup}
+                onChange={e => setCommentForm({ ...commentForm, stakeholderGroup: e.target.value })}
+              >
+                <MenuItem value="">Not recorded</MenuItem>
+                {STAKEHOLDER_GROUPS.map(group => (
+                  <MenuItem key={group} value={group}>{STAKEHOLDER_GROUP_LABELS[group]}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                required
+                multiline
+                minRows={2}
+                label="Comment"
+                value={commentForm.comment}
+                onChange={e => setCommentForm({ ...commentForm, comment: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                multiline
+                minRows={2}
+                label="Project developer response"
+                value={commentForm.response}
+                onChange={e => setCommentForm({ ...commentForm, response: e.target.value })}
+              />
+            </Grid>
+            <Grid item xs={12}>
+              <TextField
+                fullWidth
+                multiline
+                label="Action taken"
+                value={commentForm.action}
+                onChange={e => setCommentForm({ ...commentForm, action: e.target.value })}
+                helperText="Any change made to the project design or operation because of the comment."
+              />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditingComment(null)}>Cancel</Button>
+          <Button variant="contained" onClick={handleSaveComment} disabled={saving || !commentForm.comment.trim()}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default StakeholderConsultations;
@@ -0,0 +1,551 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import {
+  Box,
+  Typography,
+  Paper,
+  Grid,
+  Chip,
+  Button,
+  Skeleton,
+  Alert,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Tooltip,
+  IconButton,
+  Collapse,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Autocomplete,
+  ToggleButton,
+  ToggleButtonGroup,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ExpandMoreIcon from '@mui/icons-material/ExpandMore';
+import ExpandLessIcon from '@mui/icons-material/ExpandLess';
+import { fetchProject } from '../services/projectService';
+import { fetchProjectDocuments } from '../services/documentService';
+import {
+  fetchFindings,
+  createFinding,
+  updateFinding,
+  addFindingMessage,
+  deleteFinding,
+} from '../services/findingService';
+import { getErrorMessage } from '../services/api';
+import { formatDate, formatDateTime } from '../utils/format';
+import {
+  FINDING_TYPES,
+  FINDING_TYPE_LABELS,
+  FINDING_STATUSES,
+  FINDING_STATUS_LABELS,
+  isFindingOverdue,
+  formatFindingReference,
+  canCloseFinding,
+} from '../../../shared/findings';
+import { canPerform } from '../../../shared/permissions';
+
+const FINDING_STATUS_COLORS = {
+  open: 'warning',
+  responded: 'info',
+  closed: 'success',
+};
+
+const emptyFinding = {
+  type: 'CAR',
+  title: '',
+  description: '',
+  raisedBy: '',
+  documentId: '',
+  section: '',
+  dueDate: '',
+};
+
+const toDateInput = value => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const VerificationFindings = () => {
+  const navigate = useNavigate();
+  const { projectId } = useParams();
+  const [project, setProject] = useState(null);
+  const [findings, setFindings] = useState([]);
+  const [sections, setSections] = useState({});
+  const [documents, setDocuments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('unresolved');
+  const [expanded, setExpanded] = useState(null);
+  const [message, setMessage] = useState('');
+  const [sending, setSending] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyFinding);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadFindings = async () => {
+      try {
+        const [projectData, findingData, documentData] = await Promise.all([
+          fetchProject(projectId),
+          fetchFindings(projectId),
+          fetchProjectDocuments(projectId),
+        ]);
+        setProject(projectData);
+        setFindings(findingData.findings);
+        setSections(findingData.sections);
+        setDocuments(documentData);
+      } catch (err) {
+        console.error('Error fetching findings:', err);
+        setError(getErrorMessage(err, 'Failed to load verification findings.'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadFindings();
+  }, [projectId]);
+
+  const canEdit = canPerform(project?.userRole, 'edit');
+  const canManageFindings = canPerform(project?.userRole, 'manageFindings');
+
+  const counts = useMemo(() => ({
+    ...Object.fromEntries(FINDING_STATUSES.map(status => [status, findings.filter(f => f.status === status).length])),
+    overdue: findings.filter(f => isFindingOverdue(f)).length,
+  }), [findings]);
+
+  const visibleFindings = findings.filter((finding) => {
+    if (statusFilter === 'all') return true;
+    if (statusFilter === 'unresolved') return finding.status !== 'closed';
+    return finding.status === statusFilter;
+  });
+
+  // Sections of the selected document when it is one the generator produces, otherwise of every generated document
+  const selectedDocument = documents.find(doc => doc._id === form.documentId);
+  const sectionOptions = selectedDocument
+    ? sections[selectedDocument.documentType] || []
+    : [...new Set(Object.values(sections).flat())];
+
+  const replaceFinding = updated => setFindings(prev => prev.map(f => (f._id === updated._id ? updated : f)));
+
+  const openCreate = () => {
+    setForm(emptyFinding);
+    setEditing('new');
+  };
+
+  const openEdit = (finding) => {
+    setForm({
+      type: finding.type,
+      title: finding.title,
+      description: finding.description || '',
+      raisedBy: finding.raisedBy || '',
+      documentId: finding.documentId || '',
+      section: finding.section || '',
+      dueDate: toDateInput(finding.dueDate),
+    });
+    setEditing(finding);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const fields = { ...form, documentId: form.documentId || null, dueDate: form.dueDate || null };
+      if (editing === 'new') {
+        const finding = await createFinding(projectId, fields);
+        setFindings(prev => [finding, ...prev]);
+        setExpanded(finding._id);
+      } else {
+        replaceFinding(await updateFinding(projectId, editing._id, fields));
+      }
+      setEditing(null);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to save finding.'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (finding) => {
+    if (!window.confirm(`Delete ${formatFindingReference(finding)} and its responses?`)) {
+      return;
+    }
+
+    try {
+      await deleteFinding(projectId, finding._id);
+      setFindings(prev => prev.filter(f => f._id !== finding._id));
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to delete finding.'));
+    }
+  };
+
+  const handleToggle = (finding) => {
+    setMessage('');
+    setExpanded(expanded === finding._id ? null : finding._id);
+  };
+
+  const handleMessage = async (finding, status) => {
+    setSending(true);
+    try {
+      replaceFinding(await addFindingMessage(projectId, finding._id, { body: message, status }));
+      setMessage('');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to post message.'));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const renderDetail = finding => (
+    <Box sx={{ py: 2 }}>
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={5}>
+          <Typography variant="subtitle2">{FINDING_TYPE_LABELS[finding.type]}</Typography>
+          <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', mb: 2 }}>
+            {finding.description || 'No description.'}
+          </Typography>
+          <Typography variant="caption" display="block">
+            Raised {finding.raisedBy ? `by ${finding.raisedBy} ` : ''}on {formatDate(finding.createdAt)}
+            {finding.createdBy && ` · logged by ${finding.createdBy.name}`}
+          </Typography>
+          {finding.closedAt && (
+            <Typography variant="caption" display="block">
+              Closed on {formatDate(finding.closedAt)}{finding.closedBy && ` by ${finding.closedBy.name}`}
+            </Typography>
+          )}
+        </Grid>
+        <Grid item xs={12} md={7}>
+          <Typography variant="subtitle2">Responses</Typography>
+          {finding.thread.length === 0 && (
+            <Typography variant="body2" color="text.secondary">No responses yet.</Typography>
+          )}
+          <List dense disablePadding>
+            {finding.thread.map(entry => (
+              <ListItem key={entry._id} disableGutters alignItems="flex-start">
+                <ListItemText
+                  primary={(
+                    <>
+                      {entry.author?.name || 'Unknown user'}
+                      {entry.status && (
+                        <Chip
+                          size="small"
+                          label={`Marked ${FINDING_STATUS_LABELS[entry.status].toLowerCase()}`}
+                          color={FINDING_STATUS_COLORS[entry.status]}
+                          variant="outlined"
+                          sx={{ ml: 1 }}
+                        />
+                      )}
+                    </>
+                  )}
+                  secondary={(
+                    <>
+                      {formatDateTime(entry.createdAt)}
+                      {entry.body && (
+                        <Typography component="span" variant="body2" display="block" color="text.primary" sx={{ whiteSpace: 'pre-wrap' }}>
+                          {entry.body}
+                        </Typography>
+                      )}
+                    </>
+                  )}
+                />
+              </ListItem>
+            ))}
+          </List>
+
+          {canEdit && (
+            <Box sx={{ mt: 1 }}>
+              <TextField
+                fullWidth
+                multiline
+                minRows={2}
+                size="small"
+                label={finding.status === 'open' ? 'Response' : 'Comment'}
+                value={message}
+                onChange={e => setMessage(e.target.value)}
+                disabled={sending}
+              />
+              <Box sx={{ mt: 1, display: 'flex', gap: 1 }}>
+                {finding.status === 'open' && (
+                  <Button size="small" variant="contained" onClick={() => handleMessage(finding, 'responded')} disabled={sending || !message.trim()}>
+                    Submit response
+                  </Button>
+                )}
+                <Button size="small" variant="outlined" onClick={() => handleMessage(finding)} disabled={sending || !message.trim()}>
+                  Comment
+                </Button>
+                {finding.status !== 'closed' ? (
+                  canCloseFinding(finding, project?.userRole) && (
+                    <Button size="small" color="success" onClick={() => handleMessage(finding, 'closed')} disabled={sending}>
+                      Close finding
+                    </Button>
+                  )
+                ) : (
+                  <Button size="small" color="warning" onClick={() => handleMessage(finding, 'open')} disabled={sending}>
+                    Reopen
+                  </Button>
+                )}
+              </Box>
+            </Box>
+          )}
+        </Grid>
+      </Grid>
+    </Box>
+  );
+
+  if (loading) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Skeleton height={50} />
+        <Skeleton variant="rectangular" height={200} sx={{ my: 2 }} />
+      </Box>
+    );
+  }
+
+  if (!project) {
+    return (
+      <Box sx={{ p: 2 }}>
+        <Typography color="error">{error || 'Project not found.'}</Typography>
+        <Button variant="contained" onClick={() => navigate('/projects')} sx={{ mt: 2 }}>
+          Back to Projects
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box>
+          <Button startIcon={<ArrowBackIcon />} onClick={() => navigate(`/projects/${projectId}`)} sx={{ mb: 1 }}>
+            {project.name}
+          </Button>
+          <Typography variant="h4">Verification Findings</Typography>
+        </Box>
+        {canEdit && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={openCreate}>
+            New Finding
+          </Button>
+        )}
+      </Box>
+
+      {counts.open + counts.responded > 0 && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          The project cannot move to Verified until every finding is closed by the verification body.
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 3 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={statusFilter}
+            onChange={(e, value) => value && setStatusFilter(value)}
+          >
+            <ToggleButton value="unresolved">Unresolved ({counts.open + counts.responded})</ToggleButton>
+            {FINDING_STATUSES.map(status => (
+              <ToggleButton key={status} value={status}>{FINDING_STATUS_LABELS[status]} ({counts[status]})</ToggleButton>
+            ))}
+            <ToggleButton value="all">All ({findings.length})</ToggleButton>
+          </ToggleButtonGroup>
+          {counts.overdue > 0 && <Chip color="error" label={`${counts.overdue} overdue`} />}
+        </Box>
+
+        {visibleFindings.length === 0 ? (
+          <Typography variant="body2" color="text.secondary">
+            {findings.length === 0
+              ? 'No findings yet. Log CARs, CLs and FARs from the validation or verification body as they are raised.'
+              : 'No findings match this filter.'}
+          </Typography>
+        ) : (
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell>Ref.</TableCell>
+                <TableCell>Finding</TableCell>
+                <TableCell>Document section</TableCell>
+                <TableCell>Due</TableCell>
+                <TableCell>Status</TableCell>
+                <TableCell />
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {visibleFindings.map(finding => (
+                <React.Fragment key={finding._id}>
+                  <TableRow>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      <Tooltip title={FINDING_TYPE_LABELS[finding.type]}>
+                        <span>{formatFindingReference(finding)}</span>
+                      </Tooltip>
+                    </TableCell>
+                    <TableCell>{finding.title}</TableCell>
+                    <TableCell>
+                      {finding.documentName || '—'}
+                      {finding.section && (
+                        <Typography variant="body2" color="text.secondary">{finding.section}</Typography>
+                      )}
+                    </TableCell>
+                    <TableCell sx={{ whiteSpace: 'nowrap' }}>
+                      <Typography variant="body2" color={isFindingOverdue(finding) ? 'error' : 'inherit'}>
+                        {formatDate(finding.dueDate)}
+                      </Typography>
+                    </TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={FINDING_STATUS_LABELS[finding.status]}
+                        color={FINDING_STATUS_COLORS[finding.status]}
+                      />
+                    </TableCell>
+                    <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                      <Tooltip title="Responses">
+                        <IconButton size="small" onClick={() => handleToggle(finding)}>
+                          {expanded === finding._id ? <ExpandLessIcon fontSize="small" /> : <ExpandMoreIcon fontSize="small" />}
+                        </IconButton>
+                      </Tooltip>
+                      {canEdit && (
+                        <>
+                          <Tooltip title="Edit">
+                            <IconButton size="small" onClick={() => openEdit(finding)}>
+                              <EditIcon fontSize="small" />
+                            </IconButton>
+                          </Tooltip>
+                          {canManageFindings && (
+                            <Tooltip title="Delete">
+                              <IconButton size="small" color="error" onClick={() => handleDelete(finding)}>
+                                <DeleteIcon fontSize="small" />
+                              </IconButton>
+                            </Tooltip>
+                          )}
+                        </>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                  <TableRow>
+                    <TableCell colSpan={6} sx={{ py: 0, borderBottom: expanded === finding._id ? undefined : 0 }}>
+                      <Collapse in={expanded === finding._id} unmountOnExit>
+                        {renderDetail(finding)}
+                      </Collapse>
+                    </TableCell>
+                  </TableRow>
+                </React.Fragment>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </Paper>
+
+      <Dialog open={Boolean(editing)} onClose={() => !saving && setEditing(null)} fullWidth maxWidth="sm">
+        <DialogTitle>{editing === 'new' ? 'New Finding' : `Edit ${editing ? formatFindingReference(editing) : ''}`}</DialogTitle>
+        <DialogContent>
+          <Grid container spacing={2}>
+            <Grid item xs={12} md={5}>
+              <TextField
+                select
+                fullWidth
+                margin="normal"
+                label="Type"
+                value={form.type}
+                onChange={e => setForm({ ...form, type: e.target.value })}
+                disabled={saving || editing !== 'new'}
+                helperText={editing !== 'new' ? 'Fixed once numbered' : ''}
+              >
+                {FINDING_TYPES.map(type => (
+                  <MenuItem key={type} value={type}>{type} – {FINDING_TYPE_LABELS[type]}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={12} md={7}>
+              <TextField
+                fullWidth
+                margin="normal"
+                label="Raised by"
+                placeholder="Auditor or verification body"
+                value={form.raisedBy}
+                onChange={e => setForm({ ...form, raisedBy: e.target.value })}
+                disabled={saving}
+              />
+            </Grid>
+          </Grid>
+          <TextField
+            fullWidth
+            required
+            margin="normal"
+            label="Title"
+            value={form.title}
+            onChange={e => setForm({ ...form, title: e.target.value })}
+            disabled={saving}
+          />
+          <TextField
+            fullWidth
+            multiline
+            minRows={3}
+            margin="normal"
+            label="Description"
+            value={form.description}
+            onChange={e => setForm({ ...form, description: e.target.value })}
+            disabled={saving}
+          />
+          <TextField
+            select
+            fullWidth
+            margin="normal"
+            label="Document"
+            value={form.documentId}
+            onChange={e => setForm({ ...form, documentId: e.target.value })}
+            disabled={saving}
+          >
+            <MenuItem value="">None</MenuItem>
+            {documents.map(doc => (
+              <MenuItem key={doc._id} value={doc._id}>{doc.name}</MenuItem>
+            ))}
+          </TextField>
+          <Autocomplete
+            freeSolo
+            options={sectionOptions}
+            inputValue={form.section}
+            onInputChange={(e, value) => setForm(prev => ({ ...prev, section: value }))}
+            disabled={saving}
+            renderInput={params => (
+              <TextField {...params} margin="normal" label="Section" placeholder="e.g. 3 Application of Methodology" />
+            )}
+          />
+          <TextField
+            fullWidth
+            margin="normal"
+            type="date"
+            label="Response due"
+            InputLabelProps={{ shrink: true }}
+            value={form.dueDate}
+            onChange={e => setForm({ ...form, dueDate: e.target.value })}
+            disabled={saving}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setEditing(null)} disabled={saving}>Cancel</Button>
+          <Button variant="contained" onClick={handleSave} disabled={saving || !form.title.trim()}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
+
+export default VerificationFindings;
@@ -0,0 +1,35 @@
+import axios from 'axios';
+
+export const TOKEN_KEY = 'cnergy_token';
+export const ORGANIZATION_KEY = 'cnergy_organization';
+
+const api = axios.create({
+  baseURL: process.env.REACT_APP_API_URL || '/api',
+});
+
+export const setAuthToken = (token) => {
+  if (token) {
+    api.defaults.headers.common.Authorization = `Bearer ${token}`;
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    delete api.defaults.headers.common.Authorization;
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+// Every project request is scoped to the organization sent in this header
+export const setOrganizationId = (organizationId) => {
+  if (organizationId) {
+    api.defaults.headers.common['X-Organization-Id'] = organizationId;
+    localStorage.setItem(ORGANIZATION_KEY, organizationId);
+  } else {
+    delete api.defaults.headers.common['X-Organization-Id'];
+    localStorage.removeItem(ORGANIZATION_KEY);
+  }
+};
+
+// Pulls the server's error message out of an axios error
+export const getErrorMessage = (error, fallback = 'Something went wrong. Please try again.') =>
+  error.response?.data?.message || fallback;
+
+export default api;
@@ -0,0 +1,21 @@
+import api from './api';
+
+export const loginUser = async (email, password) => {
+  const { data } = await api.post('/auth/login', { email, password });
+  return data;
+};
+
+export const registerUser = async ({ name, email, password, organization }) => {
+  const { data } = await api.post('/auth/register', { name, email, password, organization });
+  return data;
+};
+
+export const fetchCurrentUser = async () => {
+  const { data } = await api.get('/auth/me');
+  return data.user;
+};
+
+export const refreshToken = async () => {
+  const { data } = await api.post('/auth/refresh');
+  return data;
+};
@@ -0,0 +1,41 @@
+import api from './api';
+
+// Resolves to null while no boundary has been uploaded
+export const fetchBoundary = async (projectId) => {
+  try {
+    const { data } = await api.get(`/projects/${projectId}/boundary`);
+    return data;
+  } catch (err) {
+    if (err.response?.status === 404) {
+      return null;
+    }
+    throw err;
+  }
+};
+
+export const uploadBoundary = async (projectId, file, stratumField) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  if (stratumField) {
+    formData.append('stratumField', stratumField);
+  }
+
+  const { data } = await api.put(`/projects/${projectId}/boundary`, formData);
+  return data;
+};
+
+export const updateBoundaryStrata = async (projectId, stratumField) => {
+  const { data } = await api.patch(`/projects/${projectId}/boundary`, { stratumField });
+  return data;
+};
+
+export const downloadBoundaryFile = async (projectId) => {
+  const { data } = await api.get(`/projects/${projectId}/boundary/file`, {
+    responseType: 'blob',
+  });
+  return data;
+};
+
+export const deleteBoundary = async (projectId) => {
+  await api.delete(`/projects/${projectId}/boundary`);
+};
@@ -0,0 +1,20 @@
+import api from './api';
+
+export const fetchCalculations = async (projectId) => {
+  const { data } = await api.get(`/projects/${projectId}/calculations`);
+  return data;
+};
+
+export const fetchCalculation = async (projectId, calculationId) => {
+  const { data } = await api.get(`/projects/${projectId}/calculations/${calculationId}`);
+  return data;
+};
+
+export const createCalculation = async (projectId, calculation) => {
+  const { data } = await api.post(`/projects/${projectId}/calculations`, calculation);
+  return data;
+};
+
+export const deleteCalculation = async (projectId, calculationId) => {
+  await api.delete(`/projects/${projectId}/calculations/${calculationId}`);
+};
@@ -0,0 +1,21 @@
+import api from './api';
+
+export const fetchCollaborators = async (projectId) => {
+  const { data } = await api.get(`/projects/${projectId}/collaborators`);
+  return data;
+};
+
+export const addCollaborator = async (projectId, email, role) => {
+  const { data } = await api.post(`/projects/${projectId}/collaborators`, { email, role });
+  return data;
+};
+
+export const updateCollaborator = async (projectId, userId, role) => {
+  const { data } = await api.put(`/projects/${projectId}/collaborators/${userId}`, { role });
+  return data;
+};
+
+export const removeCollaborator = async (projectId, userId) => {
+  const { data } = await api.delete(`/projects/${projectId}/collaborators/${userId}`);
+  return data;
+};
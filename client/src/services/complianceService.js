@@ -0,0 +1,8 @@
+import api from './api';
+
+export const fetchComplianceReport = async (projectId, documentType, calculationId, forSubmission) => {
+  const { data } = await api.get(`/projects/${projectId}/compliance`, {
+    params: { documentType, calculationId, forSubmission }
+  });
+  return data;
+};
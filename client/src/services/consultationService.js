@@ -0,0 +1,68 @@
+import api from './api';
+
+const uploadProgress = onProgress => ({
+  onUploadProgress: event => onProgress?.(event.total ? Math.round((event.loaded / event.total) * 100) : 0),
+});
+
+export const fetchConsultations = async (projectId) => {
+  const { data } = await api.get(`/projects/${projectId}/consultations`);
+  return data;
+};
+
+export const createConsultation = async (projectId, consultation) => {
+  const { data } = await api.post(`/projects/${projectId}/consultations`, consultation);
+  return data;
+};
+
+export const updateConsultation = async (projectId, consultationId, updates) => {
+  const { data } = await api.put(`/projects/${projectId}/consultations/${consultationId}`, updates);
+  return data;
+};
+
+export const deleteConsultation = async (projectId, consultationId) => {
+  await api.delete(`/projects/${projectId}/consultations/${consultationId}`);
+};
+
+// Resolves to { consultation, imported, warnings }
+export const importAttendees = async (projectId, consultationId, file, { checksum, replace }, onProgress) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('checksum', checksum);
+  if (replace) {
+    formData.append('replace', 'true');
+  }
+
+  const { data } = await api.post(
+    `/projects/${projectId}/consultations/${consultationId}/attendees/import`,
+    formData,
+    uploadProgress(onProgress)
+  );
+  return data;
+};
+
+export const uploadConsultationFile = async (projectId, consultationId, file, { checksum, description }, onProgress) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('checksum', checksum);
+  if (description) {
+    formData.append('description', description);
+  }
+
+  const { data } = await api.post(`/projects/${projectId}/consultations/${consultationId}/files`, formData, uploadProgress(onProgress));
+  return data;
+};
+
+export const addConsultationComment = async (projectId, consultationId, comment) => {
+  const { data } = await api.post(`/projects/${projectId}/consultations/${consultationId}/comments`, comment);
+  return data;
+};
+
+export const updateConsultationComment = async (projectId, consultationId, commentId, updates) => {
+  const { data } = await api.put(`/projects/${projectId}/consultations/${consultationId}/comments/${commentId}`, updates);
+  return data;
+};
+
+export const deleteConsultationComment = async (projectId, consultationId, commentId) => {
+  const { data } = await api.delete(`/projects/${projectId}/consultations/${consultationId}/comments/${commentId}`);
+  return data;
+};
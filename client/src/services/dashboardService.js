@@ -0,0 +1,7 @@
+import api from './api';
+
+// Portfolio analytics for the current organization; from and to are YYYY-MM-DD
+export const fetchDashboardStats = async ({ from, to }) => {
+  const { data } = await api.get('/dashboard/stats', { params: { from, to } });
+  return data;
+};
@@ -0,0 +1,88 @@
+import api from './api';
+
+export const fetchProjectDocuments = async (projectId) => {
+  const { data } = await api.get(`/projects/${projectId}/documents`);
+  return data;
+};
+
+export const uploadDocument = async (projectId, file, { documentType, description, checksum, processImmediately }, onProgress) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('documentType', documentType);
+  formData.append('checksum', checksum);
+  if (description) {
+    formData.append('description', description);
+  }
+  if (processImmediately) {
+    formData.append('processImmediately', 'true');
+  }
+
+  const { data } = await api.post(`/projects/${projectId}/documents`, formData, {
+    onUploadProgress: event => onProgress?.(event.total ? Math.round((event.loaded / event.total) * 100) : 0),
+  });
+  return data;
+};
+
+export const downloadDocument = async (projectId, documentId) => {
+  const { data } = await api.get(`/projects/${projectId}/documents/${documentId}/download`, {
+    responseType: 'blob',
+  });
+  return data;
+};
+
+export const deleteDocument = async (projectId, documentId) => {
+  await api.delete(`/projects/${projectId}/documents/${documentId}`);
+};
+
+export const processDocument = async (projectId, documentId) => {
+  const { data } = await api.post(`/projects/${projectId}/documents/${documentId}/process`);
+  return data.extractedData;
+};
+
+export const fetchExtractedData = async (projectId, documentId) => {
+  const { data } = await api.get(`/projects/${projectId}/documents/${documentId}/extraction`);
+  return data;
+};
+
+export const reviewExtraction = async (projectId, documentId, decisions) => {
+  const { data } = await api.post(`/projects/${projectId}/documents/${documentId}/review`, { decisions });
+  return data;
+};
+
+export const fetchDocumentVersions = async (projectId, documentId) => {
+  const { data } = await api.get(`/projects/${projectId}/documents/${documentId}/versions`);
+  return data;
+};
+
+export const uploadDocumentVersion = async (projectId, documentId, file, { checksum, note }, onProgress) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('checksum', checksum);
+  if (note) {
+    formData.append('note', note);
+  }
+
+  const { data } = await api.post(`/projects/${projectId}/documents/${documentId}/versions`, formData, {
+    onUploadProgress: event => onProgress?.(event.total ? Math.round((event.loaded / event.total) * 100) : 0),
+  });
+  return data;
+};
+
+export const downloadDocumentVersion = async (projectId, documentId, number) => {
+  const { data } = await api.get(`/projects/${projectId}/documents/${documentId}/versions/${number}/download`, {
+    responseType: 'blob',
+  });
+  return data;
+};
+
+export const compareDocumentVersions = async (projectId, documentId, from, to) => {
+  const { data } = await api.get(`/projects/${projectId}/documents/${documentId}/versions/compare`, {
+    params: { from, to },
+  });
+  return data;
+};
+
+export const restoreDocumentVersion = async (projectId, documentId, number) => {
+  const { data } = await api.post(`/projects/${projectId}/documents/${documentId}/versions/${number}/restore`);
+  return data;
+};
@@ -0,0 +1,25 @@
+import api from './api';
+
+export const fetchFindings = async (projectId) => {
+  const { data } = await api.get(`/projects/${projectId}/findings`);
+  return data;
+};
+
+export const createFinding = async (projectId, finding) => {
+  const { data } = await api.post(`/projects/${projectId}/findings`, finding);
+  return data;
+};
+
+export const updateFinding = async (projectId, findingId, updates) => {
+  const { data } = await api.put(`/projects/${projectId}/findings/${findingId}`, updates);
+  return data;
+};
+
+export const addFindingMessage = async (projectId, findingId, message) => {
+  const { data } = await api.post(`/projects/${projectId}/findings/${findingId}/messages`, message);
+  return data;
+};
+
+export const deleteFinding = async (projectId, findingId) => {
+  await api.delete(`/projects/${projectId}/findings/${findingId}`);
+};
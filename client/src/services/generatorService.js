@@ -0,0 +1,41 @@
+import api from './api';
+
+export const fetchGeneratorOptions = async (projectId) => {
+  const { data } = await api.get(`/projects/${projectId}/generate`);
+  return data;
+};
+
+export const previewDocument = async (projectId, documentType, calculationId) => {
+  const { data } = await api.post(`/projects/${projectId}/generate/preview`, { documentType, calculationId });
+  return data;
+};
+
+// Returns the generated file as a Blob along with its server-assigned filename.
+// The server refuses with 409 while the compliance check has blocking items, unless allowIncomplete is set.
+export const generateDocument = async (projectId, documentType, format, calculationId, allowIncomplete = false) => {
+  let response;
+  try {
+    response = await api.post(
+      `/projects/${projectId}/generate`,
+      { documentType, format, calculationId, allowIncomplete },
+      { responseType: 'blob' }
+    );
+  } catch (error) {
+    // Error bodies arrive as Blobs too; decode them so getErrorMessage can read them
+    if (error.response?.data instanceof Blob) {
+      try {
+        error.response.data = JSON.parse(await error.response.data.text());
+      } catch (parseError) {
+        error.response.data = {};
+      }
+    }
+    throw error;
+  }
+
+  const disposition = response.headers['content-disposition'] || '';
+  const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i)?.[1];
+  const filename = (encoded && decodeURIComponent(encoded))
+    || disposition.match(/filename="([^"]+)"/)?.[1]
+    || `${documentType}.${format}`;
+  return { blob: response.data, filename };
+};
@@ -0,0 +1,53 @@
+import api from './api';
+
+export const fetchMonitoringPeriods = async (projectId) => {
+  const { data } = await api.get(`/projects/${projectId}/monitoring-periods`);
+  return data;
+};
+
+export const createMonitoringPeriod = async (projectId, period) => {
+  const { data } = await api.post(`/projects/${projectId}/monitoring-periods`, period);
+  return data;
+};
+
+export const updateMonitoringPeriod = async (projectId, periodId, updates) => {
+  const { data } = await api.put(`/projects/${projectId}/monitoring-periods/${periodId}`, updates);
+  return data;
+};
+
+export const deleteMonitoringPeriod = async (projectId, periodId) => {
+  await api.delete(`/projects/${projectId}/monitoring-periods/${periodId}`);
+};
+
+export const importMonitoringData = async (projectId, periodId, file, { checksum, mapping }, onProgress) => {
+  const formData = new FormData();
+  formData.append('file', file);
+  formData.append('checksum', checksum);
+  if (mapping && Object.keys(mapping).length > 0) {
+    formData.append('mapping', JSON.stringify(mapping));
+  }
+
+  const { data } = await api.post(`/projects/${projectId}/monitoring-periods/${periodId}/import`, formData, {
+    onUploadProgress: event => onProgress?.(event.total ? Math.round((event.loaded / event.total) * 100) : 0),
+  });
+  return data;
+};
+
+export const fetchSeries = async (projectId, periodId, seriesId) => {
+  const { data } = await api.get(`/projects/${projectId}/monitoring-periods/${periodId}/series/${seriesId}`);
+  return data;
+};
+
+export const reviewSeries = async (projectId, periodId, seriesId, review) => {
+  const { data } = await api.patch(`/projects/${projectId}/monitoring-periods/${periodId}/series/${seriesId}/review`, review);
+  return data;
+};
+
+export const deleteSeries = async (projectId, periodId, seriesId) => {
+  await api.delete(`/projects/${projectId}/monitoring-periods/${periodId}/series/${seriesId}`);
+};
+
+export const fetchPeriodInputs = async (projectId, periodId) => {
+  const { data } = await api.get(`/projects/${projectId}/monitoring-periods/${periodId}/inputs`);
+  return data;
+};
@@ -0,0 +1,38 @@
+import api, { TOKEN_KEY } from './api';
+
+export const fetchNotifications = async (params = {}) => {
+  const { data } = await api.get('/notifications', { params });
+  return data;
+};
+
+export const markNotificationRead = async (notificationId) => {
+  const { data } = await api.put(`/notifications/${notificationId}/read`);
+  return data;
+};
+
+export const markAllNotificationsRead = async () => {
+  const { data } = await api.post('/notifications/read-all');
+  return data;
+};
+
+export const fetchNotificationPreferences = async () => {
+  const { data } = await api.get('/notifications/preferences');
+  return data;
+};
+
+export const updateNotificationPreferences = async (preferences) => {
+  const { data } = await api.put('/notifications/preferences', preferences);
+  return data;
+};
+
+/**
+ * Opens the live notification stream; EventSource reconnects on its own
+ * @param {Function} onNotification - Called with each new notification
+ * @returns {Function} - Closes the stream
+ */
+export const openNotificationStream = (onNotification) => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  const source = new EventSource(`${api.defaults.baseURL}/notifications/stream?token=${encodeURIComponent(token)}`);
+  source.addEventListener('notification', event => onNotification(JSON.parse(event.data)));
+  return () => source.close();
+};
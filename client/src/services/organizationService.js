@@ -0,0 +1,36 @@
+import api from './api';
+
+export const fetchOrganizations = async () => {
+  const { data } = await api.get('/organizations');
+  return data;
+};
+
+export const createOrganization = async (name) => {
+  const { data } = await api.post('/organizations', { name });
+  return data;
+};
+
+export const fetchOrganization = async (organizationId) => {
+  const { data } = await api.get(`/organizations/${organizationId}`);
+  return data;
+};
+
+export const updateOrganization = async (organizationId, name) => {
+  const { data } = await api.put(`/organizations/${organizationId}`, { name });
+  return data;
+};
+
+export const addMember = async (organizationId, email, role) => {
+  const { data } = await api.post(`/organizations/${organizationId}/members`, { email, role });
+  return data;
+};
+
+export const updateMember = async (organizationId, userId, role) => {
+  const { data } = await api.put(`/organizations/${organizationId}/members/${userId}`, { role });
+  return data;
+};
+
+export const removeMember = async (organizationId, userId) => {
+  const { data } = await api.delete(`/organizations/${organizationId}/members/${userId}`);
+  return data;
+};
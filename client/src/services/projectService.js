@@ -0,0 +1,31 @@
+import api from './api';
+
+// Resolves to { projects, total, page, limit } for one page of the current organization's projects
+export const fetchProjects = async (params = {}) => {
+  const { data } = await api.get('/projects', { params });
+  return data;
+};
+
+export const fetchProject = async (projectId) => {
+  const { data } = await api.get(`/projects/${projectId}`);
+  return data;
+};
+
+export const createProject = async (project) => {
+  const { data } = await api.post('/projects', project);
+  return data;
+};
+
+export const updateProject = async (projectId, updates) => {
+  const { data } = await api.put(`/projects/${projectId}`, updates);
+  return data;
+};
+
+export const deleteProject = async (projectId) => {
+  await api.delete(`/projects/${projectId}`);
+};
+
+export const transitionProjectStatus = async (projectId, newStatus, comment) => {
+  const { data } = await api.post(`/projects/${projectId}/transition`, { newStatus, comment });
+  return data;
+};
@@ -0,0 +1,7 @@
+// SHA-256 hex digest of a File, matched by the server on upload
+export const sha256File = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
@@ -0,0 +1,9 @@
+// 'renewable-energy' -> 'Renewable Energy'
+export const toTitleCase = (slug = '') => slug
+  .split('-')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+export const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+
+export const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
@@ -0,0 +1,6 @@
+import { PROJECT_FIELD_LABELS } from '../../../shared/projectSchema';
+
+// Labels for ProjectSchema paths shown in missing-field and extraction lists
+export const FIELD_LABELS = PROJECT_FIELD_LABELS;
+
+export const getFieldLabel = path => FIELD_LABELS[path] || path;
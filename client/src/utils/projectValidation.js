@@ -0,0 +1,123 @@
+import * as Yup from 'yup';
+import { PROJECT_TYPES, TARGET_STANDARDS, COLLABORATOR_ROLES } from '../../../shared/projectSchema';
+import { getMethodology } from '../../../shared/methodologies';
+
+// Empty inputs arrive as '' from the form; treat them as missing
+const optionalNumber = () => Yup.number()
+  .transform((value, original) => (original === '' || original === null ? undefined : value))
+  .typeError('Must be a number');
+
+export const projectStepSchemas = [
+  Yup.object({
+    name: Yup.string().trim().required('Project name is required'),
+    description: Yup.string().trim().required('Description is required'),
+    projectType: Yup.string().oneOf(PROJECT_TYPES, 'Select a project type').required('Project type is required'),
+  }),
+  Yup.object({
+    location: Yup.object({
+      country: Yup.string().trim().required('Country is required'),
+      region: Yup.string().trim(),
+      coordinates: Yup.object({
+        latitude: optionalNumber().min(-90, 'Latitude must be between -90 and 90').max(90, 'Latitude must be between -90 and 90'),
+        longitude: optionalNumber().min(-180, 'Longitude must be between -180 and 180').max(180, 'Longitude must be between -180 and 180'),
+      }),
+    }),
+  }),
+  Yup.object({
+    targetStandard: Yup.string().oneOf(TARGET_STANDARDS, 'Select a standard').required('Target standard is required'),
+    methodologyId: Yup.string().trim().required('Methodology is required'),
+    startDate: Yup.date().typeError('Start date is required').required('Start date is required'),
+    endDate: Yup.date()
+      .typeError('End date is required')
+      .required('End date is required')
+      .min(Yup.ref('startDate'), 'End date must be after the start date'),
+    estimatedCredits: optionalNumber().min(0, 'Credits cannot be negative'),
+  }),
+  Yup.object({
+    collaborators: Yup.array().of(
+      Yup.object({
+        email: Yup.string().email('Enter a valid email').required('Email is required'),
+        role: Yup.string().oneOf(COLLABORATOR_ROLES).required(),
+      })
+    ),
+  }),
+];
+
+export const projectSchema = projectStepSchemas.reduce((schema, step) => schema.concat(step));
+
+export const emptyProject = {
+  name: '',
+  description: '',
+  projectType: '',
+  location: {
+    country: '',
+    region: '',
+    coordinates: { latitude: '', longitude: '' },
+  },
+  targetStandard: '',
+  methodologyId: '',
+  startDate: '',
+  endDate: '',
+  estimatedCredits: '',
+  methodologyParameters: {},
+  collaborators: [],
+};
+
+// Methodology parameters are edited as strings; booleans as 'true' / 'false'
+const parametersToForm = (parameters = {}) => Object.fromEntries(
+  Object.entries(parameters).map(([key, value]) => [key, typeof value === 'boolean' ? String(value) : value ?? ''])
+);
+
+// Keeps only the selected methodology's parameters, typed as the registry defines them
+export const parametersFromForm = (methodologyId, parameters = {}) => {
+  const methodology = getMethodology(methodologyId);
+  if (!methodology) return {};
+
+  return methodology.parameters.reduce((result, { key, type }) => {
+    const raw = parameters[key];
+    if (raw === undefined || raw === null || raw === '') return result;
+
+    if (type === 'number') result[key] = Number(raw);
+    else if (type === 'boolean') result[key] = raw === true || raw === 'true';
+    else result[key] = raw;
+    return result;
+  }, {});
+};
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Converts an API project into form values
+export const projectToFormValues = (project) => ({
+  name: project.name || '',
+  description: project.description || '',
+  projectType: project.projectType || '',
+  location: {
+    country: project.location?.country || '',
+    region: project.location?.region || '',
+    coordinates: {
+      latitude: project.location?.coordinates?.latitude ?? '',
+      longitude: project.location?.coordinates?.longitude ?? '',
+    },
+  },
+  targetStandard: project.targetStandard || '',
+  methodologyId: project.methodologyId || '',
+  startDate: toDateInput(project.startDate),
+  endDate: toDateInput(project.endDate),
+  estimatedCredits: project.estimatedCredits ?? '',
+  methodologyParameters: parametersToForm(project.methodologyParameters),
+  collaborators: (project.collaborators || []).map(c => ({
+    email: c.user?.email || '',
+    role: c.role,
+  })),
+});
+
+// Converts validated form values into an API payload
+export const formValuesToProject = (values) => {
+  const project = projectSchema.cast(values, { stripUnknown: true });
+  return {
+    ...project,
+    // Sent as null so clearing the field removes the value instead of leaving it out of the update
+    estimatedCredits: project.estimatedCredits ?? null,
+    methodologyParameters: parametersFromForm(values.methodologyId, values.methodologyParameters),
+  };
+};
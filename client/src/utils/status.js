@@ -0,0 +1,15 @@
+const STATUS_COLORS = {
+  draft: 'default',
+  'in-progress': 'primary',
+  submitted: 'warning',
+  validated: 'info',
+  registered: 'secondary',
+  monitoring: 'primary',
+  verification: 'warning',
+  verified: 'success',
+  issuance: 'info',
+  issued: 'success',
+};
+
+// Get chip color based on project workflow status
+export const getStatusColor = (status) => STATUS_COLORS[status] || 'default';
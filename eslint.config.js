@@ -0,0 +1,21 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+// The client is linted with its own react-app configuration (client/package.json)
+export default [
+  {
+    ignores: ['client/**', 'node_modules/**', 'uploads/**']
+  },
+  js.configs.recommended,
+  {
+    files: ['server/**/*.js', 'shared/**/*.js', '*.js'],
+    languageOptions: {
+      ecmaVersion: 2022,
+      sourceType: 'module',
+      globals: globals.node
+    },
+    rules: {
+      'no-unused-vars': ['error', { caughtErrors: 'none' }]
+    }
+  }
+];
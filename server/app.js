@@ -0,0 +1,28 @@
+import express from 'express';
+import cors from 'cors';
+import authRoutes from './routes/auth.js';
+import organizationRoutes from './routes/organizations.js';
+import projectRoutes from './routes/projects.js';
+import methodologyRoutes from './routes/methodologies.js';
+import dashboardRoutes from './routes/dashboard.js';
+import notificationRoutes from './routes/notifications.js';
+
+const app = express();
+
+// The client reads the download name and the generator's headers
+app.use(cors({ exposedHeaders: ['Content-Disposition', 'X-Missing-Fields', 'X-Document-Version'] }));
+app.use(express.json());
+
+app.use('/api/auth', authRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/methodologies', methodologyRoutes);
+app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/notifications', notificationRoutes);
+
+// Fallback for unknown API routes
+app.use('/api', (req, res) => {
+  res.status(404).json({ message: 'Route not found' });
+});
+
+export default app;
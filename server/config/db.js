@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+let memoryServer = null;
+
+// MONGO_URI=memory runs against an in-memory MongoDB for local testing
+const resolveUri = async () => {
+  const uri = process.env.MONGO_URI || 'mongodb://localhost:27017/cnergy';
+
+  if (uri !== 'memory') {
+    return uri;
+  }
+
+  const { MongoMemoryServer } = await import('mongodb-memory-server');
+  memoryServer = await MongoMemoryServer.create();
+  return memoryServer.getUri('cnergy');
+};
+
+const connectDB = async () => {
+  try {
+    const uri = await resolveUri();
+    await mongoose.connect(uri);
+    console.log(`MongoDB connected: ${memoryServer ? 'in-memory' : mongoose.connection.host}`);
+  } catch (error) {
+    console.error('Error connecting to MongoDB:', error);
+    process.exit(1);
+  }
+};
+
+export const disconnectDB = async () => {
+  await mongoose.disconnect();
+
+  if (memoryServer) {
+    await memoryServer.stop();
+    memoryServer = null;
+  }
+};
+
+export default connectDB;
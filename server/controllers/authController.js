@@ -0,0 +1,110 @@
+import User from '../models/User.js';
+import { signToken } from '../utils/token.js';
+import { createOrganization } from '../utils/organizations.js';
+
+const isText = value => typeof value === 'string';
+
+// Matches emails as the User schema stores them
+const normalizeEmail = email => email.trim().toLowerCase();
+
+const sessionResponse = (user) => ({
+  token: signToken(user),
+  user: user.toProfile()
+});
+
+export async function register(req, res) {
+  try {
+    const { name, email, password, organization } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({ message: 'Name, email and password are required' });
+    }
+
+    if (![name, email, password].every(isText) || (organization && !isText(organization))) {
+      return res.status(400).json({ message: 'Name, email, password and organization must be text' });
+    }
+
+    const normalizedEmail = normalizeEmail(email);
+    if (!name.trim() || !normalizedEmail) {
+      return res.status(400).json({ message: 'Name, email and password are required' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' });
+    }
+
+    const existing = await User.findOne({ email: normalizedEmail });
+    if (existing) {
+      return res.status(409).json({ message: 'An account with this email already exists' });
+    }
+
+    const user = await User.create({ name, email: normalizedEmail, password, organization });
+    // Every account starts with its own workspace; colleagues are invited into it later
+    await createOrganization(user._id, organization?.trim() || `${user.name}'s workspace`);
+
+    res.status(201).json(sessionResponse(user));
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ message: 'Error creating account' });
+  }
+}
+
+export async function login(req, res) {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    if (!isText(email) || !isText(password)) {
+      return res.status(400).json({ message: 'Email and password must be text' });
+    }
+
+    // Find user
+    const user = await User.findOne({ email: normalizeEmail(email) }).select('+password');
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Verify password
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    res.json(sessionResponse(user));
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ message: 'Error signing in' });
+  }
+}
+
+export async function getCurrentUser(req, res) {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ user: user.toProfile() });
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    res.status(500).json({ message: 'Error fetching user' });
+  }
+}
+
+// Issues a fresh token for a session whose token is still valid
+export async function refresh(req, res) {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(401).json({ message: 'User no longer exists' });
+    }
+
+    res.json(sessionResponse(user));
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ message: 'Error refreshing session' });
+  }
+}
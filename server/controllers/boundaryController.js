@@ -0,0 +1,175 @@
+import ProjectBoundary from '../models/ProjectBoundary.js';
+import { getStorage, buildStorageKey } from '../services/storage/index.js';
+import {
+  readBoundary,
+  listPropertyKeys,
+  resolveStratumField,
+  summarizeBoundary
+} from '../services/geometry/index.js';
+import { sha256 } from '../utils/fileValidation.js';
+import { attachment } from '../utils/contentDisposition.js';
+import { resolveBoundaryFormat } from '../../shared/boundary.js';
+
+// Stored features back in the { properties, polygons } shape the geometry service measures
+const toParsedFeatures = boundary => boundary.features.map(feature => ({
+  properties: feature.properties || {},
+  polygons: feature.geometry.coordinates
+}));
+
+const withPropertyKeys = boundary => ({
+  ...boundary.toObject(),
+  propertyKeys: listPropertyKeys(boundary.features)
+});
+
+// Copies the area and strata onto the project, where lists and generated documents read them
+const updateProjectSummary = async (project, summary) => {
+  project.boundary = summary && {
+    areaHectares: summary.areaHectares,
+    strata: summary.strata.map(({ name, hectares }) => ({ name, hectares })),
+    updatedAt: new Date()
+  };
+  await project.save();
+};
+
+export async function getBoundary(req, res) {
+  try {
+    const boundary = await ProjectBoundary.findOne({ projectId: req.project._id }).populate('uploadedBy', 'name email');
+    if (!boundary) {
+      return res.status(404).json({ message: 'No boundary has been uploaded for this project' });
+    }
+
+    res.json(withPropertyKeys(boundary));
+  } catch (error) {
+    console.error('Error fetching boundary:', error);
+    res.status(500).json({ message: 'Error fetching boundary' });
+  }
+}
+
+export async function uploadBoundary(req, res) {
+  try {
+    const { file } = req;
+    if (!file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const format = resolveBoundaryFormat(file.originalname);
+    if (!format) {
+      return res.status(400).json({ message: 'Unsupported file type. Upload a GeoJSON, KML or zipped Shapefile.' });
+    }
+    if (file.size === 0) {
+      return res.status(400).json({ message: 'The uploaded file is empty' });
+    }
+
+    let parsed;
+    try {
+      parsed = readBoundary(file.buffer, format);
+    } catch (parseError) {
+      return res.status(400).json({ message: parseError.message });
+    }
+    if (parsed.errors.length > 0) {
+      return res.status(400).json({ message: 'The boundary is not valid', errors: parsed.errors, warnings: parsed.warnings });
+    }
+
+    const stratumField = resolveStratumField(parsed.features, req.body.stratumField);
+    if (req.body.stratumField && !stratumField) {
+      return res.status(400).json({ message: `No feature has a "${req.body.stratumField}" property` });
+    }
+    const summary = summarizeBoundary(parsed.features, stratumField);
+
+    const key = buildStorageKey(req.project._id, 'boundaries', file.originalname);
+    await getStorage().put(key, file.buffer, { contentType: file.mimetype });
+
+    const previous = await ProjectBoundary.findOne({ projectId: req.project._id });
+    const boundary = previous || new ProjectBoundary({ projectId: req.project._id });
+    const previousFile = previous?.filePath;
+    boundary.set({
+      format,
+      fileName: file.originalname,
+      filePath: key,
+      checksum: sha256(file.buffer),
+      stratumField,
+      ...summary,
+      warnings: parsed.warnings,
+      uploadedBy: req.user.id,
+      uploadedAt: new Date()
+    });
+    await boundary.save();
+    await updateProjectSummary(req.project, summary);
+
+    if (previousFile) {
+      await getStorage().remove(previousFile);
+    }
+
+    await boundary.populate('uploadedBy', 'name email');
+    res.json(withPropertyKeys(boundary));
+  } catch (error) {
+    console.error('Error uploading boundary:', error);
+    res.status(500).json({ message: 'Error uploading boundary' });
+  }
+}
+
+// Regroups the stored polygons by another property without a new upload
+export async function updateBoundaryStrata(req, res) {
+  try {
+    const boundary = await ProjectBoundary.findOne({ projectId: req.project._id });
+    if (!boundary) {
+      return res.status(404).json({ message: 'No boundary has been uploaded for this project' });
+    }
+
+    const features = toParsedFeatures(boundary);
+    const requested = req.body.stratumField || null;
+    const stratumField = requested && resolveStratumField(features, requested);
+    if (requested && !stratumField) {
+      return res.status(400).json({ message: `No feature has a "${requested}" property` });
+    }
+
+    const summary = summarizeBoundary(features, stratumField);
+    boundary.set({ stratumField, ...summary });
+    await boundary.save();
+    await updateProjectSummary(req.project, summary);
+
+    await boundary.populate('uploadedBy', 'name email');
+    res.json(withPropertyKeys(boundary));
+  } catch (error) {
+    console.error('Error updating boundary strata:', error);
+    res.status(500).json({ message: 'Error updating boundary strata' });
+  }
+}
+
+export async function downloadBoundaryFile(req, res) {
+  try {
+    const boundary = await ProjectBoundary.findOne({ projectId: req.project._id }).select('fileName filePath');
+    if (!boundary?.filePath) {
+      return res.status(404).json({ message: 'No boundary has been uploaded for this project' });
+    }
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': attachment(boundary.fileName)
+    });
+    res.send(await getStorage().get(boundary.filePath));
+  } catch (error) {
+    console.error('Error downloading boundary:', error);
+    res.status(500).json({ message: 'Error downloading boundary' });
+  }
+}
+
+export async function deleteBoundary(req, res) {
+  try {
+    const boundary = await ProjectBoundary.findOne({ projectId: req.project._id });
+    if (!boundary) {
+      return res.status(404).json({ message: 'No boundary has been uploaded for this project' });
+    }
+
+    if (boundary.filePath) {
+      await getStorage().remove(boundary.filePath);
+    }
+    await boundary.deleteOne();
+    await updateProjectSummary(req.project, null);
+
+    res.json({ message: 'Boundary deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting boundary:', error);
+    res.status(500).json({ message: 'Error deleting boundary' });
+  }
+}
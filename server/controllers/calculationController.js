@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import EmissionCalculation from '../models/EmissionCalculation.js';
+import MonitoringPeriod from '../models/MonitoringPeriod.js';
+import CalculationEngine from '../services/calculation/CalculationEngine.js';
+import { loadPeriodInputs } from './monitoringController.js';
+import { getCalculationModel } from '../../shared/calculationModels.js';
+
+const engine = new CalculationEngine();
+
+const findProjectCalculation = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.calculationId)) {
+    return null;
+  }
+  return EmissionCalculation.findOne({ _id: req.params.calculationId, projectId: req.project._id });
+};
+
+const validatePeriod = (periodStart, periodEnd) => {
+  const start = new Date(periodStart);
+  const end = new Date(periodEnd);
+  if (!periodStart || !periodEnd || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return 'A monitoring period start and end date are required';
+  }
+  if (end <= start) {
+    return 'The monitoring period must end after it starts';
+  }
+  return null;
+};
+
+export async function listCalculations(req, res) {
+  try {
+    const calculations = await EmissionCalculation.find({ projectId: req.project._id })
+      .select('-auditTrail')
+      .populate('calculatedBy', 'name email')
+      .sort({ periodStart: -1, createdAt: -1 });
+
+    res.json(calculations);
+  } catch (error) {
+    console.error('Error listing calculations:', error);
+    res.status(500).json({ message: 'Error fetching calculations' });
+  }
+}
+
+export async function getCalculation(req, res) {
+  try {
+    const calculation = await findProjectCalculation(req)?.populate('calculatedBy', 'name email');
+    if (!calculation) {
+      return res.status(404).json({ message: 'Calculation not found' });
+    }
+
+    res.json(calculation);
+  } catch (error) {
+    console.error('Error fetching calculation:', error);
+    res.status(500).json({ message: 'Error fetching calculation' });
+  }
+}
+
+// Runs the methodology's formulas for a monitoring period and stores the audit trail
+export async function createCalculation(req, res) {
+  try {
+    const { project } = req;
+    const { monitoringPeriodId, notes } = req.body;
+    let { periodStart, periodEnd, inputs = {} } = req.body;
+
+    // Monitored time series supply the inputs; values in the request override them
+    if (monitoringPeriodId) {
+      const period = mongoose.Types.ObjectId.isValid(monitoringPeriodId)
+        && await MonitoringPeriod.findOne({ _id: monitoringPeriodId, projectId: project._id });
+      if (!period) {
+        return res.status(400).json({ message: 'Monitoring period not found' });
+      }
+
+      const model = getCalculationModel(project.methodologyId);
+      const aggregated = model ? await loadPeriodInputs(period._id, model) : { inputs: {} };
+      periodStart = period.startDate;
+      periodEnd = period.endDate;
+      inputs = { ...aggregated.inputs, ...inputs };
+    }
+
+    const validationError = validatePeriod(periodStart, periodEnd)
+      || engine.validateInputs(project.methodologyId, inputs);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    let result;
+    try {
+      result = engine.calculate(project.methodologyId, inputs);
+    } catch (calculationError) {
+      return res.status(400).json({ message: calculationError.message });
+    }
+
+    const calculation = await EmissionCalculation.create({
+      projectId: project._id,
+      methodologyId: project.methodologyId,
+      calculationModel: result.calculationModel,
+      monitoringPeriodId,
+      periodStart,
+      periodEnd,
+      inputs: result.inputs,
+      results: result.results,
+      auditTrail: result.auditTrail,
+      notes,
+      calculatedBy: req.user.id
+    });
+
+    res.status(201).json(calculation);
+  } catch (error) {
+    console.error('Error calculating emission reductions:', error);
+    res.status(500).json({ message: 'Error calculating emission reductions' });
+  }
+}
+
+export async function deleteCalculation(req, res) {
+  try {
+    const calculation = await findProjectCalculation(req);
+    if (!calculation) {
+      return res.status(404).json({ message: 'Calculation not found' });
+    }
+
+    await calculation.deleteOne();
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting calculation:', error);
+    res.status(500).json({ message: 'Error deleting calculation' });
+  }
+}
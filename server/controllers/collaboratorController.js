@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { COLLABORATOR_ROLES } from '../../shared/projectSchema.js';
+import { canPerform, getOrganizationRole } from '../../shared/permissions.js';
+
+const findCollaborator = (project, userId) => project.collaborators.find(c => c.user?.equals(userId));
+
+const populateCollaborators = project => project.populate([
+  { path: 'owner', select: 'name email organization' },
+  { path: 'collaborators.user', select: 'name email organization' }
+]);
+
+const toResponse = project => ({
+  owner: project.owner,
+  collaborators: project.collaborators
+});
+
+export async function listCollaborators(req, res) {
+  try {
+    await populateCollaborators(req.project);
+    res.json(toResponse(req.project));
+  } catch (error) {
+    console.error('Error listing collaborators:', error);
+    res.status(500).json({ message: 'Error fetching collaborators' });
+  }
+}
+
+// Grants a member of the project's organization access to the project by email
+export async function addCollaborator(req, res) {
+  try {
+    const { project } = req;
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'An email address is required' });
+    }
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Unknown role ${role}` });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user) {
+      return res.status(404).json({ message: `No account found for ${email}; ask them to register first` });
+    }
+    if (!getOrganizationRole(req.organization, user._id)) {
+      return res.status(400).json({ message: `${user.email} is not a member of ${req.organization.name}; add them to the organization first` });
+    }
+    if (project.owner.equals(user._id)) {
+      return res.status(400).json({ message: 'The project owner already has full access' });
+    }
+    if (findCollaborator(project, user._id)) {
+      return res.status(400).json({ message: `${user.email} is already a collaborator` });
+    }
+
+    project.collaborators.push({ user: user._id, role });
+    await project.save();
+    await populateCollaborators(project);
+
+    res.status(201).json(toResponse(project));
+  } catch (error) {
+    console.error('Error adding collaborator:', error);
+    res.status(500).json({ message: 'Error adding collaborator' });
+  }
+}
+
+export async function updateCollaborator(req, res) {
+  try {
+    const { project } = req;
+    const { role } = req.body;
+
+    if (!COLLABORATOR_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Unknown role ${role}` });
+    }
+
+    const collaborator = mongoose.Types.ObjectId.isValid(req.params.userId) && findCollaborator(project, req.params.userId);
+    if (!collaborator) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+
+    collaborator.role = role;
+    await project.save();
+    await populateCollaborators(project);
+
+    res.json(toResponse(project));
+  } catch (error) {
+    console.error('Error updating collaborator:', error);
+    res.status(500).json({ message: 'Error updating collaborator' });
+  }
+}
+
+// Admins can remove anyone; other collaborators can only remove themselves
+export async function removeCollaborator(req, res) {
+  try {
+    const { project } = req;
+    const leaving = req.params.userId === req.user.id;
+
+    if (!leaving && !canPerform(req.projectRole, 'manageCollaborators')) {
+      return res.status(403).json({ message: 'Only project admins can remove collaborators' });
+    }
+
+    const collaborator = mongoose.Types.ObjectId.isValid(req.params.userId) && findCollaborator(project, req.params.userId);
+    if (!collaborator) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+
+    project.collaborators.pull(collaborator._id);
+    await project.save();
+
+    if (leaving) {
+      return res.status(204).end();
+    }
+
+    await populateCollaborators(project);
+    res.json(toResponse(project));
+  } catch (error) {
+    console.error('Error removing collaborator:', error);
+    res.status(500).json({ message: 'Error removing collaborator' });
+  }
+}
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+import { runComplianceCheck } from '../services/compliance/index.js';
+
+export async function getComplianceReport(req, res) {
+  try {
+    const { documentType, calculationId, forSubmission } = req.query;
+
+    if (calculationId && !mongoose.Types.ObjectId.isValid(calculationId)) {
+      return res.status(400).json({ message: 'Invalid calculation' });
+    }
+
+    res.json(await runComplianceCheck(req.project, { documentType, calculationId, forSubmission: forSubmission === 'true' }));
+  } catch (error) {
+    console.error('Error checking compliance:', error);
+    res.status(500).json({ message: 'Error running the compliance check' });
+  }
+}
@@ -0,0 +1,355 @@
+import mongoose from 'mongoose';
+import StakeholderConsultation from '../models/StakeholderConsultation.js';
+import Document from '../models/Document.js';
+import { loadConsultations, parseAttendees } from '../services/consultations/index.js';
+import { addVersion, removeDocumentFiles } from '../services/versioning/index.js';
+import { validateUpload } from '../utils/fileValidation.js';
+import {
+  CONSULTATION_FORMATS,
+  STAKEHOLDER_GROUPS,
+  ATTENDEE_GENDERS
+} from '../../shared/consultations.js';
+
+const ATTENDEE_LIST_TYPES = ['csv', 'xlsx'];
+
+const findProjectConsultation = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.consultationId)) {
+    return null;
+  }
+  return StakeholderConsultation.findOne({ _id: req.params.consultationId, projectId: req.project._id });
+};
+
+const findComment = (consultation, commentId) => (
+  consultation && mongoose.Types.ObjectId.isValid(commentId) ? consultation.comments.id(commentId) : null
+);
+
+// The consultation as the list returns it, with its files attached
+const withFiles = async (consultation) => {
+  const files = await Document.find({ consultationId: consultation._id })
+    .select('name description fileType fileSize consultationId createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+  return { ...consultation.toObject(), files };
+};
+
+const validateAttendees = (attendees) => {
+  if (!Array.isArray(attendees)) {
+    return 'Attendees must be a list';
+  }
+  const invalid = attendees.find(attendee => !String(attendee?.name || '').trim());
+  if (invalid) {
+    return 'Every attendee needs a name';
+  }
+  const unknownGroup = attendees.find(attendee => attendee.stakeholderGroup && !STAKEHOLDER_GROUPS.includes(attendee.stakeholderGroup));
+  if (unknownGroup) {
+    return `Unknown stakeholder group ${unknownGroup.stakeholderGroup}`;
+  }
+  const unknownGender = attendees.find(attendee => attendee.gender && !ATTENDEE_GENDERS.includes(attendee.gender));
+  return unknownGender ? `Unknown gender ${unknownGender.gender}` : null;
+};
+
+// Applies the editable fields present in the body
+const applyFields = (consultation, body) => {
+  ['title', 'location', 'description'].forEach((key) => {
+    if (body[key] !== undefined) {
+      consultation[key] = body[key];
+    }
+  });
+
+  if (body.format !== undefined) {
+    if (!CONSULTATION_FORMATS.includes(body.format)) {
+      return `Unknown consultation format ${body.format}`;
+    }
+    consultation.format = body.format;
+  }
+
+  if (body.date !== undefined) {
+    const date = new Date(body.date);
+    if (!body.date || Number.isNaN(date.getTime())) {
+      return 'A consultation date is required';
+    }
+    consultation.date = date;
+  }
+
+  if (body.attendees !== undefined) {
+    const attendeeError = validateAttendees(body.attendees);
+    if (attendeeError) {
+      return attendeeError;
+    }
+    // Forms send an empty string for an unrecorded group or gender
+    consultation.attendees = body.attendees.map(attendee => ({
+      ...attendee,
+      stakeholderGroup: attendee.stakeholderGroup || undefined,
+      gender: attendee.gender || undefined
+    }));
+  }
+
+  if (!consultation.title) {
+    return 'A consultation title is required';
+  }
+  return consultation.date ? null : 'A consultation date is required';
+};
+
+// Applies comment fields, recording who responded when the response changes
+const applyCommentFields = (comment, body, userId) => {
+  ['stakeholder', 'comment', 'action'].forEach((key) => {
+    if (body[key] !== undefined) {
+      comment[key] = body[key];
+    }
+  });
+
+  if (body.stakeholderGroup !== undefined) {
+    if (body.stakeholderGroup && !STAKEHOLDER_GROUPS.includes(body.stakeholderGroup)) {
+      return `Unknown stakeholder group ${body.stakeholderGroup}`;
+    }
+    comment.stakeholderGroup = body.stakeholderGroup || undefined;
+  }
+
+  if (body.response !== undefined && body.response !== (comment.response || '')) {
+    const responded = Boolean(String(body.response).trim());
+    comment.response = body.response;
+    comment.respondedBy = responded ? userId : null;
+    comment.respondedAt = responded ? new Date() : null;
+  }
+
+  return String(comment.comment || '').trim() ? null : 'The stakeholder comment is required';
+};
+
+export async function listConsultations(req, res) {
+  try {
+    res.json(await loadConsultations(req.project._id));
+  } catch (error) {
+    console.error('Error listing consultations:', error);
+    res.status(500).json({ message: 'Error fetching consultations' });
+  }
+}
+
+export async function createConsultation(req, res) {
+  try {
+    const consultation = new StakeholderConsultation({
+      projectId: req.project._id,
+      createdBy: req.user.id
+    });
+
+    const validationError = applyFields(consultation, req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    await consultation.save();
+    res.status(201).json(await withFiles(consultation));
+  } catch (error) {
+    console.error('Error creating consultation:', error);
+    res.status(500).json({ message: 'Error creating consultation' });
+  }
+}
+
+export async function updateConsultation(req, res) {
+  try {
+    const consultation = await findProjectConsultation(req);
+    if (!consultation) {
+      return res.status(404).json({ message: 'Consultation not found' });
+    }
+
+    const validationError = applyFields(consultation, req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    consultation.updatedAt = new Date();
+    await consultation.save();
+    res.json(await withFiles(consultation));
+  } catch (error) {
+    console.error('Error updating consultation:', error);
+    res.status(500).json({ message: 'Error updating consultation' });
+  }
+}
+
+// Deletes the event together with the minutes, photos and attendance sheets uploaded for it
+export async function deleteConsultation(req, res) {
+  try {
+    const consultation = await findProjectConsultation(req);
+    if (!consultation) {
+      return res.status(404).json({ message: 'Consultation not found' });
+    }
+
+    const documents = await Document.find({ consultationId: consultation._id });
+    await removeDocumentFiles(documents);
+    await Document.deleteMany({ consultationId: consultation._id });
+    await consultation.deleteOne();
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting consultation:', error);
+    res.status(500).json({ message: 'Error deleting consultation' });
+  }
+}
+
+// Adds the attendees in a CSV/XLSX attendance list, or replaces the list when
+// replace is "true". The file is kept with the event as evidence.
+export async function importAttendees(req, res) {
+  try {
+    const { file } = req;
+    if (!file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const consultation = await findProjectConsultation(req);
+    if (!consultation) {
+      return res.status(404).json({ message: 'Consultation not found' });
+    }
+
+    const validation = validateUpload(file, req.body.checksum);
+    if (validation.error) {
+      return res.status(400).json({ message: validation.error });
+    }
+    if (!ATTENDEE_LIST_TYPES.includes(validation.fileType)) {
+      return res.status(400).json({ message: 'Attendance lists must be a CSV or XLSX file' });
+    }
+
+    let parsed;
+    try {
+      parsed = parseAttendees(file.buffer, validation.fileType);
+    } catch (parseError) {
+      return res.status(400).json({ message: parseError.message });
+    }
+    if (parsed.attendees.length === 0) {
+      return res.status(400).json({ message: 'No attendees were found', warnings: parsed.warnings });
+    }
+
+    const document = new Document({
+      name: file.originalname,
+      description: `Attendance list for ${consultation.title}`,
+      projectId: req.project._id,
+      documentType: 'stakeholder-consultation',
+      source: 'uploaded',
+      consultationId: consultation._id,
+      uploadedBy: req.user.id
+    });
+    await addVersion(document, {
+      body: file.buffer,
+      name: file.originalname,
+      contentType: file.mimetype,
+      checksum: validation.checksum
+    }, { userId: req.user.id });
+
+    consultation.attendees = req.body.replace === 'true'
+      ? parsed.attendees
+      : [...consultation.attendees, ...parsed.attendees];
+    consultation.updatedAt = new Date();
+    await consultation.save();
+
+    res.status(201).json({
+      consultation: await withFiles(consultation),
+      imported: parsed.attendees.length,
+      warnings: parsed.warnings
+    });
+  } catch (error) {
+    console.error('Error importing attendees:', error);
+    res.status(500).json({ message: 'Error importing attendees' });
+  }
+}
+
+// Uploads minutes, photos or other records of the event
+export async function uploadConsultationFile(req, res) {
+  try {
+    const { file } = req;
+    if (!file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const consultation = await findProjectConsultation(req);
+    if (!consultation) {
+      return res.status(404).json({ message: 'Consultation not found' });
+    }
+
+    const validation = validateUpload(file, req.body.checksum);
+    if (validation.error) {
+      return res.status(400).json({ message: validation.error });
+    }
+
+    const document = new Document({
+      name: file.originalname,
+      description: req.body.description,
+      projectId: req.project._id,
+      documentType: 'stakeholder-consultation',
+      source: 'uploaded',
+      consultationId: consultation._id,
+      uploadedBy: req.user.id
+    });
+    await addVersion(document, {
+      body: file.buffer,
+      name: file.originalname,
+      contentType: file.mimetype,
+      checksum: validation.checksum
+    }, { userId: req.user.id });
+
+    res.status(201).json(await withFiles(consultation));
+  } catch (error) {
+    console.error('Error uploading consultation file:', error);
+    res.status(500).json({ message: 'Error uploading file' });
+  }
+}
+
+export async function addConsultationComment(req, res) {
+  try {
+    const consultation = await findProjectConsultation(req);
+    if (!consultation) {
+      return res.status(404).json({ message: 'Consultation not found' });
+    }
+
+    consultation.comments.push({});
+    const comment = consultation.comments[consultation.comments.length - 1];
+    const validationError = applyCommentFields(comment, req.body, req.user.id);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    consultation.updatedAt = new Date();
+    await consultation.save();
+    res.status(201).json(await withFiles(consultation));
+  } catch (error) {
+    console.error('Error adding consultation comment:', error);
+    res.status(500).json({ message: 'Error adding comment' });
+  }
+}
+
+export async function updateConsultationComment(req, res) {
+  try {
+    const consultation = await findProjectConsultation(req);
+    const comment = findComment(consultation, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const validationError = applyCommentFields(comment, req.body, req.user.id);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    consultation.updatedAt = new Date();
+    await consultation.save();
+    res.json(await withFiles(consultation));
+  } catch (error) {
+    console.error('Error updating consultation comment:', error);
+    res.status(500).json({ message: 'Error updating comment' });
+  }
+}
+
+export async function deleteConsultationComment(req, res) {
+  try {
+    const consultation = await findProjectConsultation(req);
+    const comment = findComment(consultation, req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    consultation.comments.pull(comment._id);
+    consultation.updatedAt = new Date();
+    await consultation.save();
+    res.json(await withFiles(consultation));
+  } catch (error) {
+    console.error('Error deleting consultation comment:', error);
+    res.status(500).json({ message: 'Error deleting comment' });
+  }
+}
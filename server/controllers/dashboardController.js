@@ -0,0 +1,64 @@
+import Project from '../models/Project.js';
+import EmissionCalculation from '../models/EmissionCalculation.js';
+import DocumentVersion from '../models/DocumentVersion.js';
+import { buildDashboardStats } from '../services/analytics/index.js';
+
+const DEFAULT_RANGE_MONTHS = 12;
+
+// Reads ?from= and ?to= (ISO dates), defaulting to the last twelve months;
+// a date-only `to` covers that whole day
+const parseRange = (query) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+    to.setUTCHours(23, 59, 59, 999);
+  }
+
+  const from = query.from ? new Date(query.from) : new Date(to);
+  if (!query.from) {
+    from.setUTCMonth(from.getUTCMonth() - DEFAULT_RANGE_MONTHS);
+  }
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return { error: 'from and to must be valid dates' };
+  }
+  if (from > to) {
+    return { error: 'from must be before to' };
+  }
+  return { from, to };
+};
+
+// Portfolio analytics for the current organization over a date range
+export async function getDashboardStats(req, res) {
+  try {
+    const { from, to, error } = parseRange(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const projects = await Project.find({ organization: req.organization._id, createdAt: { $lte: to } })
+      .select('targetStandard estimatedCredits status statusHistory createdAt')
+      .lean();
+    const projectIds = projects.map(project => project._id);
+
+    // Calculations before the range still count towards issuances inside it
+    const [calculations, generatedVersions] = await Promise.all([
+      EmissionCalculation.find({ projectId: { $in: projectIds }, createdAt: { $lte: to } })
+        .select('projectId monitoringPeriodId periodStart periodEnd results.creditsIssuable createdAt')
+        .lean(),
+      // Each generation adds a version to the same document; restores only roll back to one
+      DocumentVersion.find({
+        projectId: { $in: projectIds },
+        source: 'generated',
+        restoredFrom: { $exists: false },
+        createdAt: { $gte: from, $lte: to }
+      })
+        .select('createdAt')
+        .lean()
+    ]);
+
+    res.json(buildDashboardStats({ projects, calculations, generatedVersions, from, to }));
+  } catch (error) {
+    console.error('Error building dashboard stats:', error);
+    res.status(500).json({ message: 'Error fetching dashboard statistics' });
+  }
+}
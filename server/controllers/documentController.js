@@ -0,0 +1,386 @@
+import mongoose from 'mongoose';
+import Document from '../models/Document.js';
+import DocumentVersion from '../models/DocumentVersion.js';
+import ExtractionFeedback, { FEEDBACK_ACTIONS } from '../models/ExtractionFeedback.js';
+import { getStorage } from '../services/storage/index.js';
+import { extractDocument } from '../services/processing/index.js';
+import {
+  addVersion,
+  restoreVersion,
+  compareVersions,
+  ensureVersionHistory,
+  removeDocumentFiles
+} from '../services/versioning/index.js';
+import { validateUpload } from '../utils/fileValidation.js';
+import { attachment } from '../utils/contentDisposition.js';
+import { DOCUMENT_TYPES, resolveUploadType } from '../../shared/documentTypes.js';
+
+const findProjectDocument = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.documentId)) {
+    return null;
+  }
+  return Document.findOne({ _id: req.params.documentId, projectId: req.project._id });
+};
+
+const sendFile = (res, { name, fileType }, body) => {
+  res.set({
+    'Content-Type': fileType || 'application/octet-stream',
+    'Content-Disposition': attachment(name)
+  });
+  res.send(body);
+};
+
+export async function listProjectDocuments(req, res) {
+  try {
+    const documents = await Document.find({ projectId: req.project._id })
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json(documents);
+  } catch (error) {
+    console.error('Error listing documents:', error);
+    res.status(500).json({ message: 'Error fetching documents' });
+  }
+}
+
+// Document upload controller
+export async function uploadDocument(req, res) {
+  try {
+    const { file } = req;
+    if (!file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const { documentType = 'other', description, checksum, processImmediately } = req.body;
+    if (!DOCUMENT_TYPES[documentType]) {
+      return res.status(400).json({ message: `Unknown document type ${documentType}` });
+    }
+
+    const validation = validateUpload(file, checksum);
+    if (validation.error) {
+      return res.status(400).json({ message: validation.error });
+    }
+
+    const document = new Document({
+      name: file.originalname,
+      description,
+      projectId: req.project._id,
+      documentType,
+      source: 'uploaded',
+      uploadedBy: req.user.id
+    });
+    await addVersion(document, {
+      body: file.buffer,
+      name: file.originalname,
+      contentType: file.mimetype,
+      checksum: validation.checksum
+    }, { userId: req.user.id });
+
+    // Extraction can take a while (OCR in particular), so it runs after responding
+    if (processImmediately === 'true') {
+      document.extractedData = { status: 'pending' };
+      await document.save();
+      extractDocument(document).catch(err => console.error('Error processing document:', err));
+    }
+
+    await document.populate('uploadedBy', 'name email');
+
+    res.status(201).json(document);
+  } catch (error) {
+    console.error('Error uploading document:', error);
+    res.status(500).json({ message: 'Error uploading document' });
+  }
+}
+
+export async function downloadDocument(req, res) {
+  try {
+    const document = await findProjectDocument(req);
+    if (!document || !document.filePath) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    sendFile(res, document, await getStorage().get(document.filePath));
+  } catch (error) {
+    console.error('Error downloading document:', error);
+    res.status(500).json({ message: 'Error downloading document' });
+  }
+}
+
+// Document text extraction controller
+export async function processDocument(req, res) {
+  try {
+    const document = await findProjectDocument(req);
+    if (!document || !document.filePath) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (!resolveUploadType(document.name, document.fileType)) {
+      return res.status(400).json({ message: 'Unsupported file format' });
+    }
+
+    await extractDocument(document);
+
+    res.json({
+      documentId: document._id,
+      extractedData: document.extractedData
+    });
+  } catch (error) {
+    console.error('Error processing document:', error);
+    res.status(500).json({ message: 'Error processing document' });
+  }
+}
+
+export async function getExtractedData(req, res) {
+  try {
+    const document = await findProjectDocument(req)?.select('+extractedData.text');
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    res.json({
+      documentId: document._id,
+      name: document.name,
+      documentType: document.documentType,
+      extractedData: document.extractedData || { status: 'pending' }
+    });
+  } catch (error) {
+    console.error('Error fetching extracted data:', error);
+    res.status(500).json({ message: 'Error fetching extracted data' });
+  }
+}
+
+// Characters of source text kept either side of a span in feedback examples
+const FEEDBACK_CONTEXT_CHARS = 150;
+
+const validateDecisions = (decisions, fields) => {
+  if (!Array.isArray(decisions) || decisions.length === 0) {
+    return 'No review decisions provided';
+  }
+
+  for (const { field, action, value } of decisions) {
+    if (!fields[field]) {
+      return `No extracted value for ${field}`;
+    }
+    if (!FEEDBACK_ACTIONS.includes(action)) {
+      return `Unknown review action ${action}`;
+    }
+    if (action === 'corrected' && (value === undefined || value === null || value === '')) {
+      return `A corrected value is required for ${field}`;
+    }
+  }
+  return null;
+};
+
+// Applies accepted and corrected values to the project and stores every decision as feedback
+export async function reviewExtraction(req, res) {
+  try {
+    const document = await findProjectDocument(req)?.select('+extractedData.text');
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    if (document.extractedData?.status !== 'completed') {
+      return res.status(400).json({ message: 'Document has no completed extraction to review' });
+    }
+
+    const { decisions } = req.body;
+    const fields = document.extractedData.fields || {};
+    const decisionError = validateDecisions(decisions, fields);
+    if (decisionError) {
+      return res.status(400).json({ message: decisionError });
+    }
+
+    const resolved = decisions.map(({ field, action, value }) => {
+      if (action === 'rejected') {
+        return { field, action };
+      }
+      return { field, action, value: action === 'accepted' ? fields[field].value : value };
+    });
+
+    resolved
+      .filter(decision => decision.action !== 'rejected')
+      .forEach(decision => req.project.set(decision.field, decision.value));
+
+    try {
+      await req.project.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          message: 'Reviewed values are not valid project data',
+          errors: Object.fromEntries(Object.entries(error.errors).map(([path, err]) => [path, err.message]))
+        });
+      }
+      throw error;
+    }
+
+    const text = document.extractedData.text || '';
+    const reviewedAt = new Date();
+
+    await ExtractionFeedback.insertMany(resolved.map(({ field, action, value }) => {
+      const extracted = fields[field];
+      return {
+        projectId: req.project._id,
+        documentId: document._id,
+        documentType: document.documentType,
+        field,
+        action,
+        extractedValue: extracted.value,
+        correctValue: value,
+        confidence: extracted.confidence,
+        method: extracted.method,
+        evidence: extracted.evidence,
+        start: extracted.start,
+        end: extracted.end,
+        context: text.slice(Math.max(extracted.start - FEEDBACK_CONTEXT_CHARS, 0), extracted.end + FEEDBACK_CONTEXT_CHARS),
+        reviewedBy: req.user.id
+      };
+    }));
+
+    resolved.forEach(({ field, action, value }) => {
+      fields[field].review = { action, value, reviewedAt, reviewedBy: req.user.id };
+    });
+    document.markModified('extractedData.fields');
+    await document.save();
+
+    res.json({
+      project: req.project,
+      extractedData: document.extractedData
+    });
+  } catch (error) {
+    console.error('Error reviewing extraction:', error);
+    res.status(500).json({ message: 'Error reviewing extraction' });
+  }
+}
+
+export async function deleteDocument(req, res) {
+  try {
+    const document = await findProjectDocument(req);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    await removeDocumentFiles([document]);
+    await document.deleteOne();
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    res.status(500).json({ message: 'Error deleting document' });
+  }
+}
+
+export async function listDocumentVersions(req, res) {
+  try {
+    const document = await findProjectDocument(req);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    await ensureVersionHistory(document);
+    const versions = await DocumentVersion.find({ documentId: document._id })
+      .populate('createdBy', 'name email')
+      .sort({ number: -1 });
+
+    res.json({ document, versions });
+  } catch (error) {
+    console.error('Error listing document versions:', error);
+    res.status(500).json({ message: 'Error fetching document versions' });
+  }
+}
+
+// Uploads a new revision of an uploaded document; generated documents get
+// new versions by generating them again
+export async function uploadDocumentVersion(req, res) {
+  try {
+    const { file } = req;
+    if (!file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const document = await findProjectDocument(req);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    if (document.source !== 'uploaded') {
+      return res.status(400).json({ message: 'Generate the document again to create a new version' });
+    }
+
+    const validation = validateUpload(file, req.body.checksum);
+    if (validation.error) {
+      return res.status(400).json({ message: validation.error });
+    }
+
+    const version = await addVersion(document, {
+      body: file.buffer,
+      name: file.originalname,
+      contentType: file.mimetype,
+      checksum: validation.checksum
+    }, { userId: req.user.id, note: req.body.note });
+
+    await Promise.all([
+      document.populate('uploadedBy', 'name email'),
+      version.populate('createdBy', 'name email')
+    ]);
+
+    res.status(201).json({ document, version });
+  } catch (error) {
+    console.error('Error uploading document version:', error);
+    res.status(500).json({ message: 'Error uploading document version' });
+  }
+}
+
+export async function downloadDocumentVersion(req, res) {
+  try {
+    const document = await findProjectDocument(req);
+    const version = document && await DocumentVersion.findOne({ documentId: document._id, number: Number(req.params.number) });
+    if (!version || !version.filePath) {
+      return res.status(404).json({ message: 'Document version not found' });
+    }
+
+    sendFile(res, version, await getStorage().get(version.filePath));
+  } catch (error) {
+    console.error('Error downloading document version:', error);
+    res.status(500).json({ message: 'Error downloading document version' });
+  }
+}
+
+export async function compareDocumentVersions(req, res) {
+  try {
+    const from = Number(req.query.from);
+    const to = Number(req.query.to);
+    if (!Number.isInteger(from) || !Number.isInteger(to)) {
+      return res.status(400).json({ message: 'from and to version numbers are required' });
+    }
+
+    const document = await findProjectDocument(req);
+    const comparison = document && await compareVersions(document, from, to);
+    if (!comparison) {
+      return res.status(404).json({ message: 'Document version not found' });
+    }
+
+    res.json(comparison);
+  } catch (error) {
+    console.error('Error comparing document versions:', error);
+    res.status(500).json({ message: 'Error comparing document versions' });
+  }
+}
+
+export async function restoreDocumentVersion(req, res) {
+  try {
+    const document = await findProjectDocument(req);
+    const version = document && await restoreVersion(document, Number(req.params.number), req.user.id);
+    if (!version) {
+      return res.status(404).json({ message: 'Document version not found' });
+    }
+
+    await Promise.all([
+      document.populate('uploadedBy', 'name email'),
+      version.populate('createdBy', 'name email')
+    ]);
+
+    res.status(201).json({ document, version });
+  } catch (error) {
+    console.error('Error restoring document version:', error);
+    res.status(500).json({ message: 'Error restoring document version' });
+  }
+}
@@ -0,0 +1,238 @@
+import mongoose from 'mongoose';
+import Finding from '../models/Finding.js';
+import Document from '../models/Document.js';
+import { listDocumentTypes } from '../services/generator/dataPreparation.js';
+import { listSections } from '../services/generator/templateLoader.js';
+import { notify, getProjectAudience } from '../services/notifications/index.js';
+import {
+  FINDING_TYPES,
+  FINDING_STATUSES,
+  FINDING_STATUS_LABELS,
+  formatFindingReference,
+  canCloseFinding
+} from '../../shared/findings.js';
+
+const POPULATE = [
+  { path: 'createdBy', select: 'name email' },
+  { path: 'closedBy', select: 'name email' },
+  { path: 'thread.author', select: 'name email' }
+];
+
+const findProjectFinding = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.findingId)) {
+    return null;
+  }
+  return Finding.findOne({ _id: req.params.findingId, projectId: req.project._id });
+};
+
+const parseDueDate = (value) => {
+  if (value === null || value === '') {
+    return { dueDate: null };
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? { error: 'Invalid due date' } : { dueDate: date };
+};
+
+// Applies the editable fields present in the body, resolving the document
+// so its name is kept with the finding
+const applyFields = async (finding, body, projectId) => {
+  ['title', 'description', 'raisedBy', 'section'].forEach((key) => {
+    if (body[key] !== undefined) {
+      finding[key] = body[key];
+    }
+  });
+
+  if (body.dueDate !== undefined) {
+    const { dueDate, error } = parseDueDate(body.dueDate);
+    if (error) {
+      return error;
+    }
+    finding.dueDate = dueDate;
+  }
+
+  if (body.documentId !== undefined) {
+    if (!body.documentId) {
+      finding.documentId = null;
+      finding.documentName = null;
+    } else {
+      const document = mongoose.Types.ObjectId.isValid(body.documentId)
+        ? await Document.findOne({ _id: body.documentId, projectId })
+        : null;
+      if (!document) {
+        return 'Document not found';
+      }
+      finding.documentId = document._id;
+      finding.documentName = document.name;
+    }
+  }
+
+  return finding.title ? null : 'A finding title is required';
+};
+
+// Headings of every document the generator can produce for the project's standard,
+// offered when choosing the section a finding concerns
+const loadSections = async (standard) => {
+  const entries = await Promise.all(listDocumentTypes(standard).map(async ({ documentType }) => (
+    [documentType, await listSections(standard, documentType)]
+  )));
+  return Object.fromEntries(entries);
+};
+
+export async function listFindings(req, res) {
+  try {
+    const filter = { projectId: req.project._id };
+    if (FINDING_STATUSES.includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    const [findings, sections] = await Promise.all([
+      Finding.find(filter).sort({ createdAt: -1 }).populate(POPULATE),
+      loadSections(req.project.targetStandard)
+    ]);
+
+    res.json({ findings, sections });
+  } catch (error) {
+    console.error('Error listing findings:', error);
+    res.status(500).json({ message: 'Error fetching findings' });
+  }
+}
+
+export async function createFinding(req, res) {
+  try {
+    const { project } = req;
+    const { type } = req.body;
+    if (!FINDING_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Finding type must be one of ${FINDING_TYPES.join(', ')}` });
+    }
+
+    const last = await Finding.findOne({ projectId: project._id, type }).sort({ number: -1 }).select('number');
+    const finding = new Finding({
+      projectId: project._id,
+      type,
+      number: (last?.number || 0) + 1,
+      createdBy: req.user.id
+    });
+
+    const validationError = await applyFields(finding, req.body, project._id);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    await finding.save();
+
+    await notify({
+      type: 'comment',
+      recipients: getProjectAudience(project, req.organization),
+      actorId: req.user.id,
+      projectId: project._id,
+      title: `${formatFindingReference(finding)} raised on ${project.name}`,
+      message: finding.title,
+      link: `/projects/${project._id}/findings`,
+      data: { findingId: finding._id }
+    });
+
+    await finding.populate(POPULATE);
+    res.status(201).json(finding);
+  } catch (error) {
+    console.error('Error creating finding:', error);
+    res.status(500).json({ message: 'Error creating finding' });
+  }
+}
+
+export async function updateFinding(req, res) {
+  try {
+    const finding = await findProjectFinding(req);
+    if (!finding) {
+      return res.status(404).json({ message: 'Finding not found' });
+    }
+
+    const validationError = await applyFields(finding, req.body, req.project._id);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    finding.updatedAt = new Date();
+    await finding.save();
+    await finding.populate(POPULATE);
+
+    res.json(finding);
+  } catch (error) {
+    console.error('Error updating finding:', error);
+    res.status(500).json({ message: 'Error updating finding' });
+  }
+}
+
+// Adds a response or comment to the thread, optionally moving the finding to a new status
+export async function addFindingMessage(req, res) {
+  try {
+    const { project } = req;
+    const body = String(req.body.body || '').trim();
+    const { status } = req.body;
+
+    if (status !== undefined && !FINDING_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Unknown finding status ${status}` });
+    }
+
+    const finding = await findProjectFinding(req);
+    if (!finding) {
+      return res.status(404).json({ message: 'Finding not found' });
+    }
+
+    const statusChanged = Boolean(status) && status !== finding.status;
+    if (!body && !statusChanged) {
+      return res.status(400).json({ message: 'A message is required' });
+    }
+    if (status === 'responded' && !body) {
+      return res.status(400).json({ message: 'A response is required' });
+    }
+    if (statusChanged && status === 'closed' && !canCloseFinding(finding, req.projectRole)) {
+      return res.status(403).json({ message: 'Only project admins can close a finding the team has not responded to' });
+    }
+
+    finding.thread.push({ author: req.user.id, body, status: statusChanged ? status : undefined });
+    if (statusChanged) {
+      finding.status = status;
+      finding.closedBy = status === 'closed' ? req.user.id : null;
+      finding.closedAt = status === 'closed' ? new Date() : null;
+    }
+    finding.updatedAt = new Date();
+    await finding.save();
+
+    // Everyone who has taken part in the finding, plus the project owner
+    const participants = [project.owner, finding.createdBy, ...finding.thread.map(message => message.author)];
+    const reference = formatFindingReference(finding);
+    await notify({
+      type: 'comment',
+      recipients: participants.filter(Boolean),
+      actorId: req.user.id,
+      projectId: project._id,
+      title: statusChanged
+        ? `${reference} on ${project.name} is now ${FINDING_STATUS_LABELS[status].toLowerCase()}`
+        : `${req.user.name} commented on ${reference} in ${project.name}`,
+      message: body || undefined,
+      link: `/projects/${project._id}/findings`,
+      data: { findingId: finding._id, status: finding.status }
+    });
+
+    await finding.populate(POPULATE);
+    res.status(201).json(finding);
+  } catch (error) {
+    console.error('Error adding finding message:', error);
+    res.status(500).json({ message: 'Error adding message' });
+  }
+}
+
+export async function deleteFinding(req, res) {
+  try {
+    const finding = await findProjectFinding(req);
+    if (!finding) {
+      return res.status(404).json({ message: 'Finding not found' });
+    }
+
+    await finding.deleteOne();
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting finding:', error);
+    res.status(500).json({ message: 'Error deleting finding' });
+  }
+}
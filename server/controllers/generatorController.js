@@ -0,0 +1,118 @@
+import mongoose from 'mongoose';
+import Document from '../models/Document.js';
+import DocumentGenerator from '../services/generator/DocumentGenerator.js';
+import { getDocumentDefinition, listDocumentTypes } from '../services/generator/dataPreparation.js';
+import { loadProjectData } from '../services/generator/projectData.js';
+import { runComplianceCheck } from '../services/compliance/index.js';
+import { OUTPUT_FORMATS } from '../services/generator/renderers.js';
+import { addVersion, getNextVersionNumber } from '../services/versioning/index.js';
+import { attachment } from '../utils/contentDisposition.js';
+
+const generator = new DocumentGenerator();
+
+const validateRequest = (project, documentType, format, calculationId) => {
+  if (!getDocumentDefinition(project.targetStandard, documentType)) {
+    return `No ${documentType || 'document'} template is available for this project's standard`;
+  }
+  if (format && !OUTPUT_FORMATS[format]) {
+    return `Unsupported output format ${format}`;
+  }
+  if (calculationId && !mongoose.Types.ObjectId.isValid(calculationId)) {
+    return 'Invalid calculation';
+  }
+  return null;
+};
+
+export async function listGeneratorOptions(req, res) {
+  res.json({
+    standard: req.project.targetStandard,
+    documentTypes: listDocumentTypes(req.project.targetStandard),
+    formats: Object.keys(OUTPUT_FORMATS)
+  });
+}
+
+export async function previewDocument(req, res) {
+  try {
+    const { project } = req;
+    const { documentType, calculationId } = req.body;
+
+    const validationError = validateRequest(project, documentType, null, calculationId);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const projectData = await loadProjectData(project, calculationId);
+    const result = await generator.generateDocument(projectData, project.targetStandard, documentType, 'html');
+
+    res.json({ html: result.html, missingFields: result.missingFields, applicability: result.applicability });
+  } catch (error) {
+    console.error('Error previewing document:', error);
+    res.status(500).json({ message: 'Error previewing document' });
+  }
+}
+
+// Document generation controller
+export async function generateDocument(req, res) {
+  try {
+    const { project } = req;
+    const { documentType, format = 'docx', calculationId, allowIncomplete = false } = req.body;
+
+    const validationError = validateRequest(project, documentType, format, calculationId);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const projectData = await loadProjectData(project, calculationId);
+
+    // Blocking compliance items stop generation unless the user chose to generate a draft anyway
+    const compliance = await runComplianceCheck(project, { documentType, projectData });
+    if (compliance.blocking > 0 && !allowIncomplete) {
+      return res.status(409).json({
+        message: `The compliance check reports ${compliance.blocking} blocking issue${compliance.blocking === 1 ? '' : 's'}`,
+        compliance
+      });
+    }
+
+    const result = await generator.generateDocument(projectData, project.targetStandard, documentType, format);
+
+    // Regenerating adds a version to the project's existing generated document of this type
+    const document = await Document.findOne({ projectId: project._id, documentType, source: 'generated' }).sort({ createdAt: -1 })
+      || new Document({
+        projectId: project._id,
+        documentType,
+        source: 'generated',
+        uploadedBy: req.user.id
+      });
+    document.standard = project.targetStandard;
+    const number = await getNextVersionNumber(document);
+    const filename = `${project.name.replace(/\s+/g, '_')}_${documentType}_v${number}.${result.extension}`;
+    const body = Buffer.isBuffer(result.body) ? result.body : Buffer.from(result.body);
+
+    const version = await addVersion(document, {
+      body,
+      name: filename,
+      contentType: result.contentType
+    }, {
+      userId: req.user.id,
+      snapshot: projectData,
+      templateVersion: result.templateVersion,
+      missingFields: result.missingFields,
+      content: result.html,
+      contentFormat: 'html',
+      note: compliance.blocking > 0
+        ? `Generated with ${compliance.blocking} blocking compliance issue${compliance.blocking === 1 ? '' : 's'}`
+        : undefined
+    });
+
+    res.set({
+      'Content-Type': result.contentType,
+      'Content-Disposition': attachment(version.name),
+      'X-Missing-Fields': result.missingFields.join(','),
+      'X-Document-Version': String(version.number)
+    });
+    res.send(body);
+  } catch (error) {
+    console.error('Error generating document:', error);
+    res.status(500).json({ message: 'Error generating document' });
+  }
+}
@@ -0,0 +1,32 @@
+import { findMethodologies, getMethodology } from '../../shared/methodologies.js';
+import { evaluateApplicability, getMissingParameters } from '../../shared/applicability.js';
+
+export async function listMethodologies(req, res) {
+  const { standard, projectType } = req.query;
+  res.json(findMethodologies({ standard, projectType }));
+}
+
+export async function getMethodologyById(req, res) {
+  const methodology = getMethodology(req.params.methodologyId);
+  if (!methodology) {
+    return res.status(404).json({ message: 'Methodology not found' });
+  }
+  res.json(methodology);
+}
+
+// Applicability check for the project's selected (or a candidate) methodology
+export async function getProjectApplicability(req, res) {
+  try {
+    const project = req.project.toObject();
+    const methodologyId = req.query.methodologyId || project.methodologyId;
+    const candidate = { ...project, methodologyId };
+
+    res.json({
+      ...evaluateApplicability(candidate),
+      missingParameters: getMissingParameters(candidate)
+    });
+  } catch (error) {
+    console.error('Error checking applicability:', error);
+    res.status(500).json({ message: 'Error checking methodology applicability' });
+  }
+}
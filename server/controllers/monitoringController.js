@@ -0,0 +1,380 @@
+import mongoose from 'mongoose';
+import MonitoringPeriod from '../models/MonitoringPeriod.js';
+import MonitoringSeries from '../models/MonitoringSeries.js';
+import Document from '../models/Document.js';
+import { getStorage, buildStorageKey } from '../services/storage/index.js';
+import { buildSeries, mergeReadings, aggregateInputs } from '../services/monitoring/index.js';
+import { notify } from '../services/notifications/index.js';
+import { validateUpload } from '../utils/fileValidation.js';
+import { getCalculationModel } from '../../shared/calculationModels.js';
+import { MONITORING_PERIOD_STATUSES } from '../../shared/monitoring.js';
+
+const TIME_SERIES_TYPES = ['csv', 'xlsx'];
+
+const findProjectPeriod = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.periodId)) {
+    return null;
+  }
+  return MonitoringPeriod.findOne({ _id: req.params.periodId, projectId: req.project._id });
+};
+
+const findPeriodSeries = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.seriesId) || !mongoose.Types.ObjectId.isValid(req.params.periodId)) {
+    return null;
+  }
+  return MonitoringSeries.findOne({
+    _id: req.params.seriesId,
+    periodId: req.params.periodId,
+    projectId: req.project._id
+  });
+};
+
+const validatePeriodFields = ({ name, startDate, endDate }) => {
+  const start = new Date(startDate);
+  const end = new Date(endDate);
+  if (!name || !String(name).trim()) {
+    return 'A monitoring period name is required';
+  }
+  if (!startDate || !endDate || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return 'A monitoring period start and end date are required';
+  }
+  if (end <= start) {
+    return 'The monitoring period must end after it starts';
+  }
+  return null;
+};
+
+// Monitored SDG values must refer to the project's contributions, at most once each
+const validateSdgResults = (results, project) => {
+  if (!Array.isArray(results)) {
+    return 'SDG results must be a list';
+  }
+  const contributionIds = new Set(project.sdgContributions.map(contribution => String(contribution._id)));
+  const seen = new Set();
+  for (const result of results) {
+    const id = String(result.contribution);
+    if (!contributionIds.has(id)) {
+      return 'SDG results must refer to the project\'s SDG contributions';
+    }
+    if (seen.has(id)) {
+      return 'Each SDG contribution can have one result per monitoring period';
+    }
+    if (result.value !== undefined && result.value !== null && result.value !== '' && !Number.isFinite(Number(result.value))) {
+      return 'SDG result values must be numbers';
+    }
+    seen.add(id);
+  }
+  return null;
+};
+
+// Monitoring periods of a project may touch but not overlap
+const findOverlap = (projectId, startDate, endDate, excludeId) => MonitoringPeriod.findOne({
+  projectId,
+  _id: { $ne: excludeId },
+  startDate: { $lt: new Date(endDate) },
+  endDate: { $gt: new Date(startDate) }
+});
+
+export async function listPeriods(req, res) {
+  try {
+    const periods = await MonitoringPeriod.find({ projectId: req.project._id }).sort({ startDate: -1 }).lean();
+    const series = await MonitoringSeries.find({ projectId: req.project._id })
+      .select('periodId parameter label symbol unit sourceUnit inCalculation qaStatus qa review updatedAt')
+      .sort({ inCalculation: -1, parameter: 1 })
+      .lean();
+
+    res.json(periods.map(period => ({
+      ...period,
+      series: series.filter(entry => entry.periodId.equals(period._id))
+    })));
+  } catch (error) {
+    console.error('Error listing monitoring periods:', error);
+    res.status(500).json({ message: 'Error fetching monitoring periods' });
+  }
+}
+
+export async function createPeriod(req, res) {
+  try {
+    const { name, startDate, endDate } = req.body;
+    const validationError = validatePeriodFields(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const overlap = await findOverlap(req.project._id, startDate, endDate);
+    if (overlap) {
+      return res.status(400).json({ message: `The period overlaps ${overlap.name}` });
+    }
+
+    const period = await MonitoringPeriod.create({
+      projectId: req.project._id,
+      name,
+      startDate,
+      endDate,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({ ...period.toObject(), series: [] });
+  } catch (error) {
+    console.error('Error creating monitoring period:', error);
+    res.status(500).json({ message: 'Error creating monitoring period' });
+  }
+}
+
+export async function updatePeriod(req, res) {
+  try {
+    const period = await findProjectPeriod(req);
+    if (!period) {
+      return res.status(404).json({ message: 'Monitoring period not found' });
+    }
+
+    const {
+      name = period.name,
+      startDate = period.startDate,
+      endDate = period.endDate,
+      status = period.status,
+      sdgResults
+    } = req.body;
+    const validationError = validatePeriodFields({ name, startDate, endDate })
+      || (sdgResults !== undefined ? validateSdgResults(sdgResults, req.project) : null);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    if (!MONITORING_PERIOD_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Unknown monitoring period status ${status}` });
+    }
+
+    const overlap = await findOverlap(req.project._id, startDate, endDate, period._id);
+    if (overlap) {
+      return res.status(400).json({ message: `The period overlaps ${overlap.name}` });
+    }
+
+    Object.assign(period, { name, startDate, endDate, status });
+    if (sdgResults !== undefined) {
+      period.sdgResults = sdgResults.map(result => ({
+        contribution: result.contribution,
+        value: result.value === '' || result.value === null || result.value === undefined ? undefined : Number(result.value),
+        notes: result.notes
+      }));
+    }
+    await period.save();
+
+    res.json(period);
+  } catch (error) {
+    console.error('Error updating monitoring period:', error);
+    res.status(500).json({ message: 'Error updating monitoring period' });
+  }
+}
+
+export async function deletePeriod(req, res) {
+  try {
+    const period = await findProjectPeriod(req);
+    if (!period) {
+      return res.status(404).json({ message: 'Monitoring period not found' });
+    }
+
+    await MonitoringSeries.deleteMany({ periodId: period._id });
+    await period.deleteOne();
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting monitoring period:', error);
+    res.status(500).json({ message: 'Error deleting monitoring period' });
+  }
+}
+
+// Imports a CSV/XLSX time series into the period, merging with readings already stored
+export async function importSeries(req, res) {
+  try {
+    const { file } = req;
+    if (!file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const period = await findProjectPeriod(req);
+    if (!period) {
+      return res.status(404).json({ message: 'Monitoring period not found' });
+    }
+    if (period.status === 'closed') {
+      return res.status(400).json({ message: 'The monitoring period is closed; reopen it to import data' });
+    }
+
+    const validation = validateUpload(file, req.body.checksum);
+    if (validation.error) {
+      return res.status(400).json({ message: validation.error });
+    }
+    if (!TIME_SERIES_TYPES.includes(validation.fileType)) {
+      return res.status(400).json({ message: 'Monitoring data must be a CSV or XLSX file' });
+    }
+
+    let mapping = {};
+    try {
+      mapping = req.body.mapping ? JSON.parse(req.body.mapping) : {};
+    } catch (mappingError) {
+      return res.status(400).json({ message: 'Column mapping must be valid JSON' });
+    }
+
+    let parsed;
+    try {
+      parsed = buildSeries(file.buffer, validation.fileType, {
+        model: getCalculationModel(req.project.methodologyId),
+        mapping
+      });
+    } catch (parseError) {
+      return res.status(400).json({ message: parseError.message });
+    }
+    if (parsed.series.length === 0) {
+      return res.status(400).json({ message: 'No numeric parameter columns were found', warnings: parsed.warnings });
+    }
+
+    // The raw file is kept with the project documents as evidence for verifiers
+    const key = buildStorageKey(req.project._id, 'documents', file.originalname);
+    await getStorage().put(key, file.buffer, { contentType: file.mimetype });
+    const document = await Document.create({
+      name: file.originalname,
+      description: `Monitoring data for ${period.name}`,
+      projectId: req.project._id,
+      documentType: 'monitoring-data',
+      source: 'uploaded',
+      fileType: file.mimetype,
+      fileSize: file.size,
+      filePath: key,
+      checksum: validation.checksum,
+      uploadedBy: req.user.id
+    });
+
+    const warnings = [...parsed.warnings];
+    const imported = [];
+    for (const entry of parsed.series) {
+      const existing = await MonitoringSeries.findOne({ periodId: period._id, parameter: entry.parameter }).select('+readings');
+      const merged = mergeReadings(existing?.readings || [], entry.readings, period);
+      warnings.push(...merged.warnings.map(warning => `${entry.label}: ${warning}`));
+
+      const series = existing || new MonitoringSeries({ projectId: req.project._id, periodId: period._id, parameter: entry.parameter });
+      Object.assign(series, {
+        label: entry.label,
+        symbol: entry.symbol,
+        unit: entry.unit,
+        sourceUnit: entry.sourceUnit,
+        inCalculation: entry.inCalculation,
+        readings: merged.readings,
+        qaStatus: merged.qaStatus,
+        qa: merged.qa,
+        // New data needs a fresh review
+        review: undefined,
+        sourceDocumentId: document._id,
+        importedBy: req.user.id,
+        updatedAt: new Date()
+      });
+      await series.save();
+
+      const summary = series.toObject();
+      delete summary.readings;
+      imported.push(summary);
+    }
+
+    res.status(201).json({ series: imported, warnings, documentId: document._id });
+  } catch (error) {
+    console.error('Error importing monitoring data:', error);
+    res.status(500).json({ message: 'Error importing monitoring data' });
+  }
+}
+
+export async function getSeries(req, res) {
+  try {
+    const series = await findPeriodSeries(req)?.select('+readings').populate('review.reviewedBy', 'name email');
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    res.json(series);
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({ message: 'Error fetching series' });
+  }
+}
+
+// A reviewer approves a flagged series for use in calculations, or rejects it
+export async function reviewSeries(req, res) {
+  try {
+    const { qaStatus, comment } = req.body;
+    if (!['approved', 'rejected'].includes(qaStatus)) {
+      return res.status(400).json({ message: 'qaStatus must be approved or rejected' });
+    }
+    if (qaStatus === 'rejected' && !comment) {
+      return res.status(400).json({ message: 'A comment is required when rejecting a series' });
+    }
+
+    const series = await findPeriodSeries(req);
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    series.qaStatus = qaStatus;
+    series.review = { comment, reviewedBy: req.user.id, reviewedAt: new Date() };
+    await series.save();
+
+    if (series.importedBy) {
+      await notify({
+        type: 'comment',
+        recipients: [series.importedBy],
+        actorId: req.user.id,
+        projectId: req.project._id,
+        title: `${req.user.name} ${qaStatus} ${series.label || series.parameter} in ${req.project.name}`,
+        message: comment,
+        link: `/projects/${req.project._id}/monitoring`,
+        data: { periodId: series.periodId, seriesId: series._id, qaStatus }
+      });
+    }
+    await series.populate('review.reviewedBy', 'name email');
+
+    res.json(series);
+  } catch (error) {
+    console.error('Error reviewing series:', error);
+    res.status(500).json({ message: 'Error reviewing series' });
+  }
+}
+
+export async function deleteSeries(req, res) {
+  try {
+    const series = await findPeriodSeries(req);
+    if (!series) {
+      return res.status(404).json({ message: 'Series not found' });
+    }
+
+    await series.deleteOne();
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting series:', error);
+    res.status(500).json({ message: 'Error deleting series' });
+  }
+}
+
+/**
+ * Loads a period's series and aggregates them into calculation inputs
+ * @param {ObjectId} periodId - Monitoring period id
+ * @param {Object} model - Calculation model
+ * @returns {Promise<Object>} - aggregateInputs result
+ */
+export async function loadPeriodInputs(periodId, model) {
+  const series = await MonitoringSeries.find({ periodId, inCalculation: true }).select('+readings').lean();
+  return aggregateInputs(series, model);
+}
+
+export async function getPeriodInputs(req, res) {
+  try {
+    const period = await findProjectPeriod(req);
+    if (!period) {
+      return res.status(404).json({ message: 'Monitoring period not found' });
+    }
+
+    const model = getCalculationModel(req.project.methodologyId);
+    if (!model) {
+      return res.status(400).json({ message: `No calculation model is available for ${req.project.methodologyId}` });
+    }
+
+    res.json({ period, ...(await loadPeriodInputs(period._id, model)) });
+  } catch (error) {
+    console.error('Error aggregating monitoring data:', error);
+    res.status(500).json({ message: 'Error aggregating monitoring data' });
+  }
+}
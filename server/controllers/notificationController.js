@@ -0,0 +1,139 @@
+import mongoose from 'mongoose';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { subscribe } from '../services/notifications/index.js';
+import { NOTIFICATION_TYPES, resolveNotificationPreferences } from '../../shared/notifications.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const HEARTBEAT_MS = 25 * 1000;
+
+const inboxFilter = userId => ({ userId, inApp: true });
+
+const unreadCount = userId => Notification.countDocuments({ ...inboxFilter(userId), readAt: null });
+
+// Newest first; ?unread=true limits to unread, ?before= pages back by date
+export async function listNotifications(req, res) {
+  try {
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const filter = inboxFilter(req.user.id);
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+    if (req.query.before) {
+      const before = new Date(req.query.before);
+      if (Number.isNaN(before.getTime())) {
+        return res.status(400).json({ message: 'Invalid before date' });
+      }
+      filter.createdAt = { $lt: before };
+    }
+
+    const [notifications, unread] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .populate('actor', 'name')
+        .populate('projectId', 'name'),
+      unreadCount(req.user.id)
+    ]);
+
+    res.json({ notifications, unreadCount: unread });
+  } catch (error) {
+    console.error('Error listing notifications:', error);
+    res.status(500).json({ message: 'Error fetching notifications' });
+  }
+}
+
+// Server-sent events: a `notification` event for each new notification
+export function streamNotifications(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Keeps proxies such as nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const unsubscribe = subscribe(req.user.id, (notification) => {
+    res.write(`event: notification\ndata: ${JSON.stringify(notification)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+export async function markRead(req, res) {
+  try {
+    const { notificationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(notificationId)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, userId: req.user.id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ notification, unreadCount: await unreadCount(req.user.id) });
+  } catch (error) {
+    console.error('Error marking notification read:', error);
+    res.status(500).json({ message: 'Error updating notification' });
+  }
+}
+
+export async function markAllRead(req, res) {
+  try {
+    await Notification.updateMany(
+      { ...inboxFilter(req.user.id), readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    res.json({ unreadCount: 0 });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ message: 'Error updating notifications' });
+  }
+}
+
+export async function getPreferences(req, res) {
+  try {
+    const user = await User.findById(req.user.id);
+    res.json(resolveNotificationPreferences(user?.notificationPreferences));
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ message: 'Error fetching notification preferences' });
+  }
+}
+
+// Accepts { [type]: { inApp, email } } for any subset of types
+export async function updatePreferences(req, res) {
+  try {
+    const unknown = Object.keys(req.body || {}).filter(type => !NOTIFICATION_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown notification type ${unknown.join(', ')}` });
+    }
+
+    const user = await User.findById(req.user.id);
+    const current = resolveNotificationPreferences(user.notificationPreferences);
+    const merged = Object.fromEntries(Object.entries(current).map(([type, preference]) => [
+      type,
+      { ...preference, ...req.body[type] }
+    ]));
+
+    user.notificationPreferences = resolveNotificationPreferences(merged);
+    await user.save();
+
+    res.json(user.notificationPreferences);
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ message: 'Error updating notification preferences' });
+  }
+}
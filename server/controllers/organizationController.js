@@ -0,0 +1,195 @@
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import { createOrganization, createDefaultOrganization } from '../utils/organizations.js';
+import { ORGANIZATION_ROLES, getOrganizationRole, canPerformInOrganization } from '../../shared/permissions.js';
+
+const findMember = (organization, userId) => organization.members.find(m => m.user?.equals(userId));
+
+const ownerCount = organization => organization.members.filter(m => m.role === 'owner').length;
+
+const toSummary = (organization, userId) => ({
+  _id: organization._id,
+  name: organization.name,
+  memberCount: organization.members.length,
+  createdAt: organization.createdAt,
+  userRole: getOrganizationRole(organization, userId)
+});
+
+const toResponse = async (organization, userRole) => {
+  await organization.populate('members.user', 'name email');
+  return { ...organization.toObject(), userRole };
+};
+
+// Lists the organizations the user belongs to, oldest first
+export async function listOrganizations(req, res) {
+  try {
+    let organizations = await Organization.find({ 'members.user': req.user.id }).sort({ createdAt: 1 });
+
+    if (organizations.length === 0) {
+      const user = await User.findById(req.user.id);
+      organizations = [await createDefaultOrganization(user)];
+    }
+
+    res.json(organizations.map(organization => toSummary(organization, req.user.id)));
+  } catch (error) {
+    console.error('Error listing organizations:', error);
+    res.status(500).json({ message: 'Error fetching organizations' });
+  }
+}
+
+export async function createNewOrganization(req, res) {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ message: 'An organization name is required' });
+    }
+
+    const organization = await createOrganization(req.user.id, name);
+
+    res.status(201).json(toSummary(organization, req.user.id));
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    res.status(500).json({ message: 'Error creating organization' });
+  }
+}
+
+export async function getOrganization(req, res) {
+  try {
+    res.json(await toResponse(req.organization, req.organizationRole));
+  } catch (error) {
+    console.error('Error fetching organization:', error);
+    res.status(500).json({ message: 'Error fetching organization' });
+  }
+}
+
+export async function updateOrganization(req, res) {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ message: 'An organization name is required' });
+    }
+
+    req.organization.name = name;
+    await req.organization.save();
+
+    res.json(await toResponse(req.organization, req.organizationRole));
+  } catch (error) {
+    console.error('Error updating organization:', error);
+    res.status(500).json({ message: 'Error updating organization' });
+  }
+}
+
+// Adds an existing account to the organization by email
+export async function addMember(req, res) {
+  try {
+    const { organization } = req;
+    const { email, role = 'member' } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'An email address is required' });
+    }
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Unknown role ${role}` });
+    }
+    if (role === 'owner' && !canPerformInOrganization(req.organizationRole, 'manageOrganization')) {
+      return res.status(403).json({ message: 'Only owners can appoint other owners' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (!user) {
+      return res.status(404).json({ message: `No account found for ${email}; ask them to register first` });
+    }
+    if (findMember(organization, user._id)) {
+      return res.status(400).json({ message: `${user.email} is already a member` });
+    }
+
+    organization.members.push({ user: user._id, role });
+    await organization.save();
+
+    res.status(201).json(await toResponse(organization, req.organizationRole));
+  } catch (error) {
+    console.error('Error adding organization member:', error);
+    res.status(500).json({ message: 'Error adding member' });
+  }
+}
+
+// Owners can change any role; admins cannot touch owners or make new ones
+export async function updateMember(req, res) {
+  try {
+    const { organization } = req;
+    const { role } = req.body;
+
+    if (!ORGANIZATION_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Unknown role ${role}` });
+    }
+
+    const member = mongoose.Types.ObjectId.isValid(req.params.userId) && findMember(organization, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    const isOwner = canPerformInOrganization(req.organizationRole, 'manageOrganization');
+    if ((role === 'owner' || member.role === 'owner') && !isOwner) {
+      return res.status(403).json({ message: 'Only owners can change who owns the organization' });
+    }
+    if (member.role === 'owner' && role !== 'owner' && ownerCount(organization) === 1) {
+      return res.status(400).json({ message: 'An organization needs at least one owner' });
+    }
+
+    member.role = role;
+    await organization.save();
+
+    res.json(await toResponse(organization, getOrganizationRole(organization, req.user.id)));
+  } catch (error) {
+    console.error('Error updating organization member:', error);
+    res.status(500).json({ message: 'Error updating member' });
+  }
+}
+
+// Admins can remove members; anyone can leave. Removed members also lose
+// their collaborator roles on the organization's projects.
+export async function removeMember(req, res) {
+  try {
+    const { organization } = req;
+    const leaving = req.params.userId === req.user.id;
+
+    if (!leaving && !canPerformInOrganization(req.organizationRole, 'manageMembers')) {
+      return res.status(403).json({ message: 'Only organization admins can remove members' });
+    }
+
+    const member = mongoose.Types.ObjectId.isValid(req.params.userId) && findMember(organization, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (member.role === 'owner') {
+      if (!leaving && !canPerformInOrganization(req.organizationRole, 'manageOrganization')) {
+        return res.status(403).json({ message: 'Only owners can remove other owners' });
+      }
+      if (ownerCount(organization) === 1) {
+        return res.status(400).json({ message: 'An organization needs at least one owner; appoint another owner first' });
+      }
+    }
+
+    organization.members.pull(member._id);
+    // A workspace made for this member is no longer theirs to fall back to
+    if (String(organization.defaultFor) === String(member.user)) {
+      organization.defaultFor = undefined;
+    }
+    await organization.save();
+    await Project.updateMany(
+      { organization: organization._id },
+      { $pull: { collaborators: { user: member.user } } }
+    );
+
+    if (leaving) {
+      return res.status(204).end();
+    }
+
+    res.json(await toResponse(organization, req.organizationRole));
+  } catch (error) {
+    console.error('Error removing organization member:', error);
+    res.status(500).json({ message: 'Error removing member' });
+  }
+}
@@ -0,0 +1,247 @@
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import Document from '../models/Document.js';
+import EmissionCalculation from '../models/EmissionCalculation.js';
+import MonitoringPeriod from '../models/MonitoringPeriod.js';
+import MonitoringSeries from '../models/MonitoringSeries.js';
+import Finding from '../models/Finding.js';
+import ProjectBoundary from '../models/ProjectBoundary.js';
+import StakeholderConsultation from '../models/StakeholderConsultation.js';
+import { removeDocumentFiles } from '../services/versioning/index.js';
+import { getStorage } from '../services/storage/index.js';
+import { getProjectRole, getOrganizationRole, canPerform } from '../../shared/permissions.js';
+import { parseProjectQuery, PROJECT_SORT_FIELDS } from '../../shared/projectQuery.js';
+
+// Fields a client may set directly; organization, owner and status are managed by the server
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'projectType',
+  'location',
+  'startDate',
+  'endDate',
+  'targetStandard',
+  'methodologyId',
+  'methodologyParameters',
+  'estimatedCredits',
+  'sdgContributions',
+  'safeguarding',
+  'collaborators'
+];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) {
+    fields[key] = body[key];
+  }
+  return fields;
+}, {});
+
+// Collaborators may be given by user id or by email; emails are resolved to
+// accounts, which must belong to the project's organization
+const resolveCollaborators = async (collaborators, organization) => {
+  const emailOf = c => (typeof c?.email === 'string' ? c.email.trim().toLowerCase() : '');
+  if (collaborators.some(c => !c?.user && !emailOf(c))) {
+    const error = new Error('Each collaborator needs a user or an email');
+    error.status = 400;
+    throw error;
+  }
+
+  const emails = collaborators.filter(c => !c.user).map(emailOf);
+  const users = emails.length ? await User.find({ email: { $in: emails } }) : [];
+  const idsByEmail = new Map(users.map(u => [u.email, u._id]));
+
+  const unknown = emails.filter(email => !idsByEmail.has(email));
+  if (unknown.length > 0) {
+    const error = new Error(`No account found for ${unknown.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const resolved = collaborators.map(c => ({
+    user: c.user?._id || c.user || idsByEmail.get(emailOf(c)),
+    role: c.role
+  }));
+
+  const outsiders = resolved.filter(c => !getOrganizationRole(organization, c.user));
+  if (outsiders.length > 0) {
+    const error = new Error(`Collaborators must be members of ${organization.name}; add them to the organization first`);
+    error.status = 400;
+    throw error;
+  }
+
+  return resolved;
+};
+
+const prepareFields = async (body, organization) => {
+  const fields = pickEditable(body);
+  if (Array.isArray(fields.collaborators)) {
+    fields.collaborators = await resolveCollaborators(fields.collaborators, organization);
+  }
+  return fields;
+};
+
+const sendValidationError = (res, error) => res.status(400).json({
+  message: 'Invalid project data',
+  errors: Object.fromEntries(
+    Object.entries(error.errors).map(([path, err]) => [path, err.message])
+  )
+});
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Translates parsed list parameters into a MongoDB filter within the organization
+const buildListFilter = (query, organizationId) => {
+  const filter = { organization: organizationId };
+
+  if (query.search) {
+    filter.$text = { $search: query.search };
+  }
+  ['projectType', 'targetStandard', 'status'].forEach((key) => {
+    if (query[key].length > 0) {
+      filter[key] = { $in: query[key] };
+    }
+  });
+  if (query.country) {
+    filter['location.country'] = new RegExp(`^${escapeRegExp(query.country)}$`, 'i');
+  }
+  if (query.minCredits !== null || query.maxCredits !== null) {
+    filter.estimatedCredits = {
+      ...(query.minCredits !== null && { $gte: query.minCredits }),
+      ...(query.maxCredits !== null && { $lte: query.maxCredits })
+    };
+  }
+
+  return filter;
+};
+
+// Sorts by one column, with _id as a tie-breaker so pages never overlap
+const buildSort = (sort) => {
+  const direction = sort.startsWith('-') ? -1 : 1;
+  return { [PROJECT_SORT_FIELDS[sort.replace(/^-/, '')]]: direction, _id: direction };
+};
+
+/**
+ * Lists one page of the organization's projects. Supports ?search= (full
+ * text over name and description), ?projectType=, ?targetStandard=, ?status=
+ * (comma separated), ?country=, ?minCredits=, ?maxCredits=, ?sort= (a column,
+ * prefixed with - for descending), ?page= (from 1) and ?limit=.
+ */
+export async function listProjects(req, res) {
+  try {
+    const query = parseProjectQuery(req.query);
+    const filter = buildListFilter(query, req.organization._id);
+
+    const [projects, total] = await Promise.all([
+      Project.find(filter)
+        .sort(buildSort(query.sort))
+        .skip((query.page - 1) * query.limit)
+        .limit(query.limit),
+      Project.countDocuments(filter)
+    ]);
+
+    res.json({
+      projects: projects.map(project => ({
+        ...project.toObject(),
+        userRole: getProjectRole(project, req.user.id, req.organizationRole)
+      })),
+      total,
+      page: query.page,
+      limit: query.limit
+    });
+  } catch (error) {
+    console.error('Error listing projects:', error);
+    res.status(500).json({ message: 'Error fetching projects' });
+  }
+}
+
+export async function getProject(req, res) {
+  try {
+    await req.project.populate([
+      { path: 'collaborators.user', select: 'name email' },
+      { path: 'statusHistory.updatedBy', select: 'name email' }
+    ]);
+
+    // Unresolved verification findings hold back the move to verified
+    const openFindingCount = await Finding.countDocuments({ projectId: req.project._id, status: { $ne: 'closed' } });
+
+    res.json({ ...req.project.toObject(), userRole: req.projectRole, openFindingCount });
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    res.status(500).json({ message: 'Error fetching project' });
+  }
+}
+
+export async function createProject(req, res) {
+  try {
+    const project = new Project({
+      ...(await prepareFields(req.body, req.organization)),
+      organization: req.organization._id,
+      owner: req.user.id,
+      status: 'draft',
+      statusHistory: [{ status: 'draft', updatedBy: req.user.id, comment: 'Project created' }]
+    });
+
+    await project.save();
+
+    res.status(201).json({ ...project.toObject(), userRole: 'owner' });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return sendValidationError(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating project:', error);
+    res.status(500).json({ message: 'Error creating project' });
+  }
+}
+
+export async function updateProject(req, res) {
+  try {
+    const { project } = req;
+
+    // Editors may change project data but not who has access to it
+    if (req.body.collaborators !== undefined && !canPerform(req.projectRole, 'manageCollaborators')) {
+      return res.status(403).json({ message: 'Only project admins can change collaborators' });
+    }
+
+    project.set(await prepareFields(req.body, req.organization));
+    await project.save();
+
+    res.json({ ...project.toObject(), userRole: req.projectRole });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return sendValidationError(res, error);
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating project:', error);
+    res.status(500).json({ message: 'Error updating project' });
+  }
+}
+
+export async function deleteProject(req, res) {
+  try {
+    const documents = await Document.find({ projectId: req.project._id });
+    await removeDocumentFiles(documents);
+    await Document.deleteMany({ projectId: req.project._id });
+    await EmissionCalculation.deleteMany({ projectId: req.project._id });
+    await MonitoringSeries.deleteMany({ projectId: req.project._id });
+    await MonitoringPeriod.deleteMany({ projectId: req.project._id });
+    await Finding.deleteMany({ projectId: req.project._id });
+    await StakeholderConsultation.deleteMany({ projectId: req.project._id });
+    const boundary = await ProjectBoundary.findOne({ projectId: req.project._id }).select('filePath');
+    if (boundary?.filePath) {
+      await getStorage().remove(boundary.filePath);
+    }
+    await ProjectBoundary.deleteMany({ projectId: req.project._id });
+    await req.project.deleteOne();
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting project:', error);
+    res.status(500).json({ message: 'Error deleting project' });
+  }
+}
@@ -0,0 +1,74 @@
+import Document from '../models/Document.js';
+import Finding from '../models/Finding.js';
+import { notify, getProjectAudience } from '../services/notifications/index.js';
+import { runComplianceCheck } from '../services/compliance/index.js';
+import { checkTransition, getStatusName, getWorkflowState } from '../../shared/workflow.js';
+
+// Workflow transition controller
+export async function transitionProjectStatus(req, res) {
+  try {
+    const { project } = req;
+    const { newStatus, comment } = req.body;
+
+    if (!newStatus) {
+      return res.status(400).json({ message: 'newStatus is required' });
+    }
+
+    const [documentTypes, openFindingCount] = await Promise.all([
+      Document.distinct('documentType', { projectId: project._id }),
+      Finding.countDocuments({ projectId: project._id, status: { $ne: 'closed' } })
+    ]);
+    const standard = project.targetStandard;
+    const compliance = getWorkflowState(newStatus, standard)?.requiresCompliance
+      ? await runComplianceCheck(project, { forSubmission: true })
+      : null;
+    const result = checkTransition(project.status, newStatus, documentTypes, openFindingCount, compliance?.blocking, standard);
+
+    if (!result.allowed) {
+      return res.status(400).json({
+        message: result.message,
+        missingDocuments: result.missingDocuments,
+        openFindings: result.openFindings,
+        complianceBlockers: result.complianceBlockers,
+        compliance
+      });
+    }
+
+    const previousStatus = project.status;
+
+    project.status = newStatus;
+    project.statusHistory.push({
+      status: newStatus,
+      timestamp: new Date(),
+      updatedBy: req.user.id,
+      comment
+    });
+
+    await project.save();
+
+    await notify({
+      type: 'status-change',
+      recipients: getProjectAudience(project, req.organization),
+      actorId: req.user.id,
+      projectId: project._id,
+      title: `${project.name} moved to ${getStatusName(newStatus, standard)}`,
+      message: comment
+        ? `${req.user.name}: ${comment}`
+        : `Changed from ${getStatusName(previousStatus, standard)} by ${req.user.name}`,
+      link: `/projects/${project._id}`,
+      data: { previousStatus, newStatus }
+    });
+
+    await project.populate('statusHistory.updatedBy', 'name email');
+
+    res.json({
+      status: project.status,
+      previousStatus,
+      message: `Project status changed to ${getStatusName(newStatus, standard)}`,
+      statusHistory: project.statusHistory
+    });
+  } catch (error) {
+    console.error('Error transitioning project status:', error);
+    res.status(500).json({ message: 'Error updating project status' });
+  }
+}
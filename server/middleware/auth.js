@@ -0,0 +1,27 @@
+import User from '../models/User.js';
+import { verifyToken } from '../utils/token.js';
+
+// Requires a valid Bearer token and attaches the user to the request
+export async function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  try {
+    const payload = verifyToken(token);
+    const user = await User.findById(payload.id);
+
+    if (!user) {
+      return res.status(401).json({ message: 'User no longer exists' });
+    }
+
+    req.user = { id: user._id.toString(), role: user.role, email: user.email, name: user.name };
+    next();
+  } catch (error) {
+    const message = error.name === 'TokenExpiredError' ? 'Session expired' : 'Invalid token';
+    return res.status(401).json({ message });
+  }
+}
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import Organization from '../models/Organization.js';
+import User from '../models/User.js';
+import { createDefaultOrganization } from '../utils/organizations.js';
+import {
+  getOrganizationRole,
+  canPerformInOrganization,
+  ORGANIZATION_ROLE_LABELS
+} from '../../shared/permissions.js';
+
+const ORGANIZATION_HEADER = 'X-Organization-Id';
+
+// The user's oldest organization, created on the spot for accounts that predate organizations
+const findDefaultOrganization = async (userId) => {
+  const organization = await Organization.findOne({ 'members.user': userId }).sort({ createdAt: 1 });
+  if (organization) {
+    return organization;
+  }
+
+  const user = await User.findById(userId);
+  return createDefaultOrganization(user);
+};
+
+// Loads the organization named by the :organizationId param or the
+// X-Organization-Id header onto req.organization, with the user's role in it
+// as req.organizationRole. Organizations the user is not a member of are
+// reported as missing so tenants cannot probe for each other.
+export async function loadOrganization(req, res, next) {
+  try {
+    const organizationId = req.params.organizationId || req.get(ORGANIZATION_HEADER);
+    let organization;
+
+    if (!organizationId) {
+      organization = await findDefaultOrganization(req.user.id);
+    } else if (mongoose.Types.ObjectId.isValid(organizationId)) {
+      organization = await Organization.findOne({ _id: organizationId, 'members.user': req.user.id });
+    }
+
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    req.organization = organization;
+    req.organizationRole = getOrganizationRole(organization, req.user.id);
+    next();
+  } catch (error) {
+    console.error('Error loading organization:', error);
+    res.status(500).json({ message: 'Error fetching organization' });
+  }
+}
+
+/**
+ * Allows the request only when the user's organization role permits the
+ * action. Must run after loadOrganization.
+ * @param {string} action - Key of ORGANIZATION_PERMISSIONS
+ * @returns {Function} - Express middleware
+ */
+export function authorizeOrganization(action) {
+  return (req, res, next) => {
+    if (!canPerformInOrganization(req.organizationRole, action)) {
+      const role = ORGANIZATION_ROLE_LABELS[req.organizationRole] || req.organizationRole;
+      return res.status(403).json({ message: `${role}s cannot perform this action in the organization` });
+    }
+    next();
+  };
+}
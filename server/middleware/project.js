@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import { getProjectRole, canPerform, PROJECT_ROLE_LABELS } from '../../shared/permissions.js';
+
+// Loads the :projectId project from the current organization onto
+// req.project, with the user's role on it as req.projectRole. Must run after
+// loadOrganization; projects of other organizations are never found.
+export async function loadProject(req, res, next) {
+  try {
+    const { projectId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const project = await Project.findOne({ _id: projectId, organization: req.organization._id });
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    req.project = project;
+    req.projectRole = getProjectRole(project, req.user.id, req.organizationRole);
+    next();
+  } catch (error) {
+    console.error('Error loading project:', error);
+    res.status(500).json({ message: 'Error fetching project' });
+  }
+}
+
+/**
+ * Allows the request only when the user's project role permits the action.
+ * Must run after loadProject.
+ * @param {string} action - Key of PROJECT_PERMISSIONS
+ * @returns {Function} - Express middleware
+ */
+export function authorize(action) {
+  return (req, res, next) => {
+    if (!canPerform(req.projectRole, action)) {
+      const role = PROJECT_ROLE_LABELS[req.projectRole] || req.projectRole;
+      return res.status(403).json({ message: `${role}s cannot perform this action on the project` });
+    }
+    next();
+  };
+}
@@ -0,0 +1,20 @@
+import multer from 'multer';
+import { MAX_UPLOAD_BYTES } from '../../shared/documentTypes.js';
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Accepts a single "file" field and turns multer errors into 400 responses
+export function singleFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File exceeds the ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB limit`
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    next(error);
+  });
+}
@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+
+// Result of running the document through the DocumentProcessor
+const ExtractedDataSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // Full text can be large, so it is only loaded when explicitly requested
+  text: {
+    type: String,
+    select: false
+  },
+  textConfidence: Number,
+  // { [projectPath]: { value, confidence, start, end, evidence, method, alternatives } }
+  fields: mongoose.Schema.Types.Mixed,
+  tables: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+  warnings: [String],
+  error: String,
+  processedAt: Date
+}, { _id: false });
+
+const DocumentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  documentType: {
+    type: String,
+    required: true
+  },
+  // Whether the file was uploaded by a user or produced by the generator
+  source: {
+    type: String,
+    enum: ['uploaded', 'generated'],
+    default: 'uploaded'
+  },
+  fileType: String,
+  fileSize: Number,
+  // Storage key within the configured storage adapter
+  filePath: String,
+  checksum: String,
+  standard: String,
+  // Number of the current DocumentVersion
+  version: String,
+  status: {
+    type: String,
+    enum: ['draft', 'final'],
+    default: 'draft'
+  },
+  extractedData: ExtractedDataSchema,
+  // Stakeholder consultation event the minutes, photos or attendance sheet belong to
+  consultationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StakeholderConsultation',
+    index: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the current version was added
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('Document', DocumentSchema);
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// One stored revision of a document. The Document mirrors the file fields of
+// its current version, so downloads and extraction always use that file.
+const DocumentVersionSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  // 1, 2, 3... within the document
+  number: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['uploaded', 'generated'],
+    required: true
+  },
+  name: String,
+  fileType: String,
+  fileSize: Number,
+  // Storage key; a restored version shares the key of the version it restores
+  filePath: String,
+  checksum: String,
+  // Generated versions: the project data and template they were produced from
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
+  templateVersion: String,
+  missingFields: [String],
+  // Rendered HTML of generated versions, or text extracted from uploaded ones, used for diffs
+  content: {
+    type: String,
+    select: false
+  },
+  contentFormat: {
+    type: String,
+    enum: ['html', 'text']
+  },
+  // Number of the version this one rolled back to
+  restoredFrom: Number,
+  note: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  // Content and snapshots can be large and are only needed for comparisons
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.content;
+      delete ret.snapshot;
+      return ret;
+    }
+  }
+});
+
+DocumentVersionSchema.index({ documentId: 1, number: 1 }, { unique: true });
+
+export default mongoose.model('DocumentVersion', DocumentVersionSchema);
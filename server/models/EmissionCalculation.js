@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { STEP_CATEGORIES } from '../../shared/calculationModels.js';
+
+// One formula evaluation, with the values it read so reviewers can recompute it
+const AuditStepSchema = new mongoose.Schema({
+  step: Number,
+  key: String,
+  symbol: String,
+  description: String,
+  formula: String,
+  category: {
+    type: String,
+    enum: STEP_CATEGORIES
+  },
+  inputs: [{
+    _id: false,
+    key: String,
+    symbol: String,
+    label: String,
+    value: Number,
+    unit: String,
+    // monitored, default or calculated
+    source: String
+  }],
+  value: Number,
+  unit: String
+}, { _id: false });
+
+// Emission reductions for one monitoring period, calculated from monitored inputs
+const EmissionCalculationSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  methodologyId: {
+    type: String,
+    required: true
+  },
+  calculationModel: {
+    type: String,
+    required: true
+  },
+  // Set when inputs were aggregated from a monitoring period's time series
+  monitoringPeriodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonitoringPeriod'
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // Values used for every model input, including applied defaults
+  inputs: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  results: {
+    baselineEmissions: Number,
+    projectEmissions: Number,
+    leakageEmissions: Number,
+    netReductions: Number,
+    bufferDeduction: Number,
+    creditsIssuable: Number
+  },
+  auditTrail: [AuditStepSchema],
+  notes: String,
+  calculatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('EmissionCalculation', EmissionCalculationSchema);
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+export const FEEDBACK_ACTIONS = ['accepted', 'corrected', 'rejected'];
+
+// A reviewed extraction, kept as a labelled example for improving the extractors
+const ExtractionFeedbackSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    index: true
+  },
+  documentType: String,
+  // ProjectSchema path, e.g. location.country
+  field: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: FEEDBACK_ACTIONS,
+    required: true
+  },
+  extractedValue: mongoose.Schema.Types.Mixed,
+  // The value the reviewer confirmed; empty for rejections
+  correctValue: mongoose.Schema.Types.Mixed,
+  confidence: Number,
+  method: String,
+  evidence: String,
+  start: Number,
+  end: Number,
+  // Source text around the span, so the example outlives the document
+  context: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('ExtractionFeedback', ExtractionFeedbackSchema);
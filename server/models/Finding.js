@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import { FINDING_TYPES, FINDING_STATUSES } from '../../shared/findings.js';
+
+// One response or comment in a finding's thread
+const FindingMessageSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Optional when the message only records a status change
+  body: {
+    type: String,
+    trim: true
+  },
+  // Status the finding was moved to with this message, if it changed
+  status: {
+    type: String,
+    enum: FINDING_STATUSES
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A CAR, CL or FAR raised by a validation or verification body against a project
+const FindingSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: FINDING_TYPES,
+    required: true
+  },
+  // Sequential per project and type, so findings read as "CAR 1", "CAR 2"
+  number: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Auditor or verification body that raised the finding
+  raisedBy: {
+    type: String,
+    trim: true
+  },
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  // Kept so the finding still reads correctly after the document is deleted
+  documentName: String,
+  // Heading of the document section the finding concerns, e.g. "3 Application of Methodology"
+  section: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: FINDING_STATUSES,
+    default: 'open'
+  },
+  dueDate: Date,
+  thread: [FindingMessageSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FindingSchema.index({ projectId: 1, type: 1, number: 1 }, { unique: true });
+
+export default mongoose.model('Finding', FindingSchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { MONITORING_PERIOD_STATUSES } from '../../shared/monitoring.js';
+
+// A reporting window whose monitored data feeds one emission reductions calculation
+const MonitoringPeriodSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Closed periods no longer accept imports
+  status: {
+    type: String,
+    enum: MONITORING_PERIOD_STATUSES,
+    default: 'open'
+  },
+  // Monitored values of the project's SDG contribution indicators for the period
+  sdgResults: [{
+    _id: false,
+    contribution: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    value: Number,
+    notes: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('MonitoringPeriod', MonitoringPeriodSchema);
@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+import { QA_STATUSES } from '../../shared/monitoring.js';
+
+const ReadingSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Outcome of the automatic checks run after every import
+const QualityCheckSchema = new mongoose.Schema({
+  checkedAt: Date,
+  readingCount: Number,
+  // Median spacing between readings, in days
+  expectedInterval: Number,
+  coverageStart: Date,
+  coverageEnd: Date,
+  gaps: [{
+    _id: false,
+    from: Date,
+    to: Date,
+    // Readings expected in the gap at the usual interval
+    missing: Number
+  }],
+  outliers: [{
+    _id: false,
+    timestamp: Date,
+    value: Number,
+    // Modified z-score
+    score: Number
+  }],
+  negativeCount: Number,
+  issues: [String]
+}, { _id: false });
+
+// Readings of one monitored parameter within a monitoring period, normalized to the model's unit
+const MonitoringSeriesSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  periodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonitoringPeriod',
+    required: true,
+    index: true
+  },
+  // Calculation model input key, or a camelCased column name for other parameters
+  parameter: {
+    type: String,
+    required: true
+  },
+  label: String,
+  symbol: String,
+  unit: String,
+  // Unit of the imported column before conversion
+  sourceUnit: String,
+  // Whether the parameter is an input of the project's calculation model
+  inCalculation: {
+    type: Boolean,
+    default: false
+  },
+  readings: {
+    type: [ReadingSchema],
+    select: false
+  },
+  qaStatus: {
+    type: String,
+    enum: QA_STATUSES,
+    default: 'passed'
+  },
+  qa: QualityCheckSchema,
+  review: {
+    comment: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
+  // Raw file the readings were last imported from
+  sourceDocumentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document'
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MonitoringSeriesSchema.index({ periodId: 1, parameter: 1 }, { unique: true });
+
+export default mongoose.model('MonitoringSeries', MonitoringSeriesSchema);
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from '../../shared/notifications.js';
+
+// One notification for one recipient
+const NotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  // Client route the notification opens
+  link: String,
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Whether it appears in the inbox; email-only notifications are kept for the digest
+  inApp: {
+    type: Boolean,
+    default: true
+  },
+  readAt: Date,
+  // Waiting to go out in the recipient's next daily digest
+  emailPending: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+NotificationSchema.index({ userId: 1, inApp: 1, createdAt: -1 });
+NotificationSchema.index({ emailPending: 1, userId: 1 });
+
+export default mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+import { ORGANIZATION_ROLES } from '../../shared/permissions.js';
+
+// A workspace that owns projects; members only ever see their organizations' data
+const OrganizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set on the workspace created for an account that predates organizations;
+  // unique so concurrent first requests cannot create two
+  defaultFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('Organization', OrganizationSchema);
@@ -0,0 +1,185 @@
+import mongoose from 'mongoose';
+import { PROJECT_TYPES, TARGET_STANDARDS, COLLABORATOR_ROLES } from '../../shared/projectSchema.js';
+import { WORKFLOW_STATUSES } from '../../shared/workflow.js';
+import { findMethodologies } from '../../shared/methodologies.js';
+import { validateParameters } from '../../shared/applicability.js';
+import { SDG_GOAL_NUMBERS, SDG_MONITORING_FREQUENCIES } from '../../shared/sdg.js';
+import { SAFEGUARDING_QUESTION_IDS, SAFEGUARDING_ANSWERS } from '../../shared/safeguarding.js';
+
+const ProjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  projectType: {
+    type: String,
+    enum: PROJECT_TYPES,
+    required: true
+  },
+  location: {
+    country: String,
+    region: String,
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    }
+  },
+  // Summary of the uploaded boundary; the geometry itself is a ProjectBoundary
+  boundary: {
+    areaHectares: Number,
+    strata: [{
+      _id: false,
+      name: String,
+      hectares: Number
+    }],
+    updatedAt: Date
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  targetStandard: {
+    type: String,
+    enum: TARGET_STANDARDS,
+    required: true
+  },
+  methodologyId: {
+    type: String,
+    required: true,
+    validate: {
+      // Standards with registered methodologies must use one of them
+      validator(value) {
+        const registered = findMethodologies({ standard: this.targetStandard });
+        return registered.length === 0 || registered.some(methodology => methodology.id === value);
+      },
+      message: props => `${props.value} is not a registered methodology for this standard`
+    }
+  },
+  // Values for the selected methodology's parameters, keyed as in the methodology registry
+  methodologyParameters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+    validate: {
+      validator(value) {
+        const error = validateParameters(this.methodologyId, value || {});
+        if (error) {
+          throw new Error(error);
+        }
+        return true;
+      }
+    }
+  },
+  estimatedCredits: {
+    type: Number,
+    min: 0
+  },
+  // SDG contributions claimed in the PDD; monitoring periods record each one's monitored value
+  sdgContributions: [{
+    goal: {
+      type: Number,
+      enum: SDG_GOAL_NUMBERS,
+      required: true
+    },
+    indicator: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    unit: String,
+    baselineValue: Number,
+    targetValue: Number,
+    monitoringFrequency: {
+      type: String,
+      enum: SDG_MONITORING_FREQUENCIES
+    },
+    description: String
+  }],
+  // Answers to the Gold Standard safeguarding questionnaire (shared/safeguarding.js)
+  safeguarding: [{
+    _id: false,
+    question: {
+      type: String,
+      enum: SAFEGUARDING_QUESTION_IDS,
+      required: true
+    },
+    answer: {
+      type: String,
+      enum: SAFEGUARDING_ANSWERS
+    },
+    justification: String,
+    mitigation: String
+  }],
+  // Tenant the project belongs to; every query for projects is scoped by it
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true,
+    index: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Access for other users; see shared/permissions.js for what each role allows
+  collaborators: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    role: {
+      type: String,
+      enum: COLLABORATOR_ROLES,
+      default: 'viewer'
+    }
+  }],
+  status: {
+    type: String,
+    enum: WORKFLOW_STATUSES,
+    default: 'draft'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: WORKFLOW_STATUSES
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    comment: String
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Backs the project list's full-text search
+ProjectSchema.index({ name: 'text', description: 'text' }, { weights: { name: 5, description: 1 } });
+
+ProjectSchema.pre('save', function touchUpdatedAt(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+export default mongoose.model('Project', ProjectSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// The geometry of a project's boundary, kept apart from the project because
+// it can run to megabytes. The project carries a summary (area and strata)
+// for lists and generated documents.
+const ProjectBoundarySchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    unique: true
+  },
+  format: {
+    type: String,
+    enum: ['geojson', 'kml', 'shapefile'],
+    required: true
+  },
+  // Uploaded file, kept in storage as submitted
+  fileName: String,
+  filePath: String,
+  checksum: String,
+  // Feature property naming each polygon's stratum; null puts every polygon in one stratum
+  stratumField: String,
+  // GeoJSON MultiPolygon features with their stratum and hectares
+  features: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  strata: [{
+    _id: false,
+    name: String,
+    hectares: Number,
+    featureCount: Number
+  }],
+  areaHectares: Number,
+  // [west, south, east, north]
+  bbox: [Number],
+  warnings: [String],
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('ProjectBoundary', ProjectBoundarySchema);
@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import { CONSULTATION_FORMATS, STAKEHOLDER_GROUPS, ATTENDEE_GENDERS } from '../../shared/consultations.js';
+
+const AttendeeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  organization: {
+    type: String,
+    trim: true
+  },
+  stakeholderGroup: {
+    type: String,
+    enum: STAKEHOLDER_GROUPS
+  },
+  gender: {
+    type: String,
+    enum: ATTENDEE_GENDERS
+  },
+  // Phone number or email, kept for follow-up and never put in generated documents
+  contact: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+// A comment raised by a stakeholder and how the project developer dealt with it
+const ConsultationCommentSchema = new mongoose.Schema({
+  // Person or group who raised the comment
+  stakeholder: {
+    type: String,
+    trim: true
+  },
+  stakeholderGroup: {
+    type: String,
+    enum: STAKEHOLDER_GROUPS
+  },
+  comment: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  response: {
+    type: String,
+    trim: true
+  },
+  // Change made to the project design or operation because of the comment
+  action: {
+    type: String,
+    trim: true
+  },
+  respondedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  respondedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A consultation event held with local stakeholders. Minutes, photos and
+// attendance sheets are project documents that reference the event.
+const StakeholderConsultationSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  location: {
+    type: String,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: CONSULTATION_FORMATS,
+    default: 'meeting'
+  },
+  // How the event was announced and what was presented and discussed
+  description: String,
+  attendees: [AttendeeSchema],
+  comments: [ConsultationCommentSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export default mongoose.model('StakeholderConsultation', StakeholderConsultationSchema);
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8,
+    select: false
+  },
+  organization: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  // { [notification type]: { inApp, email } }; missing entries use the defaults in shared/notifications.js
+  notificationPreferences: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  lastDigestAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+UserSchema.pre('save', async function hashPassword(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+  next();
+});
+
+UserSchema.methods.comparePassword = function comparePassword(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+UserSchema.methods.toProfile = function toProfile() {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    organization: this.organization,
+    role: this.role
+  };
+};
+
+export default mongoose.model('User', UserSchema);
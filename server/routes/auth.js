@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { register, login, getCurrentUser, refresh } from '../controllers/authController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = Router();
+
+router.post('/register', register);
+router.post('/login', login);
+router.get('/me', authenticate, getCurrentUser);
+router.post('/refresh', authenticate, refresh);
+
+export default router;
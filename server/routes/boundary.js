@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import {
+  getBoundary,
+  uploadBoundary,
+  updateBoundaryStrata,
+  downloadBoundaryFile,
+  deleteBoundary
+} from '../controllers/boundaryController.js';
+import { singleFile } from '../middleware/upload.js';
+import { authorize } from '../middleware/project.js';
+
+// Mounted under /api/projects/:projectId/boundary after loadProject
+const router = Router({ mergeParams: true });
+
+router.get('/', authorize('view'), getBoundary);
+router.put('/', authorize('edit'), singleFile, uploadBoundary);
+router.patch('/', authorize('edit'), updateBoundaryStrata);
+router.get('/file', authorize('view'), downloadBoundaryFile);
+router.delete('/', authorize('edit'), deleteBoundary);
+
+export default router;
@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import {
+  listCalculations,
+  getCalculation,
+  createCalculation,
+  deleteCalculation
+} from '../controllers/calculationController.js';
+import { authorize } from '../middleware/project.js';
+
+// Mounted under /api/projects/:projectId/calculations after loadProject
+const router = Router({ mergeParams: true });
+
+router.get('/', authorize('view'), listCalculations);
+router.post('/', authorize('edit'), createCalculation);
+router.get('/:calculationId', authorize('view'), getCalculation);
+router.delete('/:calculationId', authorize('edit'), deleteCalculation);
+
+export default router;
@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import {
+  listCollaborators,
+  addCollaborator,
+  updateCollaborator,
+  removeCollaborator
+} from '../controllers/collaboratorController.js';
+import { authorize } from '../middleware/project.js';
+
+// Mounted under /api/projects/:projectId/collaborators after loadProject
+const router = Router({ mergeParams: true });
+
+router.get('/', authorize('view'), listCollaborators);
+router.post('/', authorize('manageCollaborators'), addCollaborator);
+router.put('/:userId', authorize('manageCollaborators'), updateCollaborator);
+// Collaborators may remove themselves, so the role check happens in the controller
+router.delete('/:userId', authorize('view'), removeCollaborator);
+
+export default router;
@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import {
+  listConsultations,
+  createConsultation,
+  updateConsultation,
+  deleteConsultation,
+  importAttendees,
+  uploadConsultationFile,
+  addConsultationComment,
+  updateConsultationComment,
+  deleteConsultationComment
+} from '../controllers/consultationController.js';
+import { singleFile } from '../middleware/upload.js';
+import { authorize } from '../middleware/project.js';
+
+// Mounted under /api/projects/:projectId/consultations after loadProject
+const router = Router({ mergeParams: true });
+
+router.get('/', authorize('view'), listConsultations);
+router.post('/', authorize('edit'), createConsultation);
+router.put('/:consultationId', authorize('edit'), updateConsultation);
+router.delete('/:consultationId', authorize('edit'), deleteConsultation);
+router.post('/:consultationId/attendees/import', authorize('edit'), singleFile, importAttendees);
+router.post('/:consultationId/files', authorize('edit'), singleFile, uploadConsultationFile);
+router.post('/:consultationId/comments', authorize('edit'), addConsultationComment);
+router.put('/:consultationId/comments/:commentId', authorize('edit'), updateConsultationComment);
+router.delete('/:consultationId/comments/:commentId', authorize('edit'), deleteConsultationComment);
+
+export default router;
@@ -0,0 +1,13 @@
+import { Router } from 'express';
+import { getDashboardStats } from '../controllers/dashboardController.js';
+import { authenticate } from '../middleware/auth.js';
+import { loadOrganization, authorizeOrganization } from '../middleware/organization.js';
+
+// Scoped to the organization in the X-Organization-Id header, like the project routes
+const router = Router();
+
+router.use(authenticate, loadOrganization);
+
+router.get('/stats', authorizeOrganization('view'), getDashboardStats);
+
+export default router;
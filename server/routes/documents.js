@@ -0,0 +1,35 @@
+import { Router } from 'express';
+import {
+  listProjectDocuments,
+  uploadDocument,
+  downloadDocument,
+  processDocument,
+  getExtractedData,
+  reviewExtraction,
+  deleteDocument,
+  listDocumentVersions,
+  uploadDocumentVersion,
+  downloadDocumentVersion,
+  compareDocumentVersions,
+  restoreDocumentVersion
+} from '../controllers/documentController.js';
+import { singleFile } from '../middleware/upload.js';
+import { authorize } from '../middleware/project.js';
+
+// Mounted under /api/projects/:projectId/documents after loadProject
+const router = Router({ mergeParams: true });
+
+router.get('/', authorize('view'), listProjectDocuments);
+router.post('/', authorize('edit'), singleFile, uploadDocument);
+router.get('/:documentId/download', authorize('view'), downloadDocument);
+router.post('/:documentId/process', authorize('edit'), processDocument);
+router.get('/:documentId/extraction', authorize('view'), getExtractedData);
+router.post('/:documentId/review', authorize('edit'), reviewExtraction);
+router.delete('/:documentId', authorize('edit'), deleteDocument);
+router.get('/:documentId/versions', authorize('view'), listDocumentVersions);
+router.post('/:documentId/versions', authorize('edit'), singleFile, uploadDocumentVersion);
+router.get('/:documentId/versions/compare', authorize('view'), compareDocumentVersions);
+router.get('/:documentId/versions/:number/download', authorize('view'), downloadDocumentVersion);
+router.post('/:documentId/versions/:number/restore', authorize('edit'), restoreDocumentVersion);
+
+export default router;
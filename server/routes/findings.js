@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import {
+  listFindings,
+  createFinding,
+  updateFinding,
+  addFindingMessage,
+  deleteFinding
+} from '../controllers/findingController.js';
+import { authorize } from '../middleware/project.js';
+
+// Mounted under /api/projects/:projectId/findings after loadProject
+const router = Router({ mergeParams: true });
+
+router.get('/', authorize('view'), listFindings);
+router.post('/', authorize('edit'), createFinding);
+router.put('/:findingId', authorize('edit'), updateFinding);
+router.post('/:findingId/messages', authorize('edit'), addFindingMessage);
+router.delete('/:findingId', authorize('manageFindings'), deleteFinding);
+
+export default router;
@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { listGeneratorOptions, previewDocument, generateDocument } from '../controllers/generatorController.js';
+import { authorize } from '../middleware/project.js';
+
+// Mounted under /api/projects/:projectId/generate after loadProject
+const router = Router({ mergeParams: true });
+
+router.get('/', authorize('view'), listGeneratorOptions);
+router.post('/preview', authorize('view'), previewDocument);
+router.post('/', authorize('edit'), generateDocument);
+
+export default router;
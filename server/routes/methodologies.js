@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { listMethodologies, getMethodologyById } from '../controllers/methodologyController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.get('/', listMethodologies);
+router.get('/:methodologyId', getMethodologyById);
+
+export default router;
@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import {
+  listPeriods,
+  createPeriod,
+  updatePeriod,
+  deletePeriod,
+  importSeries,
+  getSeries,
+  reviewSeries,
+  deleteSeries,
+  getPeriodInputs
+} from '../controllers/monitoringController.js';
+import { singleFile } from '../middleware/upload.js';
+import { authorize } from '../middleware/project.js';
+
+// Mounted under /api/projects/:projectId/monitoring-periods after loadProject
+const router = Router({ mergeParams: true });
+
+router.get('/', authorize('view'), listPeriods);
+router.post('/', authorize('edit'), createPeriod);
+router.put('/:periodId', authorize('edit'), updatePeriod);
+router.delete('/:periodId', authorize('edit'), deletePeriod);
+router.post('/:periodId/import', authorize('edit'), singleFile, importSeries);
+router.get('/:periodId/inputs', authorize('view'), getPeriodInputs);
+router.get('/:periodId/series/:seriesId', authorize('view'), getSeries);
+router.patch('/:periodId/series/:seriesId/review', authorize('edit'), reviewSeries);
+router.delete('/:periodId/series/:seriesId', authorize('edit'), deleteSeries);
+
+export default router;
@@ -0,0 +1,32 @@
+import { Router } from 'express';
+import {
+  listNotifications,
+  streamNotifications,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences
+} from '../controllers/notificationController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = Router();
+
+// EventSource cannot send headers, so the stream passes its token as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+router.get('/stream', tokenFromQuery, authenticate, streamNotifications);
+
+router.use(authenticate);
+
+router.get('/', listNotifications);
+router.post('/read-all', markAllRead);
+router.put('/:notificationId/read', markRead);
+router.get('/preferences', getPreferences);
+router.put('/preferences', updatePreferences);
+
+export default router;
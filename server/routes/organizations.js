@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import {
+  listOrganizations,
+  createNewOrganization,
+  getOrganization,
+  updateOrganization,
+  addMember,
+  updateMember,
+  removeMember
+} from '../controllers/organizationController.js';
+import { authenticate } from '../middleware/auth.js';
+import { loadOrganization, authorizeOrganization } from '../middleware/organization.js';
+
+const router = Router();
+
+router.use(authenticate);
+
+router.get('/', listOrganizations);
+router.post('/', createNewOrganization);
+router.get('/:organizationId', loadOrganization, authorizeOrganization('view'), getOrganization);
+router.put('/:organizationId', loadOrganization, authorizeOrganization('manageOrganization'), updateOrganization);
+router.post('/:organizationId/members', loadOrganization, authorizeOrganization('manageMembers'), addMember);
+router.put('/:organizationId/members/:userId', loadOrganization, authorizeOrganization('manageMembers'), updateMember);
+// Members may leave on their own, so the role check happens in the controller
+router.delete('/:organizationId/members/:userId', loadOrganization, authorizeOrganization('view'), removeMember);
+
+export default router;
@@ -0,0 +1,48 @@
+import { Router } from 'express';
+import {
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject
+} from '../controllers/projectController.js';
+import { transitionProjectStatus } from '../controllers/workflowController.js';
+import { getProjectApplicability } from '../controllers/methodologyController.js';
+import { getComplianceReport } from '../controllers/complianceController.js';
+import { authenticate } from '../middleware/auth.js';
+import { loadOrganization, authorizeOrganization } from '../middleware/organization.js';
+import { loadProject, authorize } from '../middleware/project.js';
+import documentRoutes from './documents.js';
+import generatorRoutes from './generator.js';
+import calculationRoutes from './calculations.js';
+import monitoringRoutes from './monitoring.js';
+import collaboratorRoutes from './collaborators.js';
+import findingRoutes from './findings.js';
+import boundaryRoutes from './boundary.js';
+import consultationRoutes from './consultations.js';
+import { TRANSITION_ACTION } from '../../shared/workflow.js';
+
+const router = Router();
+
+// Projects are always scoped to the organization sent in the X-Organization-Id header
+router.use(authenticate, loadOrganization);
+
+router.get('/', authorizeOrganization('view'), listProjects);
+router.post('/', authorizeOrganization('createProject'), createProject);
+router.get('/:projectId', loadProject, authorize('view'), getProject);
+router.put('/:projectId', loadProject, authorize('edit'), updateProject);
+router.delete('/:projectId', loadProject, authorize('delete'), deleteProject);
+router.post('/:projectId/transition', loadProject, authorize(TRANSITION_ACTION), transitionProjectStatus);
+router.get('/:projectId/applicability', loadProject, authorize('view'), getProjectApplicability);
+router.get('/:projectId/compliance', loadProject, authorize('view'), getComplianceReport);
+
+router.use('/:projectId/documents', loadProject, documentRoutes);
+router.use('/:projectId/generate', loadProject, generatorRoutes);
+router.use('/:projectId/calculations', loadProject, calculationRoutes);
+router.use('/:projectId/monitoring-periods', loadProject, monitoringRoutes);
+router.use('/:projectId/collaborators', loadProject, collaboratorRoutes);
+router.use('/:projectId/findings', loadProject, findingRoutes);
+router.use('/:projectId/boundary', loadProject, boundaryRoutes);
+router.use('/:projectId/consultations', loadProject, consultationRoutes);
+
+export default router;
@@ -0,0 +1,19 @@
+import app from './app.js';
+import connectDB from './config/db.js';
+import { startDigestScheduler } from './services/notifications/index.js';
+
+const PORT = process.env.PORT || 5000;
+
+const start = async () => {
+  await connectDB();
+
+  if (process.env.EMAIL_DIGESTS !== 'off') {
+    startDigestScheduler();
+  }
+
+  app.listen(PORT, () => {
+    console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
+  });
+};
+
+start();
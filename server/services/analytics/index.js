@@ -0,0 +1,204 @@
+import { WORKFLOW_STATUSES, getStatusName } from '../../../shared/workflow.js';
+import { TARGET_STANDARDS, TARGET_STANDARD_LABELS } from '../../../shared/projectSchema.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const monthKey = date => `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+
+// Status changes oldest first; projects created before history was kept get
+// one entry for their current status at creation
+const historyOf = (project) => {
+  const history = (project.statusHistory || [])
+    .filter(entry => entry.status && entry.timestamp)
+    .map(entry => ({ status: entry.status, timestamp: new Date(entry.timestamp) }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  return history.length > 0 ? history : [{ status: project.status, timestamp: new Date(project.createdAt) }];
+};
+
+/**
+ * Returns the workflow status a project was in at a point in time
+ * @param {Object} project - Project with status, createdAt and statusHistory
+ * @param {Date} date - Point in time
+ * @returns {string|null} - Status, or null when the project did not exist yet
+ */
+export function statusAt(project, date) {
+  if (new Date(project.createdAt) > date) return null;
+  const reached = historyOf(project).filter(entry => entry.timestamp <= date);
+  return reached.length > 0 ? reached[reached.length - 1].status : historyOf(project)[0].status;
+}
+
+/**
+ * Time a project spent in each status within a date range
+ * @param {Object} project - Project with statusHistory
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {Date} now - Current time, which closes the open-ended current status
+ * @returns {Object} - { [status]: milliseconds }
+ */
+export function timeInStatus(project, from, to, now = new Date()) {
+  const history = historyOf(project);
+  const durations = {};
+
+  history.forEach((entry, i) => {
+    const end = i + 1 < history.length ? history[i + 1].timestamp : now;
+    const overlap = Math.min(end, to) - Math.max(entry.timestamp, from);
+    if (overlap > 0) {
+      durations[entry.status] = (durations[entry.status] || 0) + overlap;
+    }
+  });
+
+  return durations;
+}
+
+// Recalculations replace earlier results, so only the newest calculation of
+// each monitoring period counts
+const latestPerPeriod = (calculations) => {
+  const latest = new Map();
+  calculations.forEach((calculation) => {
+    const period = String(calculation.monitoringPeriodId
+      || `${new Date(calculation.periodStart).toISOString()}/${new Date(calculation.periodEnd).toISOString()}`);
+    const current = latest.get(period);
+    if (!current || new Date(calculation.createdAt) > new Date(current.createdAt)) {
+      latest.set(period, calculation);
+    }
+  });
+  return [...latest.values()];
+};
+
+/**
+ * Credits issued to a project. Issuances are not recorded as quantities, so
+ * each move into the issued status is credited with the issuable credits of
+ * the calculations made since the previous issuance.
+ * @param {Object} project - Project with statusHistory
+ * @param {Array} calculations - The project's emission calculations
+ * @returns {Array} - [{ date, credits }] one entry per issuance
+ */
+export function issuancesOf(project, calculations) {
+  const issuedAt = historyOf(project).filter(entry => entry.status === 'issued').map(entry => entry.timestamp);
+  let previous = new Date(0);
+
+  return issuedAt.map((date) => {
+    const covered = calculations.filter((calculation) => {
+      const createdAt = new Date(calculation.createdAt);
+      return createdAt > previous && createdAt <= date;
+    });
+    previous = date;
+    const credits = latestPerPeriod(covered)
+      .reduce((sum, calculation) => sum + (calculation.results?.creditsIssuable || 0), 0);
+    return { date, credits };
+  });
+}
+
+/**
+ * Lists the calendar months (UTC) a range touches
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<string>} - Months as YYYY-MM
+ */
+export function monthsBetween(from, to) {
+  const months = [];
+  const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+  while (cursor <= to) {
+    months.push(monthKey(cursor));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+}
+
+/**
+ * Aggregates an organization's portfolio for the dashboard. Status counts and
+ * estimated credits describe the portfolio as it stood at the end of the
+ * range; calculated and issued credits, generated documents and time in each
+ * status only count what happened within the range. Every generated version
+ * counts, so regenerating a document counts again.
+ * @param {Object} data - { projects, calculations, generatedVersions, from, to, now }
+ * @returns {Object} - { range, totals, statusFunnel, creditsByStandard, timeInStatus, monthly }
+ */
+export function buildDashboardStats({ projects, calculations, generatedVersions, from, to, now = new Date() }) {
+  const inRange = date => new Date(date) >= from && new Date(date) <= to;
+  const existing = projects.filter(project => statusAt(project, to) !== null);
+
+  const calculationsByProject = new Map();
+  calculations.forEach((calculation) => {
+    const key = String(calculation.projectId);
+    calculationsByProject.set(key, [...(calculationsByProject.get(key) || []), calculation]);
+  });
+
+  const statusFunnel = WORKFLOW_STATUSES.map((status, index) => ({
+    status,
+    name: getStatusName(status),
+    // Projects in this status at the end of the range
+    current: existing.filter(project => statusAt(project, to) === status).length,
+    // Projects that have reached this stage or a later one
+    reached: existing.filter((project) => {
+      const reachedIndexes = historyOf(project)
+        .filter(entry => entry.timestamp <= to)
+        .map(entry => WORKFLOW_STATUSES.indexOf(entry.status));
+      return Math.max(WORKFLOW_STATUSES.indexOf(statusAt(project, to)), ...reachedIndexes) >= index;
+    }).length
+  }));
+
+  const monthly = Object.fromEntries(monthsBetween(from, to).map(month => [month, { month, documentsGenerated: 0, creditsIssued: 0 }]));
+  const standards = Object.fromEntries(TARGET_STANDARDS.map(standard => [standard, {
+    standard,
+    label: TARGET_STANDARD_LABELS[standard],
+    estimated: 0,
+    calculated: 0,
+    issued: 0
+  }]));
+
+  existing.forEach((project) => {
+    const entry = standards[project.targetStandard];
+    if (!entry) return;
+
+    const projectCalculations = calculationsByProject.get(String(project._id)) || [];
+    entry.estimated += project.estimatedCredits || 0;
+    entry.calculated += latestPerPeriod(projectCalculations.filter(calculation => inRange(calculation.createdAt)))
+      .reduce((sum, calculation) => sum + (calculation.results?.creditsIssuable || 0), 0);
+
+    issuancesOf(project, projectCalculations).filter(issuance => inRange(issuance.date)).forEach((issuance) => {
+      entry.issued += issuance.credits;
+      const month = monthly[monthKey(issuance.date)];
+      if (month) month.creditsIssued += issuance.credits;
+    });
+  });
+
+  const generated = generatedVersions.filter(version => inRange(version.createdAt));
+  generated.forEach((version) => {
+    const month = monthly[monthKey(new Date(version.createdAt))];
+    if (month) month.documentsGenerated += 1;
+  });
+
+  const durations = existing.map(project => timeInStatus(project, from, to, now));
+  const timeInStatusSummary = WORKFLOW_STATUSES.map((status) => {
+    const spent = durations.map(duration => duration[status]).filter(Boolean);
+    return {
+      status,
+      name: getStatusName(status),
+      projects: spent.length,
+      averageDays: spent.length > 0 ? round(spent.reduce((sum, ms) => sum + ms, 0) / spent.length / DAY_MS, 1) : 0
+    };
+  });
+
+  const creditsByStandard = Object.values(standards)
+    .filter(entry => existing.some(project => project.targetStandard === entry.standard))
+    .map(entry => ({ ...entry, estimated: round(entry.estimated), calculated: round(entry.calculated), issued: round(entry.issued) }));
+
+  return {
+    range: { from, to },
+    totals: {
+      projects: existing.length,
+      estimatedCredits: round(creditsByStandard.reduce((sum, entry) => sum + entry.estimated, 0)),
+      calculatedCredits: round(creditsByStandard.reduce((sum, entry) => sum + entry.calculated, 0)),
+      issuedCredits: round(creditsByStandard.reduce((sum, entry) => sum + entry.issued, 0)),
+      documentsGenerated: generated.length
+    },
+    statusFunnel,
+    creditsByStandard,
+    timeInStatus: timeInStatusSummary,
+    monthly: Object.values(monthly).map(month => ({ ...month, creditsIssued: round(month.creditsIssued) }))
+  };
+}
@@ -0,0 +1,113 @@
+import { CALCULATION_RESULTS, getCalculationModel } from '../../../shared/calculationModels.js';
+
+// Step values are rounded before later steps use them, so the audit trail can be recomputed by hand
+const PRECISION = 4;
+
+const round = value => Math.round(value * 10 ** PRECISION) / 10 ** PRECISION;
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+/**
+ * Emission reductions calculation engine
+ */
+export default class CalculationEngine {
+  constructor(options = {}) {
+    this.resolveModel = options.resolveModel || getCalculationModel;
+  }
+
+  /**
+   * Checks monitored inputs against a methodology's calculation model
+   * @param {string} methodologyId - Methodology identifier
+   * @param {Object} inputs - { [inputKey]: number }
+   * @returns {string|null} - Error message, or null when the inputs are complete
+   */
+  validateInputs(methodologyId, inputs = {}) {
+    const model = this.resolveModel(methodologyId);
+    if (!model) {
+      return `No calculation model is available for ${methodologyId || 'this project'}`;
+    }
+
+    const missing = model.inputs.filter(input => isMissing(inputs[input.key]) && input.default === undefined);
+    if (missing.length > 0) {
+      return `Missing monitoring inputs: ${missing.map(input => input.label).join(', ')}`;
+    }
+
+    const invalid = model.inputs.find(input => !isMissing(inputs[input.key]) && !Number.isFinite(Number(inputs[input.key])));
+    return invalid ? `${invalid.label} must be a number` : null;
+  }
+
+  /**
+   * Runs a methodology's formulas over monitored inputs
+   * @param {string} methodologyId - Methodology identifier
+   * @param {Object} inputs - { [inputKey]: number }; inputs with defaults may be omitted
+   * @returns {Object} - { calculationModel, inputs, results, auditTrail }
+   */
+  calculate(methodologyId, inputs = {}) {
+    const error = this.validateInputs(methodologyId, inputs);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const model = this.resolveModel(methodologyId);
+    const definitions = new Map(model.inputs.map(input => [input.key, { ...input, source: 'input' }]));
+
+    const values = {};
+    model.inputs.forEach((input) => {
+      const provided = !isMissing(inputs[input.key]);
+      values[input.key] = provided ? Number(inputs[input.key]) : input.default;
+      definitions.get(input.key).source = provided ? 'monitored' : 'default';
+    });
+
+    const auditTrail = model.steps.map((step, index) => {
+      // Record which values the formula actually reads
+      const used = new Set();
+      const tracked = new Proxy(values, {
+        get(target, key) {
+          if (key in target) used.add(key);
+          return target[key];
+        }
+      });
+
+      const value = round(step.compute(tracked));
+      if (!Number.isFinite(value)) {
+        throw new Error(`${step.label} could not be calculated from the inputs provided`);
+      }
+      values[step.key] = value;
+      definitions.set(step.key, { ...step, source: 'calculated' });
+
+      return {
+        step: index + 1,
+        key: step.key,
+        symbol: step.symbol,
+        description: step.label,
+        formula: step.formula,
+        category: step.category,
+        inputs: [...used].map((key) => {
+          const definition = definitions.get(key);
+          return {
+            key,
+            symbol: definition.symbol,
+            label: definition.label,
+            value: values[key],
+            unit: definition.unit,
+            source: definition.source
+          };
+        }),
+        value,
+        unit: step.unit
+      };
+    });
+
+    const results = Object.fromEntries(CALCULATION_RESULTS.map((result) => {
+      const step = model.steps.find(candidate => candidate.result === result);
+      return [result, step ? values[step.key] : 0];
+    }));
+
+    return {
+      calculationModel: model.id,
+      inputs: Object.fromEntries(model.inputs.map(input => [input.key, values[input.key]])),
+      results,
+      auditTrail
+    };
+  }
+}
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CalculationEngine from './CalculationEngine.js';
+import { CALCULATION_MODELS } from '../../../shared/calculationModels.js';
+
+// Runs models by their own id rather than through a methodology
+const engine = new CalculationEngine({ resolveModel: id => (CALCULATION_MODELS[id] ? { id, ...CALCULATION_MODELS[id] } : null) });
+
+const results = (model, inputs) => engine.calculate(model, inputs).results;
+
+const step = (calculation, key) => calculation.auditTrail.find(entry => entry.key === key);
+
+// Expected values are worked by hand from each step's formula
+const CASES = {
+  'grid-electricity': {
+    // BE = 1000 × 0.5; PE = 100 × 0.0741 (default EF_FF)
+    inputs: { electricitySupplied: 1000, gridEmissionFactor: 0.5, fossilFuelConsumed: 100 },
+    expected: { baselineEmissions: 500, projectEmissions: 7.41, leakageEmissions: 0, netReductions: 492.59, bufferDeduction: 0, creditsIssuable: 492 }
+  },
+  'thermal-energy': {
+    // BE = 10000 / 0.8 × 0.0741; PE = 10 × 0.6
+    inputs: { heatGenerated: 10000, baselineEfficiency: 80, electricityConsumed: 10, gridEmissionFactor: 0.6 },
+    expected: { baselineEmissions: 926.25, projectEmissions: 6, leakageEmissions: 0, netReductions: 920.25, bufferDeduction: 0, creditsIssuable: 920 }
+  },
+  'biomass-cookstoves': {
+    // Savings = 1000 × 2 × (1 - 10 / 25) = 1200 t; BE = 1200 × 0.8 × 0.0156 × 63.7; LE = 5 % of BE
+    inputs: { devicesInUse: 1000, baselineBiomass: 2, projectEfficiency: 25, fNRB: 80 },
+    expected: { baselineEmissions: 953.9712, projectEmissions: 0, leakageEmissions: 47.6986, netReductions: 906.2726, bufferDeduction: 0, creditsIssuable: 906 }
+  },
+  'safe-water': {
+    // BE = 10000 × 0.5 × 0.5 × 0.1; PE = 2 × 0.5
+    inputs: { waterSupplied: 10000, boiledShare: 50, boilingEnergy: 0.5, baselineFuelEmissionFactor: 0.1, electricityConsumed: 2, gridEmissionFactor: 0.5 },
+    expected: { baselineEmissions: 250, projectEmissions: 1, leakageEmissions: 0, netReductions: 249, bufferDeduction: 0, creditsIssuable: 249 }
+  },
+  'methane-destruction': {
+    // MD = 1e6 × 0.5 × 0.000716 × 0.9 = 322.2 tCH4; BE = 322.2 × 28; PE = 100 × 0.5
+    inputs: { gasCaptured: 1000000, methaneFraction: 50, electricityConsumed: 100, gridEmissionFactor: 0.5 },
+    expected: { baselineEmissions: 9021.6, projectEmissions: 50, leakageEmissions: 0, netReductions: 8971.6, bufferDeduction: 0, creditsIssuable: 8971 }
+  },
+  'enteric-methane': {
+    // BE = 1000 × 365 × 0.3 × 28 / 1000; PE = 1000 × 365 × 0.21 × 28 / 1000 + 10
+    inputs: { animals: 1000, feedingDays: 365, baselineEmissionFactor: 0.3, projectEmissionFactor: 0.21, feedEmissions: 10 },
+    expected: { baselineEmissions: 3066, projectEmissions: 2156.2, leakageEmissions: 0, netReductions: 909.8, bufferDeduction: 0, creditsIssuable: 909 }
+  },
+  'energy-savings': {
+    // BE = 1000 × 0.5; PE = 600 × 0.5; fuel defaults to 0
+    inputs: { baselineElectricity: 1000, projectElectricity: 600, gridEmissionFactor: 0.5 },
+    expected: { baselineEmissions: 500, projectEmissions: 300, leakageEmissions: 0, netReductions: 200, bufferDeduction: 0, creditsIssuable: 200 }
+  },
+  'product-intensity': {
+    // BE = 1000 × 0.2; PE = 1000 × 0.15
+    inputs: { production: 1000, baselineIntensity: 0.2, projectIntensity: 0.15 },
+    expected: { baselineEmissions: 200, projectEmissions: 150, leakageEmissions: 0, netReductions: 50, bufferDeduction: 0, creditsIssuable: 50 }
+  },
+  'avoided-deforestation': {
+    // ΔC = 150 × 44 / 12 = 550; BE = 100 × 550; PE = 10 × 550; LE = 10 % of 49500; BUF = 20 % of 44550
+    inputs: { baselineDeforestation: 100, projectDeforestation: 10, forestCarbonStock: 150, leakagePercent: 10, nonPermanenceRisk: 20 },
+    expected: { baselineEmissions: 55000, projectEmissions: 5500, leakageEmissions: 4950, netReductions: 44550, bufferDeduction: 8910, creditsIssuable: 35640 }
+  },
+  'carbon-removals': {
+    // BE = -30 × 44 / 12 = -110; PE = 10 - 300 × 44 / 12 = -1090; LE = 10 % of 980; BUF = 10 % of 882
+    inputs: { projectStockChange: 300, baselineStockChange: 30, projectGhgEmissions: 10, leakagePercent: 10, nonPermanenceRisk: 10 },
+    expected: { baselineEmissions: -110, projectEmissions: -1090, leakageEmissions: 98, netReductions: 882, bufferDeduction: 88.2, creditsIssuable: 793 }
+  }
+};
+
+test('every calculation model has a hand-worked case', () => {
+  assert.deepEqual(Object.keys(CASES).sort(), Object.keys(CALCULATION_MODELS).sort());
+});
+
+Object.entries(CASES).forEach(([model, { inputs, expected }]) => {
+  test(`${model} matches the hand-worked results`, () => {
+    assert.deepEqual(results(model, inputs), expected);
+  });
+});
+
+test('methodologies resolve to their calculation model', () => {
+  const calculation = new CalculationEngine().calculate('VM0007', CASES['avoided-deforestation'].inputs);
+  assert.equal(calculation.calculationModel, 'avoided-deforestation');
+  assert.equal(calculation.results.creditsIssuable, 35640);
+});
+
+test('omitted inputs take their defaults and are reported as such', () => {
+  const calculation = engine.calculate('biomass-cookstoves', CASES['biomass-cookstoves'].inputs);
+
+  assert.equal(calculation.inputs.baselineEfficiency, 10);
+  assert.equal(calculation.inputs.biomassNCV, 0.0156);
+  assert.equal(calculation.inputs.leakagePercent, 5);
+  const savings = step(calculation, 'biomassSavings');
+  assert.equal(savings.inputs.find(input => input.key === 'baselineEfficiency').source, 'default');
+  assert.equal(savings.inputs.find(input => input.key === 'projectEfficiency').source, 'monitored');
+
+  // Empty values from the form count as omitted
+  assert.equal(results('grid-electricity', { electricitySupplied: 1000, gridEmissionFactor: 0.5, fossilFuelConsumed: '' }).projectEmissions, 0);
+});
+
+test('leakage is never negative when the project emits more than the baseline', () => {
+  // BE = -110; PE = 0; BE - PE = -110, so LE = max(-110, 0) × 10 / 100 = 0
+  const calculation = engine.calculate('carbon-removals', { projectStockChange: 0, baselineStockChange: 30, leakagePercent: 10, nonPermanenceRisk: 10 });
+
+  assert.deepEqual(calculation.results, {
+    baselineEmissions: -110,
+    projectEmissions: 0,
+    leakageEmissions: 0,
+    netReductions: -110,
+    bufferDeduction: 0,
+    creditsIssuable: 0
+  });
+  assert.equal(step(calculation, 'leakageEmissions').formula, 'LE_y = max(BE_y - PE_y, 0) × LK / 100');
+});
+
+test('each audit trail step records its formula and the values it read', () => {
+  const calculation = engine.calculate('grid-electricity', CASES['grid-electricity'].inputs);
+
+  assert.deepEqual(calculation.auditTrail.map(entry => [entry.step, entry.key, entry.formula]), [
+    [1, 'baselineEmissions', 'BE_y = EG_PJ,y × EF_grid,y'],
+    [2, 'projectEmissions', 'PE_y = FC_PJ,y × EF_FF'],
+    [3, 'netReductions', 'ER_y = BE_y - PE_y - LE_y'],
+    [4, 'creditsIssuable', 'CR_y = floor(max(ER_y - BUF_y, 0))']
+  ]);
+  assert.deepEqual(step(calculation, 'baselineEmissions').inputs, [
+    { key: 'electricitySupplied', symbol: 'EG_PJ,y', label: 'Net electricity supplied by the project', value: 1000, unit: 'MWh', source: 'monitored' },
+    { key: 'gridEmissionFactor', symbol: 'EF_grid,y', label: 'Baseline emission factor of displaced electricity', value: 0.5, unit: 'tCO2e/MWh', source: 'monitored' }
+  ]);
+  assert.deepEqual(step(calculation, 'projectEmissions').inputs.map(input => [input.key, input.source]), [
+    ['fossilFuelConsumed', 'monitored'],
+    ['fossilFuelEmissionFactor', 'default']
+  ]);
+  // Leakage has no step in this model, so it is not listed as read
+  assert.deepEqual(step(calculation, 'netReductions').inputs.map(input => [input.key, input.value, input.source]), [
+    ['baselineEmissions', 500, 'calculated'],
+    ['projectEmissions', 7.41, 'calculated']
+  ]);
+});
+
+test('inputs are validated before calculating', () => {
+  assert.equal(engine.validateInputs('unknown-model', {}), 'No calculation model is available for unknown-model');
+  assert.equal(
+    engine.validateInputs('product-intensity', { production: 1000 }),
+    'Missing monitoring inputs: Baseline emission intensity, Project emission intensity'
+  );
+  assert.equal(
+    engine.validateInputs('product-intensity', { production: 'lots', baselineIntensity: 0.2, projectIntensity: 0.15 }),
+    'Product output must be a number'
+  );
+  assert.throws(() => engine.calculate('product-intensity', {}), /Missing monitoring inputs/);
+});
@@ -0,0 +1,98 @@
+import Document from '../../models/Document.js';
+import MonitoringPeriod from '../../models/MonitoringPeriod.js';
+import * as templateLoader from '../generator/templateLoader.js';
+import * as dataPreparation from '../generator/dataPreparation.js';
+import { loadProjectData } from '../generator/projectData.js';
+import { sectionsFromHtml } from '../versioning/diff.js';
+import { getMethodology } from '../../../shared/methodologies.js';
+import { evaluateApplicability } from '../../../shared/applicability.js';
+import { scoreCompliance } from '../../../shared/compliance.js';
+import { COMPLIANCE_RULES } from './rules.js';
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+/**
+ * Builds what the rules check: the project data, its documents and
+ * monitoring periods, and the document as the generator would render it
+ * when the standard has a template for it
+ */
+async function buildContext(project, documentType, projectData, forSubmission) {
+  const standard = project.targetStandard;
+
+  const [documents, monitoringPeriods] = await Promise.all([
+    Document.find({ projectId: project._id }).select('name documentType source extractedData.fields').lean(),
+    MonitoringPeriod.find({ projectId: project._id }).select('name startDate endDate').sort({ startDate: 1 }).lean()
+  ]);
+
+  let templateData = null;
+  let sections = [];
+  if (dataPreparation.getDocumentDefinition(standard, documentType)) {
+    const template = await templateLoader.load(standard, documentType);
+    templateData = dataPreparation.prepare(projectData, standard, documentType);
+    sections = sectionsFromHtml(template(templateData));
+  }
+
+  const missingFields = templateData
+    ? templateData.missingFields
+    : dataPreparation.getRequiredFields(standard, documentType).filter((path) => {
+      const value = getPath(projectData, path);
+      return value === undefined || value === null || value === '';
+    });
+
+  return {
+    project: projectData,
+    standard,
+    documentType,
+    forSubmission,
+    methodology: getMethodology(projectData.methodologyId),
+    applicability: evaluateApplicability(projectData),
+    missingFields,
+    templateData,
+    sections,
+    documents,
+    monitoringPeriods
+  };
+}
+
+/**
+ * Runs the compliance rules that apply to a project and document type
+ * @param {Project} project - Project document
+ * @param {Object} [options]
+ * @param {string} [options.documentType] - Document the project is checked for, defaults to the PDD
+ * @param {string} [options.calculationId] - Calculation the document would report
+ * @param {Object} [options.projectData] - Data already loaded with loadProjectData, to avoid loading it twice
+ * @param {boolean} [options.forSubmission] - Check for the move to submitted, which also requires the submission documents
+ * @returns {Promise<Object>} - { standard, documentType, checkedAt, score, status, blocking, warnings, items }
+ */
+export async function runComplianceCheck(project, {
+  documentType = 'project-design-document',
+  calculationId,
+  projectData,
+  forSubmission = false
+} = {}) {
+  const data = projectData || await loadProjectData(project, calculationId);
+  const context = await buildContext(project, documentType, data, forSubmission);
+
+  const items = COMPLIANCE_RULES
+    .filter(rule => !rule.appliesTo || rule.appliesTo(context))
+    .map((rule) => {
+      const { passed, detail, entries = [] } = rule.check(context);
+      return {
+        id: rule.id,
+        category: rule.category,
+        severity: rule.severity,
+        title: rule.title,
+        passed,
+        detail,
+        entries
+      };
+    });
+
+  return {
+    standard: context.standard,
+    documentType,
+    checkedAt: new Date(),
+    ...scoreCompliance(items),
+    items
+  };
+}
@@ -0,0 +1,359 @@
+import { findMethodologies } from '../../../shared/methodologies.js';
+import { getMissingParameters } from '../../../shared/applicability.js';
+import { CREDITING_PERIOD_LIMITS, isLandUseProject } from '../../../shared/compliance.js';
+import { PROJECT_FIELD_LABELS, TARGET_STANDARD_LABELS } from '../../../shared/projectSchema.js';
+import { DOCUMENT_TYPES } from '../../../shared/documentTypes.js';
+import { getWorkflowState } from '../../../shared/workflow.js';
+import { getDocumentLabel } from '../../../shared/standards.js';
+import { QA_STATUS_LABELS } from '../../../shared/monitoring.js';
+import { checkSdgContributions, formatSdg } from '../../../shared/sdg.js';
+import { summarizeSafeguarding, getSafeguardingQuestion } from '../../../shared/safeguarding.js';
+import { isCommentAnswered } from '../../../shared/consultations.js';
+import { PLACEHOLDER } from '../generator/templateLoader.js';
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Relative difference between the boundary area and the area parameter worth flagging
+const AREA_TOLERANCE = 0.05;
+
+// Sections with a rule of their own, left out of the generic section check
+const DEDICATED_SECTIONS = /safeguard|stakeholder|SDG/i;
+
+const formatDate = value => new Date(value).toISOString().slice(0, 10);
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const creditingPeriod = ({ project }) => {
+  const start = toDate(project.startDate);
+  const end = toDate(project.endDate);
+  return start && end && end > start ? { start, end, years: (end - start) / MS_PER_YEAR } : null;
+};
+
+const isDesignDocument = ({ documentType }) => documentType === 'project-design-document';
+
+const isGoldStandard = ({ standard }) => standard === 'gold-standard';
+
+// Documents that report on the local stakeholder consultation
+const reportsConsultation = context => isDesignDocument(context) || context.documentType === 'stakeholder-consultation-report';
+
+const pass = detail => ({ passed: true, detail });
+const fail = (detail, entries = []) => ({ passed: false, detail, entries });
+
+// Gold Standard projects answer the safeguarding questionnaire; other
+// templates list safeguard topics. Returns what is left to do, or null when
+// the document has no safeguards.
+const safeguardProblems = ({ standard, project, templateData }) => {
+  if (standard === 'gold-standard') {
+    const summary = summarizeSafeguarding(project.safeguarding);
+    const describe = prefix => id => `${prefix}: ${getSafeguardingQuestion(id).text}`;
+    return [
+      ...summary.unanswered.map(describe('Not answered')),
+      ...summary.unjustified.map(describe('No justification')),
+      ...summary.unmitigated.map(describe('No mitigation action'))
+    ];
+  }
+  if (templateData?.sections?.safeguards) {
+    return templateData.sections.safeguards.topics.filter(topic => !topic.response).map(topic => topic.topic);
+  }
+  return null;
+};
+
+/**
+ * Checklist run against a project before documents are generated or the
+ * project is submitted. Each rule has a stable id, a category and severity
+ * from shared/compliance.js, an optional appliesTo(context) that leaves it
+ * out of the report, and check(context) returning { passed, detail, entries }.
+ */
+export const COMPLIANCE_RULES = [
+  {
+    id: 'required-fields',
+    category: 'project-data',
+    severity: 'blocking',
+    title: 'Required project data is filled in',
+    check: ({ missingFields }) => (missingFields.length === 0
+      ? pass('Every project field the document draws on has a value.')
+      : fail('Fill in the missing project fields.', missingFields.map(path => PROJECT_FIELD_LABELS[path] || path)))
+  },
+  {
+    id: 'crediting-period-dates',
+    category: 'crediting-period',
+    severity: 'blocking',
+    title: 'Crediting period matches the project start and end dates',
+    check: (context) => {
+      const { project } = context;
+      if (!toDate(project.startDate) || !toDate(project.endDate)) {
+        return fail('The project needs a start date and an end date to define its crediting period.');
+      }
+      const period = creditingPeriod(context);
+      return period
+        ? pass(`${formatDate(period.start)} to ${formatDate(period.end)} (${period.years.toFixed(1)} years).`)
+        : fail('The end date must be after the start date.');
+    }
+  },
+  {
+    id: 'crediting-period-length',
+    category: 'crediting-period',
+    severity: 'warning',
+    title: 'Crediting period length is within the standard\'s limits',
+    appliesTo: context => Boolean(CREDITING_PERIOD_LIMITS[context.standard] && creditingPeriod(context)),
+    check: (context) => {
+      const landUse = isLandUseProject(context.project, context.methodology);
+      const { min, max } = CREDITING_PERIOD_LIMITS[context.standard][landUse ? 'landUse' : 'other'];
+      const { years } = creditingPeriod(context);
+      const rule = `${TARGET_STANDARD_LABELS[context.standard]} accepts ${min}–${max} years for ${landUse ? 'land use' : 'these'} projects`;
+      return years >= min && years <= max
+        ? pass(`${years.toFixed(1)} years; ${rule}.`)
+        : fail(`The crediting period is ${years.toFixed(1)} years; ${rule}.`);
+    }
+  },
+  {
+    id: 'monitoring-within-crediting-period',
+    category: 'crediting-period',
+    severity: 'blocking',
+    title: 'Monitoring periods fall within the crediting period',
+    appliesTo: context => context.monitoringPeriods.length > 0 && Boolean(creditingPeriod(context)),
+    check: (context) => {
+      const { start, end } = creditingPeriod(context);
+      const outside = context.monitoringPeriods.filter(period => (
+        new Date(period.startDate) < start || new Date(period.endDate) > end
+      ));
+      return outside.length === 0
+        ? pass('Every monitoring period lies within the crediting period.')
+        : fail(
+          'Adjust these monitoring periods or the project dates.',
+          outside.map(period => `${period.name} (${formatDate(period.startDate)} to ${formatDate(period.endDate)})`)
+        );
+    }
+  },
+  {
+    id: 'uploaded-dates-consistent',
+    category: 'crediting-period',
+    severity: 'warning',
+    title: 'Uploaded design documents state the same crediting period',
+    appliesTo: ({ documents }) => documents.some(document => (
+      document.source === 'uploaded' && document.documentType === 'project-design-document'
+      && (document.extractedData?.fields?.startDate || document.extractedData?.fields?.endDate)
+    )),
+    check: ({ documents, project }) => {
+      const conflicts = [];
+      documents
+        .filter(document => document.source === 'uploaded' && document.documentType === 'project-design-document')
+        .forEach((document) => {
+          ['startDate', 'endDate'].forEach((path) => {
+            const extracted = toDate(document.extractedData?.fields?.[path]?.value);
+            const current = toDate(project[path]);
+            if (extracted && current && formatDate(extracted) !== formatDate(current)) {
+              conflicts.push(`${document.name}: ${PROJECT_FIELD_LABELS[path]} ${formatDate(extracted)}, project ${formatDate(current)}`);
+            }
+          });
+        });
+      return conflicts.length === 0
+        ? pass('Dates read from uploaded design documents match the project.')
+        : fail('Dates read from uploaded documents differ from the project; update whichever is out of date.', conflicts);
+    }
+  },
+  {
+    id: 'methodology-registered',
+    category: 'methodology',
+    severity: 'blocking',
+    title: 'Methodology is registered for the standard',
+    appliesTo: ({ standard }) => findMethodologies({ standard }).length > 0,
+    check: ({ applicability, project }) => (applicability.known
+      ? pass(`${applicability.methodologyId} – ${applicability.methodologyName}.`)
+      : fail(`${project.methodologyId || 'No methodology'} is not a registered methodology for ${TARGET_STANDARD_LABELS[project.targetStandard]}.`))
+  },
+  {
+    id: 'applicability-met',
+    category: 'methodology',
+    severity: 'blocking',
+    title: 'Methodology applicability conditions are met',
+    appliesTo: ({ applicability }) => applicability.known,
+    check: ({ applicability }) => {
+      const failed = applicability.conditions.filter(condition => condition.status === 'fail');
+      return failed.length === 0
+        ? pass(`No ${applicability.methodologyId} applicability condition is failed.`)
+        : fail(`The project does not meet these ${applicability.methodologyId} conditions.`, failed.map(condition => condition.description));
+    }
+  },
+  {
+    id: 'applicability-confirmed',
+    category: 'methodology',
+    severity: 'warning',
+    title: 'Applicability can be confirmed from the methodology parameters',
+    appliesTo: ({ applicability }) => applicability.known,
+    check: ({ applicability, project }) => {
+      const missing = getMissingParameters(project);
+      const unknown = applicability.conditions.filter(condition => condition.status === 'unknown');
+      return missing.length === 0 && unknown.length === 0
+        ? pass('Every methodology parameter is filled in.')
+        : fail(
+          'These conditions cannot be assessed until the methodology parameters are filled in.',
+          [
+            ...unknown.map(condition => condition.description),
+            ...missing.map(parameter => `Missing parameter: ${parameter.label}${parameter.unit ? ` (${parameter.unit})` : ''}`)
+          ]
+        );
+    }
+  },
+  {
+    id: 'sections-complete',
+    category: 'sections',
+    severity: 'blocking',
+    title: 'Document sections are complete',
+    appliesTo: ({ templateData }) => Boolean(templateData),
+    check: ({ sections }) => {
+      const incomplete = sections
+        .filter(section => !DEDICATED_SECTIONS.test(section.heading))
+        .map(section => ({
+          heading: section.heading,
+          count: section.lines.reduce((sum, line) => sum + line.split(PLACEHOLDER).length - 1, 0)
+        }))
+        .filter(section => section.count > 0);
+      return incomplete.length === 0
+        ? pass('No section has content left to be completed.')
+        : fail(
+          `Sections marked ${PLACEHOLDER} in the generated document need input.`,
+          incomplete.map(section => `${section.heading} (${section.count} ${section.count === 1 ? 'item' : 'items'})`)
+        );
+    }
+  },
+  {
+    id: 'safeguards-answered',
+    category: 'safeguards',
+    severity: 'blocking',
+    title: 'Safeguards are answered',
+    appliesTo: context => isDesignDocument(context) && Boolean(safeguardProblems(context)),
+    check: (context) => {
+      const problems = safeguardProblems(context);
+      return problems.length === 0
+        ? pass('Every safeguard is answered, and every identified risk has a mitigation action.')
+        : fail('Complete the safeguards assessment.', problems);
+    }
+  },
+  {
+    id: 'sdg-contributions',
+    category: 'sdg',
+    severity: 'blocking',
+    title: 'SDG contributions meet the Gold Standard requirements',
+    appliesTo: context => isGoldStandard(context) && isDesignDocument(context),
+    check: ({ project }) => {
+      const problems = checkSdgContributions(project.sdgContributions);
+      return problems.length === 0
+        ? pass(`${project.sdgContributions.length} indicators across ${new Set(project.sdgContributions.map(contribution => contribution.goal)).size} SDGs.`)
+        : fail('Complete the SDG contributions on the project\'s SDGs & Safeguarding page.', problems);
+    }
+  },
+  {
+    id: 'sdg-results-reported',
+    category: 'sdg',
+    severity: 'warning',
+    title: 'SDG indicators are reported for the monitoring period',
+    appliesTo: ({ standard, documentType, project }) => standard === 'gold-standard' && documentType === 'monitoring-report'
+      && Boolean(project.monitoringPeriod) && project.sdgContributions?.length > 0,
+    check: ({ project }) => {
+      const reported = new Set((project.monitoringPeriod.sdgResults || [])
+        .filter(result => typeof result.value === 'number')
+        .map(result => String(result.contribution)));
+      const missing = project.sdgContributions.filter(contribution => !reported.has(String(contribution._id)));
+      return missing.length === 0
+        ? pass(`Every SDG indicator has a value for ${project.monitoringPeriod.name}.`)
+        : fail(
+          `Record the monitored values for ${project.monitoringPeriod.name} on the monitoring page.`,
+          missing.map(contribution => `${formatSdg(contribution.goal)} – ${contribution.indicator}`)
+        );
+    }
+  },
+  {
+    id: 'stakeholder-evidence',
+    category: 'stakeholders',
+    severity: 'blocking',
+    title: 'Stakeholder consultation evidence is on file',
+    appliesTo: reportsConsultation,
+    check: ({ project, documents }) => {
+      const events = project.consultations || [];
+      const evidence = documents.filter(document => document.documentType === 'stakeholder-consultation');
+      if (events.length === 0 && evidence.length === 0) {
+        return fail(`Log the consultation events on the Stakeholder Consultation page, or upload meeting minutes, attendance lists or comment logs as ${DOCUMENT_TYPES['stakeholder-consultation']}.`);
+      }
+      return pass([
+        events.length > 0 && `${events.length} consultation event${events.length === 1 ? '' : 's'} logged.`,
+        evidence.length > 0 && `${evidence.length} consultation record${evidence.length === 1 ? '' : 's'} uploaded.`
+      ].filter(Boolean).join(' '));
+    }
+  },
+  {
+    id: 'stakeholder-comments-answered',
+    category: 'stakeholders',
+    severity: 'warning',
+    title: 'Every stakeholder comment has a response',
+    appliesTo: context => reportsConsultation(context) && (context.project.consultations || []).some(event => event.comments.length > 0),
+    check: ({ project }) => {
+      const unanswered = project.consultations.flatMap(event => event.comments
+        .filter(comment => !isCommentAnswered(comment))
+        .map(comment => `${event.title}: ${comment.stakeholder ? `${comment.stakeholder} – ` : ''}${comment.comment}`));
+      return unanswered.length === 0
+        ? pass('All comments have a documented response.')
+        : fail(`${unanswered.length} comment${unanswered.length === 1 ? ' has' : 's have'} no response from the project developer.`, unanswered);
+    }
+  },
+  {
+    id: 'boundary-uploaded',
+    category: 'boundary',
+    severity: 'blocking',
+    title: 'Project boundary is mapped',
+    appliesTo: ({ project, methodology }) => isLandUseProject(project, methodology),
+    check: ({ project }) => (project.boundary?.areaHectares
+      ? pass(`${project.boundary.areaHectares.toLocaleString('en-US', { maximumFractionDigits: 1 })} ha in ${project.boundary.strata.length} ${project.boundary.strata.length === 1 ? 'stratum' : 'strata'}.`)
+      : fail('Land use methodologies need the project boundary; upload it on the project page.'))
+  },
+  {
+    id: 'boundary-area-consistent',
+    category: 'boundary',
+    severity: 'warning',
+    title: 'Project area parameter matches the mapped boundary',
+    appliesTo: ({ project }) => Boolean(project.boundary?.areaHectares) && typeof project.methodologyParameters?.areaHectares === 'number',
+    check: ({ project }) => {
+      const mapped = project.boundary.areaHectares;
+      const entered = project.methodologyParameters.areaHectares;
+      const summary = `Entered ${entered.toLocaleString('en-US')} ha, mapped ${mapped.toLocaleString('en-US', { maximumFractionDigits: 1 })} ha.`;
+      return Math.abs(entered - mapped) / mapped <= AREA_TOLERANCE
+        ? pass(summary)
+        : fail(`${summary} Update the area parameter or the boundary.`);
+    }
+  },
+  {
+    id: 'monitoring-series-reviewed',
+    category: 'monitoring',
+    severity: 'warning',
+    title: 'Monitored data has passed QA/QC',
+    appliesTo: ({ documentType, project }) => documentType === 'monitoring-report' && Boolean(project.calculation),
+    check: ({ project }) => {
+      const unresolved = project.monitoringSeries.filter(series => !['passed', 'approved'].includes(series.qaStatus));
+      return unresolved.length === 0
+        ? pass('Every monitored series in the period passed QA/QC or was approved.')
+        : fail(
+          'Review these series before reporting on them.',
+          unresolved.map(series => `${series.label} – ${QA_STATUS_LABELS[series.qaStatus] || series.qaStatus}`)
+        );
+    }
+  },
+  {
+    id: 'submission-documents',
+    category: 'submission',
+    severity: 'blocking',
+    title: 'Documents required for submission are uploaded',
+    // Only checked for the submit transition, so the PDD can be generated
+    // before it and the supporting documents are uploaded
+    appliesTo: context => context.forSubmission && isDesignDocument(context),
+    check: ({ documents, standard }) => {
+      const present = new Set(documents.map(document => document.documentType));
+      const missing = getWorkflowState('submitted', standard).requiredDocuments.filter(type => !present.has(type));
+      return missing.length === 0
+        ? pass('The project has every document submission requires.')
+        : fail('Add these documents before submitting.', missing.map(type => getDocumentLabel(standard, type)));
+    }
+  }
+];
@@ -0,0 +1,277 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { COMPLIANCE_RULES } from './rules.js';
+import { PLACEHOLDER } from '../generator/templateLoader.js';
+import { getMethodology } from '../../../shared/methodologies.js';
+import { evaluateApplicability } from '../../../shared/applicability.js';
+import { SAFEGUARDING_QUESTIONS } from '../../../shared/safeguarding.js';
+
+// A grid-connected solar plant that meets every ACM0002 condition, with a
+// seven year crediting period
+const PROJECT = {
+  name: 'Solar Park',
+  projectType: 'renewable-energy',
+  targetStandard: 'verra',
+  methodologyId: 'ACM0002',
+  methodologyParameters: { gridConnected: true, installedCapacityMW: 10, technology: 'solar', powerDensity: 0 },
+  startDate: '2024-01-01',
+  endDate: '2031-01-01',
+  consultations: [],
+  monitoringSeries: []
+};
+
+// Mirrors buildContext in index.js without the database and templates
+const buildContext = ({ project: projectOverrides = {}, ...overrides } = {}) => {
+  const project = { ...PROJECT, ...projectOverrides };
+  return {
+    project,
+    standard: project.targetStandard,
+    documentType: 'project-design-document',
+    forSubmission: false,
+    methodology: getMethodology(project.methodologyId),
+    applicability: evaluateApplicability(project),
+    missingFields: [],
+    templateData: null,
+    sections: [],
+    documents: [],
+    monitoringPeriods: [],
+    ...overrides
+  };
+};
+
+const TESTED = new Set();
+
+// Runs one rule, returning null when it does not apply to the context
+const run = (id, overrides) => {
+  TESTED.add(id);
+  const rule = COMPLIANCE_RULES.find(candidate => candidate.id === id);
+  const context = buildContext(overrides);
+  if (rule.appliesTo && !rule.appliesTo(context)) return null;
+  return rule.check(context);
+};
+
+const passes = (id, overrides) => {
+  const result = run(id, overrides);
+  assert.ok(result, `${id} does not apply`);
+  assert.equal(result.passed, true, `${id}: ${result.detail}`);
+  return result;
+};
+
+const fails = (id, overrides) => {
+  const result = run(id, overrides);
+  assert.ok(result, `${id} does not apply`);
+  assert.equal(result.passed, false, `${id}: ${result.detail}`);
+  return result;
+};
+
+const answerEverySafeguard = () => SAFEGUARDING_QUESTIONS.map(question => ({ question: question.id, answer: 'no', justification: 'Not relevant to a solar park' }));
+
+const contribution = (goal, id = `c${goal}`) => ({
+  _id: id,
+  goal,
+  indicator: `Indicator ${goal}`,
+  baselineValue: 0,
+  targetValue: 10,
+  monitoringFrequency: 'annual'
+});
+
+const GOLD_STANDARD = { project: { targetStandard: 'gold-standard', sdgContributions: [contribution(7), contribution(8), contribution(13)] } };
+
+test('required-fields', () => {
+  passes('required-fields');
+  assert.deepEqual(fails('required-fields', { missingFields: ['name', 'location.country', 'custom.path'] }).entries, ['Project Name', 'Country', 'custom.path']);
+});
+
+test('crediting-period-dates', () => {
+  assert.equal(passes('crediting-period-dates').detail, '2024-01-01 to 2031-01-01 (7.0 years).');
+  assert.match(fails('crediting-period-dates', { project: { endDate: null } }).detail, /needs a start date and an end date/);
+  assert.equal(fails('crediting-period-dates', { project: { endDate: '2023-01-01' } }).detail, 'The end date must be after the start date.');
+});
+
+test('crediting-period-length', () => {
+  passes('crediting-period-length');
+  assert.match(fails('crediting-period-length', { project: { endDate: '2039-01-01' } }).detail, /^The crediting period is 15\.0 years; Verra \(VCS\) accepts 1–10 years/);
+
+  // Land use projects have the long limits
+  passes('crediting-period-length', { project: { projectType: 'reforestation', endDate: '2054-01-01' } });
+  assert.equal(run('crediting-period-length', { project: { targetStandard: 'other' } }), null);
+});
+
+test('monitoring-within-crediting-period', () => {
+  assert.equal(run('monitoring-within-crediting-period'), null);
+  passes('monitoring-within-crediting-period', {
+    monitoringPeriods: [{ name: 'MP1', startDate: '2024-01-01', endDate: '2024-12-31' }]
+  });
+  assert.deepEqual(fails('monitoring-within-crediting-period', {
+    monitoringPeriods: [
+      { name: 'MP1', startDate: '2024-01-01', endDate: '2024-12-31' },
+      { name: 'MP0', startDate: '2023-06-01', endDate: '2024-05-31' }
+    ]
+  }).entries, ['MP0 (2023-06-01 to 2024-05-31)']);
+});
+
+test('uploaded-dates-consistent', () => {
+  const uploaded = startDate => ({
+    name: 'PDD.pdf',
+    source: 'uploaded',
+    documentType: 'project-design-document',
+    extractedData: { fields: { startDate: { value: startDate } } }
+  });
+
+  assert.equal(run('uploaded-dates-consistent'), null);
+  passes('uploaded-dates-consistent', { documents: [uploaded('2024-01-01T00:00:00Z')] });
+  assert.deepEqual(fails('uploaded-dates-consistent', { documents: [uploaded('2023-01-01')] }).entries, [
+    'PDD.pdf: Start Date 2023-01-01, project 2024-01-01'
+  ]);
+});
+
+test('methodology-registered', () => {
+  assert.match(passes('methodology-registered').detail, /^ACM0002 – /);
+  assert.equal(fails('methodology-registered', { project: { methodologyId: 'VM9999' } }).detail, 'VM9999 is not a registered methodology for Verra (VCS).');
+  assert.match(fails('methodology-registered', { project: { methodologyId: '' } }).detail, /^No methodology is not/);
+});
+
+test('applicability-met', () => {
+  passes('applicability-met');
+  const result = fails('applicability-met', { project: { methodologyParameters: { ...PROJECT.methodologyParameters, gridConnected: false } } });
+  assert.deepEqual(result.entries, ['The plant supplies electricity to a national or regional grid']);
+  assert.equal(run('applicability-met', { project: { methodologyId: 'VM9999' } }), null);
+});
+
+test('applicability-confirmed', () => {
+  passes('applicability-confirmed');
+  const result = fails('applicability-confirmed', { project: { methodologyParameters: { gridConnected: true, installedCapacityMW: 10, technology: 'hydro' } } });
+  assert.deepEqual(result.entries, [
+    'Hydro plants with new reservoirs have a power density above 4 W/m²',
+    'Missing parameter: Reservoir power density (hydro only) (W/m²)'
+  ]);
+});
+
+test('sections-complete', () => {
+  assert.equal(run('sections-complete'), null);
+  const sections = [
+    { heading: 'Project Description', lines: ['Solar Park'] },
+    { heading: 'Environmental and Social Safeguards', lines: [PLACEHOLDER] }
+  ];
+  passes('sections-complete', { templateData: {}, sections });
+
+  const result = fails('sections-complete', {
+    templateData: {},
+    sections: [...sections, { heading: 'Monitoring Plan', lines: [`${PLACEHOLDER} and ${PLACEHOLDER}`, 'Meters'] }]
+  });
+  assert.deepEqual(result.entries, ['Monitoring Plan (2 items)']);
+});
+
+test('safeguards-answered', () => {
+  assert.equal(run('safeguards-answered'), null);
+
+  const safeguards = response => ({ sections: { safeguards: { topics: [{ topic: 'Labour', response: 'Local hiring' }, { topic: 'Biodiversity', response }] } } });
+  passes('safeguards-answered', { templateData: safeguards('No habitat on site') });
+  assert.deepEqual(fails('safeguards-answered', { templateData: safeguards('') }).entries, ['Biodiversity']);
+
+  // Gold Standard projects answer the questionnaire instead
+  passes('safeguards-answered', { project: { targetStandard: 'gold-standard', safeguarding: answerEverySafeguard() } });
+  const [first, ...rest] = answerEverySafeguard();
+  const result = fails('safeguards-answered', {
+    project: { targetStandard: 'gold-standard', safeguarding: [{ ...first, answer: 'yes' }, ...rest.slice(1)] }
+  });
+  assert.deepEqual(result.entries, [
+    `Not answered: ${SAFEGUARDING_QUESTIONS[1].text}`,
+    `No mitigation action: ${SAFEGUARDING_QUESTIONS[0].text}`
+  ]);
+});
+
+test('sdg-contributions', () => {
+  assert.equal(run('sdg-contributions'), null);
+  assert.equal(passes('sdg-contributions', GOLD_STANDARD).detail, '3 indicators across 3 SDGs.');
+  assert.deepEqual(fails('sdg-contributions', { project: { targetStandard: 'gold-standard', sdgContributions: [contribution(7), contribution(13)] } }).entries, [
+    'Contributions cover 2 SDGs; Gold Standard projects need at least 3'
+  ]);
+});
+
+test('sdg-results-reported', () => {
+  const monitoringReport = sdgResults => ({
+    documentType: 'monitoring-report',
+    project: { ...GOLD_STANDARD.project, monitoringPeriod: { name: 'MP1', sdgResults } }
+  });
+
+  assert.equal(run('sdg-results-reported', GOLD_STANDARD), null);
+  passes('sdg-results-reported', monitoringReport([
+    { contribution: 'c7', value: 1 }, { contribution: 'c8', value: 0 }, { contribution: 'c13', value: 12 }
+  ]));
+  assert.deepEqual(fails('sdg-results-reported', monitoringReport([
+    { contribution: 'c7', value: 1 }, { contribution: 'c8', value: null }
+  ])).entries, [
+    'SDG 8: Decent Work and Economic Growth – Indicator 8',
+    'SDG 13: Climate Action – Indicator 13'
+  ]);
+});
+
+test('stakeholder-evidence', () => {
+  assert.equal(passes('stakeholder-evidence', { project: { consultations: [{ title: 'Village meeting', comments: [] }] } }).detail, '1 consultation event logged.');
+  assert.equal(passes('stakeholder-evidence', {
+    documentType: 'stakeholder-consultation-report',
+    documents: [{ documentType: 'stakeholder-consultation' }, { documentType: 'stakeholder-consultation' }]
+  }).detail, '2 consultation records uploaded.');
+  assert.match(fails('stakeholder-evidence').detail, /^Log the consultation events/);
+  assert.equal(run('stakeholder-evidence', { documentType: 'monitoring-report' }), null);
+});
+
+test('stakeholder-comments-answered', () => {
+  const consultation = response => ({
+    project: { consultations: [{ title: 'Village meeting', comments: [{ stakeholder: 'Farmers', comment: 'Will grazing continue?', response }] }] }
+  });
+
+  assert.equal(run('stakeholder-comments-answered', { project: { consultations: [{ title: 'Village meeting', comments: [] }] } }), null);
+  passes('stakeholder-comments-answered', consultation('Yes, under the panels'));
+  const result = fails('stakeholder-comments-answered', consultation('  '));
+  assert.equal(result.detail, '1 comment has no response from the project developer.');
+  assert.deepEqual(result.entries, ['Village meeting: Farmers – Will grazing continue?']);
+});
+
+test('boundary-uploaded', () => {
+  assert.equal(run('boundary-uploaded'), null);
+  const reforestation = boundary => ({ project: { projectType: 'reforestation', boundary } });
+  assert.equal(passes('boundary-uploaded', reforestation({ areaHectares: 1250.25, strata: [{}, {}] })).detail, '1,250.3 ha in 2 strata.');
+  fails('boundary-uploaded', reforestation(undefined));
+  fails('boundary-uploaded', reforestation({ areaHectares: 0, strata: [] }));
+});
+
+test('boundary-area-consistent', () => {
+  const area = areaHectares => ({ project: { boundary: { areaHectares: 100, strata: [{}] }, methodologyParameters: { areaHectares } } });
+
+  assert.equal(run('boundary-area-consistent'), null);
+  assert.equal(passes('boundary-area-consistent', area(104)).detail, 'Entered 104 ha, mapped 100 ha.');
+  assert.match(fails('boundary-area-consistent', area(110)).detail, /Update the area parameter or the boundary\.$/);
+});
+
+test('monitoring-series-reviewed', () => {
+  const monitoringReport = qaStatus => ({
+    documentType: 'monitoring-report',
+    project: { calculation: {}, monitoringSeries: [{ label: 'Electricity supplied', qaStatus: 'approved' }, { label: 'Grid factor', qaStatus }] }
+  });
+
+  assert.equal(run('monitoring-series-reviewed', { documentType: 'monitoring-report' }), null);
+  passes('monitoring-series-reviewed', monitoringReport('passed'));
+  assert.deepEqual(fails('monitoring-series-reviewed', monitoringReport('flagged')).entries, ['Grid factor – Needs review']);
+});
+
+test('submission-documents', () => {
+  const pdd = { documentType: 'project-design-document' };
+
+  assert.equal(run('submission-documents', { documents: [pdd] }), null);
+  passes('submission-documents', { forSubmission: true, documents: [pdd, { documentType: 'supporting-documentation' }] });
+  assert.deepEqual(fails('submission-documents', { forSubmission: true, documents: [pdd] }).entries, ['Supporting Documentation']);
+
+  // ACR adds its listing form
+  const acr = fails('submission-documents', {
+    project: { targetStandard: 'acr' },
+    forSubmission: true,
+    documents: [pdd, { documentType: 'supporting-documentation' }]
+  });
+  assert.equal(acr.entries.length, 1);
+});
+
+test('every rule is tested', () => {
+  assert.deepEqual([...TESTED].sort(), COMPLIANCE_RULES.map(rule => rule.id).sort());
+});
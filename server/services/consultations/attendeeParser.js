@@ -0,0 +1,63 @@
+import * as XLSX from 'xlsx';
+import { ATTENDEE_COLUMNS, parseStakeholderGroup, parseGender } from '../../../shared/consultations.js';
+
+const normalizeHeader = header => String(header ?? '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+
+const cellText = cell => (cell === null || cell === undefined ? '' : String(cell).trim());
+
+/**
+ * Reads an attendance list from a CSV or XLSX file with a header row. Columns
+ * are matched by header (see ATTENDEE_COLUMNS); a file without a recognised
+ * name column is read as names in the first column.
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileType - csv or xlsx
+ * @returns {Object} - { attendees: [{ name, organization, stakeholderGroup, gender, contact }], warnings }
+ */
+export function parseAttendees(buffer, fileType) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', raw: fileType === 'csv' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  // Blank rows are kept until now so warnings can give each row's line in the file
+  const firstRow = sheet?.['!ref'] ? XLSX.utils.decode_range(sheet['!ref']).s.r : 0;
+  const rows = (sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: true, defval: null }) : [])
+    .map((cells, index) => ({ cells, line: firstRow + index + 1 }))
+    .filter(({ cells }) => cells.some(cell => cellText(cell)));
+
+  if (rows.length < 2) {
+    throw new Error('The file needs a header row and at least one attendee');
+  }
+
+  const [headerRow, ...dataRows] = rows;
+  const headers = headerRow.cells.map(normalizeHeader);
+  const indexes = Object.fromEntries(Object.entries(ATTENDEE_COLUMNS).map(([field, aliases]) => (
+    [field, headers.findIndex(header => aliases.includes(header))]
+  )));
+  if (indexes.name === -1) {
+    indexes.name = 0;
+  }
+
+  const warnings = [];
+  const attendees = [];
+  dataRows.forEach(({ cells, line }) => {
+    const read = field => (indexes[field] === -1 ? '' : cellText(cells[indexes[field]]));
+    const name = read('name');
+    if (!name) {
+      warnings.push(`Row ${line} has no name and was skipped`);
+      return;
+    }
+
+    const gender = read('gender');
+    if (gender && !parseGender(gender)) {
+      warnings.push(`Row ${line}: gender "${gender}" was not recognised`);
+    }
+
+    attendees.push({
+      name,
+      organization: read('organization') || undefined,
+      stakeholderGroup: parseStakeholderGroup(read('stakeholderGroup')) || undefined,
+      gender: parseGender(gender) || undefined,
+      contact: read('contact') || undefined
+    });
+  });
+
+  return { attendees, warnings };
+}
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import * as XLSX from 'xlsx';
+import { parseAttendees } from './attendeeParser.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+test('reads quoted CSV fields and matches columns by header', () => {
+  const { attendees } = parseAttendees(fixture('attendance.csv'), 'csv');
+
+  assert.deepEqual(attendees[0], {
+    name: 'Grace Banda',
+    organization: 'Chikwawa Women\'s Cooperative, Ltd.',
+    stakeholderGroup: 'women',
+    gender: 'female',
+    contact: 'grace@example.org'
+  });
+  // Commas and doubled quotes inside quoted fields
+  assert.equal(attendees[1].name, 'Phiri, John');
+  assert.equal(attendees[1].organization, 'Village Council "North"');
+});
+
+test('rows without a name are skipped, rows without an email are kept', () => {
+  const { attendees, warnings } = parseAttendees(fixture('attendance.csv'), 'csv');
+
+  assert.deepEqual(attendees.map(attendee => attendee.name), ['Grace Banda', 'Phiri, John', 'Esther Mwale', 'Peter Lungu']);
+  assert.equal(attendees[1].contact, undefined);
+  assert.equal(attendees[2].organization, undefined);
+  // Row numbers are lines in the file, counting the blank ones
+  assert.deepEqual(warnings, [
+    'Row 5 has no name and was skipped',
+    'Row 6: gender "unknown" was not recognised'
+  ]);
+});
+
+test('cells are trimmed and free text is mapped to known values', () => {
+  const { attendees } = parseAttendees(fixture('attendance.csv'), 'csv');
+
+  assert.deepEqual(attendees[3], {
+    name: 'Peter Lungu',
+    organization: undefined,
+    stakeholderGroup: 'ngo',
+    gender: 'male',
+    contact: 'peter@example.org'
+  });
+  assert.equal(attendees[2].stakeholderGroup, 'other');
+  assert.equal(attendees[2].gender, undefined);
+});
+
+test('a file without a name column is read as names in the first column', () => {
+  const { attendees, warnings } = parseAttendees(fixture('names-only.csv'), 'csv');
+
+  assert.deepEqual(attendees, [
+    { name: 'Grace Banda', organization: 'Chikwawa', stakeholderGroup: undefined, gender: undefined, contact: undefined },
+    { name: 'John Phiri', organization: 'Nsanje', stakeholderGroup: undefined, gender: undefined, contact: undefined }
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test('reads XLSX workbooks', () => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+    ['Participant', 'Gender', 'Phone'],
+    ['Grace Banda', 'woman', 265999123456]
+  ]), 'Attendance');
+  const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+  assert.deepEqual(parseAttendees(buffer, 'xlsx').attendees, [
+    { name: 'Grace Banda', organization: undefined, stakeholderGroup: undefined, gender: 'female', contact: '265999123456' }
+  ]);
+});
+
+test('a file needs a header row and an attendee', () => {
+  const message = 'The file needs a header row and at least one attendee';
+  assert.throws(() => parseAttendees(Buffer.from('Name,Email\n\n\n'), 'csv'), { message });
+  assert.throws(() => parseAttendees(Buffer.from(''), 'csv'), { message });
+});
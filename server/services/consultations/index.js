@@ -0,0 +1,25 @@
+import StakeholderConsultation from '../../models/StakeholderConsultation.js';
+import Document from '../../models/Document.js';
+
+export { parseAttendees } from './attendeeParser.js';
+
+/**
+ * A project's consultation events in date order, each with the documents
+ * (minutes, photos, attendance sheets) uploaded for it as files
+ * @param {ObjectId} projectId - Project the events belong to
+ * @returns {Promise<Array<Object>>} - Plain consultation objects
+ */
+export async function loadConsultations(projectId) {
+  const [consultations, documents] = await Promise.all([
+    StakeholderConsultation.find({ projectId }).sort({ date: 1, createdAt: 1 }).lean(),
+    Document.find({ projectId, consultationId: { $ne: null } })
+      .select('name description fileType fileSize consultationId createdAt')
+      .sort({ createdAt: 1 })
+      .lean()
+  ]);
+
+  return consultations.map(consultation => ({
+    ...consultation,
+    files: documents.filter(document => String(document.consultationId) === String(consultation._id))
+  }));
+}
@@ -0,0 +1,51 @@
+import * as templateLoader from './templateLoader.js';
+import * as dataPreparation from './dataPreparation.js';
+import * as documentRenderer from './renderers.js';
+
+/**
+ * Document generation service
+ */
+export default class DocumentGenerator {
+  constructor(options = {}) {
+    this.templateLoader = options.templateLoader || templateLoader;
+    this.dataPreparation = options.dataPreparation || dataPreparation;
+    this.documentRenderer = options.documentRenderer || documentRenderer;
+  }
+
+  /**
+   * Generates a document for a project
+   * @param {Object} projectData - Plain project object with owner populated
+   * @param {string} standard - Target standard identifier
+   * @param {string} documentType - Document type identifier
+   * @param {string} outputFormat - html, docx or pdf
+   * @returns {Promise<Object>} - { body, html, missingFields, applicability, templateVersion, contentType, extension }
+   */
+  async generateDocument(projectData, standard, documentType, outputFormat = 'html') {
+    const format = documentRenderer.OUTPUT_FORMATS[outputFormat];
+    if (!format) {
+      throw new Error(`Unsupported output format ${outputFormat}`);
+    }
+
+    // 1. Load appropriate template
+    const template = await this.templateLoader.load(standard, documentType);
+    const templateVersion = await this.templateLoader.getTemplateVersion(standard, documentType);
+
+    // 2. Prepare data for template
+    const templateData = this.dataPreparation.prepare(projectData, standard, documentType);
+
+    // 3. Fill template with data
+    const html = template(templateData);
+
+    // 4. Generate output document
+    const body = await this.documentRenderer.render(html, outputFormat);
+
+    return {
+      body,
+      html,
+      missingFields: templateData.missingFields,
+      applicability: templateData.applicability,
+      templateVersion,
+      ...format
+    };
+  }
+}
@@ -0,0 +1,135 @@
+import {
+  mapToVCSSections,
+  mapToGoldStandardSections,
+  mapToVCSMonitoringSections,
+  mapToGoldStandardMonitoringSections,
+  mapToGoldStandardConsultationSections,
+  mapToACRSections,
+  mapToACRMonitoringSections,
+  mapToCARSubmittalSections,
+  mapToCARReportingSections
+} from './sectionMappers.js';
+import { evaluateApplicability } from '../../../shared/applicability.js';
+
+// Project fields every generated document draws on
+const REQUIRED_FIELDS = [
+  'description',
+  'location.country',
+  'startDate',
+  'endDate',
+  'methodologyId',
+  'estimatedCredits'
+];
+
+// Monitoring reports report calculated rather than estimated reductions
+const MONITORING_REQUIRED_FIELDS = [
+  ...REQUIRED_FIELDS.filter(path => path !== 'estimatedCredits'),
+  'calculation'
+];
+
+// The consultation report describes the project and its consultation events only
+const CONSULTATION_REQUIRED_FIELDS = ['description', 'location.country'];
+
+// Documents the generator can produce, keyed by standard then documentType
+export const DOCUMENT_DEFINITIONS = {
+  verra: {
+    'project-design-document': {
+      title: 'VCS Project Description',
+      mapSections: mapToVCSSections
+    },
+    'monitoring-report': {
+      title: 'VCS Monitoring Report',
+      mapSections: mapToVCSMonitoringSections,
+      requiredFields: MONITORING_REQUIRED_FIELDS
+    }
+  },
+  'gold-standard': {
+    'project-design-document': {
+      title: 'Gold Standard Project Design Document',
+      mapSections: mapToGoldStandardSections
+    },
+    'monitoring-report': {
+      title: 'Gold Standard Monitoring Report',
+      mapSections: mapToGoldStandardMonitoringSections,
+      requiredFields: MONITORING_REQUIRED_FIELDS
+    },
+    'stakeholder-consultation-report': {
+      title: 'Gold Standard Stakeholder Consultation Report',
+      mapSections: mapToGoldStandardConsultationSections,
+      requiredFields: CONSULTATION_REQUIRED_FIELDS
+    }
+  },
+  acr: {
+    'project-design-document': {
+      title: 'ACR GHG Project Plan',
+      mapSections: mapToACRSections
+    },
+    'monitoring-report': {
+      title: 'ACR Monitoring Report',
+      mapSections: mapToACRMonitoringSections,
+      requiredFields: MONITORING_REQUIRED_FIELDS
+    }
+  },
+  car: {
+    'project-design-document': {
+      title: 'Climate Action Reserve Project Submittal Form',
+      mapSections: mapToCARSubmittalSections
+    },
+    'monitoring-report': {
+      title: 'Climate Action Reserve Project Reporting Form',
+      mapSections: mapToCARReportingSections,
+      requiredFields: MONITORING_REQUIRED_FIELDS
+    }
+  }
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+export function getDocumentDefinition(standard, documentType) {
+  return DOCUMENT_DEFINITIONS[standard]?.[documentType] || null;
+}
+
+/**
+ * Project fields a document cannot be completed without
+ * @param {string} standard - Target standard identifier
+ * @param {string} documentType - Document type identifier
+ * @returns {Array<string>} - Project paths
+ */
+export function getRequiredFields(standard, documentType) {
+  return getDocumentDefinition(standard, documentType)?.requiredFields || REQUIRED_FIELDS;
+}
+
+export function listDocumentTypes(standard) {
+  return Object.entries(DOCUMENT_DEFINITIONS[standard] || {}).map(([documentType, definition]) => ({
+    documentType,
+    title: definition.title
+  }));
+}
+
+/**
+ * Builds the template context for a document
+ * @param {Object} projectData - Plain project object with owner populated and the selected emission calculation attached
+ * @param {string} standard - Target standard identifier
+ * @param {string} documentType - Document type identifier
+ * @returns {Object} - Template data plus missing project fields and the methodology applicability check
+ */
+export function prepare(projectData, standard, documentType) {
+  const definition = getDocumentDefinition(standard, documentType);
+  if (!definition) {
+    throw new Error(`No ${documentType} template for standard ${standard}`);
+  }
+
+  const missingFields = getRequiredFields(standard, documentType).filter((path) => {
+    const value = getPath(projectData, path);
+    return value === undefined || value === null || value === '';
+  });
+
+  return {
+    documentTitle: definition.title,
+    generatedAt: new Date().toISOString().slice(0, 10),
+    project: projectData,
+    sections: definition.mapSections(projectData, projectData.methodologyId),
+    missingFields,
+    applicability: evaluateApplicability(projectData)
+  };
+}
@@ -0,0 +1,37 @@
+import EmissionCalculation from '../../models/EmissionCalculation.js';
+import MonitoringPeriod from '../../models/MonitoringPeriod.js';
+import MonitoringSeries from '../../models/MonitoringSeries.js';
+import { loadConsultations } from '../consultations/index.js';
+
+/**
+ * Plain project data for templates and compliance checks: the project with
+ * its owner and organization populated, the requested emission calculation
+ * (or the one for the latest monitoring period), the monitoring period
+ * and monitored series it was calculated from, and the stakeholder
+ * consultation events
+ * @param {Project} project - Project document; populated in place
+ * @param {string} [calculationId] - Calculation to attach
+ * @returns {Promise<Object>}
+ */
+export async function loadProjectData(project, calculationId) {
+  await project.populate([
+    { path: 'owner', select: 'name email organization' },
+    { path: 'organization', select: 'name' }
+  ]);
+
+  const calculation = calculationId
+    ? await EmissionCalculation.findOne({ _id: calculationId, projectId: project._id }).lean()
+    : await EmissionCalculation.findOne({ projectId: project._id }).sort({ periodStart: -1, createdAt: -1 }).lean();
+
+  // QA/QC outcomes of the time series behind the calculation's inputs, and the
+  // period's SDG results
+  const [monitoringPeriod, monitoringSeries] = calculation?.monitoringPeriodId
+    ? await Promise.all([
+      MonitoringPeriod.findById(calculation.monitoringPeriodId).lean(),
+      MonitoringSeries.find({ periodId: calculation.monitoringPeriodId }).sort({ inCalculation: -1, parameter: 1 }).lean()
+    ])
+    : [null, []];
+  const consultations = await loadConsultations(project._id);
+
+  return { ...project.toObject(), calculation, monitoringPeriod, monitoringSeries, consultations };
+}
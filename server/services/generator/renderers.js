@@ -0,0 +1,173 @@
+import {
+  Document as DocxDocument,
+  Packer,
+  Paragraph,
+  HeadingLevel,
+  Table,
+  TableRow,
+  TableCell,
+  WidthType
+} from 'docx';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+
+export const OUTPUT_FORMATS = {
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': '\'', '&#x27;': '\'', '&#x3D;': '=', '&#x60;': '`', '&nbsp;': ' ' };
+
+const toText = html => html
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&[#\w]+;/g, entity => ENTITIES[entity] ?? entity)
+  .replace(/[ \t]+/g, ' ')
+  .trim();
+
+/**
+ * Flattens the template HTML into blocks the DOCX and PDF renderers understand.
+ * Templates only use h1-h3, p, li and table markup.
+ * @param {string} html - Rendered template
+ * @returns {Array<Object>} - Heading, paragraph, bullet and table blocks
+ */
+export function htmlToBlocks(html) {
+  const body = html.replace(/^[\s\S]*<body[^>]*>/i, '').replace(/<\/body>[\s\S]*$/i, '');
+  const blocks = [];
+  const pattern = /<(h[1-3]|p|li|table)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+
+  for (const [, tag, inner] of body.matchAll(pattern)) {
+    const name = tag.toLowerCase();
+
+    if (name === 'table') {
+      const rows = [...inner.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)].map(([, row]) => ({
+        header: /<th\b/i.test(row),
+        cells: [...row.matchAll(/<t[hd]\b[^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(([, cell]) => toText(cell))
+      }));
+      blocks.push({ type: 'table', rows });
+    } else if (name === 'li') {
+      blocks.push({ type: 'bullet', text: toText(inner) });
+    } else if (name === 'p') {
+      blocks.push({ type: 'paragraph', text: toText(inner) });
+    } else {
+      blocks.push({ type: 'heading', level: Number(name[1]), text: toText(inner) });
+    }
+  }
+
+  return blocks;
+}
+
+const DOCX_HEADINGS = { 1: HeadingLevel.TITLE, 2: HeadingLevel.HEADING_1, 3: HeadingLevel.HEADING_2 };
+
+export async function renderDocx(html) {
+  const children = htmlToBlocks(html).map((block) => {
+    switch (block.type) {
+      case 'heading':
+        return new Paragraph({ text: block.text, heading: DOCX_HEADINGS[block.level] });
+      case 'bullet':
+        return new Paragraph({ text: block.text, bullet: { level: 0 } });
+      case 'table':
+        return new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          rows: block.rows.map(row => new TableRow({
+            tableHeader: row.header,
+            children: row.cells.map(cell => new TableCell({ children: [new Paragraph(cell)] }))
+          }))
+        });
+      default:
+        return new Paragraph({ text: block.text, spacing: { after: 120 } });
+    }
+  });
+
+  const doc = new DocxDocument({ sections: [{ children }] });
+  return Packer.toBuffer(doc);
+}
+
+const PAGE = { width: 595.28, height: 841.89, margin: 56 };
+const PDF_SIZES = { 1: 20, 2: 15, 3: 12.5, body: 10.5 };
+
+// Greek letters used in methodology formula symbols
+const GREEK = { 'Δ': 'Delta', 'η': 'eta', 'ρ': 'rho' };
+
+// Standard PDF fonts only cover WinAnsi; drop anything they cannot encode
+const toWinAnsi = text => text
+  .replace(/[₀-₉]/g, ch => String(ch.charCodeAt(0) - 0x2080))
+  .replace(/[Δηρ]/g, ch => GREEK[ch])
+  .replace(/[^\n\x20-\x7E\xA0-\xFF–—‘’“”•…]/g, '');
+
+export async function renderPdf(html) {
+  const pdf = await PDFDocument.create();
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const maxWidth = PAGE.width - PAGE.margin * 2;
+
+  let page = pdf.addPage([PAGE.width, PAGE.height]);
+  let y = PAGE.height - PAGE.margin;
+
+  const wrap = (text, font, size) => text.split('\n').flatMap((line) => {
+    const lines = [];
+    let current = '';
+    for (const word of line.split(' ')) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) > maxWidth && current) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    }
+    lines.push(current);
+    return lines;
+  });
+
+  const write = (text, { font = regular, size = PDF_SIZES.body, indent = 0, spaceAfter = 6 } = {}) => {
+    const lineHeight = size * 1.35;
+    for (const line of wrap(toWinAnsi(text), font, size)) {
+      if (y - lineHeight < PAGE.margin) {
+        page = pdf.addPage([PAGE.width, PAGE.height]);
+        y = PAGE.height - PAGE.margin;
+      }
+      y -= lineHeight;
+      page.drawText(line, { x: PAGE.margin + indent, y, size, font, color: rgb(0, 0, 0) });
+    }
+    y -= spaceAfter;
+  };
+
+  for (const block of htmlToBlocks(html)) {
+    switch (block.type) {
+      case 'heading':
+        write(block.text, { font: bold, size: PDF_SIZES[block.level], spaceAfter: 8 });
+        break;
+      case 'bullet':
+        write(`• ${block.text}`, { indent: 12, spaceAfter: 2 });
+        break;
+      case 'table':
+        block.rows.forEach(row => write(row.cells.join('  |  '), { font: row.header ? bold : regular, spaceAfter: 2 }));
+        y -= 6;
+        break;
+      default:
+        write(block.text);
+    }
+  }
+
+  return Buffer.from(await pdf.save());
+}
+
+/**
+ * Renders filled template HTML into the requested output format
+ * @param {string} html - Rendered template
+ * @param {string} outputFormat - html, docx or pdf
+ * @returns {Promise<Buffer|string>} - Document body
+ */
+export async function render(html, outputFormat) {
+  switch (outputFormat) {
+    case 'docx':
+      return renderDocx(html);
+    case 'pdf':
+      return renderPdf(html);
+    case 'html':
+      return html;
+    default:
+      throw new Error(`Unsupported output format ${outputFormat}`);
+  }
+}
@@ -0,0 +1,629 @@
+import { getMethodology } from '../../../shared/methodologies.js';
+import { evaluateApplicability } from '../../../shared/applicability.js';
+import { CALCULATION_MODELS, CALCULATION_RESULTS, CALCULATION_RESULT_LABELS } from '../../../shared/calculationModels.js';
+import { PROJECT_TYPE_LABELS, TARGET_STANDARD_LABELS } from '../../../shared/projectSchema.js';
+import { getStandard, getDocumentLabel } from '../../../shared/standards.js';
+import { isLandUseProject } from '../../../shared/compliance.js';
+import { QA_STATUS_LABELS } from '../../../shared/monitoring.js';
+import { SDG_GOALS, SDG_MONITORING_FREQUENCY_LABELS } from '../../../shared/sdg.js';
+import { SAFEGUARDING_PRINCIPLES, SAFEGUARDING_ANSWER_LABELS } from '../../../shared/safeguarding.js';
+import {
+  CONSULTATION_FORMAT_LABELS,
+  STAKEHOLDER_GROUP_LABELS,
+  ATTENDEE_GENDER_LABELS,
+  summarizeConsultations
+} from '../../../shared/consultations.js';
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+const BASELINE_SCENARIOS = {
+  afforestation: 'In the absence of the project, the land would remain non-forested (grassland, cropland or degraded land) with carbon stocks at or below current levels.',
+  reforestation: 'In the absence of the project, the degraded land would not regenerate to forest cover within the crediting period and carbon stocks would remain at or below current levels.',
+  'renewable-energy': 'In the absence of the project, the equivalent electricity or thermal energy would be supplied by the existing fossil-fuel dominated grid or on-site fossil fuel combustion.',
+  'methane-capture': 'In the absence of the project, methane generated on site would be released to the atmosphere without capture or destruction.',
+  'energy-efficiency': 'In the absence of the project, the existing equipment and practices would continue to operate at the current level of energy consumption.'
+};
+
+const MONITORING_PARAMETERS = {
+  afforestation: ['Area planted (ha)', 'Tree survival rate (%)', 'Diameter at breast height (cm)', 'Above-ground biomass (t d.m./ha)'],
+  reforestation: ['Area planted (ha)', 'Tree survival rate (%)', 'Diameter at breast height (cm)', 'Above-ground biomass (t d.m./ha)'],
+  'renewable-energy': ['Net electricity supplied to the grid (MWh)', 'Grid emission factor (tCO2e/MWh)', 'Plant operating hours (h)'],
+  'methane-capture': ['Landfill gas captured (Nm3)', 'Methane fraction of landfill gas (%)', 'Flare destruction efficiency (%)', 'Electricity generated (MWh)'],
+  'energy-efficiency': ['Baseline energy consumption (MWh)', 'Project energy consumption (MWh)', 'Emission factor of energy source (tCO2e/MWh)']
+};
+
+// Minimum commitment a land use project makes to maintain its carbon stocks,
+// in years after crediting, under each standard's permanence requirements
+const PERMANENCE_TERMS = {
+  acr: 40,
+  car: 100
+};
+
+// Attestations the project proponent signs for each verification
+const ATTESTATIONS = ['attestation-of-title', 'regulatory-compliance-attestation'];
+
+const SAFEGUARD_TOPICS = [
+  'No net harm to local communities and the environment',
+  'Local stakeholder consultation',
+  'Environmental impact assessment',
+  'Public comments received and addressed'
+];
+
+const formatParameterValue = (parameter, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (parameter.type === 'boolean') return value ? 'Yes' : 'No';
+  if (parameter.type === 'select') return parameter.options.find(option => option.value === value)?.label || value;
+  return value;
+};
+
+const formatDate = value => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+const projectYears = (projectData) => {
+  if (!projectData.startDate || !projectData.endDate) {
+    return null;
+  }
+  const years = (new Date(projectData.endDate) - new Date(projectData.startDate)) / MS_PER_YEAR;
+  return Math.max(Math.round(years * 10) / 10, 0);
+};
+
+function generateProjectDescription(projectData) {
+  const years = projectYears(projectData);
+
+  return {
+    title: projectData.name,
+    summary: projectData.description,
+    projectType: PROJECT_TYPE_LABELS[projectData.projectType] || projectData.projectType,
+    standard: TARGET_STANDARD_LABELS[projectData.targetStandard] || projectData.targetStandard,
+    creditUnit: getStandard(projectData.targetStandard)?.creditUnit || null,
+    proponent: projectData.organization?.name || projectData.owner?.organization || projectData.owner?.name || null,
+    country: projectData.location?.country || null,
+    region: projectData.location?.region || null,
+    coordinates: projectData.location?.coordinates?.latitude != null
+      ? `${projectData.location.coordinates.latitude}, ${projectData.location.coordinates.longitude}`
+      : null,
+    startDate: formatDate(projectData.startDate),
+    endDate: formatDate(projectData.endDate),
+    creditingPeriodYears: years
+  };
+}
+
+const CONDITION_STATUS_LABELS = { pass: 'Met', fail: 'Not met', unknown: 'To be confirmed' };
+
+function checkApplicabilityConditions(projectData, methodologyId) {
+  const result = evaluateApplicability(projectData, methodologyId);
+
+  return {
+    ...result,
+    conditions: result.conditions.map(condition => ({
+      ...condition,
+      statusLabel: CONDITION_STATUS_LABELS[condition.status]
+    }))
+  };
+}
+
+function verifyMethodologyApplicability(projectData, methodologyId) {
+  return checkApplicabilityConditions(projectData, methodologyId);
+}
+
+function determineBaselineScenario(projectData) {
+  return {
+    description: BASELINE_SCENARIOS[projectData.projectType] || null
+  };
+}
+
+// The approach text follows the methodology's standard, falling back to the project's
+function assessAdditionality(projectData, methodologyId) {
+  const methodology = getMethodology(methodologyId);
+  const standard = getStandard(methodology?.standard) || getStandard(projectData.targetStandard) || getStandard('other');
+
+  return {
+    approach: standard.additionality,
+    regulatorySurplus: null,
+    investmentAnalysis: null,
+    barrierAnalysis: null
+  };
+}
+
+// ACR: regulatory surplus plus the performance standard or the three-prong test
+function assessACRAdditionality(projectData, methodologyId) {
+  return {
+    ...assessAdditionality(projectData, methodologyId),
+    performanceStandard: null,
+    commonPractice: null,
+    implementationBarrier: null
+  };
+}
+
+// CAR: the protocol's legal requirement and performance standard tests
+function assessCARAdditionality(projectData, methodologyId) {
+  return {
+    approach: assessAdditionality(projectData, methodologyId).approach,
+    legalRequirement: null,
+    performanceStandard: null
+  };
+}
+
+function generateQuantificationFramework(projectData) {
+  const years = projectYears(projectData);
+  const total = projectData.estimatedCredits ?? null;
+
+  return {
+    estimatedCredits: total,
+    annualAverage: total != null && years ? Math.round(total / years) : null,
+    years
+  };
+}
+
+function createMonitoringPlan(projectData) {
+  return {
+    parameters: MONITORING_PARAMETERS[projectData.projectType] || []
+  };
+}
+
+function evaluateSafeguards() {
+  return {
+    topics: SAFEGUARD_TOPICS.map(topic => ({ topic, response: null }))
+  };
+}
+
+function extendWithMethodologySpecifics(mappedData, methodologyId, projectData) {
+  const methodology = getMethodology(methodologyId);
+  if (!methodology) {
+    return { ...mappedData, methodology: { id: methodologyId, name: null, version: null, scope: null, parameters: [] } };
+  }
+
+  const values = projectData.methodologyParameters || {};
+  return {
+    ...mappedData,
+    methodology: {
+      id: methodology.id,
+      name: methodology.name,
+      version: methodology.version,
+      scope: methodology.scope,
+      parameters: methodology.parameters.map(parameter => ({
+        label: parameter.label,
+        unit: parameter.unit || null,
+        value: formatParameterValue(parameter, values[parameter.key])
+      }))
+    }
+  };
+}
+
+function describeProjectArea(projectData) {
+  return {
+    areaHectares: projectData.boundary?.areaHectares ?? null,
+    strata: (projectData.boundary?.strata || []).map(stratum => ({ name: stratum.name, hectares: stratum.hectares }))
+  };
+}
+
+function describePermanence(projectData, standard) {
+  const methodology = getMethodology(projectData.methodologyId);
+
+  return {
+    applies: isLandUseProject(projectData, methodology),
+    minimumTermYears: PERMANENCE_TERMS[standard] ?? null,
+    riskMitigation: null,
+    bufferContribution: null
+  };
+}
+
+function describeRegulatoryCompliance() {
+  return {
+    description: null
+  };
+}
+
+function describeCommunityImpacts() {
+  return {
+    community: null,
+    environmental: null
+  };
+}
+
+// Attestations listed by the name the standard gives them
+function listAttestations(standard) {
+  return {
+    documents: ATTESTATIONS.map(documentType => getDocumentLabel(standard, documentType))
+  };
+}
+
+function createProjectScenario(projectData) {
+  return {
+    description: projectData.description
+  };
+}
+
+const describeContribution = contribution => ({
+  goal: contribution.goal,
+  title: SDG_GOALS[contribution.goal],
+  indicator: contribution.indicator,
+  unit: contribution.unit || null,
+  baseline: contribution.baselineValue ?? null,
+  target: contribution.targetValue ?? null,
+  frequency: SDG_MONITORING_FREQUENCY_LABELS[contribution.monitoringFrequency] || null,
+  description: contribution.description || null
+});
+
+const sortedContributions = projectData => [...(projectData.sdgContributions || [])].sort((a, b) => a.goal - b.goal);
+
+function assessSDGContributions(projectData) {
+  return {
+    goals: sortedContributions(projectData).map(describeContribution)
+  };
+}
+
+// Contributions with the values monitored in the reported period
+function reportSDGOutcomes(projectData) {
+  const results = new Map((projectData.monitoringPeriod?.sdgResults || [])
+    .map(result => [String(result.contribution), result]));
+
+  return {
+    goals: sortedContributions(projectData).map((contribution) => {
+      const result = results.get(String(contribution._id));
+      return {
+        ...describeContribution(contribution),
+        monitored: result?.value ?? null,
+        notes: result?.notes || null
+      };
+    })
+  };
+}
+
+// Answers keyed by question, so unanswered questions render as placeholders
+const safeguardingAnswers = projectData => new Map((projectData.safeguarding || []).map(answer => [answer.question, answer]));
+
+function performSafeguardingAssessment(projectData) {
+  const answers = safeguardingAnswers(projectData);
+
+  return {
+    principles: SAFEGUARDING_PRINCIPLES.map(principle => ({
+      principle: principle.title,
+      questions: principle.questions.map((question) => {
+        const answer = answers.get(question.id);
+        return {
+          question: question.text,
+          answer: SAFEGUARDING_ANSWER_LABELS[answer?.answer] || null,
+          justification: answer?.justification || null,
+          mitigation: answer?.answer === 'no' ? 'Not required' : answer?.mitigation || null
+        };
+      })
+    }))
+  };
+}
+
+// Mitigation actions committed in the PDD, reported on in every monitoring report
+function reportSafeguardingMitigation(projectData) {
+  const answers = safeguardingAnswers(projectData);
+
+  return {
+    assessed: answers.size > 0,
+    risks: SAFEGUARDING_PRINCIPLES.flatMap(principle => principle.questions
+      .filter(question => answers.get(question.id)?.answer === 'yes')
+      .map(question => ({
+        principle: principle.title,
+        question: question.text,
+        mitigation: answers.get(question.id).mitigation || null
+      })))
+  };
+}
+
+const listGroups = entries => [...new Set(entries.map(entry => entry.stakeholderGroup).filter(Boolean))]
+  .map(group => STAKEHOLDER_GROUP_LABELS[group])
+  .join(', ') || null;
+
+// Contact details stay out of generated documents
+const describeAttendee = attendee => ({
+  name: attendee.name,
+  organization: attendee.organization || null,
+  group: STAKEHOLDER_GROUP_LABELS[attendee.stakeholderGroup] || null,
+  gender: ATTENDEE_GENDER_LABELS[attendee.gender] || null
+});
+
+const describeComment = (comment, consultation) => ({
+  meeting: consultation.title,
+  date: formatDate(consultation.date),
+  stakeholder: comment.stakeholder || 'Not named',
+  group: STAKEHOLDER_GROUP_LABELS[comment.stakeholderGroup] || null,
+  comment: comment.comment,
+  response: comment.response || null,
+  action: comment.action || null
+});
+
+const summarizeConsultationText = (totals) => {
+  if (totals.events === 0) {
+    return null;
+  }
+  const period = totals.events === 1
+    ? `1 consultation event was held on ${formatDate(totals.firstDate)}`
+    : `${totals.events} consultation events were held between ${formatDate(totals.firstDate)} and ${formatDate(totals.lastDate)}`;
+  const comments = totals.comments === 0
+    ? 'No comments were received.'
+    : `${totals.comments} comment${totals.comments === 1 ? ' was' : 's were'} received, of which ${totals.answered} ${totals.answered === 1 ? 'has' : 'have'} a documented response.`;
+  return `${period}, with ${totals.attendees} attendee${totals.attendees === 1 ? '' : 's'} (${totals.female} female). ${comments}`;
+};
+
+// Consultation events with their attendance, supporting files and the comments
+// raised, for the PDD section and the consultation report annex
+function documentStakeholderConsultation(projectData) {
+  const consultations = projectData.consultations || [];
+  const totals = summarizeConsultations(consultations);
+
+  return {
+    summary: summarizeConsultationText(totals),
+    totals: { ...totals, firstDate: formatDate(totals.firstDate), lastDate: formatDate(totals.lastDate) },
+    meetings: consultations.map(consultation => ({
+      title: consultation.title,
+      date: formatDate(consultation.date),
+      location: consultation.location || null,
+      format: CONSULTATION_FORMAT_LABELS[consultation.format] || null,
+      description: consultation.description || null,
+      attendeeCount: consultation.attendees.length,
+      femaleCount: consultation.attendees.filter(attendee => attendee.gender === 'female').length,
+      groups: listGroups(consultation.attendees),
+      attendees: consultation.attendees.map(describeAttendee),
+      files: (consultation.files || []).map(file => ({ name: file.name, description: file.description || null })),
+      commentCount: consultation.comments.length
+    })),
+    comments: consultations.flatMap(consultation => consultation.comments.map(comment => describeComment(comment, consultation)))
+  };
+}
+
+function developMonitoringApproach(projectData) {
+  return {
+    parameters: MONITORING_PARAMETERS[projectData.projectType] || [],
+    sdgParameters: sortedContributions(projectData).map(describeContribution)
+  };
+}
+
+const INPUT_SOURCE_LABELS = { monitored: 'Monitored', default: 'Default value' };
+
+function describeMonitoringPeriod(calculation) {
+  return {
+    start: formatDate(calculation?.periodStart),
+    end: formatDate(calculation?.periodEnd),
+    calculatedAt: formatDate(calculation?.createdAt),
+    notes: calculation?.notes || null
+  };
+}
+
+const describeQualityControl = series => ({
+  symbol: series.symbol || null,
+  label: series.label,
+  unit: series.unit,
+  readings: series.qa?.readingCount ?? 0,
+  coverage: series.qa?.coverageStart
+    ? `${formatDate(series.qa.coverageStart)} to ${formatDate(series.qa.coverageEnd)}`
+    : null,
+  status: QA_STATUS_LABELS[series.qaStatus] || series.qaStatus,
+  issues: [...(series.qa?.issues || []), ...(series.review?.comment ? [`Reviewer: ${series.review.comment}`] : [])].join('; ') || 'None'
+});
+
+// Inputs of the calculation with the units and provenance recorded in its audit
+// trail, and the QA/QC outcome of every monitored series in the period
+function reportMonitoredData(calculation, monitoringSeries = []) {
+  const model = CALCULATION_MODELS[calculation?.calculationModel];
+  if (!model) {
+    return { parameters: [], qualityControl: [] };
+  }
+
+  const sources = new Map(calculation.auditTrail
+    .flatMap(step => step.inputs)
+    .map(input => [input.key, input.source]));
+
+  return {
+    parameters: model.inputs.map(input => ({
+      symbol: input.symbol,
+      label: input.label,
+      unit: input.unit,
+      value: calculation.inputs?.[input.key] ?? null,
+      source: INPUT_SOURCE_LABELS[sources.get(input.key)] || null
+    })),
+    qualityControl: monitoringSeries.map(describeQualityControl)
+  };
+}
+
+function quantifyEmissionReductions(calculation) {
+  if (!calculation) {
+    return { calculated: false, results: [], auditTrail: [] };
+  }
+
+  return {
+    calculated: true,
+    modelName: CALCULATION_MODELS[calculation.calculationModel]?.name || calculation.calculationModel,
+    results: CALCULATION_RESULTS.map(result => ({
+      label: CALCULATION_RESULT_LABELS[result],
+      value: calculation.results?.[result] ?? null
+    })),
+    auditTrail: calculation.auditTrail.map(step => ({
+      step: step.step,
+      symbol: step.symbol,
+      description: step.description,
+      formula: step.formula,
+      inputs: step.inputs.map(input => ({ symbol: input.symbol, value: input.value, unit: input.unit })),
+      value: step.value,
+      unit: step.unit
+    }))
+  };
+}
+
+function extendWithGSMethodologySpecifics(mappedData, methodologyId, projectData) {
+  return extendWithMethodologySpecifics(mappedData, methodologyId, projectData);
+}
+
+/**
+ * Maps project data to VCS PD requirements
+ * @param {Object} projectData - Normalized project information
+ * @param {string} methodologyId - VCS methodology identifier
+ * @returns {Object} - Template-ready data structure
+ */
+export function mapToVCSSections(projectData, methodologyId) {
+  // Core mapping logic for standard sections
+  const mappedData = {
+    projectDescription: generateProjectDescription(projectData),
+    applicabilityConditions: checkApplicabilityConditions(projectData, methodologyId),
+    baselineScenario: determineBaselineScenario(projectData, methodologyId),
+    additionality: assessAdditionality(projectData, methodologyId),
+    quantificationMethod: generateQuantificationFramework(projectData, methodologyId),
+    monitoringPlan: createMonitoringPlan(projectData, methodologyId),
+    safeguards: evaluateSafeguards(projectData)
+  };
+
+  // Methodology-specific extensions
+  return extendWithMethodologySpecifics(mappedData, methodologyId, projectData);
+}
+
+/**
+ * Maps project data to Gold Standard PDD requirements
+ * @param {Object} projectData - Normalized project information
+ * @param {string} methodologyId - Gold Standard methodology identifier
+ * @returns {Object} - Template-ready data structure
+ */
+export function mapToGoldStandardSections(projectData, methodologyId) {
+  // Core mapping for standard sections
+  const mappedData = {
+    projectDescription: generateProjectDescription(projectData),
+    methodologyApplicability: verifyMethodologyApplicability(projectData, methodologyId),
+    baselineScenario: determineBaselineScenario(projectData, methodologyId),
+    projectScenario: createProjectScenario(projectData),
+    sdgImpacts: assessSDGContributions(projectData),
+    safeguardingAssessment: performSafeguardingAssessment(projectData),
+    stakeholderConsultation: documentStakeholderConsultation(projectData),
+    monitoringApproach: developMonitoringApproach(projectData, methodologyId)
+  };
+
+  // Methodology-specific extensions
+  return extendWithGSMethodologySpecifics(mappedData, methodologyId, projectData);
+}
+
+/**
+ * Maps project data and its emission reductions calculation to the VCS Monitoring Report
+ * @param {Object} projectData - Normalized project information, with the calculation attached
+ * @param {string} methodologyId - VCS methodology identifier
+ * @returns {Object} - Template-ready data structure
+ */
+export function mapToVCSMonitoringSections(projectData, methodologyId) {
+  const mappedData = {
+    projectDescription: generateProjectDescription(projectData),
+    monitoringPeriod: describeMonitoringPeriod(projectData.calculation),
+    monitoredData: reportMonitoredData(projectData.calculation, projectData.monitoringSeries),
+    monitoringPlan: createMonitoringPlan(projectData, methodologyId),
+    quantification: quantifyEmissionReductions(projectData.calculation)
+  };
+
+  return extendWithMethodologySpecifics(mappedData, methodologyId, projectData);
+}
+
+/**
+ * Maps project data and its emission reductions calculation to the Gold Standard Monitoring Report
+ * @param {Object} projectData - Normalized project information, with the calculation attached
+ * @param {string} methodologyId - Gold Standard methodology identifier
+ * @returns {Object} - Template-ready data structure
+ */
+export function mapToGoldStandardMonitoringSections(projectData, methodologyId) {
+  const mappedData = {
+    projectDescription: generateProjectDescription(projectData),
+    monitoringPeriod: describeMonitoringPeriod(projectData.calculation),
+    monitoredData: reportMonitoredData(projectData.calculation, projectData.monitoringSeries),
+    monitoringApproach: developMonitoringApproach(projectData, methodologyId),
+    quantification: quantifyEmissionReductions(projectData.calculation),
+    sdgImpacts: reportSDGOutcomes(projectData),
+    safeguardingMitigation: reportSafeguardingMitigation(projectData)
+  };
+
+  return extendWithGSMethodologySpecifics(mappedData, methodologyId, projectData);
+}
+
+/**
+ * Maps project data to the Gold Standard stakeholder consultation report annex
+ * @param {Object} projectData - Normalized project information, with the consultation events attached
+ * @returns {Object} - Template-ready data structure
+ */
+export function mapToGoldStandardConsultationSections(projectData) {
+  return {
+    projectDescription: generateProjectDescription(projectData),
+    stakeholderConsultation: documentStakeholderConsultation(projectData)
+  };
+}
+
+/**
+ * Maps project data to the ACR GHG Project Plan
+ * @param {Object} projectData - Normalized project information, with the consultation events attached
+ * @param {string} methodologyId - ACR methodology identifier
+ * @returns {Object} - Template-ready data structure
+ */
+export function mapToACRSections(projectData, methodologyId) {
+  const mappedData = {
+    projectDescription: generateProjectDescription(projectData),
+    applicabilityConditions: checkApplicabilityConditions(projectData, methodologyId),
+    additionality: assessACRAdditionality(projectData, methodologyId),
+    projectArea: describeProjectArea(projectData),
+    baselineScenario: determineBaselineScenario(projectData, methodologyId),
+    quantificationMethod: generateQuantificationFramework(projectData, methodologyId),
+    monitoringPlan: createMonitoringPlan(projectData, methodologyId),
+    permanence: describePermanence(projectData, 'acr'),
+    communityImpacts: describeCommunityImpacts(projectData),
+    stakeholderConsultation: documentStakeholderConsultation(projectData)
+  };
+
+  return extendWithMethodologySpecifics(mappedData, methodologyId, projectData);
+}
+
+/**
+ * Maps project data and its emission reductions calculation to the ACR Monitoring Report
+ * @param {Object} projectData - Normalized project information, with the calculation attached
+ * @param {string} methodologyId - ACR methodology identifier
+ * @returns {Object} - Template-ready data structure
+ */
+export function mapToACRMonitoringSections(projectData, methodologyId) {
+  const mappedData = {
+    projectDescription: generateProjectDescription(projectData),
+    monitoringPeriod: describeMonitoringPeriod(projectData.calculation),
+    monitoredData: reportMonitoredData(projectData.calculation, projectData.monitoringSeries),
+    monitoringPlan: createMonitoringPlan(projectData, methodologyId),
+    quantification: quantifyEmissionReductions(projectData.calculation),
+    permanence: describePermanence(projectData, 'acr'),
+    attestations: listAttestations('acr')
+  };
+
+  return extendWithMethodologySpecifics(mappedData, methodologyId, projectData);
+}
+
+/**
+ * Maps project data to the Climate Action Reserve Project Submittal Form
+ * @param {Object} projectData - Normalized project information
+ * @param {string} methodologyId - Reserve protocol identifier
+ * @returns {Object} - Template-ready data structure
+ */
+export function mapToCARSubmittalSections(projectData, methodologyId) {
+  const mappedData = {
+    projectDescription: generateProjectDescription(projectData),
+    applicabilityConditions: checkApplicabilityConditions(projectData, methodologyId),
+    additionality: assessCARAdditionality(projectData, methodologyId),
+    regulatoryCompliance: describeRegulatoryCompliance(projectData),
+    projectArea: describeProjectArea(projectData),
+    permanence: describePermanence(projectData, 'car'),
+    quantificationMethod: generateQuantificationFramework(projectData, methodologyId)
+  };
+
+  return extendWithMethodologySpecifics(mappedData, methodologyId, projectData);
+}
+
+/**
+ * Maps project data and its emission reductions calculation to the Climate Action Reserve Project Reporting Form
+ * @param {Object} projectData - Normalized project information, with the calculation attached
+ * @param {string} methodologyId - Reserve protocol identifier
+ * @returns {Object} - Template-ready data structure
+ */
+export function mapToCARReportingSections(projectData, methodologyId) {
+  const mappedData = {
+    projectDescription: generateProjectDescription(projectData),
+    monitoringPeriod: describeMonitoringPeriod(projectData.calculation),
+    monitoredData: reportMonitoredData(projectData.calculation, projectData.monitoringSeries),
+    monitoringPlan: createMonitoringPlan(projectData, methodologyId),
+    quantification: quantifyEmissionReductions(projectData.calculation),
+    regulatoryCompliance: describeRegulatoryCompliance(projectData),
+    attestations: listAttestations('car')
+  };
+
+  return extendWithMethodologySpecifics(mappedData, methodologyId, projectData);
+}
@@ -0,0 +1,83 @@
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Handlebars from 'handlebars';
+
+const TEMPLATE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../templates');
+// Rendered in place of missing values; the compliance checker counts them per section
+export const PLACEHOLDER = '[To be completed]';
+
+const handlebars = Handlebars.create();
+
+// Renders a value or a visible placeholder the author must fill in
+handlebars.registerHelper('value', (input) => {
+  if (input === undefined || input === null || input === '') {
+    return PLACEHOLDER;
+  }
+  return typeof input === 'number' ? input.toLocaleString('en-US') : input;
+});
+
+// Like value, but keeps the precision of measured inputs and emission factors
+handlebars.registerHelper('quantity', (input) => {
+  if (input === undefined || input === null || input === '') {
+    return PLACEHOLDER;
+  }
+  return typeof input === 'number' ? input.toLocaleString('en-US', { maximumFractionDigits: 6 }) : input;
+});
+
+handlebars.registerHelper('inc', index => index + 1);
+
+// { template, version } per standard/documentType, so the recorded version
+// always matches the compiled template in use
+const cache = new Map();
+
+const readSource = (standard, documentType) => fs.readFile(path.join(TEMPLATE_DIR, standard, `${documentType}.hbs`), 'utf8');
+
+const loadEntry = async (standard, documentType) => {
+  const key = `${standard}/${documentType}`;
+
+  if (!cache.has(key)) {
+    const source = await readSource(standard, documentType);
+    cache.set(key, {
+      template: handlebars.compile(source, { strict: false }),
+      version: createHash('sha256').update(source).digest('hex').slice(0, 12)
+    });
+  }
+
+  return cache.get(key);
+};
+
+/**
+ * Loads and compiles the Handlebars template for a standard and document type
+ * @param {string} standard - Target standard identifier
+ * @param {string} documentType - Document type identifier
+ * @returns {Promise<Function>} - Compiled template
+ */
+export async function load(standard, documentType) {
+  return (await loadEntry(standard, documentType)).template;
+}
+
+/**
+ * Identifies the revision of a template, so each generated document records
+ * exactly which template produced it
+ * @param {string} standard - Target standard identifier
+ * @param {string} documentType - Document type identifier
+ * @returns {Promise<string>} - First 12 hex characters of the template source's SHA-256
+ */
+export async function getTemplateVersion(standard, documentType) {
+  return (await loadEntry(standard, documentType)).version;
+}
+
+/**
+ * Lists the top-level section headings of a template in document order
+ * @param {string} standard - Target standard identifier
+ * @param {string} documentType - Document type identifier
+ * @returns {Promise<Array<string>>} - Headings, e.g. "3 Application of Methodology"
+ */
+export async function listSections(standard, documentType) {
+  const source = await readSource(standard, documentType);
+  return [...source.matchAll(/<h2[^>]*>([\s\S]*?)<\/h2>/g)]
+    .map(([, heading]) => heading.replace(/{{[^}]*}}/g, '').replace(/<[^>]+>/g, '').trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,74 @@
+// WGS 84 ellipsoid
+const SEMI_MAJOR_AXIS = 6378137;
+const FLATTENING = 1 / 298.257223563;
+const ECCENTRICITY_SQUARED = FLATTENING * (2 - FLATTENING);
+const ECCENTRICITY = Math.sqrt(ECCENTRICITY_SQUARED);
+const SQUARE_METRES_PER_HECTARE = 10000;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// q(φ) of the authalic latitude; see Snyder, Map Projections: A Working Manual (1987), eq. 3-12
+const authalicQ = (sinLatitude) => {
+  const e = ECCENTRICITY * sinLatitude;
+  return (1 - ECCENTRICITY_SQUARED) * (
+    sinLatitude / (1 - e * e) - Math.log((1 - e) / (1 + e)) / (2 * ECCENTRICITY)
+  );
+};
+
+const POLAR_Q = authalicQ(1);
+
+// Radius of the sphere with the same surface area as the ellipsoid
+const AUTHALIC_RADIUS = SEMI_MAJOR_AXIS * Math.sqrt(POLAR_Q / 2);
+
+/**
+ * Area enclosed by a closed ring of [lon, lat] positions on the WGS 84
+ * ellipsoid. Latitudes are mapped to authalic latitudes, which preserve
+ * area, and the ring is measured on the equal-area sphere.
+ * @param {Array<Array<number>>} ring - Closed ring
+ * @returns {number} - Square metres
+ */
+export function ringArea(ring) {
+  const points = ring.slice(0, -1);
+  const count = points.length;
+  if (count < 3) {
+    return 0;
+  }
+
+  let total = 0;
+  points.forEach(([, latitude], index) => {
+    const previous = points[(index + count - 1) % count];
+    const next = points[(index + 1) % count];
+    // sin β, the sine of the authalic latitude
+    const sinAuthalic = authalicQ(Math.sin(toRadians(latitude))) / POLAR_Q;
+    total += (toRadians(next[0]) - toRadians(previous[0])) * sinAuthalic;
+  });
+  return Math.abs((total * AUTHALIC_RADIUS * AUTHALIC_RADIUS) / 2);
+}
+
+/**
+ * Area of a MultiPolygon, holes excluded
+ * @param {Array} polygons - MultiPolygon coordinates
+ * @returns {number} - Hectares
+ */
+export function multiPolygonHectares(polygons) {
+  const squareMetres = polygons.reduce((sum, [outer, ...holes]) => (
+    sum + ringArea(outer) - holes.reduce((holeSum, hole) => holeSum + ringArea(hole), 0)
+  ), 0);
+  return squareMetres / SQUARE_METRES_PER_HECTARE;
+}
+
+/**
+ * Bounding box of a set of MultiPolygons
+ * @param {Array<Array>} multiPolygons - MultiPolygon coordinates
+ * @returns {Array<number>} - [west, south, east, north]
+ */
+export function boundingBox(multiPolygons) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  multiPolygons.flat(3).forEach(([longitude, latitude]) => {
+    box[0] = Math.min(box[0], longitude);
+    box[1] = Math.min(box[1], latitude);
+    box[2] = Math.max(box[2], longitude);
+    box[3] = Math.max(box[3], latitude);
+  });
+  return box;
+}
@@ -0,0 +1,133 @@
+import zlib from 'zlib';
+
+/**
+ * Writes a ZIP archive with one entry per file, deflated unless stored is set.
+ * declaredSize overrides the inflated size recorded for an entry.
+ * @param {Array<Object>} files - [{ name, data, stored, declaredSize }]
+ * @returns {Buffer}
+ */
+export function writeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, data, stored = false, declaredSize }) => {
+    const content = Buffer.from(data);
+    const compressed = stored ? content : zlib.deflateRawSync(content);
+    const fileName = Buffer.from(name, 'utf8');
+    const size = declaredSize ?? content.length;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(stored ? 0 : 8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(stored ? 0 : 8, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, compressed);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Writes a polygon .shp file; each record is a list of rings, or null for a null shape
+ * @param {Array<Array|null>} records - [[ring, ...]] with rings as [[lon, lat], ...]
+ * @param {number} [shapeType] - 5 for polygons
+ * @returns {Buffer}
+ */
+export function writeShp(records, shapeType = 5) {
+  const contents = records.map((rings) => {
+    if (!rings) {
+      return Buffer.alloc(4);
+    }
+    const points = rings.flat();
+    const content = Buffer.alloc(44 + rings.length * 4 + points.length * 16);
+    content.writeInt32LE(shapeType, 0);
+    content.writeInt32LE(rings.length, 36);
+    content.writeInt32LE(points.length, 40);
+    let start = 0;
+    rings.forEach((ring, index) => {
+      content.writeInt32LE(start, 44 + index * 4);
+      start += ring.length;
+    });
+    points.forEach(([x, y], index) => {
+      const position = 44 + rings.length * 4 + index * 16;
+      content.writeDoubleLE(x, position);
+      content.writeDoubleLE(y, position + 8);
+    });
+    return content;
+  });
+
+  const header = Buffer.alloc(100);
+  header.writeInt32BE(9994, 0);
+  header.writeInt32LE(1000, 28);
+  header.writeInt32LE(shapeType, 32);
+  const recordBuffers = contents.map((content, index) => {
+    const recordHeader = Buffer.alloc(8);
+    recordHeader.writeInt32BE(index + 1, 0);
+    recordHeader.writeInt32BE(content.length / 2, 4);
+    return Buffer.concat([recordHeader, content]);
+  });
+  const shp = Buffer.concat([header, ...recordBuffers]);
+  shp.writeInt32BE(shp.length / 2, 24);
+  return shp;
+}
+
+/**
+ * Writes a .dbf attribute table
+ * @param {Array<Object>} fields - [{ name, type, length }]
+ * @param {Array<Array>} rows - Values in field order
+ * @param {string} [encoding] - latin1 or utf8
+ * @returns {Buffer}
+ */
+export function writeDbf(fields, rows, encoding = 'latin1') {
+  const headerLength = 32 + fields.length * 32 + 1;
+  const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+
+  const header = Buffer.alloc(headerLength);
+  header[0] = 0x03;
+  header.writeUInt32LE(rows.length, 4);
+  header.writeUInt16LE(headerLength, 8);
+  header.writeUInt16LE(recordLength, 10);
+  fields.forEach((field, index) => {
+    const offset = 32 + index * 32;
+    header.write(field.name, offset, 11, 'latin1');
+    header[offset + 11] = field.type.charCodeAt(0);
+    header[offset + 16] = field.length;
+  });
+  header[headerLength - 1] = 0x0d;
+
+  const records = rows.map((row) => {
+    const record = Buffer.alloc(recordLength, ' ');
+    let offset = 1;
+    fields.forEach((field, index) => {
+      record.write(String(row[index] ?? ''), offset, field.length, encoding);
+      offset += field.length;
+    });
+    return record;
+  });
+
+  return Buffer.concat([header, ...records]);
+}
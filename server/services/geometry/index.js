@@ -0,0 +1,95 @@
+import { parseGeoJson, parseKml } from './parsers.js';
+import { parseShapefile } from './shapefile.js';
+import { validateFeatures } from './validation.js';
+import { multiPolygonHectares, boundingBox } from './area.js';
+import { STRATUM_FIELD_CANDIDATES, DEFAULT_STRATUM } from '../../../shared/boundary.js';
+
+const PARSERS = {
+  geojson: parseGeoJson,
+  kml: parseKml,
+  shapefile: parseShapefile
+};
+
+const featureLabel = (feature) => {
+  const name = feature.properties.name ?? feature.properties.Name ?? feature.properties.NAME;
+  return name ? `Feature ${feature.number} ("${name}")` : `Feature ${feature.number}`;
+};
+
+/**
+ * Reads and validates an uploaded boundary file
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - Key of BOUNDARY_FORMATS
+ * @returns {Object} - { features: [{ number, properties, polygons }], warnings, errors }; errors is empty when the boundary is valid
+ * @throws {Error} When the file cannot be read as the given format
+ */
+export function readBoundary(buffer, format) {
+  const { features, warnings } = PARSERS[format](buffer);
+  if (features.length === 0) {
+    return { features, warnings, errors: ['The file contains no polygons'] };
+  }
+
+  const errors = validateFeatures(features.map(feature => ({
+    label: featureLabel(feature),
+    polygons: feature.polygons
+  })));
+  return { features, warnings, errors };
+}
+
+/**
+ * Property keys present on any feature, offered as stratum attributes
+ * @param {Array<Object>} features - [{ properties }]
+ * @returns {Array<string>}
+ */
+export function listPropertyKeys(features) {
+  return [...new Set(features.flatMap(feature => Object.keys(feature.properties || {})))];
+}
+
+/**
+ * Picks the feature property that names each polygon's stratum: the requested
+ * one, otherwise the first conventional name present
+ * @param {Array<Object>} features - [{ properties }]
+ * @param {string} [requested] - Property chosen by the user
+ * @returns {string|null} - Property key, or null when the boundary has no strata
+ */
+export function resolveStratumField(features, requested) {
+  const keys = listPropertyKeys(features);
+  if (requested) {
+    return keys.includes(requested) ? requested : null;
+  }
+  return STRATUM_FIELD_CANDIDATES.find(candidate => keys.includes(candidate)) || null;
+}
+
+/**
+ * Measures a boundary and groups its polygons into strata. Areas are simply
+ * added up, which validateFeatures makes safe by rejecting overlaps.
+ * @param {Array<Object>} features - [{ properties, polygons }]
+ * @param {string|null} stratumField - Property naming each polygon's stratum
+ * @returns {Object} - { features: GeoJSON features with stratum and hectares, strata: [{ name, hectares, featureCount }], areaHectares, bbox }
+ */
+export function summarizeBoundary(features, stratumField) {
+  const measured = features.map((feature) => {
+    const value = stratumField ? feature.properties?.[stratumField] : null;
+    return {
+      type: 'Feature',
+      properties: feature.properties || {},
+      geometry: { type: 'MultiPolygon', coordinates: feature.polygons },
+      stratum: value === null || value === undefined || String(value).trim() === '' ? DEFAULT_STRATUM : String(value).trim(),
+      hectares: multiPolygonHectares(feature.polygons)
+    };
+  });
+
+  const strata = new Map();
+  measured.forEach((feature) => {
+    const stratum = strata.get(feature.stratum) || { name: feature.stratum, hectares: 0, featureCount: 0 };
+    stratum.hectares += feature.hectares;
+    stratum.featureCount += 1;
+    strata.set(feature.stratum, stratum);
+  });
+
+  return {
+    features: measured,
+    strata: [...strata.values()].sort((a, b) => b.hectares - a.hectares),
+    areaHectares: measured.reduce((sum, feature) => sum + feature.hectares, 0),
+    bbox: boundingBox(features.map(feature => feature.polygons))
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Readers for GeoJSON and KML boundary files. Each returns the polygon
+ * features found as { number, properties, polygons }: number is the feature's
+ * 1-based position in the file and polygons are GeoJSON MultiPolygon
+ * coordinates ([polygon][ring][position] with [lon, lat]).
+ */
+
+// Legacy GeoJSON "crs" names that still mean WGS 84 longitude/latitude
+const WGS84_CRS = /CRS84|EPSG:{1,2}4326$/i;
+
+const toPosition = position => [Number(position[0]), Number(position[1])];
+
+const toRings = (polygon, label) => {
+  if (!Array.isArray(polygon) || !polygon.every(ring => Array.isArray(ring) && ring.every(Array.isArray))) {
+    throw new Error(`${label} has malformed coordinates`);
+  }
+  // Altitudes are dropped; areas are measured on the ellipsoid surface
+  return polygon.map(ring => ring.map(toPosition));
+};
+
+const toPolygons = (geometry, label) => {
+  switch (geometry?.type) {
+    case 'Polygon':
+      return [toRings(geometry.coordinates, label)];
+    case 'MultiPolygon':
+      if (!Array.isArray(geometry.coordinates)) {
+        throw new Error(`${label} has malformed coordinates`);
+      }
+      return geometry.coordinates.map(polygon => toRings(polygon, label));
+    case 'GeometryCollection':
+      return (geometry.geometries || []).flatMap(part => toPolygons(part, label) || []);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Reads polygon features from a GeoJSON FeatureCollection, Feature or bare geometry
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} - { features: [{ number, properties, polygons }], warnings }
+ */
+export function parseGeoJson(buffer) {
+  let json;
+  try {
+    json = JSON.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const crs = json?.crs?.properties?.name;
+  if (crs && !WGS84_CRS.test(crs)) {
+    throw new Error(`The file uses the ${crs} coordinate reference system; export it in WGS 84 (EPSG:4326)`);
+  }
+
+  let features;
+  if (json?.type === 'FeatureCollection' && Array.isArray(json.features)) {
+    features = json.features;
+  } else if (json?.type === 'Feature') {
+    features = [json];
+  } else if (json?.type && json.coordinates !== undefined) {
+    features = [{ type: 'Feature', properties: {}, geometry: json }];
+  } else {
+    throw new Error('The file is not a GeoJSON FeatureCollection, Feature or geometry');
+  }
+
+  const warnings = [];
+  const parsed = [];
+  features.forEach((feature, index) => {
+    const polygons = toPolygons(feature?.geometry, `Feature ${index + 1}`);
+    if (!polygons || polygons.length === 0) {
+      warnings.push(`Feature ${index + 1} is ${feature?.geometry?.type ? `a ${feature.geometry.type}` : 'empty'} and was skipped; boundaries must be polygons`);
+      return;
+    }
+    parsed.push({ number: index + 1, properties: feature.properties || {}, polygons });
+  });
+
+  return { features: parsed, warnings };
+}
+
+const decodeXml = text => text
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&')
+  .trim();
+
+// Contents of every <tag> element, allowing a namespace prefix such as kml:
+const elements = (xml, tag) => [...xml.matchAll(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g'))]
+  .map(match => match[1]);
+
+// "lon,lat[,alt]" tuples separated by whitespace
+const parseCoordinates = text => decodeXml(text)
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(tuple => toPosition(tuple.split(',')));
+
+const parseProperties = (placemark) => {
+  const properties = {};
+  const [name] = elements(placemark, 'name');
+  if (name !== undefined) {
+    properties.name = decodeXml(name);
+  }
+  for (const [, key, value] of placemark.matchAll(/<(?:\w+:)?Data\s+name="([^"]*)"[^>]*>[\s\S]*?<(?:\w+:)?value>([\s\S]*?)<\/(?:\w+:)?value>/g)) {
+    properties[key] = decodeXml(value);
+  }
+  for (const [, key, value] of placemark.matchAll(/<(?:\w+:)?SimpleData\s+name="([^"]*)"[^>]*>([\s\S]*?)<\/(?:\w+:)?SimpleData>/g)) {
+    properties[key] = decodeXml(value);
+  }
+  return properties;
+};
+
+/**
+ * Reads polygon placemarks from a KML document, including polygons inside
+ * MultiGeometry. Names and ExtendedData become feature properties.
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} - { features: [{ number, properties, polygons }], warnings }
+ */
+export function parseKml(buffer) {
+  const xml = buffer.toString('utf8');
+  if (!/<(?:\w+:)?kml\b/.test(xml)) {
+    throw new Error('The file is not a KML document');
+  }
+
+  const warnings = [];
+  const features = [];
+  elements(xml, 'Placemark').forEach((placemark, index) => {
+    const properties = parseProperties(placemark);
+    const polygons = elements(placemark, 'Polygon').map(polygon => [
+      ...elements(polygon, 'outerBoundaryIs'),
+      ...elements(polygon, 'innerBoundaryIs')
+    ].map(boundary => parseCoordinates(elements(boundary, 'coordinates')[0] || '')));
+
+    if (polygons.length === 0) {
+      warnings.push(`Placemark ${properties.name ? `"${properties.name}"` : index + 1} has no polygon and was skipped`);
+      return;
+    }
+    features.push({ number: index + 1, properties, polygons });
+  });
+
+  return { features, warnings };
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { parseGeoJson, parseKml } from './parsers.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+
+const square = (x, y, size = 0.01) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+
+const json = value => Buffer.from(JSON.stringify(value));
+
+test('reads KML polygons with their holes, names and extended data', () => {
+  const { features, warnings } = parseKml(fixture('strata.kml'));
+
+  assert.deepEqual(features[0], {
+    number: 1,
+    properties: { name: 'Stratum A & buffer', stratum: 'A', landUse: 'Forest' },
+    polygons: [[
+      [[35, -15], [35.02, -15], [35.02, -14.98], [35, -14.98], [35, -15]],
+      [[35.005, -14.995], [35.01, -14.995], [35.01, -14.99], [35.005, -14.99], [35.005, -14.995]]
+    ]]
+  });
+  assert.deepEqual(features[1].properties, { name: 'Stratum B' });
+  assert.equal(features[1].number, 3);
+  assert.equal(features[1].polygons.length, 2);
+  assert.deepEqual(warnings, ['Placemark "Base camp" has no polygon and was skipped']);
+});
+
+test('rejects files that are not KML', () => {
+  assert.throws(() => parseKml(Buffer.from('<gpx><trk /></gpx>')), { message: 'The file is not a KML document' });
+});
+
+test('reads GeoJSON feature collections, features and bare geometries', () => {
+  const collection = parseGeoJson(json({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { stratum: 'A' }, geometry: { type: 'Polygon', coordinates: [square(10, 10).map(([x, y]) => [x, y, 120])] } },
+      { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [10, 10] } },
+      { type: 'Feature', properties: null, geometry: { type: 'MultiPolygon', coordinates: [[square(11, 10)], [square(12, 10)]] } }
+    ]
+  }));
+  // Altitudes are dropped
+  assert.deepEqual(collection.features[0], { number: 1, properties: { stratum: 'A' }, polygons: [[square(10, 10)]] });
+  assert.deepEqual(collection.features[1], { number: 3, properties: {}, polygons: [[square(11, 10)], [square(12, 10)]] });
+  assert.deepEqual(collection.warnings, ['Feature 2 is a Point and was skipped; boundaries must be polygons']);
+
+  const feature = parseGeoJson(Buffer.from(`\uFEFF${JSON.stringify({ type: 'Feature', properties: { name: 'Site' }, geometry: { type: 'Polygon', coordinates: [square(10, 10)] } })}`));
+  assert.equal(feature.features[0].properties.name, 'Site');
+
+  const geometry = parseGeoJson(json({ type: 'GeometryCollection', coordinates: [], geometries: [{ type: 'Polygon', coordinates: [square(10, 10)] }] }));
+  assert.deepEqual(geometry.features[0].polygons, [[square(10, 10)]]);
+});
+
+test('rejects malformed GeoJSON and projected coordinates', () => {
+  assert.throws(() => parseGeoJson(Buffer.from('{"type":')), { message: 'The file is not valid JSON' });
+  assert.throws(() => parseGeoJson(json({ type: 'Topology' })), { message: 'The file is not a GeoJSON FeatureCollection, Feature or geometry' });
+  assert.throws(
+    () => parseGeoJson(json({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [[1, 2]] } })),
+    { message: 'Feature 1 has malformed coordinates' }
+  );
+  assert.throws(
+    () => parseGeoJson(json({ type: 'FeatureCollection', crs: { properties: { name: 'urn:ogc:def:crs:EPSG::32736' } }, features: [] })),
+    { message: 'The file uses the urn:ogc:def:crs:EPSG::32736 coordinate reference system; export it in WGS 84 (EPSG:4326)' }
+  );
+  assert.deepEqual(parseGeoJson(json({ type: 'FeatureCollection', crs: { properties: { name: 'urn:ogc:def:crs:OGC:1.3:CRS84' } }, features: [] })).features, []);
+});
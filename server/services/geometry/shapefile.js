@@ -0,0 +1,185 @@
+import { readZip } from './zip.js';
+import { insideRing } from './validation.js';
+
+const SHAPEFILE_CODE = 9994;
+const NULL_SHAPE = 0;
+// Polygon, PolygonZ and PolygonM share the same leading layout
+const POLYGON_SHAPES = [5, 15, 25];
+
+const basename = name => name.replace(/^.*\//, '').replace(/\.[^.]+$/, '').toLowerCase();
+const extension = name => name.slice(name.lastIndexOf('.')).toLowerCase();
+
+// Planar signed area in degrees; negative for clockwise rings, which the
+// shapefile format uses for outer rings
+const signedArea = (ring) => {
+  let total = 0;
+  for (let index = 0; index < ring.length - 1; index += 1) {
+    total += ring[index][0] * ring[index + 1][1] - ring[index + 1][0] * ring[index][1];
+  }
+  return total / 2;
+};
+
+// Groups a record's rings into polygons: each clockwise ring starts a polygon
+// and each counter-clockwise ring is a hole in the outer ring containing it
+const groupRings = (rings) => {
+  const polygons = [];
+  const holes = [];
+  rings.forEach((ring) => {
+    if (signedArea(ring) <= 0) {
+      polygons.push([ring]);
+    } else {
+      holes.push(ring);
+    }
+  });
+
+  holes.forEach((hole) => {
+    const outer = polygons.find(([ring]) => insideRing(hole[0], ring));
+    if (outer) {
+      outer.push(hole);
+    } else {
+      // Some writers ignore ring order; a hole outside every outer ring is its own polygon
+      polygons.push([hole]);
+    }
+  });
+  return polygons;
+};
+
+const readShapes = (buffer) => {
+  if (buffer.length < 100 || buffer.readInt32BE(0) !== SHAPEFILE_CODE) {
+    throw new Error('The .shp file is not a valid shapefile');
+  }
+  const shapeType = buffer.readInt32LE(32);
+  if (!POLYGON_SHAPES.includes(shapeType)) {
+    throw new Error('The shapefile holds points or lines; boundaries must be polygons');
+  }
+
+  const shapes = [];
+  let offset = 100;
+  while (offset + 8 <= buffer.length) {
+    // Content length is counted in 16-bit words
+    const contentLength = buffer.readInt32BE(offset + 4) * 2;
+    const content = offset + 8;
+    offset = content + contentLength;
+    if (offset > buffer.length) {
+      throw new Error('The .shp file is truncated');
+    }
+
+    const recordType = buffer.readInt32LE(content);
+    if (recordType === NULL_SHAPE) {
+      shapes.push(null);
+      continue;
+    }
+    const partCount = buffer.readInt32LE(content + 36);
+    const pointCount = buffer.readInt32LE(content + 40);
+    const parts = Array.from({ length: partCount }, (_, index) => buffer.readInt32LE(content + 44 + index * 4));
+    const pointsStart = content + 44 + partCount * 4;
+    if (pointsStart + pointCount * 16 > offset) {
+      throw new Error('The .shp file is corrupted');
+    }
+
+    const rings = parts.map((start, index) => {
+      const end = index + 1 < partCount ? parts[index + 1] : pointCount;
+      return Array.from({ length: end - start }, (_, point) => {
+        const position = pointsStart + (start + point) * 16;
+        return [buffer.readDoubleLE(position), buffer.readDoubleLE(position + 8)];
+      });
+    });
+    shapes.push(groupRings(rings));
+  }
+  return shapes;
+};
+
+const readValue = (raw, type) => {
+  const text = raw.replace(/\0/g, '').trim();
+  if (text === '') return null;
+  switch (type) {
+    case 'N':
+    case 'F': {
+      const number = Number(text);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'L':
+      return /^[TtYy]/.test(text);
+    case 'D':
+      return /^\d{8}$/.test(text) ? `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6)}` : text;
+    default:
+      return text;
+  }
+};
+
+const readAttributes = (buffer, encoding) => {
+  const recordCount = buffer.readUInt32LE(4);
+  const headerLength = buffer.readUInt16LE(8);
+  const recordLength = buffer.readUInt16LE(10);
+
+  const fields = [];
+  for (let offset = 32; offset + 32 <= headerLength && buffer[offset] !== 0x0d; offset += 32) {
+    fields.push({
+      name: buffer.toString('latin1', offset, offset + 11).replace(/\0[\s\S]*$/, '').trim(),
+      type: String.fromCharCode(buffer[offset + 11]),
+      length: buffer[offset + 16]
+    });
+  }
+
+  return Array.from({ length: recordCount }, (_, index) => {
+    const start = headerLength + index * recordLength;
+    const properties = {};
+    // The first byte of each record is the deletion flag
+    let offset = start + 1;
+    fields.forEach((field) => {
+      properties[field.name] = readValue(buffer.toString(encoding, offset, offset + field.length), field.type);
+      offset += field.length;
+    });
+    return properties;
+  });
+};
+
+/**
+ * Reads polygon features from a zipped shapefile (.shp with its .dbf
+ * attributes). Coordinates must be WGS 84 longitude/latitude; a .prj
+ * describing a projected system is rejected.
+ * @param {Buffer} buffer - ZIP archive contents
+ * @returns {Object} - { features: [{ number, properties, polygons }], warnings }
+ */
+export function parseShapefile(buffer) {
+  const entries = readZip(buffer).filter(entry => !entry.name.startsWith('__MACOSX/'));
+  const shpFiles = entries.filter(entry => extension(entry.name) === '.shp');
+  if (shpFiles.length === 0) {
+    throw new Error('The ZIP archive does not contain a .shp file');
+  }
+
+  const warnings = [];
+  const [shp] = shpFiles;
+  if (shpFiles.length > 1) {
+    warnings.push(`The archive holds ${shpFiles.length} shapefiles; only ${shp.name} was read`);
+  }
+  const sibling = ext => entries.find(entry => extension(entry.name) === ext && basename(entry.name) === basename(shp.name));
+
+  const prj = sibling('.prj');
+  if (prj) {
+    const wkt = prj.data.toString('latin1');
+    if (/^\s*PROJCS/i.test(wkt)) {
+      const name = wkt.match(/^\s*PROJCS\["([^"]+)"/i)?.[1] || 'a projected coordinate system';
+      throw new Error(`The shapefile uses ${name}; export it in WGS 84 (EPSG:4326)`);
+    }
+  } else {
+    warnings.push('The shapefile has no .prj file; coordinates were read as WGS 84 longitude/latitude');
+  }
+
+  const dbf = sibling('.dbf');
+  const cpg = sibling('.cpg');
+  const encoding = cpg && /utf-?8/i.test(cpg.data.toString('latin1')) ? 'utf8' : 'latin1';
+  const attributes = dbf ? readAttributes(dbf.data, encoding) : [];
+  if (!dbf) {
+    warnings.push('The shapefile has no .dbf file, so its polygons have no attributes');
+  }
+
+  const features = [];
+  readShapes(shp.data).forEach((polygons, index) => {
+    if (polygons && polygons.length > 0) {
+      features.push({ number: index + 1, properties: attributes[index] || {}, polygons });
+    }
+  });
+
+  return { features, warnings };
+}
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseShapefile } from './shapefile.js';
+import { writeZip, writeShp, writeDbf } from './fixtures/archives.js';
+
+const WGS84 = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]]]';
+
+// Shapefiles store outer rings clockwise and holes counter-clockwise
+const clockwise = (x, y, size) => [[x, y], [x, y + size], [x + size, y + size], [x + size, y], [x, y]];
+const counterClockwise = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+
+const FIELDS = [
+  { name: 'STRATUM', type: 'C', length: 10 },
+  { name: 'HECTARES', type: 'N', length: 8 },
+  { name: 'PROTECTED', type: 'L', length: 1 },
+  { name: 'SURVEYED', type: 'D', length: 8 }
+];
+
+const archive = (files) => {
+  const names = Object.keys(files);
+  return writeZip(names.map(name => ({ name, data: files[name] })));
+};
+
+test('reads polygons, holes and attributes', () => {
+  const { features, warnings } = parseShapefile(archive({
+    'site/strata.shp': writeShp([
+      [clockwise(35, -15, 0.02), counterClockwise(35.005, -14.995, 0.005)],
+      null,
+      [clockwise(35.02, -15, 0.01), clockwise(35.04, -15, 0.01)]
+    ]),
+    'site/strata.dbf': writeDbf(FIELDS, [['A', 120.5, 'T', '20240301'], ['', '', '', ''], ['B', '', 'N', '']]),
+    'site/strata.prj': WGS84
+  }));
+
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(features.map(feature => feature.number), [1, 3]);
+  assert.deepEqual(features[0].properties, { STRATUM: 'A', HECTARES: 120.5, PROTECTED: true, SURVEYED: '2024-03-01' });
+  assert.deepEqual(features[0].polygons, [[clockwise(35, -15, 0.02), counterClockwise(35.005, -14.995, 0.005)]]);
+  assert.deepEqual(features[1].properties, { STRATUM: 'B', HECTARES: null, PROTECTED: false, SURVEYED: null });
+  assert.deepEqual(features[1].polygons, [[clockwise(35.02, -15, 0.01)], [clockwise(35.04, -15, 0.01)]]);
+});
+
+test('a hole outside every outer ring becomes a polygon of its own', () => {
+  const { features } = parseShapefile(archive({
+    'strata.shp': writeShp([[clockwise(35, -15, 0.01), counterClockwise(36, -15, 0.01)]]),
+    'strata.prj': WGS84,
+    'strata.dbf': writeDbf(FIELDS, [['A', 1, 'F', '']])
+  }));
+  assert.equal(features[0].polygons.length, 2);
+});
+
+test('attributes are read as UTF-8 when the .cpg says so', () => {
+  const files = {
+    'strata.shp': writeShp([[clockwise(35, -15, 0.01)]]),
+    'strata.prj': WGS84,
+    'strata.dbf': writeDbf([{ name: 'NAME', type: 'C', length: 20 }], [['Zomba Plateau – Ñ']], 'utf8'),
+    'strata.cpg': 'UTF-8'
+  };
+  assert.equal(parseShapefile(archive(files)).features[0].properties.NAME, 'Zomba Plateau – Ñ');
+});
+
+test('missing sidecar files are reported as warnings', () => {
+  const { features, warnings } = parseShapefile(writeZip([
+    { name: 'strata.shp', data: writeShp([[clockwise(35, -15, 0.01)]]) },
+    { name: '__MACOSX/._strata.shp', data: 'resource fork' }
+  ]));
+
+  assert.deepEqual(features[0].properties, {});
+  assert.deepEqual(warnings, [
+    'The shapefile has no .prj file; coordinates were read as WGS 84 longitude/latitude',
+    'The shapefile has no .dbf file, so its polygons have no attributes'
+  ]);
+});
+
+test('only the first of several shapefiles is read', () => {
+  const { warnings } = parseShapefile(archive({
+    'a.shp': writeShp([[clockwise(35, -15, 0.01)]]),
+    'a.prj': WGS84,
+    'a.dbf': writeDbf(FIELDS, [['A', 1, 'F', '']]),
+    'b.shp': writeShp([[clockwise(36, -15, 0.01)]])
+  }));
+  assert.deepEqual(warnings, ['The archive holds 2 shapefiles; only a.shp was read']);
+});
+
+test('rejects archives that cannot hold a WGS 84 polygon boundary', () => {
+  assert.throws(() => parseShapefile(archive({ 'readme.txt': 'none here' })), { message: 'The ZIP archive does not contain a .shp file' });
+  assert.throws(
+    () => parseShapefile(archive({ 'a.shp': writeShp([[clockwise(35, -15, 0.01)]]), 'a.prj': 'PROJCS["WGS_1984_UTM_Zone_36S",GEOGCS["GCS_WGS_1984"]]' })),
+    { message: 'The shapefile uses WGS_1984_UTM_Zone_36S; export it in WGS 84 (EPSG:4326)' }
+  );
+  assert.throws(
+    () => parseShapefile(archive({ 'a.shp': writeShp([[[[35, -15]]]], 1), 'a.prj': WGS84 })),
+    { message: 'The shapefile holds points or lines; boundaries must be polygons' }
+  );
+  assert.throws(() => parseShapefile(archive({ 'a.shp': 'not a shapefile' })), { message: 'The .shp file is not a valid shapefile' });
+  assert.throws(
+    () => parseShapefile(archive({ 'a.shp': writeShp([[clockwise(35, -15, 0.01)]]).subarray(0, 120), 'a.prj': WGS84 })),
+    { message: 'The .shp file is truncated' }
+  );
+});
@@ -0,0 +1,251 @@
+import { ringArea, boundingBox } from './area.js';
+
+// Vertices across the whole boundary; larger files should be simplified in a GIS first
+export const MAX_VERTICES = 250 * 1000;
+
+// Errors listed before the rest are summarised, so one broken file does not flood the response
+const MAX_ERRORS = 25;
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+const formatPosition = ([longitude, latitude]) => `${longitude.toFixed(6)}, ${latitude.toFixed(6)}`;
+
+// Sign of the turn a → b → c: positive counter-clockwise, 0 when collinear
+const orientation = (a, b, c) => Math.sign((b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]));
+
+const withinSegment = (a, b, point) => (
+  Math.min(a[0], b[0]) <= point[0] && point[0] <= Math.max(a[0], b[0])
+  && Math.min(a[1], b[1]) <= point[1] && point[1] <= Math.max(a[1], b[1])
+);
+
+const segmentsIntersect = (a, b, c, d) => {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+  if (o1 !== o2 && o3 !== o4) {
+    return true;
+  }
+  // Collinear cases: an endpoint lying on the other segment
+  return (o1 === 0 && withinSegment(a, b, c))
+    || (o2 === 0 && withinSegment(a, b, d))
+    || (o3 === 0 && withinSegment(c, d, a))
+    || (o4 === 0 && withinSegment(c, d, b));
+};
+
+// Where segments a–b and c–d meet; when they are collinear, an endpoint lying on the other segment
+const intersectionPoint = (a, b, c, d) => {
+  const denominator = (b[0] - a[0]) * (d[1] - c[1]) - (b[1] - a[1]) * (d[0] - c[0]);
+  if (denominator === 0) {
+    return [c, d].find(point => withinSegment(a, b, point)) || [a, b].find(point => withinSegment(c, d, point));
+  }
+  const t = ((c[0] - a[0]) * (d[1] - c[1]) - (c[1] - a[1]) * (d[0] - c[0])) / denominator;
+  return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+};
+
+// Segments cross at a point inside both, not merely touching or running along each other
+const segmentsCross = (a, b, c, d) => (
+  orientation(a, b, c) * orientation(a, b, d) < 0 && orientation(c, d, a) * orientation(c, d, b) < 0
+);
+
+// Segments of the rings with their extents; extra is copied onto each segment
+const ringSegments = (rings, extra = {}) => rings.flatMap((ring, ringIndex) => {
+  // Repeated consecutive vertices are harmless but would make zero-length segments
+  const points = ring.filter((point, index) => index === 0 || !samePosition(point, ring[index - 1]));
+  const count = points.length - 1;
+  return points.slice(0, -1).map((a, index) => {
+    const b = points[index + 1];
+    return {
+      ...extra,
+      a, b, ringIndex, index, count,
+      minX: Math.min(a[0], b[0]),
+      maxX: Math.max(a[0], b[0]),
+      minY: Math.min(a[1], b[1]),
+      maxY: Math.max(a[1], b[1])
+    };
+  });
+});
+
+// Sweeps the segments in longitude order and calls visit for each pair whose
+// extents overlap, returning the first result visit does not leave null
+const sweepSegments = (segments, visit) => {
+  const sorted = [...segments].sort((first, second) => first.minX - second.minX);
+  for (let i = 0; i < sorted.length; i += 1) {
+    const s = sorted[i];
+    for (let j = i + 1; j < sorted.length && sorted[j].minX <= s.maxX; j += 1) {
+      const t = sorted[j];
+      if (t.minY <= s.maxY && s.minY <= t.maxY) {
+        const result = visit(s, t);
+        if (result) {
+          return result;
+        }
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Finds the first place where the rings of a polygon cross or touch
+ * themselves or each other. Segments are swept in longitude order so only
+ * those with overlapping extents are compared.
+ * @param {Array<Array>} rings - Closed rings of one polygon
+ * @returns {Array<number>|null} - The intersection, or null when there is none
+ */
+export function findSelfIntersection(rings) {
+  // Consecutive segments of a ring always share a vertex
+  const adjacent = (s, t) => s.ringIndex === t.ringIndex && (
+    Math.abs(s.index - t.index) === 1 || Math.abs(s.index - t.index) === s.count - 1
+  );
+
+  return sweepSegments(ringSegments(rings), (s, t) => (
+    !adjacent(s, t) && segmentsIntersect(s.a, s.b, t.a, t.b) ? intersectionPoint(s.a, s.b, t.a, t.b) : null
+  ));
+}
+
+/**
+ * Even-odd test of whether a position lies inside a ring; positions on the
+ * ring itself may fall either way
+ * @param {Array<number>} position - [lon, lat]
+ * @param {Array<Array>} ring - Closed ring
+ * @returns {boolean}
+ */
+export function insideRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+const insidePolygon = (point, [outer, ...holes]) => insideRing(point, outer) && !holes.some(hole => insideRing(point, hole));
+
+// A position just inside the polygon, beside the middle of its first edge
+const interiorPoint = (rings) => {
+  const [a, b] = rings[0].filter((point, index) => index === 0 || !samePosition(point, rings[0][index - 1]));
+  const middle = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+  const offset = [(a[1] - b[1]) * 1e-6, (b[0] - a[0]) * 1e-6];
+  const left = [middle[0] + offset[0], middle[1] + offset[1]];
+  return insidePolygon(left, rings) ? left : [middle[0] - offset[0], middle[1] - offset[1]];
+};
+
+/**
+ * Finds polygons that overlap, within a feature or across features, so the
+ * same land is not counted twice. Polygons may share edges and vertices.
+ * Crossing edges are found with the same sweep as self-intersections; a
+ * polygon lying inside or on top of another is found by testing a point
+ * just inside it.
+ * @param {Array<Object>} polygons - [{ label, rings }], each already valid
+ * @returns {Array<Object>} - [{ first, second, position }] labels of each overlapping pair and where they overlap
+ */
+export function findOverlaps(polygons) {
+  const overlaps = new Map();
+  const record = (i, j, position) => {
+    const key = `${Math.min(i, j)}:${Math.max(i, j)}`;
+    if (!overlaps.has(key)) {
+      overlaps.set(key, { first: polygons[Math.min(i, j)].label, second: polygons[Math.max(i, j)].label, position });
+    }
+  };
+
+  const segments = polygons.flatMap(({ rings }, polygonIndex) => ringSegments(rings, { polygonIndex }));
+  sweepSegments(segments, (s, t) => {
+    if (s.polygonIndex !== t.polygonIndex && segmentsCross(s.a, s.b, t.a, t.b)) {
+      record(s.polygonIndex, t.polygonIndex, intersectionPoint(s.a, s.b, t.a, t.b));
+    }
+    return null;
+  });
+
+  const boxes = polygons.map(({ rings }) => boundingBox([[rings]]));
+  const boxesOverlap = (first, second) => first[0] < second[2] && second[0] < first[2] && first[1] < second[3] && second[1] < first[3];
+  polygons.forEach(({ rings }, i) => {
+    const point = interiorPoint(rings);
+    polygons.forEach((other, j) => {
+      if (i !== j && boxesOverlap(boxes[i], boxes[j]) && insidePolygon(point, other.rings)) {
+        record(i, j, point);
+      }
+    });
+  });
+
+  return [...overlaps.values()];
+}
+
+const checkRing = (ring) => {
+  if (ring.length < 4) {
+    return 'has fewer than 4 positions';
+  }
+  if (!ring.every(([longitude, latitude]) => Number.isFinite(longitude) && Number.isFinite(latitude))) {
+    return 'has a coordinate that is not a number';
+  }
+  if (!ring.every(([longitude, latitude]) => Math.abs(longitude) <= 180 && Math.abs(latitude) <= 90)) {
+    return 'has coordinates outside longitude/latitude ranges; the file may use a projected coordinate system instead of WGS 84';
+  }
+  if (!samePosition(ring[0], ring[ring.length - 1])) {
+    return `is not closed: it starts at ${formatPosition(ring[0])} but ends at ${formatPosition(ring[ring.length - 1])}`;
+  }
+  return null;
+};
+
+/**
+ * Checks every polygon of a boundary: rings must be closed, hold at least
+ * four WGS 84 positions, enclose an area, not cross themselves or the other
+ * rings of their polygon, and keep their holes inside the outer ring. No two
+ * polygons may overlap.
+ * @param {Array<Object>} features - [{ label, polygons }]
+ * @returns {Array<string>} - Error messages; empty when the boundary is valid
+ */
+export function validateFeatures(features) {
+  const vertexCount = features.reduce((sum, feature) => sum + feature.polygons.flat(2).length, 0);
+  if (vertexCount > MAX_VERTICES) {
+    return [`The boundary has ${vertexCount.toLocaleString('en-US')} vertices; simplify it to at most ${MAX_VERTICES.toLocaleString('en-US')}`];
+  }
+
+  const errors = [];
+  const validPolygons = [];
+  features.forEach(({ label, polygons }) => {
+    polygons.forEach((rings, polygonIndex) => {
+      const polygonLabel = polygons.length > 1 ? `${label}, polygon ${polygonIndex + 1}` : label;
+      if (rings.length === 0) {
+        errors.push(`${polygonLabel} has no rings`);
+        return;
+      }
+
+      const ringErrors = rings
+        .map((ring, ringIndex) => {
+          const error = checkRing(ring);
+          return error && `${polygonLabel}, ${ringIndex === 0 ? 'outer ring' : `hole ${ringIndex}`} ${error}`;
+        })
+        .filter(Boolean);
+      errors.push(...ringErrors);
+
+      if (ringErrors.length === 0) {
+        const intersection = findSelfIntersection(rings);
+        if (intersection) {
+          errors.push(`${polygonLabel} intersects itself near ${formatPosition(intersection)}`);
+        } else if (ringArea(rings[0]) === 0) {
+          errors.push(`${polygonLabel} encloses no area`);
+        } else {
+          // Rings do not touch, so one vertex tells whether a hole is inside
+          const outside = rings.slice(1).findIndex(hole => !insideRing(hole[0], rings[0]));
+          if (outside !== -1) {
+            errors.push(`${polygonLabel}, hole ${outside + 1} lies outside the outer ring`);
+          } else {
+            validPolygons.push({ label: polygonLabel, rings });
+          }
+        }
+      }
+    });
+  });
+
+  findOverlaps(validPolygons).forEach(({ first, second, position }) => {
+    errors.push(`${first} overlaps ${second} near ${formatPosition(position)}`);
+  });
+
+  if (errors.length > MAX_ERRORS) {
+    return [...errors.slice(0, MAX_ERRORS), `…and ${errors.length - MAX_ERRORS} more problems`];
+  }
+  return errors;
+}
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findSelfIntersection, validateFeatures } from './validation.js';
+import { summarizeBoundary } from './index.js';
+
+// Closed square ring with its south-west corner at [x, y]
+const square = (x, y, size = 0.01) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+
+const feature = (label, ...polygons) => ({ label, polygons });
+
+test('a valid boundary has no errors', () => {
+  assert.deepEqual(validateFeatures([feature('Feature 1', [square(10, 10)])]), []);
+});
+
+test('findSelfIntersection reports where the edges cross', () => {
+  const bowtie = [[0, 0], [2, 2], [2, 0], [0, 2], [0, 0]];
+  assert.deepEqual(findSelfIntersection([bowtie]), [1, 1]);
+});
+
+test('holes must lie inside the outer ring', () => {
+  const errors = validateFeatures([feature('Feature 1', [square(10, 10), square(10.02, 10.02, 0.005)])]);
+  assert.deepEqual(errors, ['Feature 1, hole 1 lies outside the outer ring']);
+
+  assert.deepEqual(validateFeatures([feature('Feature 1', [square(10, 10), square(10.002, 10.002, 0.005)])]), []);
+});
+
+test('identical features overlap', () => {
+  const errors = validateFeatures([feature('Feature 1', [square(10, 10)]), feature('Feature 2', [square(10, 10)])]);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Feature 1 overlaps Feature 2 near/);
+});
+
+test('crossing and contained polygons overlap', () => {
+  const crossing = validateFeatures([feature('Feature 1', [square(10, 10)]), feature('Feature 2', [square(10.005, 10.005)])]);
+  // The squares' edges cross at two corners of the shared area
+  assert.equal(crossing.length, 1);
+  assert.ok([
+    'Feature 1 overlaps Feature 2 near 10.010000, 10.005000',
+    'Feature 1 overlaps Feature 2 near 10.005000, 10.010000'
+  ].includes(crossing[0]), crossing[0]);
+
+  const contained = validateFeatures([feature('Feature 1', [square(10, 10)], [square(10.002, 10.002, 0.005)])]);
+  assert.equal(contained.length, 1);
+  assert.match(contained[0], /^Feature 1, polygon 1 overlaps Feature 1, polygon 2/);
+});
+
+test('polygons sharing an edge or sitting in a hole do not overlap', () => {
+  assert.deepEqual(validateFeatures([feature('Feature 1', [square(10, 10)]), feature('Feature 2', [square(10.01, 10)])]), []);
+
+  const island = validateFeatures([
+    feature('Feature 1', [square(10, 10), square(10.002, 10.002, 0.005)]),
+    feature('Feature 2', [square(10.003, 10.003, 0.002)])
+  ]);
+  assert.deepEqual(island, []);
+});
+
+test('summarizeBoundary adds up the strata of a valid boundary', () => {
+  const summary = summarizeBoundary([
+    { properties: { stratum: 'A' }, polygons: [[square(10, 10)]] },
+    { properties: { stratum: 'B' }, polygons: [[square(10.01, 10)]] }
+  ], 'stratum');
+  assert.equal(summary.strata.length, 2);
+  assert.ok(Math.abs(summary.areaHectares - summary.strata[0].hectares * 2) < 0.01);
+});
@@ -0,0 +1,102 @@
+import zlib from 'zlib';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Inflated sizes above which an archive is rejected, so a small zip cannot
+// exhaust memory with one large entry or many smaller ones
+const MAX_ENTRY_BYTES = 200 * 1024 * 1024;
+const MAX_TOTAL_BYTES = 500 * 1024 * 1024;
+
+const findEndOfCentralDirectory = (buffer) => {
+  // The record is 22 bytes followed by a comment of at most 65535 bytes
+  const earliest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= earliest; offset -= 1) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  return -1;
+};
+
+// Inflates a deflated entry, or returns null when it holds more than maxOutputLength bytes
+const inflate = (compressed, maxOutputLength) => {
+  try {
+    return zlib.inflateRawSync(compressed, { maxOutputLength });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      return null;
+    }
+    throw new Error('The ZIP archive is corrupted');
+  }
+};
+
+/**
+ * Reads the files of a ZIP archive. Only stored and deflated entries are
+ * supported, which covers archives written by GIS tools and operating systems.
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Array<Object>} - [{ name, data: Buffer }], directories excluded
+ */
+export function readZip(buffer) {
+  const end = buffer.length >= 22 ? findEndOfCentralDirectory(buffer) : -1;
+  if (end === -1) {
+    throw new Error('The file is not a valid ZIP archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  let totalSize = 0;
+
+  for (let index = 0; index < entryCount; index += 1) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('The ZIP archive is corrupted');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+    if (size > MAX_ENTRY_BYTES) {
+      throw new Error(`${name} is too large to read`);
+    }
+    if (totalSize + size > MAX_TOTAL_BYTES) {
+      throw new Error('The ZIP archive is too large to read once extracted');
+    }
+    if (buffer.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error('The ZIP archive is corrupted');
+    }
+
+    // The local header repeats the name but may carry a different extra field
+    const dataStart = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) {
+      data = compressed;
+    } else if (method === 8) {
+      // The declared sizes may understate the contents, so inflating is capped too
+      const remaining = MAX_TOTAL_BYTES - totalSize;
+      data = inflate(compressed, Math.min(MAX_ENTRY_BYTES, remaining));
+      if (!data) {
+        throw new Error(remaining < MAX_ENTRY_BYTES ? 'The ZIP archive is too large to read once extracted' : `${name} is too large to read`);
+      }
+    } else {
+      throw new Error(`${name} uses an unsupported ZIP compression method`);
+    }
+    // Declared sizes count too, so an archive claiming too much is rejected before inflating it
+    totalSize += Math.max(size, data.length);
+    entries.push({ name, data });
+  }
+
+  return entries;
+}
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readZip } from './zip.js';
+import { writeZip } from './fixtures/archives.js';
+
+const MB = 1024 * 1024;
+
+test('reads stored and deflated entries', () => {
+  const entries = readZip(writeZip([
+    { name: 'boundary/site.prj', data: 'GEOGCS["WGS 84"]', stored: true },
+    { name: 'boundary/site.dbf', data: 'x'.repeat(1000) }
+  ]));
+
+  assert.deepEqual(entries.map(entry => [entry.name, entry.data.toString()]), [
+    ['boundary/site.prj', 'GEOGCS["WGS 84"]'],
+    ['boundary/site.dbf', 'x'.repeat(1000)]
+  ]);
+});
+
+test('directories are left out', () => {
+  assert.deepEqual(readZip(writeZip([{ name: 'boundary/', data: '', stored: true }, { name: 'a.txt', data: 'a' }])).map(entry => entry.name), ['a.txt']);
+});
+
+test('rejects files that are not ZIP archives', () => {
+  assert.throws(() => readZip(Buffer.from('not a zip')), { message: 'The file is not a valid ZIP archive' });
+  assert.throws(() => readZip(Buffer.alloc(0)), { message: 'The file is not a valid ZIP archive' });
+
+  const archive = writeZip([{ name: 'a.txt', data: 'a' }]);
+  // Point the central directory past the end of the file
+  archive.writeUInt32LE(archive.length, archive.length - 6);
+  assert.throws(() => readZip(archive), { message: 'The ZIP archive is corrupted' });
+});
+
+test('rejects corrupted deflated data', () => {
+  const archive = writeZip([{ name: 'a.txt', data: 'a'.repeat(100) }]);
+  // First byte of the deflated data, after the 30 byte local header and the name
+  archive[30 + 'a.txt'.length] = 0xff;
+  assert.throws(() => readZip(archive), { message: 'The ZIP archive is corrupted' });
+});
+
+test('rejects an entry that would inflate beyond the entry limit', () => {
+  assert.throws(() => readZip(writeZip([{ name: 'huge.shp', data: 'x', declaredSize: 201 * MB }])), { message: 'huge.shp is too large to read' });
+});
+
+test('rejects archives whose entries together inflate beyond the total limit', () => {
+  const files = ['a', 'b', 'c'].map(name => ({ name: `${name}.shp`, data: 'x', declaredSize: 199 * MB }));
+  assert.throws(() => readZip(writeZip(files)), { message: 'The ZIP archive is too large to read once extracted' });
+  assert.equal(readZip(writeZip(files.slice(0, 2))).length, 2);
+});
@@ -0,0 +1,13 @@
+/**
+ * Writes mail to the console instead of sending it; the development default
+ */
+export default class LogMailer {
+  constructor({ from }) {
+    this.from = from;
+  }
+
+  async send({ to, subject, text }) {
+    console.log(`[mail] from ${this.from} to ${to}: ${subject}\n${text}`);
+    return { messageId: null };
+  }
+}
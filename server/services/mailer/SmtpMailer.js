@@ -0,0 +1,21 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Sends mail through an SMTP server
+ */
+export default class SmtpMailer {
+  constructor({ host, port, secure, user, password, from }) {
+    this.from = from;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      ...(user ? { auth: { user, pass: password } } : {})
+    });
+  }
+
+  async send({ to, subject, text, html }) {
+    const info = await this.transport.sendMail({ from: this.from, to, subject, text, html });
+    return { messageId: info.messageId };
+  }
+}
@@ -0,0 +1,41 @@
+import SmtpMailer from './SmtpMailer.js';
+import LogMailer from './LogMailer.js';
+
+let mailer = null;
+
+const createMailer = () => {
+  const driver = process.env.MAIL_DRIVER || (process.env.NODE_ENV === 'production' ? 'smtp' : 'log');
+  const from = process.env.MAIL_FROM || 'CNergy <no-reply@cnergy.local>';
+
+  switch (driver) {
+    case 'smtp':
+      return new SmtpMailer({
+        host: process.env.SMTP_HOST || 'localhost',
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+        from
+      });
+    case 'log':
+      return new LogMailer({ from });
+    default:
+      throw new Error(`Unknown MAIL_DRIVER ${driver}`);
+  }
+};
+
+/**
+ * Returns the configured mailer. Every mailer implements
+ * send({ to, subject, text, html }).
+ */
+export function getMailer() {
+  if (!mailer) {
+    mailer = createMailer();
+  }
+  return mailer;
+}
+
+// Lets tests swap in their own mailer
+export function setMailer(instance) {
+  mailer = instance;
+}
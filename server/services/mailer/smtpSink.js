@@ -0,0 +1,142 @@
+import net from 'net';
+import { fileURLToPath } from 'url';
+
+// Unfolded header value from a raw message, e.g. Subject
+const readHeader = (raw, name) => {
+  const [head] = raw.split(/\r?\n\r?\n/);
+  const match = head.replace(/\r?\n[ \t]+/g, ' ').match(new RegExp(`^${name}:\\s*(.*)$`, 'im'));
+  return match ? match[1].trim() : null;
+};
+
+const stripAddress = value => value.replace(/^[^:]*:\s*/, '').replace(/^<|>.*$/g, '').trim();
+
+/**
+ * A local SMTP server that accepts every message and keeps it in memory, so
+ * the SMTP mailer can be exercised in development and tests without a real
+ * mail server. It speaks just enough SMTP for nodemailer: no TLS, and any
+ * credentials are accepted.
+ * @param {Object} options - { port, host, onMessage }; port 0 picks a free port
+ * @returns {Promise<Object>} - { port, messages: [{ from, to, subject, raw, receivedAt }], close() }
+ */
+export function startSmtpSink({ port = 2525, host = '127.0.0.1', onMessage } = {}) {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+    let authStep = null;
+
+    const reply = line => socket.write(`${line}\r\n`);
+
+    const handleCommand = (line) => {
+      if (authStep) {
+        authStep -= 1;
+        reply(authStep > 0 ? '334 UGFzc3dvcmQ6' : '235 Authentication successful');
+        return;
+      }
+
+      const verb = line.split(' ')[0].toUpperCase();
+      switch (verb) {
+        case 'EHLO':
+          reply('250-cnergy-smtp-sink');
+          reply('250-AUTH PLAIN LOGIN');
+          reply('250 8BITMIME');
+          break;
+        case 'HELO':
+        case 'NOOP':
+          reply('250 OK');
+          break;
+        case 'AUTH':
+          // AUTH LOGIN asks for the user name and password in two steps
+          if (/^AUTH LOGIN$/i.test(line)) {
+            authStep = 2;
+            reply('334 VXNlcm5hbWU6');
+          } else if (/^AUTH LOGIN \S+$/i.test(line)) {
+            authStep = 1;
+            reply('334 UGFzc3dvcmQ6');
+          } else if (/^AUTH PLAIN$/i.test(line)) {
+            authStep = 1;
+            reply('334 ');
+          } else {
+            reply('235 Authentication successful');
+          }
+          break;
+        case 'MAIL':
+          envelope = { from: stripAddress(line), to: [] };
+          reply('250 OK');
+          break;
+        case 'RCPT':
+          envelope.to.push(stripAddress(line));
+          reply('250 OK');
+          break;
+        case 'DATA':
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+          break;
+        case 'RSET':
+          envelope = { from: null, to: [] };
+          reply('250 OK');
+          break;
+        case 'QUIT':
+          reply('221 Bye');
+          socket.end();
+          break;
+        default:
+          reply('502 Command not implemented');
+      }
+    };
+
+    const handleDataLine = (line) => {
+      if (line !== '.') {
+        data.push(line.startsWith('..') ? line.slice(1) : line);
+        return;
+      }
+
+      const raw = data.join('\r\n');
+      const message = { ...envelope, subject: readHeader(raw, 'Subject'), raw, receivedAt: new Date() };
+      messages.push(message);
+      onMessage?.(message);
+      data = null;
+      reply('250 OK: queued');
+    };
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let index = buffer.indexOf('\r\n');
+      while (index !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (data) {
+          handleDataLine(line);
+        } else {
+          handleCommand(line);
+        }
+        index = buffer.indexOf('\r\n');
+      }
+    });
+    socket.on('error', () => socket.destroy());
+
+    reply('220 cnergy-smtp-sink ESMTP');
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+// `node server/services/mailer/smtpSink.js` runs the sink and prints what it receives
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.SMTP_PORT) || 2525;
+  startSmtpSink({
+    port,
+    onMessage: message => console.log(`\n--- ${message.receivedAt.toISOString()} from ${message.from} to ${message.to.join(', ')}\n${message.raw}`)
+  }).then(() => console.log(`SMTP sink listening on port ${port}`));
+}
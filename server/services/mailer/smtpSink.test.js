@@ -0,0 +1,39 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import SmtpMailer from './SmtpMailer.js';
+import { startSmtpSink } from './smtpSink.js';
+import { renderDigest } from '../notifications/digest.js';
+
+let sink;
+
+before(async () => {
+  sink = await startSmtpSink({ port: 0 });
+});
+
+after(async () => {
+  await sink.close();
+});
+
+test('a digest sent through the SMTP mailer reaches the sink', async () => {
+  const mailer = new SmtpMailer({
+    host: '127.0.0.1',
+    port: sink.port,
+    secure: false,
+    user: 'cnergy',
+    password: 'secret',
+    from: 'CNergy <no-reply@cnergy.local>'
+  });
+  const digest = renderDigest({ name: 'Ada' }, [
+    { type: 'extraction-complete', title: 'Data extracted from PDD.pdf', message: '4 field(s) ready for review', link: '/projects/1' },
+    { type: 'extraction-complete', title: 'Data extracted from Map.kml', link: '/projects/1' }
+  ], 'http://localhost:3000');
+
+  await mailer.send({ to: 'ada@example.org', ...digest });
+
+  assert.equal(sink.messages.length, 1);
+  const [message] = sink.messages;
+  assert.equal(message.from, 'no-reply@cnergy.local');
+  assert.deepEqual(message.to, ['ada@example.org']);
+  assert.equal(message.subject, 'CNergy daily digest: 2 updates');
+  assert.match(message.raw, /Data extracted from PDD\.pdf/);
+});
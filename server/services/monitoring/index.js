@@ -0,0 +1,140 @@
+import { parseTimeSeries } from './timeSeriesParser.js';
+import { cleanReadings, checkSeries } from './qualityControl.js';
+import { convert } from './units.js';
+import { USABLE_QA_STATUSES } from '../../../shared/monitoring.js';
+
+const normalizeName = name => String(name ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toParameterKey = name => String(name)
+  .replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => (next ? next.toUpperCase() : ''))
+  .replace(/^./, first => first.toLowerCase());
+
+// Columns are matched to model inputs by key, symbol (with or without its
+// subscripts, so EF_grid matches EF_grid,CM,y) or label, ignoring case and punctuation
+const findInput = (model, name) => {
+  const target = normalizeName(name);
+  return model?.inputs.find(input => [input.key, input.symbol, input.symbol.split(',')[0], input.label]
+    .some(alias => normalizeName(alias) === target));
+};
+
+/**
+ * Parses an uploaded CSV/XLSX into series for a monitoring period: columns
+ * are matched to the calculation model's inputs, converted to the input's
+ * unit, cleaned and checked. Columns that match no input are kept as
+ * additional monitored parameters in their own unit.
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileType - csv or xlsx
+ * @param {Object} options - { model, mapping: { [column header]: input key } }
+ * @returns {Object} - { series: [{ parameter, label, symbol, unit, sourceUnit, inCalculation, readings }], warnings }
+ */
+export function buildSeries(buffer, fileType, { model, mapping = {} }) {
+  const { columns, skippedRows } = parseTimeSeries(buffer, fileType);
+  const warnings = skippedRows > 0 ? [`${skippedRows} row(s) without a readable date were skipped`] : [];
+  const series = [];
+
+  columns.forEach((column) => {
+    const mapped = mapping[column.header];
+    const input = mapped ? model?.inputs.find(candidate => candidate.key === mapped) : findInput(model, column.name);
+    if (mapped && !input) {
+      warnings.push(`Column "${column.header}" is mapped to ${mapped}, which is not an input of the calculation model`);
+    }
+    if (column.readings.length === 0) {
+      warnings.push(`Column "${column.header}" has no numeric readings and was skipped`);
+      return;
+    }
+
+    if (!input) {
+      series.push({
+        parameter: toParameterKey(column.name),
+        label: column.name,
+        unit: column.unit,
+        sourceUnit: column.unit,
+        inCalculation: false,
+        readings: column.readings
+      });
+      return;
+    }
+
+    let { readings } = column;
+    if (!column.unit) {
+      warnings.push(`Column "${column.header}" has no unit; readings are assumed to be in ${input.unit}`);
+    } else if (column.unit !== input.unit) {
+      if (convert(1, column.unit, input.unit) === null) {
+        warnings.push(`Column "${column.header}" is in ${column.unit}, which cannot be converted to ${input.unit}; the column was skipped`);
+        return;
+      }
+      readings = readings.map(reading => ({ ...reading, value: convert(reading.value, column.unit, input.unit) }));
+    }
+
+    series.push({
+      parameter: input.key,
+      label: input.label,
+      symbol: input.symbol,
+      unit: input.unit,
+      sourceUnit: column.unit || input.unit,
+      inCalculation: true,
+      readings
+    });
+  });
+
+  const seen = new Set();
+  series.forEach((entry) => {
+    if (seen.has(entry.parameter)) {
+      warnings.push(`More than one column maps to ${entry.parameter}; the last one was used`);
+    }
+    seen.add(entry.parameter);
+  });
+
+  return {
+    series: series.filter((entry, i) => !series.slice(i + 1).some(later => later.parameter === entry.parameter)),
+    warnings
+  };
+}
+
+/**
+ * Merges new readings into a series and re-runs the QA/QC checks
+ * @param {Array} existing - Stored readings
+ * @param {Array} incoming - Imported readings, which replace stored ones at the same timestamp
+ * @param {Object} period - { startDate, endDate }
+ * @returns {Object} - { readings, qaStatus, qa, warnings }
+ */
+export function mergeReadings(existing, incoming, period) {
+  const { readings, warnings } = cleanReadings([...existing, ...incoming], period);
+  const { status, qa } = checkSeries(readings, period);
+  return { readings, qaStatus: status, qa, warnings };
+}
+
+const round = value => Math.round(value * 1e4) / 1e4;
+
+/**
+ * Aggregates a period's series into calculation inputs: flows are summed and
+ * everything else is averaged. Only series that passed QA/QC or were approved
+ * by a reviewer are used.
+ * @param {Array} seriesList - Series with readings
+ * @param {Object} model - Calculation model
+ * @returns {Object} - { inputs, sources: { [key]: { seriesId, aggregation, readingCount } }, pendingReview, rejected }
+ */
+export function aggregateInputs(seriesList, model) {
+  const inputs = {};
+  const sources = {};
+  const pendingReview = [];
+  const rejected = [];
+
+  model.inputs.forEach((input) => {
+    const series = seriesList.find(entry => entry.parameter === input.key);
+    if (!series) return;
+
+    if (!USABLE_QA_STATUSES.includes(series.qaStatus)) {
+      (series.qaStatus === 'rejected' ? rejected : pendingReview).push(input.key);
+      return;
+    }
+    if (series.readings.length === 0) return;
+
+    const total = series.readings.reduce((sum, reading) => sum + reading.value, 0);
+    const aggregation = input.aggregation === 'sum' ? 'sum' : 'average';
+    inputs[input.key] = round(aggregation === 'sum' ? total : total / series.readings.length);
+    sources[input.key] = { seriesId: series._id, aggregation, readingCount: series.readings.length };
+  });
+
+  return { inputs, sources, pendingReview, rejected };
+}
@@ -0,0 +1,139 @@
+/**
+ * Automatic QA/QC checks for monitored time series
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+// A spacing this many times the usual interval counts as a gap
+const GAP_TOLERANCE = 1.5;
+// Modified z-score above which a reading is reported as an outlier (Iglewicz and Hoaglin)
+const OUTLIER_THRESHOLD = 3.5;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// First and last instant of the period; the end date is a whole day, so readings taken during it count
+const periodBounds = period => ({
+  start: new Date(period.startDate).getTime(),
+  end: new Date(period.endDate).getTime() + DAY - 1
+});
+
+/**
+ * Sorts readings and drops duplicates and readings outside the period
+ * @param {Array} readings - [{ timestamp, value }]
+ * @param {Object} period - { startDate, endDate }
+ * @returns {Object} - { readings, warnings }
+ */
+export function cleanReadings(readings, period) {
+  const { start, end } = periodBounds(period);
+  const byTime = new Map();
+  let outside = 0;
+
+  readings.forEach((reading) => {
+    const time = new Date(reading.timestamp).getTime();
+    if (time < start || time > end) {
+      outside += 1;
+      return;
+    }
+    // Later rows win, so a corrected reading can be re-imported
+    byTime.set(time, { timestamp: new Date(time), value: reading.value });
+  });
+
+  const warnings = [];
+  const duplicates = readings.length - outside - byTime.size;
+  if (duplicates > 0) {
+    warnings.push(`${duplicates} duplicate reading(s) replaced by the last value for the same timestamp`);
+  }
+  if (outside > 0) {
+    warnings.push(`${outside} reading(s) outside the monitoring period were ignored`);
+  }
+
+  return {
+    readings: [...byTime.values()].sort((a, b) => a.timestamp - b.timestamp),
+    warnings
+  };
+}
+
+// The period boundaries count as readings, so an uncovered start or end is a
+// gap too. The start is the first expected reading; the end is the last instant
+// of the period, after any reading on its last day.
+const findGaps = (readings, period, interval) => {
+  if (!interval) return [];
+
+  const { start, end } = periodBounds(period);
+  const times = [start, ...readings.map(reading => reading.timestamp.getTime()), end];
+
+  const gaps = [];
+  for (let i = 1; i < times.length; i += 1) {
+    const spacing = (times[i] - times[i - 1]) / DAY;
+    if (spacing > interval * GAP_TOLERANCE) {
+      gaps.push({
+        from: new Date(times[i - 1]),
+        to: new Date(times[i]),
+        missing: Math.round(spacing / interval) - (i === 1 ? 0 : 1)
+      });
+    }
+  }
+  return gaps;
+};
+
+const findOutliers = (readings) => {
+  const values = readings.map(reading => reading.value);
+  const center = median(values);
+  const deviation = median(values.map(value => Math.abs(value - center)));
+  // A constant series has no spread to measure against
+  if (!deviation) return [];
+
+  return readings
+    .map(reading => ({ ...reading, score: round(0.6745 * (reading.value - center) / deviation) }))
+    .filter(reading => Math.abs(reading.score) > OUTLIER_THRESHOLD);
+};
+
+/**
+ * Checks a cleaned series for gaps, outliers and negative values
+ * @param {Array} readings - Sorted [{ timestamp, value }] within the period
+ * @param {Object} period - { startDate, endDate }
+ * @returns {Object} - { status, qa } with status 'passed' or 'flagged'
+ */
+export function checkSeries(readings, period) {
+  const spacings = readings.slice(1).map((reading, i) => (reading.timestamp - readings[i].timestamp) / DAY);
+  const interval = median(spacings);
+  const gaps = findGaps(readings, period, interval);
+  const outliers = findOutliers(readings);
+  const negativeCount = readings.filter(reading => reading.value < 0).length;
+
+  const issues = [];
+  if (readings.length === 0) {
+    issues.push('No readings fall within the monitoring period');
+  }
+  if (gaps.length > 0) {
+    const missing = gaps.reduce((total, gap) => total + gap.missing, 0);
+    issues.push(`${gaps.length} gap(s) in the record, about ${missing} missing reading(s)`);
+  }
+  if (outliers.length > 0) {
+    issues.push(`${outliers.length} reading(s) far from the series median`);
+  }
+  if (negativeCount > 0) {
+    issues.push(`${negativeCount} negative reading(s)`);
+  }
+
+  return {
+    status: issues.length > 0 ? 'flagged' : 'passed',
+    qa: {
+      checkedAt: new Date(),
+      readingCount: readings.length,
+      expectedInterval: interval === null ? null : round(interval, 4),
+      coverageStart: readings[0]?.timestamp ?? null,
+      coverageEnd: readings[readings.length - 1]?.timestamp ?? null,
+      gaps,
+      outliers,
+      negativeCount,
+      issues
+    }
+  };
+}
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cleanReadings, checkSeries } from './qualityControl.js';
+
+const JANUARY = { startDate: '2024-01-01', endDate: '2024-01-31' };
+
+// One reading a day at the given hour, for the days of January listed
+const daily = (days, hour = 0, value = () => 10) => days.map(day => ({
+  timestamp: new Date(Date.UTC(2024, 0, day, hour)),
+  value: value(day)
+}));
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+test('cleanReadings sorts, keeps the last duplicate and drops readings outside the period', () => {
+  const { readings, warnings } = cleanReadings([
+    { timestamp: '2024-01-02T00:00:00Z', value: 2 },
+    { timestamp: '2024-01-01T00:00:00Z', value: 1 },
+    { timestamp: '2024-01-02T00:00:00Z', value: 3 },
+    { timestamp: '2023-12-31T23:00:00Z', value: 9 },
+    { timestamp: '2024-01-31T23:00:00Z', value: 4 },
+    { timestamp: '2024-02-01T00:00:00Z', value: 9 }
+  ], JANUARY);
+
+  assert.deepEqual(readings.map(reading => [reading.timestamp.toISOString(), reading.value]), [
+    ['2024-01-01T00:00:00.000Z', 1],
+    ['2024-01-02T00:00:00.000Z', 3],
+    ['2024-01-31T23:00:00.000Z', 4]
+  ]);
+  assert.deepEqual(warnings, [
+    '1 duplicate reading(s) replaced by the last value for the same timestamp',
+    '2 reading(s) outside the monitoring period were ignored'
+  ]);
+});
+
+test('a complete daily series passes', () => {
+  const { status, qa } = checkSeries(daily(range(1, 31)), JANUARY);
+
+  assert.equal(status, 'passed');
+  assert.equal(qa.readingCount, 31);
+  assert.equal(qa.expectedInterval, 1);
+  assert.deepEqual(qa.gaps, []);
+  assert.deepEqual(qa.issues, []);
+});
+
+test('readings taken during the last day of the period leave no gap', () => {
+  const { readings } = cleanReadings(daily(range(1, 31), 18), JANUARY);
+  assert.equal(readings.length, 31);
+  assert.deepEqual(checkSeries(readings, JANUARY).qa.gaps, []);
+});
+
+test('gaps are counted within the period and at either end', () => {
+  // Missing 1-2, 10-12 and 30-31 January
+  const days = [...range(3, 9), ...range(13, 29)];
+  const { status, qa } = checkSeries(daily(days), JANUARY);
+
+  assert.equal(status, 'flagged');
+  assert.deepEqual(qa.gaps.map(gap => [gap.from.toISOString().slice(0, 10), gap.to.toISOString().slice(0, 10), gap.missing]), [
+    ['2024-01-01', '2024-01-03', 2],
+    ['2024-01-09', '2024-01-13', 3],
+    ['2024-01-29', '2024-01-31', 2]
+  ]);
+  assert.deepEqual(qa.issues, ['3 gap(s) in the record, about 7 missing reading(s)']);
+});
+
+test('readings far from the median and negative readings are flagged', () => {
+  const values = { 10: 500, 20: -4 };
+  const { qa } = checkSeries(daily(range(1, 31), 0, day => values[day] ?? 10 + (day % 3)), JANUARY);
+
+  assert.deepEqual(qa.outliers.map(reading => [reading.timestamp.getUTCDate(), reading.value]), [[10, 500], [20, -4]]);
+  assert.ok(qa.outliers.every(reading => Math.abs(reading.score) > 3.5));
+  assert.equal(qa.negativeCount, 1);
+  assert.deepEqual(qa.issues, ['2 reading(s) far from the series median', '1 negative reading(s)']);
+});
+
+test('a constant series has no outliers', () => {
+  assert.deepEqual(checkSeries(daily(range(1, 31)), JANUARY).qa.outliers, []);
+});
+
+test('an empty series is flagged', () => {
+  const { status, qa } = checkSeries([], JANUARY);
+  assert.equal(status, 'flagged');
+  assert.equal(qa.expectedInterval, null);
+  assert.deepEqual(qa.issues, ['No readings fall within the monitoring period']);
+});
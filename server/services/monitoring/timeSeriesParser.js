@@ -0,0 +1,84 @@
+import * as XLSX from 'xlsx';
+import { parseDate, parseNumber } from '../nlp/normalizers.js';
+
+const TIMESTAMP_HEADER = /^(?:date|time|timestamp|datetime|date\/time|day|month|period|reading date)$/i;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+const TIME_ZONE_SUFFIX = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Splits a column header into a name and a unit: "Net electricity (kWh)",
+ * "EG_PJ [MWh]" and "fNRB, %" are all understood
+ * @param {string} header - Header cell text
+ * @returns {Object} - { name, unit }
+ */
+export function parseHeader(header) {
+  const text = String(header ?? '').trim();
+  // A comma only introduces a unit when followed by a space, since symbols like EG_PJ,y use bare commas
+  const match = text.match(/^(.+?)\s*(?:\(([^)]+)\)|\[([^\]]+)\])$/) || text.match(/^(.+?),\s+([^,]+)$/);
+  if (!match) {
+    return { name: text, unit: null };
+  }
+  return { name: match[1].trim(), unit: (match[2] || match[3]).trim() };
+}
+
+const parseTimestamp = (cell) => {
+  if (cell instanceof Date) {
+    return Number.isNaN(cell.getTime()) ? null : cell;
+  }
+  if (cell === null || cell === undefined || cell === '') return null;
+
+  // Timestamps without a zone are read as UTC, like date-only cells, so the
+  // result does not depend on the server's time zone
+  const text = String(cell).trim();
+  if (DATE_TIME_PATTERN.test(text)) {
+    const iso = text.replace(' ', 'T');
+    const date = new Date(TIME_ZONE_SUFFIX.test(iso) ? iso : `${iso}Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+  const isoDate = parseDate(text);
+  return isoDate ? new Date(`${isoDate}T00:00:00Z`) : null;
+};
+
+/**
+ * Reads a CSV or XLSX time series laid out as one timestamp column followed
+ * by one column per parameter. Only the first sheet of a workbook is read.
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileType - csv or xlsx
+ * @returns {Object} - { columns: [{ index, header, name, unit, readings: [{ timestamp, value }] }], skippedRows }
+ */
+export function parseTimeSeries(buffer, fileType) {
+  // CSV cells stay as text so day-first dates are not read as US dates
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true, raw: fileType === 'csv' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = sheet ? XLSX.utils.sheet_to_json(sheet, { header: 1, blankrows: false, defval: null }) : [];
+
+  if (rows.length < 2) {
+    throw new Error('The file needs a header row and at least one row of readings');
+  }
+
+  const [headerRow, ...dataRows] = rows;
+  const foundTimestamp = headerRow.findIndex(cell => TIMESTAMP_HEADER.test(String(cell ?? '').trim()));
+  const timestampIndex = foundTimestamp === -1 ? 0 : foundTimestamp;
+
+  const columns = headerRow
+    .map((header, index) => ({ index, header: String(header ?? '').trim(), ...parseHeader(header), readings: [] }))
+    .filter(column => column.index !== timestampIndex && column.header);
+
+  let skippedRows = 0;
+  dataRows.forEach((row) => {
+    const timestamp = parseTimestamp(row[timestampIndex]);
+    if (!timestamp) {
+      skippedRows += 1;
+      return;
+    }
+
+    columns.forEach((column) => {
+      const value = parseNumber(row[column.index]);
+      if (value !== null) {
+        column.readings.push({ timestamp, value });
+      }
+    });
+  });
+
+  return { columns, skippedRows };
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTimeSeries, parseHeader } from './timeSeriesParser.js';
+
+// Timestamps without a zone must not depend on the server's zone
+process.env.TZ = 'America/New_York';
+
+const csv = text => Buffer.from(text);
+
+const timestamps = column => column.readings.map(reading => reading.timestamp.toISOString());
+
+test('parseHeader splits off the unit', () => {
+  assert.deepEqual(parseHeader('Net electricity (kWh)'), { name: 'Net electricity', unit: 'kWh' });
+  assert.deepEqual(parseHeader('EG_PJ [MWh]'), { name: 'EG_PJ', unit: 'MWh' });
+  assert.deepEqual(parseHeader('fNRB, %'), { name: 'fNRB', unit: '%' });
+  assert.deepEqual(parseHeader('EG_PJ,y'), { name: 'EG_PJ,y', unit: null });
+});
+
+test('reads one column per parameter with its unit', () => {
+  const { columns, skippedRows } = parseTimeSeries(csv([
+    'Date,Electricity (MWh),Methane fraction [%]',
+    '01/02/2024,1200,51.5',
+    '02/02/2024,"1,150",',
+    'not a date,5,5'
+  ].join('\n')), 'csv');
+
+  assert.equal(skippedRows, 1);
+  assert.deepEqual(columns.map(column => [column.name, column.unit, column.readings.map(reading => reading.value)]), [
+    ['Electricity', 'MWh', [1200, 1150]],
+    ['Methane fraction', '%', [51.5]]
+  ]);
+  // Numeric dates are day-first
+  assert.deepEqual(timestamps(columns[0]), ['2024-02-01T00:00:00.000Z', '2024-02-02T00:00:00.000Z']);
+});
+
+test('timestamps without a zone are read as UTC', () => {
+  const { columns } = parseTimeSeries(csv([
+    'Timestamp,Flow (Nm3)',
+    '2024-03-10 01:30,10',
+    '2024-03-10T02:30:00,20',
+    '2024-07-01 00:00,30'
+  ].join('\n')), 'csv');
+
+  assert.deepEqual(timestamps(columns[0]), [
+    '2024-03-10T01:30:00.000Z',
+    '2024-03-10T02:30:00.000Z',
+    '2024-07-01T00:00:00.000Z'
+  ]);
+});
+
+test('timestamps with a zone keep it', () => {
+  const { columns } = parseTimeSeries(csv([
+    'Timestamp,Flow (Nm3)',
+    '2024-03-10T01:30:00Z,10',
+    '2024-03-10T01:30:00+02:00,20',
+    '2024-03-10 01:30-0500,30'
+  ].join('\n')), 'csv');
+
+  assert.deepEqual(timestamps(columns[0]), [
+    '2024-03-10T01:30:00.000Z',
+    '2024-03-09T23:30:00.000Z',
+    '2024-03-10T06:30:00.000Z'
+  ]);
+});
+
+test('a file without readings is rejected', () => {
+  assert.throws(() => parseTimeSeries(csv('Date,Value'), 'csv'), /header row and at least one row/);
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit parsing and conversion for monitored parameters
+ */
+
+// Factor to the dimension's base unit (GJ, t, m3, Nm3, ha, %, tCO2e, tC, tCH4, days)
+const UNITS = {
+  wh: { dimension: 'energy', factor: 3.6e-6 },
+  kwh: { dimension: 'energy', factor: 0.0036 },
+  mwh: { dimension: 'energy', factor: 3.6 },
+  gwh: { dimension: 'energy', factor: 3600 },
+  kj: { dimension: 'energy', factor: 1e-6 },
+  mj: { dimension: 'energy', factor: 0.001 },
+  gj: { dimension: 'energy', factor: 1 },
+  tj: { dimension: 'energy', factor: 1000 },
+  g: { dimension: 'mass', factor: 1e-6 },
+  kg: { dimension: 'mass', factor: 0.001 },
+  t: { dimension: 'mass', factor: 1 },
+  tonne: { dimension: 'mass', factor: 1 },
+  tonnes: { dimension: 'mass', factor: 1 },
+  lb: { dimension: 'mass', factor: 0.000453592 },
+  l: { dimension: 'volume', factor: 0.001 },
+  litre: { dimension: 'volume', factor: 0.001 },
+  litres: { dimension: 'volume', factor: 0.001 },
+  liter: { dimension: 'volume', factor: 0.001 },
+  liters: { dimension: 'volume', factor: 0.001 },
+  m3: { dimension: 'volume', factor: 1 },
+  // Normal cubic metres measure gas at reference conditions and are not interchangeable with m3
+  nm3: { dimension: 'gas-volume', factor: 1 },
+  m2: { dimension: 'area', factor: 1e-4 },
+  ha: { dimension: 'area', factor: 1 },
+  km2: { dimension: 'area', factor: 100 },
+  acre: { dimension: 'area', factor: 0.404686 },
+  acres: { dimension: 'area', factor: 0.404686 },
+  '%': { dimension: 'share', factor: 1 },
+  percent: { dimension: 'share', factor: 1 },
+  fraction: { dimension: 'share', factor: 100 },
+  kgco2e: { dimension: 'co2e', factor: 0.001 },
+  tco2e: { dimension: 'co2e', factor: 1 },
+  ktco2e: { dimension: 'co2e', factor: 1000 },
+  tc: { dimension: 'carbon', factor: 1 },
+  kgch4: { dimension: 'methane', factor: 0.001 },
+  tch4: { dimension: 'methane', factor: 1 },
+  h: { dimension: 'time', factor: 1 / 24 },
+  hours: { dimension: 'time', factor: 1 / 24 },
+  d: { dimension: 'time', factor: 1 },
+  day: { dimension: 'time', factor: 1 },
+  days: { dimension: 'time', factor: 1 },
+  yr: { dimension: 'time', factor: 365.25 },
+  year: { dimension: 'time', factor: 365.25 }
+};
+
+const normalizeUnitText = unit => String(unit)
+  .trim()
+  .toLowerCase()
+  .replace(/³/g, '3')
+  .replace(/²/g, '2')
+  .replace(/co2[- ]?eq?(?:uivalent)?/g, 'co2e')
+  .replace(/\s+/g, '');
+
+/**
+ * Parses a unit into a dimension and a factor to that dimension's base unit.
+ * Compound units ("tCO2e/MWh", "kg CH4/head/day") divide their parts; parts
+ * that are not physical units ("head", "devices") are kept as counts.
+ * @param {string} unit - Unit text
+ * @returns {Object|null} - { dimension, factor }, or null when empty
+ */
+export function parseUnit(unit) {
+  if (unit === undefined || unit === null || String(unit).trim() === '') return null;
+
+  const [numerator, ...denominators] = normalizeUnitText(unit).split('/');
+  const part = text => UNITS[text] || { dimension: text, factor: 1 };
+
+  return denominators.reduce((result, text) => {
+    const divisor = part(text);
+    return { dimension: `${result.dimension}/${divisor.dimension}`, factor: result.factor / divisor.factor };
+  }, part(numerator));
+}
+
+/**
+ * Converts a value between units of the same dimension
+ * @param {number} value - Value in the source unit
+ * @param {string} from - Source unit
+ * @param {string} to - Target unit
+ * @returns {number|null} - Converted value, or null when the units are incompatible
+ */
+export function convert(value, from, to) {
+  const source = parseUnit(from);
+  const target = parseUnit(to);
+  if (!source || !target || source.dimension !== target.dimension) {
+    return null;
+  }
+  return value * source.factor / target.factor;
+}
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUnit, convert } from './units.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+test('parseUnit reads simple and compound units', () => {
+  assert.deepEqual(parseUnit('MWh'), { dimension: 'energy', factor: 3.6 });
+  assert.deepEqual(parseUnit(' m³ '), { dimension: 'volume', factor: 1 });
+  assert.deepEqual(parseUnit('tCO2e/MWh'), { dimension: 'co2e/energy', factor: 1 / 3.6 });
+  assert.deepEqual(parseUnit('kg CH4/head/day'), { dimension: 'methane/head/time', factor: 0.001 });
+  assert.equal(parseUnit(''), null);
+  assert.equal(parseUnit(null), null);
+});
+
+test('CO2 equivalent is written several ways', () => {
+  assert.deepEqual(parseUnit('t CO2-eq'), parseUnit('tCO2e'));
+  assert.deepEqual(parseUnit('kg CO2 equivalent'), parseUnit('kgCO2e'));
+});
+
+test('convert scales between units of one dimension', () => {
+  close(convert(1500, 'kWh', 'MWh'), 1.5);
+  close(convert(2, 'MWh', 'GJ'), 7.2);
+  close(convert(0.25, 'fraction', '%'), 25);
+  close(convert(1, 'km2', 'ha'), 100);
+  close(convert(500, 'kg CO2e/MWh', 'tCO2e/MWh'), 0.5);
+  close(convert(48, 'hours', 'days'), 2);
+});
+
+test('convert refuses units of different dimensions', () => {
+  assert.equal(convert(1, 'MWh', 't'), null);
+  // Normal cubic metres are measured at reference conditions
+  assert.equal(convert(1, 'Nm3', 'm3'), null);
+  assert.equal(convert(1, '', 'MWh'), null);
+});
@@ -0,0 +1,47 @@
+import * as segmenter from './segmenter.js';
+import * as entityExtractor from './entityExtractor.js';
+import * as keyValueExtractor from './keyValueExtractor.js';
+import * as relationshipExtractor from './relationshipExtractor.js';
+
+/**
+ * NLP processing pipeline. Every stage is rule based, so results are
+ * deterministic and need no network access or model files.
+ */
+export default class NLPPipeline {
+  constructor(options = {}) {
+    this.segmenter = options.segmenter || segmenter;
+    this.entityExtractor = options.entityExtractor || entityExtractor;
+    this.kvExtractor = options.kvExtractor || keyValueExtractor;
+    this.relationshipExtractor = options.relationshipExtractor || relationshipExtractor;
+  }
+
+  /**
+   * Runs the pipeline over extracted document text
+   * @param {string} text - Normalized document text
+   * @param {string} documentType - Document type identifier
+   * @returns {Promise<Object>} - { sections, entities, keyValuePairs, relationships }
+   */
+  async process(text, documentType) {
+    // 1. Segment text into sections
+    const sections = this.segmenter.segment(text, documentType);
+
+    // 2. Extract entities from each section, keeping spans relative to the full text
+    const entities = {};
+    for (const [sectionName, section] of Object.entries(sections)) {
+      entities[sectionName] = await this.entityExtractor.extract(section.text, section.start);
+    }
+
+    // 3. Extract key-value pairs
+    const keyValuePairs = this.kvExtractor.extract(text);
+
+    // 4. Identify relationships
+    const relationships = this.relationshipExtractor.extract(entities);
+
+    return {
+      sections,
+      entities,
+      keyValuePairs,
+      relationships
+    };
+  }
+}
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import NLPPipeline from './NLPPipeline.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const describe = relationship => `${relationship.type}: ${relationship.source.text} -> ${relationship.target.text}`;
+
+test('links the estimates and areas of a VCS project description', async () => {
+  const result = await new NLPPipeline().process(fixture('vcs-project-description.txt'), 'project-design-document');
+
+  assert.deepEqual(result.relationships.map(describe), [
+    'area-in-country: 64,500 hectares -> Indonesia',
+    'estimate-for-period: 3.75 million tCO2e -> crediting period runs from 01/03/2021 to 28/02/2051'
+  ]);
+});
+
+test('links the total of a Gold Standard PDD to its crediting period', async () => {
+  const result = await new NLPPipeline().process(fixture('gold-standard-pdd.txt'), 'project-design-document');
+
+  assert.deepEqual(result.relationships.map(describe), [
+    'estimate-for-period: 240,000 tCO2e -> Crediting period: 15/03/2022 to 14/03/2027'
+  ]);
+  assert.equal(result.keyValuePairs.find(pair => pair.key === 'name').value, 'Improved Cookstoves for Rural Households in Malawi');
+});
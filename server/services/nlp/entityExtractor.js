@@ -0,0 +1,198 @@
+/**
+ * Regex and gazetteer based entity recognition for carbon project documents
+ */
+
+import { parseDate, parseNumber, normalizeMethodologyId } from './normalizers.js';
+import { COUNTRIES, AMBIGUOUS_COUNTRIES, EMISSION_UNITS, AREA_UNITS } from './gazetteers.js';
+import { METHODOLOGIES } from '../../../shared/methodologies.js';
+
+const KNOWN_METHODOLOGY_IDS = METHODOLOGIES.map(m => m.id);
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_PATTERN = new RegExp([
+  '\\b\\d{4}-\\d{1,2}-\\d{1,2}\\b',
+  '\\b\\d{1,2}[/.]\\d{1,2}[/.]\\d{4}\\b',
+  `\\b\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH},?\\s+\\d{4}\\b`,
+  `\\b${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}\\b`
+].join('|'), 'gi');
+
+const METHODOLOGY_PATTERN = /\b(VM\d{4}|VMR\d{4}|ACM\d{4}|AM\d{4}|AMS-[IV]{1,3}\.[A-Z]{1,3}|(?:GS[- ])?TPDDTEC|(?:GS[- ])?CMP)\b(?:,?\s*(?:v|ver\.?|version)\s*(\d+(?:\.\d+)*))?/gi;
+
+// Plain numbers with optional thousands separators and scale words
+const NUMBER = '\\d{1,3}(?:[,\\u00a0\\u202f ]\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+const SCALE = '(?:\\s*(?:thousand|million|billion|mn|k|m)\\b)?';
+const ANNUAL = '(?:\\s*(?:per\\s+year|per\\s+annum|annually|p\\.a\\.|/\\s*y(?:ea)?r|yr-1|y-1))';
+
+const unitAlternation = units => units.map(unit => unit.pattern).join('|');
+
+const EMISSION_PATTERN = new RegExp(
+  `(?<![\\w.])(${NUMBER})(${SCALE})\\s*(${unitAlternation(EMISSION_UNITS)})(?![a-z])(${ANNUAL})?`,
+  'gi'
+);
+const AREA_PATTERN = new RegExp(`(?<![\\w.])(${NUMBER})(${SCALE})\\s*(${unitAlternation(AREA_UNITS)})(?![a-z])`, 'gi');
+
+const COUNTRY_ENTRIES = COUNTRIES
+  .flatMap(([name, ...aliases]) => [name, ...aliases].map(alias => ({ alias, name })))
+  .sort((a, b) => b.alias.length - a.alias.length);
+const COUNTRY_BY_ALIAS = new Map(COUNTRY_ENTRIES.map(entry => [entry.alias, entry.name]));
+const COUNTRY_PATTERN = new RegExp(
+  `(?<![\\w])(${COUNTRY_ENTRIES.map(entry => escapeRegExp(entry.alias)).join('|')})(?![\\w])`,
+  'g'
+);
+
+const CREDITING_PERIOD_PATTERN = /crediting period/gi;
+// How far after "crediting period" to look for its dates or length
+const CREDITING_PERIOD_WINDOW = 250;
+const PERIOD_LENGTH_PATTERN = /(\d{1,3})[- ]?(?:years?|yrs?)\b/i;
+const RENEWABLE_PATTERN = /\brenew(?:able|ed|al)\b(?!\s+energy)/i;
+
+// Wording around a quantity that marks it as a total rather than a yearly or partial figure
+const TOTAL_CONTEXT_PATTERN = /\b(?:total|in total|cumulative|over the (?:entire |first |whole )?(?:crediting|project) (?:period|lifetime))\b/i;
+const TOTAL_CONTEXT_CHARS = 60;
+
+const findUnit = (units, text) => units.find(unit => new RegExp(`^(?:${unit.pattern})$`, 'i').test(text));
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+export function extractMethodologies(text, offset = 0) {
+  return [...text.matchAll(METHODOLOGY_PATTERN)].map((match) => {
+    const value = normalizeMethodologyId(match[1]);
+    return {
+      text: match[0],
+      value,
+      version: match[2] || null,
+      start: offset + match.index,
+      end: offset + match.index + match[0].length,
+      confidence: KNOWN_METHODOLOGY_IDS.includes(value) ? 0.95 : 0.75
+    };
+  });
+}
+
+export function extractDates(text, offset = 0) {
+  return [...text.matchAll(DATE_PATTERN)]
+    .map(match => ({
+      text: match[0],
+      value: parseDate(match[0]),
+      start: offset + match.index,
+      end: offset + match.index + match[0].length,
+      confidence: 0.9
+    }))
+    .filter(date => date.value);
+}
+
+const addYears = (isoDate, years) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCFullYear(date.getUTCFullYear() + years);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+};
+
+export function extractCreditingPeriods(text, offset = 0) {
+  const periods = [];
+
+  for (const match of text.matchAll(CREDITING_PERIOD_PATTERN)) {
+    const windowEnd = Math.min(match.index + CREDITING_PERIOD_WINDOW, text.length);
+    // Stop at the next mention so each period only claims its own dates
+    const nextMention = text.slice(match.index + match[0].length, windowEnd).search(CREDITING_PERIOD_PATTERN);
+    const end = nextMention === -1 ? windowEnd : match.index + match[0].length + nextMention;
+    const window = text.slice(match.index, end);
+
+    const dates = extractDates(window);
+    const before = text.slice(Math.max(match.index - 40, 0), match.index);
+    // Lengths are written either way round: "10-year crediting period", "crediting period of 10 years"
+    const length = window.match(PERIOD_LENGTH_PATTERN) || before.match(PERIOD_LENGTH_PATTERN);
+    const years = length ? Number(length[1]) : null;
+
+    if (dates.length === 0 && !years) continue;
+
+    const startDate = dates[0]?.value || null;
+    let endDate = dates[1]?.value || null;
+    if (startDate && !endDate && years) {
+      endDate = addYears(startDate, years);
+    }
+
+    const spanEnd = dates.length ? dates[Math.min(dates.length, 2) - 1].end : match[0].length;
+    periods.push({
+      text: window.slice(0, spanEnd),
+      startDate,
+      endDate,
+      years,
+      renewable: RENEWABLE_PATTERN.test(window) || /renewable\s*$/i.test(before),
+      start: offset + match.index,
+      end: offset + match.index + spanEnd,
+      confidence: startDate && endDate ? 0.85 : 0.6
+    });
+  }
+
+  return periods;
+}
+
+const extractQuantities = (text, offset, pattern, units) => [...text.matchAll(pattern)]
+  .map((match) => {
+    const amount = parseNumber(`${match[1]}${match[2]}`);
+    const unit = findUnit(units, match[3]);
+    return {
+      match,
+      amount: amount === null || !unit ? null : amount * unit.factor
+    };
+  })
+  .filter(({ amount }) => amount !== null);
+
+export function extractEmissionReductions(text, offset = 0) {
+  return extractQuantities(text, offset, EMISSION_PATTERN, EMISSION_UNITS).map(({ match, amount }) => ({
+    text: match[0],
+    value: round(amount),
+    unit: 'tCO2e',
+    annual: Boolean(match[4]),
+    total: !match[4] && TOTAL_CONTEXT_PATTERN.test(
+      text.slice(Math.max(match.index - TOTAL_CONTEXT_CHARS, 0), match.index + match[0].length + TOTAL_CONTEXT_CHARS)
+    ),
+    start: offset + match.index,
+    end: offset + match.index + match[0].length,
+    // Bare "ERs"/"VCUs" counts are more often table references than totals
+    confidence: /^(?:ers|vcus|vers)$/i.test(match[3]) ? 0.6 : 0.85
+  }));
+}
+
+export function extractAreas(text, offset = 0) {
+  return extractQuantities(text, offset, AREA_PATTERN, AREA_UNITS).map(({ match, amount }) => ({
+    text: match[0],
+    value: round(amount),
+    unit: 'ha',
+    start: offset + match.index,
+    end: offset + match.index + match[0].length,
+    confidence: /^ha$/i.test(match[3]) ? 0.75 : 0.85
+  }));
+}
+
+export function extractCountries(text, offset = 0) {
+  return [...text.matchAll(COUNTRY_PATTERN)].map((match) => {
+    const value = COUNTRY_BY_ALIAS.get(match[1]);
+    return {
+      text: match[0],
+      value,
+      start: offset + match.index,
+      end: offset + match.index + match[0].length,
+      confidence: AMBIGUOUS_COUNTRIES.includes(value) ? 0.5 : 0.8
+    };
+  });
+}
+
+/**
+ * Extracts every supported entity type from a block of text
+ * @param {string} text - Text to scan, usually one section
+ * @param {number} [offset] - Position of the text within the full document, added to spans
+ * @returns {Object} - { methodologies, dates, creditingPeriods, emissionReductions, areas, countries }
+ */
+export function extract(text, offset = 0) {
+  return {
+    methodologies: extractMethodologies(text, offset),
+    dates: extractDates(text, offset),
+    creditingPeriods: extractCreditingPeriods(text, offset),
+    emissionReductions: extractEmissionReductions(text, offset),
+    areas: extractAreas(text, offset),
+    countries: extractCountries(text, offset)
+  };
+}
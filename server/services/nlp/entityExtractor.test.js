@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { extract, extractDates, extractEmissionReductions } from './entityExtractor.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+test('finds the entities of a VCS project description', () => {
+  const text = fixture('vcs-project-description.txt');
+  const entities = extract(text);
+
+  assert.deepEqual(entities.methodologies.map(m => [m.value, m.version]), [['VM0007', '1.6'], ['VM0007', null]]);
+  assert.deepEqual(entities.countries.map(c => c.value), ['Indonesia', 'Indonesia']);
+  assert.deepEqual(entities.areas.map(a => [a.value, a.unit]), [[64500, 'ha']]);
+
+  assert.equal(entities.creditingPeriods.length, 1);
+  const [period] = entities.creditingPeriods;
+  assert.equal(period.startDate, '2021-03-01');
+  assert.equal(period.endDate, '2051-02-28');
+  assert.equal(period.years, 30);
+  assert.equal(period.renewable, true);
+
+  assert.deepEqual(
+    entities.emissionReductions.map(q => ({ value: q.value, annual: q.annual, total: q.total })),
+    [{ value: 125000, annual: true, total: false }, { value: 3750000, annual: false, total: true }]
+  );
+  [...entities.areas, ...entities.emissionReductions].forEach(entity => assert.equal(text.slice(entity.start, entity.end), entity.text));
+});
+
+test('finds the entities of a Gold Standard PDD', () => {
+  const entities = extract(fixture('gold-standard-pdd.txt'));
+
+  assert.deepEqual(entities.methodologies.map(m => m.value), ['GS-TPDDTEC']);
+  assert.deepEqual(entities.dates.map(d => d.value), ['2022-03-15', '2022-01-10', '2022-03-15', '2027-03-14']);
+  assert.deepEqual(entities.creditingPeriods.map(p => [p.startDate, p.endDate, p.renewable]), [['2022-03-15', '2027-03-14', false]]);
+  assert.deepEqual(entities.emissionReductions.map(q => [q.value, q.total]), [[240000, true]]);
+});
+
+test('spans are relative to the full document when an offset is given', () => {
+  const [date] = extractDates('Started on 2021-03-01.', 100);
+  assert.deepEqual([date.value, date.start, date.end], ['2021-03-01', 111, 121]);
+});
+
+test('converts emission units to tonnes', () => {
+  assert.deepEqual(extractEmissionReductions('1.2 MtCO2e and 450 ktCO2e').map(q => q.value), [1200000, 450000]);
+});
@@ -0,0 +1,62 @@
+/**
+ * Static word lists used by the entity extractor
+ */
+
+// Country names as they appear in registry documents; aliases map to the first name
+export const COUNTRIES = [
+  ['Afghanistan'], ['Albania'], ['Algeria'], ['Andorra'], ['Angola'], ['Antigua and Barbuda'], ['Argentina'],
+  ['Armenia'], ['Australia'], ['Austria'], ['Azerbaijan'], ['Bahamas'], ['Bahrain'], ['Bangladesh'], ['Barbados'],
+  ['Belarus'], ['Belgium'], ['Belize'], ['Benin'], ['Bhutan'], ['Bolivia', 'Plurinational State of Bolivia'],
+  ['Bosnia and Herzegovina'], ['Botswana'], ['Brazil', 'Brasil'], ['Brunei', 'Brunei Darussalam'], ['Bulgaria'],
+  ['Burkina Faso'], ['Burundi'], ['Cabo Verde', 'Cape Verde'], ['Cambodia'], ['Cameroon'], ['Canada'],
+  ['Central African Republic'], ['Chad'], ['Chile'], ['China', "People's Republic of China", 'PR China'],
+  ['Colombia'], ['Comoros'], ['Congo', 'Republic of the Congo'],
+  ['Democratic Republic of the Congo', 'DR Congo', 'DRC'], ['Costa Rica'], ["Côte d'Ivoire", "Cote d'Ivoire", 'Ivory Coast'],
+  ['Croatia'], ['Cuba'], ['Cyprus'], ['Czechia', 'Czech Republic'], ['Denmark'], ['Djibouti'], ['Dominica'],
+  ['Dominican Republic'], ['Ecuador'], ['Egypt'], ['El Salvador'], ['Equatorial Guinea'], ['Eritrea'], ['Estonia'],
+  ['Eswatini', 'Swaziland'], ['Ethiopia'], ['Fiji'], ['Finland'], ['France'], ['Gabon'], ['Gambia', 'The Gambia'],
+  ['Georgia'], ['Germany'], ['Ghana'], ['Greece'], ['Grenada'], ['Guatemala'], ['Guinea'], ['Guinea-Bissau'],
+  ['Guyana'], ['Haiti'], ['Honduras'], ['Hungary'], ['Iceland'], ['India'], ['Indonesia'], ['Iran'], ['Iraq'],
+  ['Ireland'], ['Israel'], ['Italy'], ['Jamaica'], ['Japan'], ['Jordan'], ['Kazakhstan'], ['Kenya'], ['Kiribati'],
+  ['Kuwait'], ['Kyrgyzstan'], ['Laos', "Lao People's Democratic Republic", 'Lao PDR'], ['Latvia'], ['Lebanon'],
+  ['Lesotho'], ['Liberia'], ['Libya'], ['Liechtenstein'], ['Lithuania'], ['Luxembourg'], ['Madagascar'], ['Malawi'],
+  ['Malaysia'], ['Maldives'], ['Mali'], ['Malta'], ['Marshall Islands'], ['Mauritania'], ['Mauritius'], ['Mexico'],
+  ['Micronesia'], ['Moldova'], ['Monaco'], ['Mongolia'], ['Montenegro'], ['Morocco'], ['Mozambique'],
+  ['Myanmar', 'Burma'], ['Namibia'], ['Nauru'], ['Nepal'], ['Netherlands'], ['New Zealand'], ['Nicaragua'],
+  ['Niger'], ['Nigeria'], ['North Korea'], ['North Macedonia'], ['Norway'], ['Oman'], ['Pakistan'], ['Palau'],
+  ['Panama'], ['Papua New Guinea'], ['Paraguay'], ['Peru'], ['Philippines'], ['Poland'], ['Portugal'], ['Qatar'],
+  ['Romania'], ['Russia', 'Russian Federation'], ['Rwanda'], ['Saint Kitts and Nevis'], ['Saint Lucia'],
+  ['Saint Vincent and the Grenadines'], ['Samoa'], ['San Marino'], ['Sao Tome and Principe'], ['Saudi Arabia'],
+  ['Senegal'], ['Serbia'], ['Seychelles'], ['Sierra Leone'], ['Singapore'], ['Slovakia'], ['Slovenia'],
+  ['Solomon Islands'], ['Somalia'], ['South Africa'], ['South Korea', 'Republic of Korea'], ['South Sudan'],
+  ['Spain'], ['Sri Lanka'], ['Sudan'], ['Suriname'], ['Sweden'], ['Switzerland'], ['Syria'], ['Tajikistan'],
+  ['Tanzania', 'United Republic of Tanzania'], ['Thailand'], ['Timor-Leste', 'East Timor'], ['Togo'], ['Tonga'],
+  ['Trinidad and Tobago'], ['Tunisia'], ['Türkiye', 'Turkey'], ['Turkmenistan'], ['Tuvalu'], ['Uganda'], ['Ukraine'],
+  ['United Arab Emirates', 'UAE'], ['United Kingdom', 'UK', 'Great Britain'],
+  ['United States', 'United States of America', 'USA', 'U.S.'], ['Uruguay'], ['Uzbekistan'], ['Vanuatu'],
+  ['Venezuela'], ['Viet Nam', 'Vietnam'], ['Yemen'], ['Zambia'], ['Zimbabwe']
+];
+
+// Country names that are also common words, US states or person names
+export const AMBIGUOUS_COUNTRIES = ['Chad', 'Georgia', 'Jordan', 'Guinea', 'Niger', 'Congo', 'Turkey', 'Mali'];
+
+// Phrases that denote an amount of CO2 equivalent, with the factor that converts to tonnes
+export const EMISSION_UNITS = [
+  { pattern: 'mt ?co2-?e(?:q)?', factor: 1e6 },
+  { pattern: 'kt ?co2-?e(?:q)?', factor: 1e3 },
+  { pattern: 't ?co2-?e(?:q)?', factor: 1 },
+  { pattern: 'tco₂e', factor: 1 },
+  { pattern: 'tonnes? (?:of )?co2[ -]?e(?:q(?:uivalent)?)?', factor: 1 },
+  { pattern: 'tonnes? (?:of )?carbon dioxide equivalent', factor: 1 },
+  { pattern: 'metric tons? (?:of )?co2[ -]?e(?:q(?:uivalent)?)?', factor: 1 },
+  { pattern: 'vcus', factor: 1 },
+  { pattern: 'vers', factor: 1 },
+  { pattern: 'ers', factor: 1 }
+];
+
+export const AREA_UNITS = [
+  { pattern: 'hectares?', factor: 1 },
+  { pattern: 'ha', factor: 1 },
+  { pattern: 'km2|km²|square kilomet(?:re|er)s?', factor: 100 },
+  { pattern: 'acres?', factor: 0.404686 }
+];
@@ -0,0 +1,81 @@
+/**
+ * Label-based key-value extraction ("Project start date: 1 January 2021")
+ */
+
+// Canonical keys and the labels documents use for them, most specific first
+const LABEL_ALIASES = {
+  name: ['project name', 'project title', 'title of the project', 'name of the project', 'name of project'],
+  description: ['summary description of the project', 'project description', 'summary description', 'project summary'],
+  projectType: ['project type', 'type of project', 'project category', 'project activity type'],
+  targetStandard: ['ghg program', 'carbon standard', 'standard', 'program'],
+  methodologyId: ['applied methodology', 'methodology reference', 'methodology id', 'methodology'],
+  country: ['host country', 'project country', 'country'],
+  region: ['state/province', 'province', 'region', 'state', 'district'],
+  coordinates: ['geographic coordinates', 'gps coordinates', 'coordinates', 'geo-coordinates'],
+  latitude: ['latitude'],
+  longitude: ['longitude'],
+  startDate: ['project start date', 'start date of the project', 'crediting period start date', 'start of crediting period', 'start date'],
+  endDate: ['crediting period end date', 'end of crediting period', 'project end date', 'end date'],
+  estimatedCredits: [
+    'total estimated emission reductions',
+    'total estimated ghg emission reductions',
+    'estimated emission reductions',
+    'total estimated reductions',
+    'estimated credits',
+    'total ers'
+  ]
+};
+
+const LABEL_LOOKUP = Object.entries(LABEL_ALIASES)
+  .flatMap(([key, labels]) => labels.map(label => ({ key, label })))
+  .sort((a, b) => b.label.length - a.label.length);
+
+// An exact label match is very likely correct; a label that only starts with an alias less so
+const EXACT_CONFIDENCE = 0.9;
+const PREFIX_CONFIDENCE = 0.7;
+
+const LINE_PATTERN = /^[ \t]*(?:\d+(?:\.\d+)*\.?\s+)?([A-Za-z][A-Za-z0-9 ()/&'’-]{1,80}?)[ \t]*(?::|\s[–-])[ \t]*(\S[^\n]*)$/gm;
+
+// Labels written in capitals are document titles ("PROJECT DESCRIPTION: VCS Version 4.2"), not fields
+const isTitle = label => /[A-Z]{2}/.test(label) && label === label.toUpperCase();
+
+export function matchLabel(rawLabel) {
+  const label = rawLabel.toLowerCase().replace(/\s+/g, ' ').replace(/\s*\(.*?\)\s*/g, ' ').trim();
+
+  const exact = LABEL_LOOKUP.find(entry => entry.label === label);
+  if (exact) {
+    return { key: exact.key, confidence: EXACT_CONFIDENCE };
+  }
+
+  const prefix = LABEL_LOOKUP.find(entry => label.startsWith(`${entry.label} `));
+  return prefix ? { key: prefix.key, confidence: PREFIX_CONFIDENCE } : null;
+}
+
+/**
+ * Finds labelled values line by line
+ * @param {string} text - Normalized document text
+ * @returns {Array<Object>} - { key, label, value, start, end, confidence }
+ */
+export function extract(text) {
+  const pairs = [];
+
+  for (const match of text.matchAll(LINE_PATTERN)) {
+    const [line, rawLabel, rawValue] = match;
+    const matched = !isTitle(rawLabel) && matchLabel(rawLabel);
+    if (!matched) continue;
+
+    const value = rawValue.trim();
+    const start = match.index + line.lastIndexOf(rawValue);
+
+    pairs.push({
+      key: matched.key,
+      label: rawLabel.trim(),
+      value,
+      start,
+      end: start + value.length,
+      confidence: matched.confidence
+    });
+  }
+
+  return pairs;
+}
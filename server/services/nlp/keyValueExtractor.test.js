@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { extract, matchLabel } from './keyValueExtractor.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const values = pairs => Object.fromEntries(pairs.map(pair => [pair.key, pair.value]));
+
+test('reads the labelled fields of a VCS project description', () => {
+  const text = fixture('vcs-project-description.txt');
+  const pairs = extract(text);
+
+  assert.deepEqual(values(pairs), {
+    name: 'Rimba Raya Peat Forest Conservation',
+    country: 'Indonesia',
+    startDate: '1 March 2021',
+    targetStandard: 'Verra (VCS)',
+    methodologyId: 'VM0007, v1.6',
+    coordinates: '2°15\'30"S, 112°20\'45"E'
+  });
+  pairs.forEach(pair => assert.equal(text.slice(pair.start, pair.end), pair.value));
+});
+
+test('reads the labelled fields of a Gold Standard PDD', () => {
+  assert.deepEqual(values(extract(fixture('gold-standard-pdd.txt'))), {
+    name: 'Improved Cookstoves for Rural Households in Malawi',
+    projectType: 'Energy efficiency - domestic',
+    country: 'Malawi',
+    startDate: 'March 15, 2022',
+    estimatedCredits: '240,000 tCO2e'
+  });
+});
+
+test('title lines in capitals are not read as labels', () => {
+  assert.deepEqual(extract('PROJECT DESCRIPTION: VCS Version 4.2\nGOLD STANDARD PROJECT DESIGN DOCUMENT'), []);
+});
+
+test('labels with a trailing qualifier match with less confidence', () => {
+  assert.deepEqual(matchLabel('Project Name'), { key: 'name', confidence: 0.9 });
+  assert.deepEqual(matchLabel('Project start date of the activity'), { key: 'startDate', confidence: 0.7 });
+  assert.equal(matchLabel('Project proponent'), null);
+});
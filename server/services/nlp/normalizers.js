@@ -0,0 +1,120 @@
+import { METHODOLOGIES } from '../../../shared/methodologies.js';
+
+/**
+ * Value normalizers shared by the extractors
+ */
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11
+};
+
+const toIsoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Parses the date formats found in PD/PDD documents into YYYY-MM-DD.
+ * Numeric dates are read day-first, as in most registry documents.
+ * @param {string} input - Raw date text
+ * @returns {string|null} - ISO date or null when unparseable
+ */
+export function parseDate(input) {
+  if (!input) return null;
+  const text = String(input).trim();
+  let match;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+    return toIsoDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  if ((match = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})/))) {
+    return toIsoDate(Number(match[3]), Number(match[2]) - 1, Number(match[1]));
+  }
+
+  if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})/))) {
+    const month = MONTHS[match[2].slice(0, 4).toLowerCase()] ?? MONTHS[match[2].slice(0, 3).toLowerCase()];
+    return month === undefined ? null : toIsoDate(Number(match[3]), month, Number(match[1]));
+  }
+
+  if ((match = text.match(/^([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/))) {
+    const month = MONTHS[match[1].slice(0, 4).toLowerCase()] ?? MONTHS[match[1].slice(0, 3).toLowerCase()];
+    return month === undefined ? null : toIsoDate(Number(match[3]), month, Number(match[2]));
+  }
+
+  return null;
+}
+
+const MULTIPLIERS = { thousand: 1e3, k: 1e3, million: 1e6, m: 1e6, mn: 1e6, billion: 1e9 };
+
+/**
+ * Parses numbers written with thousands separators or scale words ("1.2 million")
+ * @param {string} input - Raw number text
+ * @returns {number|null}
+ */
+export function parseNumber(input) {
+  if (input === null || input === undefined) return null;
+  if (typeof input === 'number') return Number.isFinite(input) ? input : null;
+
+  const match = String(input).trim().match(/^(-?\d{1,3}(?:[,\s]\d{3})+|-?\d+)(\.\d+)?\s*(thousand|million|billion|mn|k|m)?\b/i);
+  if (!match) return null;
+
+  const value = Number(`${match[1].replace(/[,\s]/g, '')}${match[2] || ''}`);
+  const multiplier = match[3] ? MULTIPLIERS[match[3].toLowerCase()] : 1;
+  return value * multiplier;
+}
+
+/**
+ * Parses "lat, long" pairs in decimal or degree-minute-second notation
+ * @param {string} input - Raw coordinate text
+ * @returns {Object|null} - { latitude, longitude }
+ */
+export function parseCoordinates(input) {
+  if (!input) return null;
+  const text = String(input);
+
+  const decimal = text.match(/(-?\d{1,2}\.\d+)\s*°?\s*([NS])?\s*[,;/ ]\s*(-?\d{1,3}\.\d+)\s*°?\s*([EW])?/i);
+  if (decimal) {
+    const latitude = Number(decimal[1]) * (decimal[2]?.toUpperCase() === 'S' ? -1 : 1);
+    const longitude = Number(decimal[3]) * (decimal[4]?.toUpperCase() === 'W' ? -1 : 1);
+    if (Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+      return { latitude, longitude };
+    }
+  }
+
+  const dms = [...text.matchAll(/(\d{1,3})°\s*(\d{1,2})['′]\s*(?:(\d{1,2}(?:\.\d+)?)["″]\s*)?([NSEW])/gi)];
+  if (dms.length === 2) {
+    const [lat, long] = dms.map(([, deg, min, sec = 0, hemi]) => {
+      const value = Number(deg) + Number(min) / 60 + Number(sec) / 3600;
+      return /[SW]/i.test(hemi) ? -value : value;
+    });
+    return { latitude: Math.round(lat * 1e6) / 1e6, longitude: Math.round(long * 1e6) / 1e6 };
+  }
+
+  return null;
+}
+
+const KNOWN_METHODOLOGY_IDS = METHODOLOGIES.map(m => m.id);
+
+// Methodology identifiers used by Verra, the CDM and Gold Standard
+export const METHODOLOGY_ID_PATTERN = /\b(VM\d{4}|VMR\d{4}|ACM\d{4}|AM\d{4}|AMS-[IV]{1,3}\.[A-Z]{1,3}|(?:GS[- ])?TPDDTEC|(?:GS[- ])?CMP)\b/i;
+
+/**
+ * Normalizes a methodology reference ("GS TPDDTEC v3.1") to its registry id
+ * @param {string} input - Raw methodology text
+ * @returns {string|null} - Methodology id, e.g. GS-TPDDTEC
+ */
+export function normalizeMethodologyId(input) {
+  const match = String(input).match(METHODOLOGY_ID_PATTERN);
+  if (!match) return null;
+
+  const id = match[1].toUpperCase().replace(/^GS /, 'GS-');
+  const gsId = `GS-${id}`;
+  if (!KNOWN_METHODOLOGY_IDS.includes(id) && KNOWN_METHODOLOGY_IDS.includes(gsId)) {
+    return gsId;
+  }
+  return id;
+}
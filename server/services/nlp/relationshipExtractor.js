@@ -0,0 +1,45 @@
+/**
+ * Links entities found in the same section
+ */
+
+// Emission totals further than this from a crediting period mention are not tied to it
+const MAX_LINK_DISTANCE = 600;
+
+const distance = (a, b) => Math.max(a.start - b.end, b.start - a.end, 0);
+
+const nearest = (entity, candidates) => candidates
+  .map(candidate => ({ candidate, gap: distance(entity, candidate) }))
+  .filter(({ gap }) => gap <= MAX_LINK_DISTANCE)
+  .sort((a, b) => a.gap - b.gap)[0]?.candidate;
+
+/**
+ * Builds relationships between entities of each section
+ * @param {Object} entities - { [sectionName]: entity lists } from the entity extractor
+ * @returns {Array<Object>} - { type, section, source, target }
+ */
+export function extract(entities) {
+  const relationships = [];
+
+  const allPeriods = Object.values(entities).flatMap(found => found.creditingPeriods);
+
+  for (const [section, found] of Object.entries(entities)) {
+    // Totals reported alongside a crediting period are the estimate for that period; totals
+    // described as such ("over the crediting period") refer to the document's main period
+    for (const quantity of found.emissionReductions.filter(q => !q.annual)) {
+      const period = nearest(quantity, found.creditingPeriods) || (quantity.total ? allPeriods[0] : null);
+      if (period) {
+        relationships.push({ type: 'estimate-for-period', section, source: quantity, target: period });
+      }
+    }
+
+    // An area mentioned next to a country is most likely the project site
+    for (const area of found.areas) {
+      const country = nearest(area, found.countries);
+      if (country) {
+        relationships.push({ type: 'area-in-country', section, source: area, target: country });
+      }
+    }
+  }
+
+  return relationships;
+}
@@ -0,0 +1,157 @@
+/**
+ * Splits PD/PDD style documents into sections by their headings
+ */
+
+// Canonical section keys and the headings Verra, Gold Standard and registry templates use for them
+const SECTION_HEADINGS = {
+  projectDetails: ['project details', 'description of project', 'description of the project activity', 'project description'],
+  summary: ['summary description of the project', 'purpose and general description', 'executive summary', 'summary'],
+  projectLocation: ['project location', 'location of project', 'location of the project activity', 'project site'],
+  projectProponent: ['project proponent', 'project proponents', 'other entities involved in the project', 'project participants'],
+  projectStartDate: ['project start date', 'start date'],
+  creditingPeriod: ['project crediting period', 'crediting period', 'duration and crediting period', 'duration of the project activity'],
+  safeguards: ['safeguards', 'safeguarding principles assessment', 'safeguarding principles', 'environmental impact', 'no net harm'],
+  stakeholderConsultation: [
+    'stakeholder consultation',
+    'local stakeholder consultation',
+    'local stakeholder consultation and stakeholder feedback',
+    'stakeholder engagement and consultation',
+    'stakeholder engagement',
+    'public comments'
+  ],
+  methodology: [
+    'application of methodology',
+    'application of selected approved gold standard methodology',
+    'application of the selected methodology',
+    'title and reference of methodology',
+    'reference of methodology',
+    'methodology'
+  ],
+  applicability: ['applicability of methodology', 'applicability', 'applicability conditions'],
+  projectBoundary: ['project boundary', 'boundary'],
+  baseline: ['baseline scenario', 'baseline', 'identification of the baseline scenario', 'baseline emissions'],
+  additionality: ['additionality', 'demonstration of additionality'],
+  methodologyDeviations: ['methodology deviations'],
+  quantification: [
+    'quantification of ghg emission reductions and removals',
+    'quantification of emission reductions',
+    'estimated emission reductions',
+    'net ghg emission reductions and removals',
+    'emission reductions',
+    'ex ante estimation of emission reductions'
+  ],
+  projectEmissions: ['project emissions'],
+  leakage: ['leakage', 'leakage emissions'],
+  monitoring: ['monitoring', 'monitoring plan', 'monitoring approach', 'data and parameters monitored', 'monitoring system'],
+  monitoringPeriod: ['monitoring period', 'monitoring period number and duration'],
+  implementationStatus: ['implementation status', 'implementation status of the project'],
+  sdgContributions: ['sustainable development goals', 'sdg outcomes', 'sdg contributions', 'contribution to sustainable development'],
+  financial: ['financial analysis', 'investment analysis', 'project financing', 'economic analysis'],
+  technical: ['technical description', 'technology employed', 'technologies and measures', 'technical feasibility']
+};
+
+// Headings most likely to appear in each document type, checked before the general list
+const DOCUMENT_TYPE_SECTIONS = {
+  'project-design-document': ['projectDetails', 'summary', 'methodology', 'quantification', 'monitoring', 'safeguards'],
+  'baseline-study': ['baseline', 'additionality', 'quantification'],
+  'feasibility-report': ['technical', 'financial', 'summary'],
+  'monitoring-report': ['monitoringPeriod', 'implementationStatus', 'monitoring', 'quantification']
+};
+
+// Text before the first recognized heading
+export const PREAMBLE = 'preamble';
+
+const normalizeHeading = heading => heading
+  .toLowerCase()
+  .replace(/[’']/g, '')
+  .replace(/[^a-z0-9 ]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const HEADING_LOOKUP = Object.entries(SECTION_HEADINGS)
+  .flatMap(([key, headings]) => headings.map(heading => ({ key, heading })));
+
+/*
+ * Heading lines are short and either numbered ("3.4 Baseline Scenario", "B.5. Additionality",
+ * "Section 4") or written in capitals. Anything ending in a full stop is treated as a sentence.
+ */
+const NUMBERED_HEADING = /^[ \t]*(?:section\s+)?((?:[A-H]|\d{1,2})(?:\.\d{1,2}){0,3})\.?[ \t]+([A-Za-z][^\n]{1,100}?)[ \t]*$/i;
+const CAPITALIZED_HEADING = /^[ \t]*([A-Z][A-Z0-9 ,&/()'’-]{3,100}?)[ \t]*$/;
+
+const matchHeading = (title, documentType) => {
+  const normalized = normalizeHeading(title);
+  const preferred = DOCUMENT_TYPE_SECTIONS[documentType] || [];
+
+  const matches = HEADING_LOOKUP.filter(entry => entry.heading === normalized);
+  const match = matches.find(entry => preferred.includes(entry.key)) || matches[0];
+  if (match) return match.key;
+
+  // Template headings often carry a trailing qualifier ("Baseline Scenario (B.4)")
+  const prefix = HEADING_LOOKUP
+    .filter(entry => normalized.startsWith(`${entry.heading} `))
+    .sort((a, b) => b.heading.length - a.heading.length)[0];
+  return prefix ? prefix.key : null;
+};
+
+const parseHeadingLine = (line) => {
+  if (line.length > 120 || /[.;:]\s*$/.test(line)) return null;
+
+  const numbered = line.match(NUMBERED_HEADING);
+  if (numbered && !/^\d+(?:\.\d+)?\s*(?:%|t|ha|km|mw|kw|years?)\b/i.test(`${numbered[1]} ${numbered[2]}`)) {
+    return { number: numbered[1], title: numbered[2] };
+  }
+
+  const capitalized = line.match(CAPITALIZED_HEADING);
+  if (capitalized && /[A-Z]{3}/.test(capitalized[1])) {
+    return { number: null, title: capitalized[1] };
+  }
+  return null;
+};
+
+/**
+ * Segments text into named sections
+ * @param {string} text - Normalized document text
+ * @param {string} [documentType] - Document type identifier, used to break heading ties
+ * @returns {Object} - { [sectionKey]: { heading, number, start, end, text } } in document order
+ */
+export function segment(text, documentType) {
+  const headings = [];
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    const parsed = parseHeadingLine(line);
+    const key = parsed && matchHeading(parsed.title, documentType);
+    if (key) {
+      headings.push({ key, heading: line.trim(), number: parsed.number, start: offset, bodyStart: offset + line.length + 1 });
+    }
+    offset += line.length + 1;
+  }
+
+  const sections = {};
+  const addSection = (key, section) => {
+    let name = key;
+    for (let i = 2; sections[name]; i += 1) {
+      name = `${key}_${i}`;
+    }
+    sections[name] = section;
+  };
+
+  const firstStart = headings.length ? headings[0].start : text.length;
+  if (text.slice(0, firstStart).trim()) {
+    addSection(PREAMBLE, { heading: null, number: null, start: 0, end: firstStart, text: text.slice(0, firstStart) });
+  }
+
+  headings.forEach((heading, index) => {
+    const end = index + 1 < headings.length ? headings[index + 1].start : text.length;
+    const start = Math.min(heading.bodyStart, end);
+    addSection(heading.key, {
+      heading: heading.heading,
+      number: heading.number,
+      start,
+      end,
+      text: text.slice(start, end)
+    });
+  });
+
+  return sections;
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { segment, PREAMBLE } from './segmenter.js';
+
+const fixture = name => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+test('splits a VCS project description by its numbered headings', () => {
+  const text = fixture('vcs-project-description.txt');
+  const sections = segment(text, 'project-design-document');
+
+  assert.deepEqual(Object.keys(sections), [
+    PREAMBLE,
+    'projectDetails',
+    'summary',
+    'projectLocation',
+    'creditingPeriod',
+    'methodology',
+    'methodology_2',
+    'quantification'
+  ]);
+  assert.equal(sections.summary.number, '1.1');
+  assert.match(sections.summary.text, /^The project protects 64,500 hectares/);
+  Object.values(sections).forEach(section => assert.equal(text.slice(section.start, section.end), section.text));
+});
+
+test('recognizes lettered and capitalized Gold Standard headings', () => {
+  const sections = segment(fixture('gold-standard-pdd.txt'), 'project-design-document');
+
+  assert.deepEqual(Object.keys(sections), [PREAMBLE, 'summary', 'methodology', 'additionality', 'stakeholderConsultation']);
+  assert.equal(sections.methodology.number, 'B.1');
+  assert.equal(sections.stakeholderConsultation.heading, 'E. LOCAL STAKEHOLDER CONSULTATION');
+});
+
+test('sentences and quantities are not headings', () => {
+  const sections = segment('Introduction text.\n12 ha of the area is degraded\nThe baseline is described below.\n');
+  assert.deepEqual(Object.keys(sections), [PREAMBLE]);
+});
@@ -0,0 +1,55 @@
+import { NOTIFICATION_TYPE_LABELS } from '../../../shared/notifications.js';
+
+const escapeHtml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Renders one user's daily digest email, grouped by notification type
+ * @param {Object} user - Recipient with name
+ * @param {Array} notifications - Notifications oldest first
+ * @param {string} appUrl - Base URL of the web client, for links
+ * @returns {Object} - { subject, text, html }
+ */
+export function renderDigest(user, notifications, appUrl) {
+  const groups = Object.entries(NOTIFICATION_TYPE_LABELS)
+    .map(([type, label]) => ({ label, items: notifications.filter(n => n.type === type) }))
+    .filter(group => group.items.length > 0);
+
+  const count = notifications.length;
+  const subject = `CNergy daily digest: ${count} update${count === 1 ? '' : 's'}`;
+  const linkOf = notification => (notification.link ? `${appUrl}${notification.link}` : null);
+
+  const text = [
+    `Hello ${user.name},`,
+    '',
+    'Here is what happened in your projects since your last digest.',
+    ...groups.flatMap(group => [
+      '',
+      group.label.toUpperCase(),
+      ...group.items.map(n => [`- ${n.title}`, n.message && `  ${n.message}`, linkOf(n) && `  ${linkOf(n)}`]
+        .filter(Boolean).join('\n'))
+    ]),
+    '',
+    `Change which emails you receive under Notifications: ${appUrl}/notifications`
+  ].join('\n');
+
+  const html = [
+    `<p>Hello ${escapeHtml(user.name)},</p>`,
+    '<p>Here is what happened in your projects since your last digest.</p>',
+    ...groups.map(group => [
+      `<h3>${escapeHtml(group.label)}</h3>`,
+      '<ul>',
+      ...group.items.map((n) => {
+        const title = linkOf(n) ? `<a href="${escapeHtml(linkOf(n))}">${escapeHtml(n.title)}</a>` : escapeHtml(n.title);
+        return `<li>${title}${n.message ? `<br>${escapeHtml(n.message)}` : ''}</li>`;
+      }),
+      '</ul>'
+    ].join('\n')),
+    `<p><small>Change which emails you receive under <a href="${escapeHtml(appUrl)}/notifications">Notifications</a>.</small></p>`
+  ].join('\n');
+
+  return { subject, text, html };
+}
@@ -0,0 +1,171 @@
+import { EventEmitter } from 'events';
+import Notification from '../../models/Notification.js';
+import User from '../../models/User.js';
+import { getMailer } from '../mailer/index.js';
+import { renderDigest } from './digest.js';
+import { resolveNotificationPreferences } from '../../../shared/notifications.js';
+import { canPerformInOrganization } from '../../../shared/permissions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ids may come as ObjectIds or as populated user documents
+const toId = id => String(id?._id ?? id);
+
+// Live delivery to open inbox streams. Subscribers are held in this process,
+// so with several API instances each only reaches its own connections.
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/**
+ * Listens for new in-app notifications for one user
+ * @param {string} userId - Recipient
+ * @param {Function} listener - Called with each notification
+ * @returns {Function} - Unsubscribes the listener
+ */
+export function subscribe(userId, listener) {
+  const channel = `user:${userId}`;
+  events.on(channel, listener);
+  return () => events.off(channel, listener);
+}
+
+/**
+ * Everyone who should hear about a project: its owner, its collaborators and
+ * the admins and owners of its organization
+ * @param {Object} project - Project document
+ * @param {Object} organization - The project's organization
+ * @returns {Array<string>} - User ids
+ */
+export function getProjectAudience(project, organization) {
+  const ids = [
+    project.owner,
+    ...project.collaborators.map(c => c.user),
+    ...(organization?.members || [])
+      .filter(member => canPerformInOrganization(member.role, 'manageProjects'))
+      .map(member => member.user)
+  ];
+  return [...new Set(ids.filter(Boolean).map(toId))];
+}
+
+/**
+ * Stores a notification for each recipient according to their preferences
+ * and pushes it to any open inbox. The acting user is never notified of
+ * their own action.
+ * @param {Object} notification - { type, recipients, actorId, projectId, title, message, link, data }
+ * @returns {Promise<Array>} - Created notifications
+ */
+export async function createNotification({ type, recipients, actorId, projectId, title, message, link, data = {} }) {
+  const recipientIds = [...new Set(recipients.filter(Boolean).map(toId))].filter(id => id !== toId(actorId));
+  if (recipientIds.length === 0) {
+    return [];
+  }
+
+  const users = await User.find({ _id: { $in: recipientIds } }).select('notificationPreferences');
+  const entries = users
+    .map((user) => {
+      const preferences = resolveNotificationPreferences(user.notificationPreferences)[type];
+      return {
+        userId: user._id,
+        type,
+        projectId,
+        title,
+        message,
+        link,
+        data,
+        actor: actorId,
+        inApp: preferences.inApp,
+        emailPending: preferences.email
+      };
+    })
+    .filter(entry => entry.inApp || entry.emailPending);
+
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const created = await Notification.insertMany(entries);
+  created.filter(n => n.inApp).forEach(n => events.emit(`user:${n.userId}`, n.toObject()));
+  return created;
+}
+
+/**
+ * Same as createNotification, but failures are logged instead of thrown so a
+ * notification problem never fails the action that triggered it
+ * @param {Object} notification - See createNotification
+ * @returns {Promise<void>}
+ */
+export async function notify(notification) {
+  try {
+    await createNotification(notification);
+  } catch (error) {
+    console.error(`Error creating ${notification.type} notification:`, error);
+  }
+}
+
+/**
+ * Emails every user with pending email notifications one digest of them
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} - { sent, failed }
+ */
+export async function sendDailyDigests({ now = new Date() } = {}) {
+  const appUrl = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const userIds = await Notification.distinct('userId', { emailPending: true });
+  let sent = 0;
+  let failed = 0;
+
+  for (const userId of userIds) {
+    const [user, pending] = await Promise.all([
+      User.findById(userId),
+      Notification.find({ userId, emailPending: true, createdAt: { $lte: now } }).sort({ createdAt: 1 })
+    ]);
+
+    if (!user || pending.length === 0) {
+      continue;
+    }
+
+    try {
+      const { subject, text, html } = renderDigest(user, pending, appUrl);
+      await getMailer().send({ to: user.email, subject, text, html });
+      await Notification.updateMany({ _id: { $in: pending.map(n => n._id) } }, { $set: { emailPending: false } });
+      user.lastDigestAt = now;
+      await user.save();
+      sent += 1;
+    } catch (error) {
+      // Left pending, so the next run retries
+      console.error(`Error sending digest to ${user.email}:`, error);
+      failed += 1;
+    }
+  }
+
+  return { sent, failed };
+}
+
+/**
+ * Sends the digests once a day at DIGEST_HOUR_UTC (default 7). Run it on a
+ * single API instance; set EMAIL_DIGESTS=off on the others.
+ * @returns {Function} - Stops the scheduler
+ */
+export function startDigestScheduler() {
+  const hour = Number(process.env.DIGEST_HOUR_UTC ?? 7);
+  let timer = null;
+
+  const schedule = () => {
+    const next = new Date();
+    next.setUTCHours(hour, 0, 0, 0);
+    if (next <= new Date()) {
+      next.setTime(next.getTime() + DAY_MS);
+    }
+
+    timer = setTimeout(async () => {
+      try {
+        const { sent, failed } = await sendDailyDigests();
+        console.log(`Sent ${sent} notification digest(s)${failed ? `, ${failed} failed` : ''}`);
+      } catch (error) {
+        console.error('Error sending notification digests:', error);
+      }
+      schedule();
+    }, next - Date.now());
+  };
+
+  schedule();
+  return () => clearTimeout(timer);
+}
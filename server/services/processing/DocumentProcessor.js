@@ -0,0 +1,71 @@
+import * as pdfProcessor from './processors/pdfProcessor.js';
+import * as docxProcessor from './processors/docxProcessor.js';
+import * as xlsxProcessor from './processors/xlsxProcessor.js';
+import * as textProcessor from './processors/textProcessor.js';
+import * as imageProcessor from './processors/imageProcessor.js';
+import * as schemaMapper from './schemaMapper.js';
+import NLPPipeline from '../nlp/NLPPipeline.js';
+import { UPLOAD_FILE_TYPES } from '../../../shared/documentTypes.js';
+
+const DEFAULT_PROCESSORS = {
+  pdf: pdfProcessor,
+  docx: docxProcessor,
+  xlsx: xlsxProcessor,
+  // SheetJS reads CSV through the same API
+  csv: xlsxProcessor,
+  txt: textProcessor,
+  png: imageProcessor,
+  jpeg: imageProcessor
+};
+
+/**
+ * Core document processor
+ */
+export default class DocumentProcessor {
+  constructor(options = {}) {
+    this.processors = options.processors || DEFAULT_PROCESSORS;
+    this.nlpPipeline = options.nlpPipeline || new NLPPipeline();
+    this.schemaMapper = options.schemaMapper || schemaMapper;
+  }
+
+  // Accepts either an upload type key (pdf, docx, ...) or a MIME type
+  getProcessor(fileType) {
+    const entry = Object.entries(UPLOAD_FILE_TYPES).find(([, type]) => type.mimeTypes.includes(fileType));
+    const processor = this.processors[fileType] || (entry && this.processors[entry[0]]);
+
+    if (!processor) {
+      throw new Error(`Unsupported file type ${fileType}`);
+    }
+    return processor;
+  }
+
+  /**
+   * Main entry point for document processing
+   * @param {Buffer} fileBuffer - File contents
+   * @param {string} fileType - MIME type or upload type key
+   * @param {string} documentType - Document type identifier
+   * @returns {Promise<Object>} - { text, textConfidence, warnings, tables, structuredData, fields }
+   */
+  async processDocument(fileBuffer, fileType, documentType) {
+    // Determine processor based on file type
+    const processor = this.getProcessor(fileType);
+
+    // Extract raw text
+    const { text, confidence, warnings = [], tables } = await processor.extractText(fileBuffer);
+
+    // Process with NLP pipeline
+    const structuredData = await this.nlpPipeline.process(text, documentType);
+
+    // Map to internal schema
+    const { fields } = this.schemaMapper.map(structuredData, documentType, { textConfidence: confidence });
+
+    return {
+      text,
+      textConfidence: confidence,
+      warnings,
+      tables,
+      structuredData,
+      fields
+    };
+  }
+}
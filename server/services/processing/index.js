@@ -0,0 +1,73 @@
+import DocumentProcessor from './DocumentProcessor.js';
+import { getStorage } from '../storage/index.js';
+import { notify } from '../notifications/index.js';
+import { resolveUploadType } from '../../../shared/documentTypes.js';
+
+let processor = null;
+
+export function getDocumentProcessor() {
+  if (!processor) {
+    processor = new DocumentProcessor();
+  }
+  return processor;
+}
+
+// Lets tests swap in their own processor
+export function setDocumentProcessor(instance) {
+  processor = instance;
+}
+
+/**
+ * Runs text extraction for a stored document and records the outcome on
+ * document.extractedData. Failures are recorded rather than thrown. The
+ * uploader is notified either way.
+ * @param {Document} document - Uploaded document with a storage key
+ * @returns {Promise<Document>} - The saved document
+ */
+export async function extractDocument(document) {
+  document.extractedData = { status: 'processing' };
+  await document.save();
+
+  try {
+    const body = await getStorage().get(document.filePath);
+    // Browsers sometimes send a generic MIME type, so prefer the resolved upload type
+    const fileType = resolveUploadType(document.name, document.fileType) || document.fileType;
+    const result = await getDocumentProcessor().processDocument(body, fileType, document.documentType);
+
+    document.extractedData = {
+      status: 'completed',
+      text: result.text,
+      textConfidence: result.textConfidence,
+      fields: result.fields,
+      tables: result.tables,
+      warnings: result.warnings,
+      processedAt: new Date()
+    };
+  } catch (error) {
+    console.error('Error extracting document text:', error);
+    document.extractedData = {
+      status: 'failed',
+      error: error.message,
+      processedAt: new Date()
+    };
+  }
+
+  await document.save();
+
+  const completed = document.extractedData.status === 'completed';
+  await notify({
+    type: 'extraction-complete',
+    recipients: document.uploadedBy ? [document.uploadedBy] : [],
+    projectId: document.projectId,
+    title: completed ? `Data extracted from ${document.name}` : `Extraction failed for ${document.name}`,
+    message: completed
+      ? `${Object.keys(document.extractedData.fields || {}).length} field(s) ready for review`
+      : document.extractedData.error,
+    link: completed
+      ? `/projects/${document.projectId}/documents/${document._id}/review`
+      : `/projects/${document.projectId}`,
+    data: { documentId: document._id, status: document.extractedData.status }
+  });
+
+  return document;
+}
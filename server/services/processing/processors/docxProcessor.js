@@ -0,0 +1,12 @@
+import mammoth from 'mammoth';
+import { normalizeText } from './textProcessor.js';
+
+export async function extractText(buffer) {
+  const result = await mammoth.extractRawText({ buffer });
+
+  return {
+    text: normalizeText(result.value),
+    confidence: 1,
+    warnings: result.messages.filter(m => m.type === 'error').map(m => m.message)
+  };
+}
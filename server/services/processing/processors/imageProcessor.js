@@ -0,0 +1,35 @@
+import { createWorker } from 'tesseract.js';
+import { normalizeText } from './textProcessor.js';
+
+let workerPromise = null;
+
+// Tesseract workers are expensive to start, so one is shared across requests
+const getWorker = () => {
+  if (!workerPromise) {
+    workerPromise = createWorker(process.env.OCR_LANGUAGES || 'eng').catch((error) => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+};
+
+export async function extractText(buffer) {
+  const worker = await getWorker();
+  const { data } = await worker.recognize(buffer);
+  const confidence = Math.round(data.confidence) / 100;
+
+  return {
+    text: normalizeText(data.text || ''),
+    confidence,
+    warnings: confidence < 0.6 ? ['OCR confidence is low; review extracted values carefully.'] : []
+  };
+}
+
+export async function terminate() {
+  if (workerPromise) {
+    const worker = await workerPromise;
+    workerPromise = null;
+    await worker.terminate();
+  }
+}
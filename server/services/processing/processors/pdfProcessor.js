@@ -0,0 +1,51 @@
+import { PDFParse } from 'pdf-parse';
+import { normalizeText } from './textProcessor.js';
+import * as imageProcessor from './imageProcessor.js';
+
+// Scanned PDFs have no text layer; render their pages and run OCR instead
+const ocrPages = async (parser) => {
+  const screenshots = await parser.getScreenshot({ imageDataUrl: false });
+  const pages = [];
+
+  for (const page of screenshots.pages) {
+    pages.push(await imageProcessor.extractText(Buffer.from(page.data)));
+  }
+
+  const confidence = pages.length
+    ? pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length
+    : 0;
+
+  return {
+    text: pages.map(page => page.text).join('\n\n'),
+    confidence: Math.round(confidence * 100) / 100,
+    warnings: ['Text was recognized with OCR from a scanned PDF.', ...new Set(pages.flatMap(page => page.warnings))],
+    pageCount: pages.length
+  };
+};
+
+export async function extractText(buffer) {
+  const parser = new PDFParse({ data: buffer });
+
+  try {
+    const result = await parser.getText();
+    const text = normalizeText(result.text || '');
+
+    if (text) {
+      return { text, confidence: 1, warnings: [], pageCount: result.total };
+    }
+
+    try {
+      return await ocrPages(parser);
+    } catch (error) {
+      console.error('Error running OCR on scanned PDF:', error);
+      return {
+        text: '',
+        confidence: 0,
+        warnings: ['The PDF has no text layer and OCR could not be run on it.'],
+        pageCount: result.total
+      };
+    }
+  } finally {
+    await parser.destroy();
+  }
+}
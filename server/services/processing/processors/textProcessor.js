@@ -0,0 +1,15 @@
+// Normalizes line endings and whitespace while keeping paragraph breaks
+export const normalizeText = text => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[\t\f\v ]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+export async function extractText(buffer) {
+  return {
+    text: normalizeText(buffer.toString('utf8').replace(/^\uFEFF/, '')),
+    confidence: 1,
+    warnings: []
+  };
+}
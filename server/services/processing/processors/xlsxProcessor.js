@@ -0,0 +1,30 @@
+import * as XLSX from 'xlsx';
+
+const formatCell = cell => (cell instanceof Date ? cell.toISOString().slice(0, 10) : String(cell ?? ''));
+
+/**
+ * Extracts spreadsheet content as text (one block per sheet, one line per row)
+ * and as typed tables for quantitative processing
+ */
+export async function extractText(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+
+  const tables = workbook.SheetNames.map(sheetName => ({
+    sheetName,
+    rows: XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, blankrows: false, defval: null })
+  }));
+
+  const text = tables
+    .map(({ sheetName, rows }) => [
+      sheetName,
+      ...rows.map((row) => {
+        // "Label: value | value" keeps label/value rows readable for key-value extraction
+        const [first, ...rest] = row.map(formatCell);
+        const values = rest.filter(cell => cell !== '');
+        return values.length ? `${first}: ${values.join(' | ')}` : first;
+      })
+    ].join('\n'))
+    .join('\n\n');
+
+  return { text, confidence: 1, warnings: [], tables };
+}
@@ -0,0 +1,188 @@
+import { parseDate, parseNumber, parseCoordinates, normalizeMethodologyId } from '../nlp/normalizers.js';
+import { STANDARDS } from '../../../shared/standards.js';
+
+const PROJECT_TYPE_KEYWORDS = [
+  ['afforestation', /afforestation/i],
+  ['reforestation', /reforestation|restoration|revegetation|ARR\b/i],
+  ['methane-capture', /methane|landfill gas|biogas|LFG\b/i],
+  ['renewable-energy', /renewable|solar|wind|hydro|photovoltaic|geothermal/i],
+  ['energy-efficiency', /efficien|cookstove|lighting/i]
+];
+
+const STANDARD_KEYWORDS = Object.entries(STANDARDS)
+  .filter(([, { keywords }]) => keywords)
+  .map(([standard, { keywords }]) => [standard, keywords]);
+
+const matchKeyword = (value, table) => table.find(([, pattern]) => pattern.test(value))?.[0] || null;
+
+const truncate = (value, length) => (value.length > length ? `${value.slice(0, length).trim()}…` : value);
+
+// Each normalizer turns raw text into { path: value } or null when unusable
+const NORMALIZERS = {
+  name: value => ({ name: truncate(value, 200) }),
+  description: value => ({ description: truncate(value, 2000) }),
+  projectType: (value) => {
+    const projectType = matchKeyword(value, PROJECT_TYPE_KEYWORDS);
+    return projectType && { projectType };
+  },
+  targetStandard: (value) => {
+    const targetStandard = matchKeyword(value, STANDARD_KEYWORDS);
+    return targetStandard && { targetStandard };
+  },
+  methodologyId: (value) => {
+    const methodologyId = normalizeMethodologyId(value);
+    return methodologyId && { methodologyId };
+  },
+  country: value => ({ 'location.country': truncate(value.replace(/[.;]+$/, ''), 100) }),
+  region: value => ({ 'location.region': truncate(value.replace(/[.;]+$/, ''), 100) }),
+  coordinates: (value) => {
+    const coordinates = parseCoordinates(value);
+    return coordinates && {
+      'location.coordinates.latitude': coordinates.latitude,
+      'location.coordinates.longitude': coordinates.longitude
+    };
+  },
+  latitude: (value) => {
+    const latitude = parseNumber(value);
+    return latitude !== null && Math.abs(latitude) <= 90 && { 'location.coordinates.latitude': latitude };
+  },
+  longitude: (value) => {
+    const longitude = parseNumber(value);
+    return longitude !== null && Math.abs(longitude) <= 180 && { 'location.coordinates.longitude': longitude };
+  },
+  startDate: (value) => {
+    const startDate = parseDate(value);
+    return startDate && { startDate };
+  },
+  endDate: (value) => {
+    const endDate = parseDate(value);
+    return endDate && { endDate };
+  },
+  estimatedCredits: (value) => {
+    const estimatedCredits = parseNumber(value);
+    return estimatedCredits !== null && estimatedCredits >= 0 && { estimatedCredits: Math.round(estimatedCredits) };
+  }
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+// Entities carry no label, so they rank below labelled key-value pairs
+const ENTITY_WEIGHT = 0.7;
+const SECTION_WEIGHT = 0.85;
+
+// Sections in which an entity most likely describes the project itself
+const FIELD_SECTIONS = {
+  methodologyId: ['methodology', 'summary', 'projectDetails', 'preamble'],
+  'location.country': ['projectLocation', 'summary', 'projectDetails', 'preamble'],
+  startDate: ['creditingPeriod', 'projectStartDate', 'projectDetails', 'summary'],
+  endDate: ['creditingPeriod', 'projectDetails', 'summary'],
+  estimatedCredits: ['quantification', 'summary', 'projectDetails', 'preamble']
+};
+
+const baseSection = name => name.replace(/_\d+$/, '');
+
+const entityWeight = (path, section) => (
+  FIELD_SECTIONS[path].includes(baseSection(section)) ? SECTION_WEIGHT : ENTITY_WEIGHT
+);
+
+// Share of all mentions that name the same value, e.g. how dominant one country is
+const mentionShares = (mentions) => {
+  const counts = mentions.reduce((acc, { entity }) => acc.set(entity.value, (acc.get(entity.value) || 0) + 1), new Map());
+  return value => counts.get(value) / mentions.length;
+};
+
+const collectEntities = (entities, kind) => Object.entries(entities || {})
+  .flatMap(([section, found]) => (found[kind] || []).map(entity => ({ section, entity })));
+
+// Turns recognized entities into lower-confidence candidates for fields without labels
+const entityCandidates = (structuredData) => {
+  const { entities, relationships = [] } = structuredData;
+  const result = [];
+  const push = (path, section, entity, value, confidence) => result.push({
+    path,
+    candidate: {
+      value,
+      confidence: confidence * entityWeight(path, section),
+      start: entity.start,
+      end: entity.end,
+      evidence: entity.text,
+      method: 'entity'
+    }
+  });
+
+  const methodologies = collectEntities(entities, 'methodologies');
+  const methodologyShare = mentionShares(methodologies);
+  methodologies.forEach(({ section, entity }) => {
+    push('methodologyId', section, entity, entity.value, entity.confidence * (0.5 + 0.5 * methodologyShare(entity.value)));
+  });
+
+  const countries = collectEntities(entities, 'countries');
+  const countryShare = mentionShares(countries);
+  countries.forEach(({ section, entity }) => {
+    push('location.country', section, entity, entity.value, entity.confidence * (0.5 + 0.5 * countryShare(entity.value)));
+  });
+
+  collectEntities(entities, 'creditingPeriods').forEach(({ section, entity }) => {
+    if (entity.startDate) push('startDate', section, entity, entity.startDate, entity.confidence);
+    if (entity.endDate) push('endDate', section, entity, entity.endDate, entity.confidence);
+  });
+
+  // Totals tied to a crediting period are the best evidence for the overall estimate
+  const periodTotals = new Set(relationships
+    .filter(relationship => relationship.type === 'estimate-for-period')
+    .map(relationship => relationship.source));
+  collectEntities(entities, 'emissionReductions')
+    .filter(({ entity }) => !entity.annual)
+    .forEach(({ section, entity }) => {
+      const confidence = periodTotals.has(entity) ? entity.confidence : entity.confidence * 0.7;
+      push('estimatedCredits', section, entity, Math.round(entity.value), confidence);
+    });
+
+  return result;
+};
+
+/**
+ * Maps NLP output onto ProjectSchema paths, keeping the best candidate per field
+ * @param {Object} structuredData - NLPPipeline result
+ * @param {string} documentType - Document type identifier
+ * @param {Object} options - { textConfidence } from text extraction
+ * @returns {Object} - { fields: { [path]: { value, confidence, start, end, evidence, method, alternatives } } }
+ */
+export function map(structuredData, documentType, { textConfidence = 1 } = {}) {
+  const candidates = {};
+  const addCandidate = (path, candidate) => {
+    (candidates[path] = candidates[path] || []).push({
+      ...candidate,
+      confidence: round(candidate.confidence * textConfidence)
+    });
+  };
+
+  for (const pair of structuredData.keyValuePairs || []) {
+    const normalized = NORMALIZERS[pair.key]?.(pair.value);
+    if (!normalized) continue;
+
+    for (const [path, value] of Object.entries(normalized)) {
+      addCandidate(path, {
+        value,
+        confidence: pair.confidence,
+        start: pair.start,
+        end: pair.end,
+        evidence: pair.value,
+        method: 'key-value'
+      });
+    }
+  }
+
+  entityCandidates(structuredData).forEach(({ path, candidate }) => addCandidate(path, candidate));
+
+  const fields = Object.fromEntries(Object.entries(candidates).map(([path, list]) => {
+    const [best, ...rest] = [...list].sort((a, b) => b.confidence - a.confidence);
+    const alternatives = rest
+      .filter((candidate, index) => candidate.value !== best.value
+        && rest.findIndex(other => other.value === candidate.value) === index)
+      .slice(0, 3);
+    return [path, { ...best, alternatives }];
+  }));
+
+  return { fields };
+}
@@ -0,0 +1,34 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Stores files on local disk; used for development and tests
+ */
+export default class LocalStorageAdapter {
+  constructor({ rootDir }) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, body) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body);
+    return { key };
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+}
@@ -0,0 +1,39 @@
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+
+/**
+ * Stores files in S3 or any S3-compatible object store
+ */
+export default class S3StorageAdapter {
+  constructor({ bucket, region, endpoint }) {
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region,
+      // Custom endpoints (MinIO, R2, ...) need path-style addressing
+      ...(endpoint ? { endpoint, forcePathStyle: true } : {})
+    });
+  }
+
+  async put(key, body, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType
+    }));
+    return { key };
+  }
+
+  async get(key) {
+    const result = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return Buffer.from(await result.Body.transformToByteArray());
+  }
+
+  async remove(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
@@ -0,0 +1,43 @@
+import { randomUUID } from 'crypto';
+import LocalStorageAdapter from './LocalStorageAdapter.js';
+import S3StorageAdapter from './S3StorageAdapter.js';
+
+let storage = null;
+
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'production' ? 's3' : 'local');
+
+  switch (driver) {
+    case 's3':
+      return new S3StorageAdapter({
+        bucket: process.env.STORAGE_BUCKET,
+        region: process.env.STORAGE_REGION,
+        endpoint: process.env.STORAGE_ENDPOINT
+      });
+    case 'local':
+      return new LocalStorageAdapter({ rootDir: process.env.STORAGE_LOCAL_DIR || 'uploads' });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER ${driver}`);
+  }
+};
+
+/**
+ * Returns the configured storage adapter. Every adapter implements
+ * put(key, body, { contentType }), get(key) and remove(key).
+ */
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+// Lets tests swap in their own adapter
+export function setStorage(adapter) {
+  storage = adapter;
+}
+
+export function buildStorageKey(projectId, folder, filename) {
+  const safeName = filename.replace(/[^\w.-]+/g, '_');
+  return `projects/${projectId}/${folder}/${randomUUID()}-${safeName}`;
+}
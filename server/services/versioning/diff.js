@@ -0,0 +1,210 @@
+// Above this many line comparisons a changed block is reported as replaced
+// wholesale instead of aligned line by line, to bound memory and time
+const MAX_ALIGNMENT_CELLS = 4000 * 1000;
+
+// Heading of the text before the first section, e.g. the document title
+const PREAMBLE = 'Front matter';
+
+// Top-level headings in extracted text: "3 Application of Methodology", "Section B. Monitoring Period"
+const TEXT_HEADING = /^(?:Section [A-Z]\.|\d{1,2}\.?)\s+[A-Z][^.]{2,120}$/;
+
+// Snapshot paths that change on every save or only record bookkeeping
+const IGNORED_SNAPSHOT_KEYS = new Set(['_id', '__v', 'id', 'createdAt', 'updatedAt', 'statusHistory']);
+
+const decodeEntities = text => text
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&#x27;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+const toLines = text => text
+  .split('\n')
+  .map(line => line.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+/**
+ * Splits rendered document HTML into its top-level (h2) sections, each as
+ * lines of plain text: one per paragraph, heading, list item or table row
+ * @param {string} html - Generated document HTML
+ * @returns {Array<Object>} - [{ heading, lines }]
+ */
+export function sectionsFromHtml(html) {
+  const body = html
+    .replace(/<head[\s\S]*?<\/head>/i, '')
+    .replace(/<style[\s\S]*?<\/style>/gi, '');
+
+  const sections = [];
+  const parts = body.split(/<h2[^>]*>([\s\S]*?)<\/h2>/i);
+  // split with a capture group alternates content and headings
+  for (let index = 0; index < parts.length; index += 2) {
+    const heading = index === 0 ? PREAMBLE : decodeEntities(parts[index - 1].replace(/<[^>]+>/g, '')).trim();
+    const text = decodeEntities(parts[index]
+      .replace(/<\/(p|h\d|li|tr|div)>|<br\s*\/?>/gi, '\n')
+      .replace(/<\/t[dh]>/gi, ' | ')
+      .replace(/<[^>]+>/g, ''));
+    const lines = toLines(text).map(line => line.replace(/\s*\|\s*$/, ''));
+    if (index > 0 || lines.length > 0) {
+      sections.push({ heading, lines });
+    }
+  }
+  return sections;
+}
+
+/**
+ * Splits text extracted from an uploaded file into sections at lines that
+ * look like numbered top-level headings
+ * @param {string} text - Extracted text
+ * @returns {Array<Object>} - [{ heading, lines }]
+ */
+export function sectionsFromText(text) {
+  const sections = [{ heading: PREAMBLE, lines: [] }];
+  toLines(text).forEach((line) => {
+    if (TEXT_HEADING.test(line)) {
+      sections.push({ heading: line, lines: [] });
+    } else {
+      sections[sections.length - 1].lines.push(line);
+    }
+  });
+  return sections.filter(section => section.heading !== PREAMBLE || section.lines.length > 0);
+}
+
+/**
+ * Line diff of two texts as a sequence of equal, removed and added lines
+ * @param {Array<string>} before - Lines of the older version
+ * @param {Array<string>} after - Lines of the newer version
+ * @returns {Array<Object>} - [{ type: 'equal'|'removed'|'added', text }]
+ */
+export function diffLines(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start += 1;
+  }
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore -= 1;
+    endAfter -= 1;
+  }
+
+  const head = before.slice(0, start).map(text => ({ type: 'equal', text }));
+  const tail = before.slice(endBefore).map(text => ({ type: 'equal', text }));
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+
+  if ((a.length + 1) * (b.length + 1) > MAX_ALIGNMENT_CELLS) {
+    return [
+      ...head,
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text })),
+      ...tail
+    ];
+  }
+
+  // Longest common subsequence lengths of the suffixes a[i..] and b[j..]
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      middle.push({ type: 'equal', text: a[i] });
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      middle.push({ type: 'removed', text: a[i] });
+      i += 1;
+    } else {
+      middle.push({ type: 'added', text: b[j] });
+      j += 1;
+    }
+  }
+  a.slice(i).forEach(text => middle.push({ type: 'removed', text }));
+  b.slice(j).forEach(text => middle.push({ type: 'added', text }));
+
+  return [...head, ...middle, ...tail];
+}
+
+const normalizeHeading = heading => heading.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Compares two versions section by section. Sections are matched by heading;
+ * those only in one version are reported as added or removed.
+ * @param {Array<Object>} before - Sections of the older version
+ * @param {Array<Object>} after - Sections of the newer version
+ * @returns {Array<Object>} - [{ heading, status: 'unchanged'|'changed'|'added'|'removed', added, removed, lines }]
+ */
+export function diffSections(before, after) {
+  const beforeByHeading = new Map(before.map(section => [normalizeHeading(section.heading), section]));
+  const afterHeadings = new Set(after.map(section => normalizeHeading(section.heading)));
+
+  const compared = after.map((section) => {
+    const previous = beforeByHeading.get(normalizeHeading(section.heading));
+    const lines = diffLines(previous?.lines || [], section.lines);
+    const added = lines.filter(line => line.type === 'added').length;
+    const removed = lines.filter(line => line.type === 'removed').length;
+    let status = 'unchanged';
+    if (!previous) {
+      status = 'added';
+    } else if (added || removed) {
+      status = 'changed';
+    }
+    return { heading: section.heading, status, added, removed, lines };
+  });
+
+  // Sections dropped from the newer version are listed after the ones that remain
+  before
+    .filter(section => !afterHeadings.has(normalizeHeading(section.heading)))
+    .forEach((section) => {
+      compared.push({
+        heading: section.heading,
+        status: 'removed',
+        added: 0,
+        removed: section.lines.length,
+        lines: section.lines.map(text => ({ type: 'removed', text }))
+      });
+    });
+
+  return compared;
+}
+
+const flatten = (value, prefix, out) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flatten(item, `${prefix}[${index}]`, out));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      if (!IGNORED_SNAPSHOT_KEYS.has(key)) {
+        flatten(item, prefix ? `${prefix}.${key}` : key, out);
+      }
+    });
+  } else if (value !== undefined && value !== null && value !== '') {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+/**
+ * Project data fields that differ between two generation snapshots
+ * @param {Object} before - Snapshot of the older version
+ * @param {Object} after - Snapshot of the newer version
+ * @returns {Array<Object>} - [{ path, before, after }], sorted by path
+ */
+export function diffSnapshots(before = {}, after = {}) {
+  const a = flatten(before, '', {});
+  const b = flatten(after, '', {});
+
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(path => JSON.stringify(a[path]) !== JSON.stringify(b[path]))
+    .sort()
+    .map(path => ({ path, before: a[path] ?? null, after: b[path] ?? null }));
+}
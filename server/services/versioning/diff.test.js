@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sectionsFromHtml, sectionsFromText, diffLines, diffSections, diffSnapshots } from './diff.js';
+import { compareVersions } from './index.js';
+import DocumentVersion from '../../models/DocumentVersion.js';
+
+const html = (...sections) => `<html><head><title>PDD</title></head><body><h1>Solar Park</h1>${sections.join('')}</body></html>`;
+
+const VERSION_1 = html(
+  '<h2>1 Project Details</h2><p>Country: Malawi</p><p>Start date: 1 March 2024</p>',
+  '<h2>2 Monitoring</h2><table><tr><th>Parameter</th><th>Unit</th></tr><tr><td>EG</td><td>MWh</td></tr></table>',
+  '<h2>3 Safeguards</h2><ul><li>Labour &amp; working conditions</li></ul>'
+);
+
+const VERSION_2 = html(
+  '<h2>1 Project Details</h2><p>Country: Malawi</p><p>Start date: 1 April 2024</p><p>Area: 120 ha</p>',
+  '<h2>2 Monitoring</h2><table><tr><th>Parameter</th><th>Unit</th></tr><tr><td>EG</td><td>MWh</td></tr></table>',
+  '<h2>4 Stakeholders</h2><p>Two village meetings</p>'
+);
+
+const section = (sections, heading) => sections.find(candidate => candidate.heading === heading);
+
+test('generated HTML is split into sections of plain text lines', () => {
+  assert.deepEqual(sectionsFromHtml(VERSION_1), [
+    { heading: 'Front matter', lines: ['Solar Park'] },
+    { heading: '1 Project Details', lines: ['Country: Malawi', 'Start date: 1 March 2024'] },
+    { heading: '2 Monitoring', lines: ['Parameter | Unit', 'EG | MWh'] },
+    { heading: '3 Safeguards', lines: ['Labour & working conditions'] }
+  ]);
+});
+
+test('extracted text is split at numbered headings', () => {
+  assert.deepEqual(sectionsFromText('Solar Park PDD\n\n1 Project Details\nCountry: Malawi\nSection B. Monitoring Period\n  EG   in MWh \n'), [
+    { heading: 'Front matter', lines: ['Solar Park PDD'] },
+    { heading: '1 Project Details', lines: ['Country: Malawi'] },
+    { heading: 'Section B. Monitoring Period', lines: ['EG in MWh'] }
+  ]);
+});
+
+test('diffLines marks added, removed and unchanged lines', () => {
+  assert.deepEqual(diffLines(['a', 'b', 'c', 'd'], ['a', 'c', 'x', 'd']), [
+    { type: 'equal', text: 'a' },
+    { type: 'removed', text: 'b' },
+    { type: 'equal', text: 'c' },
+    { type: 'added', text: 'x' },
+    { type: 'equal', text: 'd' }
+  ]);
+  // A changed line is a removal followed by an addition
+  assert.deepEqual(diffLines(['a', 'b'], ['a', 'B']), [
+    { type: 'equal', text: 'a' },
+    { type: 'removed', text: 'b' },
+    { type: 'added', text: 'B' }
+  ]);
+  assert.deepEqual(diffLines([], ['a']), [{ type: 'added', text: 'a' }]);
+  assert.deepEqual(diffLines(['a'], []), [{ type: 'removed', text: 'a' }]);
+});
+
+test('sections are matched by heading and report what changed', () => {
+  const sections = diffSections(sectionsFromHtml(VERSION_1), sectionsFromHtml(VERSION_2));
+
+  assert.deepEqual(sections.map(({ heading, status, added, removed }) => [heading, status, added, removed]), [
+    ['Front matter', 'unchanged', 0, 0],
+    ['1 Project Details', 'changed', 2, 1],
+    ['2 Monitoring', 'unchanged', 0, 0],
+    ['4 Stakeholders', 'added', 1, 0],
+    ['3 Safeguards', 'removed', 0, 1]
+  ]);
+  assert.deepEqual(section(sections, '1 Project Details').lines, [
+    { type: 'equal', text: 'Country: Malawi' },
+    { type: 'removed', text: 'Start date: 1 March 2024' },
+    { type: 'added', text: 'Start date: 1 April 2024' },
+    { type: 'added', text: 'Area: 120 ha' }
+  ]);
+  assert.deepEqual(section(sections, '3 Safeguards').lines, [{ type: 'removed', text: 'Labour & working conditions' }]);
+});
+
+test('headings differing only in case or spacing are the same section', () => {
+  const [compared] = diffSections([{ heading: '1  Project details', lines: ['a'] }], [{ heading: '1 Project Details', lines: ['a'] }]);
+  assert.equal(compared.status, 'unchanged');
+});
+
+test('identical versions have no changes', () => {
+  const sections = diffSections(sectionsFromHtml(VERSION_1), sectionsFromHtml(VERSION_1));
+  assert.ok(sections.every(compared => compared.status === 'unchanged' && compared.added === 0 && compared.removed === 0));
+  assert.deepEqual(diffSnapshots({ name: 'Solar Park' }, { name: 'Solar Park' }), []);
+});
+
+test('snapshots list the fields that changed, ignoring bookkeeping', () => {
+  const before = { _id: 'p1', name: 'Solar Park', location: { country: 'Malawi' }, sdgContributions: [{ goal: 7 }], updatedAt: '2024-01-01' };
+  const after = { _id: 'p1', name: 'Solar Park', location: { country: 'Zambia', region: '' }, sdgContributions: [{ goal: 7 }, { goal: 13 }], updatedAt: '2024-02-01' };
+
+  assert.deepEqual(diffSnapshots(before, after), [
+    { path: 'location.country', before: 'Malawi', after: 'Zambia' },
+    { path: 'sdgContributions[1].goal', before: null, after: 13 }
+  ]);
+});
+
+test('compareVersions compares the stored versions of a document', async (t) => {
+  const versions = {
+    1: { number: 1, name: 'PDD v1.html', content: VERSION_1, contentFormat: 'html', snapshot: { name: 'Solar Park' }, templateVersion: 'a' },
+    2: { number: 2, name: 'PDD v2.html', content: VERSION_2, contentFormat: 'html', snapshot: { name: 'Solar Park II' }, templateVersion: 'b' }
+  };
+  t.mock.method(DocumentVersion, 'findOne', ({ number }) => ({ select: async () => versions[number] || null }));
+  const document = { _id: 'd1' };
+
+  const comparison = await compareVersions(document, 1, 2);
+  assert.equal(comparison.templateChanged, true);
+  assert.deepEqual(comparison.fields, [{ path: 'name', before: 'Solar Park', after: 'Solar Park II' }]);
+  assert.deepEqual(comparison.sections.map(compared => compared.status), ['unchanged', 'changed', 'unchanged', 'added', 'removed']);
+  assert.deepEqual(comparison.warnings, []);
+
+  const unchanged = await compareVersions(document, 1, 1);
+  assert.deepEqual(unchanged.fields, []);
+  assert.ok(unchanged.sections.every(compared => compared.status === 'unchanged'));
+
+  assert.equal(await compareVersions(document, 1, 3), null);
+});
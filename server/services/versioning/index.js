@@ -0,0 +1,223 @@
+import DocumentVersion from '../../models/DocumentVersion.js';
+import { getStorage, buildStorageKey } from '../storage/index.js';
+import { getDocumentProcessor } from '../processing/index.js';
+import { sectionsFromHtml, sectionsFromText, diffSections, diffSnapshots } from './diff.js';
+import { sha256 } from '../../utils/fileValidation.js';
+import { resolveUploadType } from '../../../shared/documentTypes.js';
+
+const STORAGE_FOLDERS = { uploaded: 'documents', generated: 'generated' };
+
+// File fields the document copies from its current version
+const FILE_FIELDS = ['name', 'fileType', 'fileSize', 'filePath', 'checksum'];
+
+const makeCurrent = (document, version) => {
+  FILE_FIELDS.forEach((field) => {
+    document[field] = version[field];
+  });
+  document.version = String(version.number);
+  document.updatedAt = version.createdAt;
+  // Extracted data described the previous file
+  document.extractedData = undefined;
+};
+
+/**
+ * Records a document's current file as version 1 when it predates versioning
+ * @param {Document} document - Saved document
+ * @returns {Promise<void>}
+ */
+export async function ensureVersionHistory(document) {
+  if (!document.filePath || await DocumentVersion.exists({ documentId: document._id })) {
+    return;
+  }
+
+  await DocumentVersion.create({
+    documentId: document._id,
+    projectId: document.projectId,
+    number: 1,
+    source: document.source,
+    ...Object.fromEntries(FILE_FIELDS.map(field => [field, document[field]])),
+    note: 'Recorded when version history was enabled',
+    createdBy: document.uploadedBy,
+    createdAt: document.createdAt
+  });
+  document.version = '1';
+  await document.save();
+}
+
+/**
+ * Number the next version of a document will get
+ * @param {Document} document - Document, possibly unsaved
+ * @returns {Promise<number>}
+ */
+export async function getNextVersionNumber(document) {
+  if (document.isNew) {
+    return 1;
+  }
+  await ensureVersionHistory(document);
+  const latest = await DocumentVersion.findOne({ documentId: document._id }).sort({ number: -1 }).select('number');
+  return (latest?.number || 0) + 1;
+}
+
+/**
+ * Stores a file as the next version of a document and makes it the current
+ * one. Saves the document, so new documents are created with version 1.
+ * @param {Document} document - Document to add the version to; may be unsaved
+ * @param {Object} file - { body, name, contentType, checksum }
+ * @param {Object} details - { userId, snapshot, templateVersion, missingFields, content, contentFormat, note }
+ * @returns {Promise<DocumentVersion>} - The new version
+ */
+export async function addVersion(document, file, details = {}) {
+  const number = await getNextVersionNumber(document);
+
+  const key = buildStorageKey(document.projectId, STORAGE_FOLDERS[document.source], file.name);
+  await getStorage().put(key, file.body, { contentType: file.contentType });
+
+  const version = new DocumentVersion({
+    documentId: document._id,
+    projectId: document.projectId,
+    number,
+    source: document.source,
+    name: file.name,
+    fileType: file.contentType,
+    fileSize: file.body.length,
+    filePath: key,
+    checksum: file.checksum || sha256(file.body),
+    // Stored as plain JSON so ids and dates compare as strings in diffs
+    snapshot: details.snapshot ? JSON.parse(JSON.stringify(details.snapshot)) : undefined,
+    templateVersion: details.templateVersion,
+    missingFields: details.missingFields,
+    content: details.content,
+    contentFormat: details.content ? details.contentFormat : undefined,
+    note: details.note,
+    createdBy: details.userId
+  });
+
+  makeCurrent(document, version);
+  await document.save();
+  await version.save();
+
+  return version;
+}
+
+/**
+ * Rolls a document back by adding a new version that copies an earlier one,
+ * so the history stays complete
+ * @param {Document} document - Document to roll back
+ * @param {number} number - Version to restore
+ * @param {string} userId - User rolling back
+ * @returns {Promise<DocumentVersion|null>} - The new version, or null when the version does not exist
+ */
+export async function restoreVersion(document, number, userId) {
+  const nextNumber = await getNextVersionNumber(document);
+  const previous = await DocumentVersion.findOne({ documentId: document._id, number }).select('+snapshot +content');
+  if (!previous) {
+    return null;
+  }
+
+  const version = new DocumentVersion({
+    ...Object.fromEntries(['source', 'snapshot', 'templateVersion', 'missingFields', 'content', 'contentFormat', ...FILE_FIELDS]
+      .map(field => [field, previous[field]])),
+    documentId: document._id,
+    projectId: document.projectId,
+    number: nextNumber,
+    restoredFrom: previous.number,
+    note: `Restored version ${previous.number}`,
+    createdBy: userId
+  });
+
+  makeCurrent(document, version);
+  await document.save();
+  await version.save();
+
+  return version;
+}
+
+// Text of a version split into sections. Uploaded files are read on first
+// comparison and the extracted text is kept on the version.
+const loadSections = async (version) => {
+  if (!version.content && version.filePath) {
+    const fileType = resolveUploadType(version.name, version.fileType);
+    if (!fileType) {
+      return null;
+    }
+    const body = await getStorage().get(version.filePath);
+    const { text } = await getDocumentProcessor().getProcessor(fileType).extractText(body);
+    version.content = text;
+    version.contentFormat = 'text';
+    await version.save();
+  }
+
+  if (!version.content) {
+    return null;
+  }
+  return version.contentFormat === 'html' ? sectionsFromHtml(version.content) : sectionsFromText(version.content);
+};
+
+const describe = version => ({
+  number: version.number,
+  name: version.name,
+  createdAt: version.createdAt,
+  templateVersion: version.templateVersion
+});
+
+/**
+ * Section-level comparison of two versions of a document, with the project
+ * data fields that changed between their generation snapshots
+ * @param {Document} document - Document whose versions are compared
+ * @param {number} fromNumber - Older version
+ * @param {number} toNumber - Newer version
+ * @returns {Promise<Object|null>} - { from, to, templateChanged, fields, sections, warnings }, or null when a version does not exist
+ */
+export async function compareVersions(document, fromNumber, toNumber) {
+  await ensureVersionHistory(document);
+  const [from, to] = await Promise.all([fromNumber, toNumber].map(number => (
+    DocumentVersion.findOne({ documentId: document._id, number }).select('+snapshot +content')
+  )));
+  if (!from || !to) {
+    return null;
+  }
+
+  const warnings = [];
+  const [fromSections, toSections] = await Promise.all([from, to].map(async (version) => {
+    try {
+      const sections = await loadSections(version);
+      if (!sections) {
+        warnings.push(`The text of version ${version.number} cannot be read for comparison`);
+      }
+      return sections;
+    } catch (error) {
+      console.error(`Error reading document version ${version.number}:`, error);
+      warnings.push(`The text of version ${version.number} could not be extracted`);
+      return null;
+    }
+  }));
+
+  if (!from.snapshot || !to.snapshot) {
+    warnings.push('Project data is only recorded for generated versions, so changed fields cannot be listed');
+  }
+
+  return {
+    from: describe(from),
+    to: describe(to),
+    templateChanged: Boolean(from.templateVersion && to.templateVersion && from.templateVersion !== to.templateVersion),
+    fields: from.snapshot && to.snapshot ? diffSnapshots(from.snapshot, to.snapshot) : [],
+    sections: fromSections && toSections ? diffSections(fromSections, toSections) : [],
+    warnings
+  };
+}
+
+/**
+ * Removes the stored files of every version of the given documents, and the
+ * version records themselves
+ * @param {Array<Document>} documents - Documents being deleted
+ * @returns {Promise<void>}
+ */
+export async function removeDocumentFiles(documents) {
+  const ids = documents.map(document => document._id);
+  const versions = await DocumentVersion.find({ documentId: { $in: ids } }).select('filePath');
+  // Restored versions share a file with the version they restored
+  const keys = new Set([...documents, ...versions].map(entry => entry.filePath).filter(Boolean));
+
+  await Promise.all([...keys].map(key => getStorage().remove(key)));
+  await DocumentVersion.deleteMany({ documentId: { $in: ids } });
+}
@@ -0,0 +1,15 @@
+// RFC 5987 value: encodeURIComponent leaves a few characters the header does not allow
+const encodeExtValue = value => encodeURIComponent(value)
+  .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Content-Disposition value for downloading a file under its own name. The
+ * name is sent UTF-8 encoded, with an ASCII fallback for older clients, so
+ * names like "Łódź PDD.docx" or ones containing quotes are safe.
+ * @param {string} name - File name
+ * @returns {string}
+ */
+export function attachment(name) {
+  const fallback = String(name).replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeExtValue(name)}`;
+}
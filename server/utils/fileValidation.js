@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import { resolveUploadType } from '../../shared/documentTypes.js';
+
+const startsWith = (buffer, bytes) => bytes.every((byte, i) => buffer[i] === byte);
+
+// Leading bytes each binary format must start with
+const SIGNATURES = {
+  pdf: buffer => startsWith(buffer, [0x25, 0x50, 0x44, 0x46]), // %PDF
+  docx: buffer => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]), // ZIP container
+  xlsx: buffer => startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]),
+  png: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  jpeg: buffer => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  csv: buffer => !buffer.includes(0x00),
+  txt: buffer => !buffer.includes(0x00)
+};
+
+export function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Checks an uploaded file's type, contents and checksum
+ * @param {Object} file - Multer file with buffer
+ * @param {string} [expectedChecksum] - SHA-256 hex digest computed by the client
+ * @returns {Object} - { fileType, checksum } or { error }
+ */
+export function validateUpload(file, expectedChecksum) {
+  const fileType = resolveUploadType(file.originalname, file.mimetype);
+  if (!fileType) {
+    return { error: 'Unsupported file type. Upload a PDF, DOCX, XLSX, CSV, TXT, PNG or JPEG file.' };
+  }
+
+  if (file.size === 0) {
+    return { error: 'The uploaded file is empty' };
+  }
+
+  if (!SIGNATURES[fileType](file.buffer)) {
+    return { error: `File contents do not match a ${fileType.toUpperCase()} file` };
+  }
+
+  const checksum = sha256(file.buffer);
+  if (expectedChecksum && expectedChecksum.toLowerCase() !== checksum) {
+    return { error: 'Checksum mismatch; the file may have been corrupted during upload' };
+  }
+
+  return { fileType, checksum };
+}
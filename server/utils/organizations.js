@@ -0,0 +1,79 @@
+import Organization from '../models/Organization.js';
+import Project from '../models/Project.js';
+import { getOrganizationRole } from '../../shared/permissions.js';
+
+/**
+ * Creates an organization with the given user as its owner
+ * @param {string} userId - Creating user
+ * @param {string} name - Organization name
+ * @returns {Promise<Object>} - Organization document
+ */
+export function createOrganization(userId, name) {
+  return Organization.create({
+    name,
+    members: [{ user: userId, role: 'owner' }],
+    createdBy: userId
+  });
+}
+
+/**
+ * Gives an account created before organizations existed a workspace named
+ * after its organization field, and moves the projects it owns into it.
+ * Collaborators on those projects join as members so they keep their access.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Organization document
+ */
+export async function createDefaultOrganization(user) {
+  // Only the request that inserts the workspace moves the projects; any
+  // other concurrent request gets the same workspace back
+  let result;
+  try {
+    result = await Organization.findOneAndUpdate(
+      { defaultFor: user._id },
+      {
+        $setOnInsert: {
+          name: user.organization || `${user.name}'s workspace`,
+          members: [{ user: user._id, role: 'owner' }],
+          createdBy: user._id
+        }
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+  } catch (error) {
+    // Two upserts racing can both try to insert; the loser reads the winner's workspace
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return Organization.findOne({ defaultFor: user._id });
+  }
+
+  const organization = result.value;
+  if (result.lastErrorObject?.updatedExisting) {
+    if (getOrganizationRole(organization, user._id)) {
+      return organization;
+    }
+    // The user has since left or been removed from that workspace; release it
+    // and give them a new one rather than one they cannot open
+    await Organization.updateOne({ _id: organization._id, defaultFor: user._id }, { $unset: { defaultFor: 1 } });
+    return createDefaultOrganization(user);
+  }
+
+  const projects = await Project.find({ owner: user._id, organization: { $exists: false } })
+    .select('collaborators')
+    .lean();
+  if (projects.length === 0) {
+    return organization;
+  }
+
+  const collaboratorIds = new Set(projects.flatMap(project => project.collaborators.map(c => String(c.user))));
+  collaboratorIds.delete(String(user._id));
+  collaboratorIds.forEach(id => organization.members.push({ user: id, role: 'member' }));
+  await organization.save();
+
+  await Project.updateMany(
+    { _id: { $in: projects.map(project => project._id) } },
+    { $set: { organization: organization._id } }
+  );
+
+  return organization;
+}
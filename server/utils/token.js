@@ -0,0 +1,23 @@
+import jwt from 'jsonwebtoken';
+
+/**
+ * Signs a session token for a user
+ * @param {Object} user - User document
+ * @returns {string} - Signed JWT
+ */
+export function signToken(user) {
+  return jwt.sign(
+    { id: user._id, role: user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TOKEN_EXPIRY || '7d' }
+  );
+}
+
+/**
+ * Verifies a session token
+ * @param {string} token - Signed JWT
+ * @returns {Object} - Decoded payload
+ */
+export function verifyToken(token) {
+  return jwt.verify(token, process.env.JWT_SECRET);
+}
@@ -0,0 +1,177 @@
+/**
+ * Evaluates methodology applicability conditions against a project
+ */
+
+import { getMethodology } from './methodologies.js';
+import { TARGET_STANDARD_LABELS } from './projectSchema.js';
+
+export const CONDITION_STATUSES = ['pass', 'fail', 'unknown'];
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Values computed from the project that rules can refer to as derived.<key>
+const DERIVED_VALUES = {
+  creditingPeriodYears: (project) => {
+    if (!project.startDate || !project.endDate) return undefined;
+    const years = (new Date(project.endDate) - new Date(project.startDate)) / MS_PER_YEAR;
+    return years > 0 ? years : undefined;
+  },
+  annualEmissionReductions: (project) => {
+    const years = DERIVED_VALUES.creditingPeriodYears(project);
+    const total = project.estimatedCredits;
+    return years && total !== undefined && total !== null && total !== '' ? Number(total) / years : undefined;
+  }
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const resolveField = (project, field) => {
+  if (field.startsWith('parameters.')) {
+    return getPath(project.methodologyParameters || {}, field.slice('parameters.'.length));
+  }
+  if (field.startsWith('derived.')) {
+    return DERIVED_VALUES[field.slice('derived.'.length)]?.(project);
+  }
+  return getPath(project, field);
+};
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+const COMPARATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  in: (actual, expected) => expected.includes(actual),
+  gt: (actual, expected) => Number(actual) > expected,
+  gte: (actual, expected) => Number(actual) >= expected,
+  lt: (actual, expected) => Number(actual) < expected,
+  lte: (actual, expected) => Number(actual) <= expected
+};
+
+/**
+ * Evaluates a single rule. Rules are either comparisons
+ * ({ field, op, value }), combinations ({ all: [...] } / { any: [...] }) or
+ * conditionals ({ if, then }) that pass when the `if` part does not apply.
+ * @param {Object} rule - Rule definition from the methodology registry
+ * @param {Object} project - Project data including methodologyParameters
+ * @returns {string} - pass, fail or unknown
+ */
+export function evaluateRule(rule, project) {
+  if (rule.all) {
+    const results = rule.all.map(child => evaluateRule(child, project));
+    if (results.includes('fail')) return 'fail';
+    return results.includes('unknown') ? 'unknown' : 'pass';
+  }
+
+  if (rule.any) {
+    const results = rule.any.map(child => evaluateRule(child, project));
+    if (results.includes('pass')) return 'pass';
+    return results.includes('unknown') ? 'unknown' : 'fail';
+  }
+
+  if (rule.if) {
+    const applies = evaluateRule(rule.if, project);
+    if (applies === 'fail') return 'pass';
+    if (applies === 'unknown') return 'unknown';
+    return evaluateRule(rule.then, project);
+  }
+
+  const comparator = COMPARATORS[rule.op];
+  if (!comparator) {
+    throw new Error(`Unknown applicability operator ${rule.op}`);
+  }
+
+  const actual = resolveField(project, rule.field);
+  if (isMissing(actual)) return 'unknown';
+  return comparator(actual, rule.value) ? 'pass' : 'fail';
+}
+
+const summarize = (conditions) => {
+  const statuses = conditions.map(condition => condition.status);
+  if (statuses.includes('fail')) return 'fail';
+  return statuses.includes('unknown') ? 'unknown' : 'pass';
+};
+
+/**
+ * Checks a project against a methodology's applicability conditions
+ * @param {Object} project - Project data including methodologyParameters
+ * @param {string} [methodologyId] - Defaults to project.methodologyId
+ * @returns {Object} - { methodologyId, methodologyName, known, status, conditions: [{ id, description, status }] }
+ */
+export function evaluateApplicability(project, methodologyId = project.methodologyId) {
+  const methodology = getMethodology(methodologyId);
+  if (!methodology) {
+    return {
+      methodologyId: methodologyId || null,
+      methodologyName: null,
+      known: false,
+      status: 'unknown',
+      conditions: []
+    };
+  }
+
+  const conditions = [
+    {
+      id: 'standard',
+      description: `Project targets ${TARGET_STANDARD_LABELS[methodology.standard]}, which issues ${methodology.id}`,
+      status: evaluateRule({ field: 'targetStandard', op: 'eq', value: methodology.standard }, project)
+    },
+    {
+      id: 'project-type',
+      description: `Project type is eligible under ${methodology.id}`,
+      status: evaluateRule({ field: 'projectType', op: 'in', value: methodology.projectTypes }, project)
+    },
+    ...methodology.applicability.map(condition => ({
+      id: condition.id,
+      description: condition.description,
+      status: evaluateRule(condition.rule, project)
+    }))
+  ];
+
+  return {
+    methodologyId: methodology.id,
+    methodologyName: methodology.name,
+    known: true,
+    status: summarize(conditions),
+    conditions
+  };
+}
+
+/**
+ * Lists methodology parameters the project has not filled in yet
+ * @param {Object} project - Project data including methodologyParameters
+ * @returns {Array} - Parameter definitions
+ */
+export function getMissingParameters(project) {
+  const methodology = getMethodology(project.methodologyId);
+  if (!methodology) return [];
+  return methodology.parameters.filter(parameter => isMissing(project.methodologyParameters?.[parameter.key]));
+}
+
+const PARAMETER_CHECKS = {
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  text: value => typeof value === 'string',
+  select: (value, parameter) => parameter.options.some(option => option.value === value)
+};
+
+/**
+ * Checks methodology parameter values against the registry definitions
+ * @param {string} methodologyId - Methodology identifier
+ * @param {Object} parameters - { [key]: value }
+ * @returns {string|null} - Error message, or null when the values are valid
+ */
+export function validateParameters(methodologyId, parameters = {}) {
+  const methodology = getMethodology(methodologyId);
+  const definitions = new Map((methodology?.parameters || []).map(parameter => [parameter.key, parameter]));
+
+  for (const [key, value] of Object.entries(parameters)) {
+    const parameter = definitions.get(key);
+    if (!parameter) {
+      return `${key} is not a parameter of ${methodologyId || 'the selected methodology'}`;
+    }
+    if (!isMissing(value) && !PARAMETER_CHECKS[parameter.type](value, parameter)) {
+      return `Invalid value for ${parameter.label}`;
+    }
+  }
+  return null;
+}
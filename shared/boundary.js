@@ -0,0 +1,31 @@
+/**
+ * Project boundary file formats and stratum conventions shared by the API and the client
+ */
+
+// Browsers report these formats under many MIME types, so they are recognised by extension
+export const BOUNDARY_FORMATS = {
+  geojson: { label: 'GeoJSON', extensions: ['.geojson', '.json'] },
+  kml: { label: 'KML', extensions: ['.kml'] },
+  shapefile: { label: 'Shapefile (zipped)', extensions: ['.zip'] }
+};
+
+export const BOUNDARY_ACCEPT = Object.values(BOUNDARY_FORMATS)
+  .flatMap(format => format.extensions)
+  .join(',');
+
+// Feature properties checked, in order, for the stratum a polygon belongs to
+export const STRATUM_FIELD_CANDIDATES = ['stratum', 'Stratum', 'STRATUM', 'strata', 'zone', 'Zone', 'ZONE', 'name', 'Name', 'NAME'];
+
+// Stratum of polygons without a stratum property
+export const DEFAULT_STRATUM = 'Project area';
+
+/**
+ * Resolves the boundary format of an uploaded file from its name
+ * @param {string} filename - Original filename
+ * @returns {string|null} - Key of BOUNDARY_FORMATS, or null when not accepted
+ */
+export function resolveBoundaryFormat(filename) {
+  const extension = filename.slice(filename.lastIndexOf('.')).toLowerCase();
+  const match = Object.entries(BOUNDARY_FORMATS).find(([, format]) => format.extensions.includes(extension));
+  return match ? match[0] : null;
+}
@@ -0,0 +1,529 @@
+/**
+ * Emission reduction calculation models used by the calculation engine
+ * (server/services/calculation) and the monitoring input forms.
+ *
+ * A model lists the monitored inputs it needs and the formulas that turn them
+ * into baseline emissions, project emissions, leakage and buffer deductions.
+ * Steps run in order; each step's compute function receives every input and
+ * earlier step value keyed by `key`. Emissions are positive and removals
+ * negative, so net reductions are always baseline - project - leakage.
+ *
+ * When inputs are built from monitored time series, readings are summed over
+ * the period for inputs marked `aggregation: 'sum'` (flows such as MWh
+ * supplied) and averaged for the rest (factors, shares and stocks).
+ */
+
+import { getMethodology } from './methodologies.js';
+
+// Totals every calculation reports; steps tagged with `result` fill them in
+export const CALCULATION_RESULTS = [
+  'baselineEmissions',
+  'projectEmissions',
+  'leakageEmissions',
+  'netReductions',
+  'bufferDeduction',
+  'creditsIssuable'
+];
+
+export const CALCULATION_RESULT_LABELS = {
+  baselineEmissions: 'Baseline emissions',
+  projectEmissions: 'Project emissions',
+  leakageEmissions: 'Leakage emissions',
+  netReductions: 'Net emission reductions',
+  bufferDeduction: 'Buffer deduction',
+  creditsIssuable: 'Credits eligible for issuance'
+};
+
+export const STEP_CATEGORIES = ['baseline', 'project', 'leakage', 'net', 'buffer'];
+
+// Molecular weight ratio of CO2 to carbon
+const CO2_PER_C = 44 / 12;
+
+// Frequently reused inputs
+const INPUTS = {
+  gridEmissionFactor: {
+    key: 'gridEmissionFactor',
+    symbol: 'EF_grid,y',
+    label: 'Combined margin grid emission factor',
+    unit: 'tCO2e/MWh'
+  },
+  fossilFuelEmissionFactor: {
+    key: 'fossilFuelEmissionFactor',
+    symbol: 'EF_FF',
+    label: 'Emission factor of the fossil fuel',
+    unit: 'tCO2e/GJ',
+    default: 0.0741
+  },
+  gwpMethane: {
+    key: 'gwpMethane',
+    symbol: 'GWP_CH4',
+    label: 'Global warming potential of methane',
+    unit: 'tCO2e/tCH4',
+    default: 28
+  },
+  leakagePercent: {
+    key: 'leakagePercent',
+    symbol: 'LK',
+    label: 'Leakage deduction',
+    unit: '%'
+  },
+  nonPermanenceRisk: {
+    key: 'nonPermanenceRisk',
+    symbol: 'NPR',
+    label: 'Non-permanence risk rating',
+    unit: '%'
+  }
+};
+
+const netReductionsStep = {
+  key: 'netReductions',
+  symbol: 'ER_y',
+  label: 'Net GHG emission reductions and removals',
+  formula: 'ER_y = BE_y - PE_y - LE_y',
+  unit: 'tCO2e',
+  category: 'net',
+  result: 'netReductions',
+  compute: v => v.baselineEmissions - (v.projectEmissions ?? 0) - (v.leakageEmissions ?? 0)
+};
+
+// Buffer contributions are withheld from positive reductions only
+const bufferStep = {
+  key: 'bufferDeduction',
+  symbol: 'BUF_y',
+  label: 'Contribution to the non-permanence buffer pool',
+  formula: 'BUF_y = max(ER_y, 0) × NPR / 100',
+  unit: 'tCO2e',
+  category: 'buffer',
+  result: 'bufferDeduction',
+  compute: v => Math.max(v.netReductions, 0) * v.nonPermanenceRisk / 100
+};
+
+// Units are issued as whole tonnes
+const creditsStep = {
+  key: 'creditsIssuable',
+  symbol: 'CR_y',
+  label: 'Credits eligible for issuance',
+  formula: 'CR_y = floor(max(ER_y - BUF_y, 0))',
+  unit: 'tCO2e',
+  category: 'net',
+  result: 'creditsIssuable',
+  compute: v => Math.floor(Math.max(v.netReductions - (v.bufferDeduction ?? 0), 0))
+};
+
+export const CALCULATION_MODELS = {
+  'grid-electricity': {
+    name: 'Renewable electricity displacing grid or fossil generation',
+    inputs: [
+      { key: 'electricitySupplied', symbol: 'EG_PJ,y', label: 'Net electricity supplied by the project', unit: 'MWh', aggregation: 'sum' },
+      { ...INPUTS.gridEmissionFactor, label: 'Baseline emission factor of displaced electricity' },
+      { key: 'fossilFuelConsumed', symbol: 'FC_PJ,y', label: 'Fossil fuel consumed on site', unit: 'GJ', default: 0, aggregation: 'sum' },
+      INPUTS.fossilFuelEmissionFactor
+    ],
+    steps: [
+      {
+        key: 'baselineEmissions',
+        symbol: 'BE_y',
+        label: 'Baseline emissions from displaced electricity',
+        formula: 'BE_y = EG_PJ,y × EF_grid,y',
+        unit: 'tCO2e',
+        category: 'baseline',
+        result: 'baselineEmissions',
+        compute: v => v.electricitySupplied * v.gridEmissionFactor
+      },
+      {
+        key: 'projectEmissions',
+        symbol: 'PE_y',
+        label: 'Project emissions from on-site fossil fuel use',
+        formula: 'PE_y = FC_PJ,y × EF_FF',
+        unit: 'tCO2e',
+        category: 'project',
+        result: 'projectEmissions',
+        compute: v => v.fossilFuelConsumed * v.fossilFuelEmissionFactor
+      },
+      netReductionsStep,
+      creditsStep
+    ]
+  },
+
+  'thermal-energy': {
+    name: 'Renewable thermal energy displacing fossil fuel boilers',
+    inputs: [
+      { key: 'heatGenerated', symbol: 'HG_PJ,y', label: 'Net thermal energy supplied by the project', unit: 'GJ', aggregation: 'sum' },
+      { key: 'baselineEfficiency', symbol: 'η_BL', label: 'Efficiency of the baseline boiler', unit: '%' },
+      INPUTS.fossilFuelEmissionFactor,
+      { key: 'electricityConsumed', symbol: 'EC_PJ,y', label: 'Auxiliary electricity consumed', unit: 'MWh', default: 0, aggregation: 'sum' },
+      INPUTS.gridEmissionFactor
+    ],
+    steps: [
+      {
+        key: 'baselineEmissions',
+        symbol: 'BE_y',
+        label: 'Baseline emissions from displaced fossil fuel',
+        formula: 'BE_y = HG_PJ,y / (η_BL / 100) × EF_FF',
+        unit: 'tCO2e',
+        category: 'baseline',
+        result: 'baselineEmissions',
+        compute: v => v.heatGenerated / (v.baselineEfficiency / 100) * v.fossilFuelEmissionFactor
+      },
+      {
+        key: 'projectEmissions',
+        symbol: 'PE_y',
+        label: 'Project emissions from auxiliary electricity',
+        formula: 'PE_y = EC_PJ,y × EF_grid,y',
+        unit: 'tCO2e',
+        category: 'project',
+        result: 'projectEmissions',
+        compute: v => v.electricityConsumed * v.gridEmissionFactor
+      },
+      netReductionsStep,
+      creditsStep
+    ]
+  },
+
+  'biomass-cookstoves': {
+    name: 'Efficient cookstoves displacing non-renewable biomass',
+    inputs: [
+      { key: 'devicesInUse', symbol: 'N_y', label: 'Project devices in use', unit: 'devices' },
+      { key: 'baselineBiomass', symbol: 'B_BL', label: 'Baseline biomass use per device over the period', unit: 't' },
+      { key: 'baselineEfficiency', symbol: 'η_old', label: 'Efficiency of the baseline stove', unit: '%', default: 10 },
+      { key: 'projectEfficiency', symbol: 'η_new', label: 'Efficiency of the project stove', unit: '%' },
+      { key: 'fNRB', symbol: 'fNRB_y', label: 'Fraction of non-renewable biomass', unit: '%' },
+      { key: 'biomassNCV', symbol: 'NCV_biomass', label: 'Net calorific value of wood fuel', unit: 'TJ/t', default: 0.0156 },
+      { key: 'substituteFuelEmissionFactor', symbol: 'EF_projected_fossilfuel', label: 'Emission factor of the substitute fossil fuel', unit: 'tCO2e/TJ', default: 63.7 },
+      { ...INPUTS.leakagePercent, default: 5 }
+    ],
+    steps: [
+      {
+        key: 'biomassSavings',
+        symbol: 'B_savings,y',
+        label: 'Biomass saved by project devices',
+        formula: 'B_savings,y = N_y × B_BL × (1 - η_old / η_new)',
+        unit: 't',
+        category: 'baseline',
+        compute: v => v.devicesInUse * v.baselineBiomass * (1 - v.baselineEfficiency / v.projectEfficiency)
+      },
+      {
+        key: 'baselineEmissions',
+        symbol: 'BE_y',
+        label: 'Emissions avoided from non-renewable biomass',
+        formula: 'BE_y = B_savings,y × fNRB_y / 100 × NCV_biomass × EF_projected_fossilfuel',
+        unit: 'tCO2e',
+        category: 'baseline',
+        result: 'baselineEmissions',
+        compute: v => v.biomassSavings * v.fNRB / 100 * v.biomassNCV * v.substituteFuelEmissionFactor
+      },
+      {
+        key: 'leakageEmissions',
+        symbol: 'LE_y',
+        label: 'Leakage from non-project use of saved biomass',
+        formula: 'LE_y = BE_y × LK / 100',
+        unit: 'tCO2e',
+        category: 'leakage',
+        result: 'leakageEmissions',
+        compute: v => v.baselineEmissions * v.leakagePercent / 100
+      },
+      netReductionsStep,
+      creditsStep
+    ]
+  },
+
+  'safe-water': {
+    name: 'Safe water supply displacing water boiling',
+    inputs: [
+      { key: 'waterSupplied', symbol: 'Q_PJ,y', label: 'Safe water consumed by users', unit: 'm3', aggregation: 'sum' },
+      { key: 'boiledShare', symbol: 'f_boil', label: 'Share of water that would be boiled in the baseline', unit: '%' },
+      { key: 'boilingEnergy', symbol: 'SEC_boil', label: 'Fuel energy needed to boil water with baseline stoves', unit: 'GJ/m3' },
+      { key: 'baselineFuelEmissionFactor', symbol: 'EF_BL,fuel', label: 'Emission factor of the baseline fuel mix, adjusted for fNRB', unit: 'tCO2e/GJ' },
+      { key: 'electricityConsumed', symbol: 'EC_PJ,y', label: 'Electricity used for treatment and pumping', unit: 'MWh', default: 0, aggregation: 'sum' },
+      INPUTS.gridEmissionFactor
+    ],
+    steps: [
+      {
+        key: 'baselineEmissions',
+        symbol: 'BE_y',
+        label: 'Baseline emissions from boiling water',
+        formula: 'BE_y = Q_PJ,y × f_boil / 100 × SEC_boil × EF_BL,fuel',
+        unit: 'tCO2e',
+        category: 'baseline',
+        result: 'baselineEmissions',
+        compute: v => v.waterSupplied * v.boiledShare / 100 * v.boilingEnergy * v.baselineFuelEmissionFactor
+      },
+      {
+        key: 'projectEmissions',
+        symbol: 'PE_y',
+        label: 'Project emissions from electricity use',
+        formula: 'PE_y = EC_PJ,y × EF_grid,y',
+        unit: 'tCO2e',
+        category: 'project',
+        result: 'projectEmissions',
+        compute: v => v.electricityConsumed * v.gridEmissionFactor
+      },
+      netReductionsStep,
+      creditsStep
+    ]
+  },
+
+  'methane-destruction': {
+    name: 'Landfill gas capture, flaring and power generation',
+    inputs: [
+      { key: 'gasCaptured', symbol: 'F_LFG,y', label: 'Landfill gas captured', unit: 'Nm3', aggregation: 'sum' },
+      { key: 'methaneFraction', symbol: 'w_CH4,y', label: 'Methane fraction of landfill gas', unit: '%' },
+      { key: 'methaneDensity', symbol: 'ρ_CH4', label: 'Density of methane at normal conditions', unit: 't/Nm3', default: 0.000716 },
+      { key: 'destructionEfficiency', symbol: 'η_flare,y', label: 'Destruction efficiency of flare or engine', unit: '%', default: 90 },
+      INPUTS.gwpMethane,
+      { key: 'electricityGenerated', symbol: 'EG_PJ,y', label: 'Net electricity exported from landfill gas', unit: 'MWh', default: 0, aggregation: 'sum' },
+      { key: 'electricityConsumed', symbol: 'EC_PJ,y', label: 'Electricity consumed by the capture system', unit: 'MWh', default: 0, aggregation: 'sum' },
+      INPUTS.gridEmissionFactor
+    ],
+    steps: [
+      {
+        key: 'methaneDestroyed',
+        symbol: 'MD_y',
+        label: 'Methane destroyed',
+        formula: 'MD_y = F_LFG,y × w_CH4,y / 100 × ρ_CH4 × η_flare,y / 100',
+        unit: 'tCH4',
+        category: 'baseline',
+        compute: v => v.gasCaptured * v.methaneFraction / 100 * v.methaneDensity * v.destructionEfficiency / 100
+      },
+      {
+        key: 'baselineEmissions',
+        symbol: 'BE_y',
+        label: 'Baseline methane emissions and displaced grid electricity',
+        formula: 'BE_y = MD_y × GWP_CH4 + EG_PJ,y × EF_grid,y',
+        unit: 'tCO2e',
+        category: 'baseline',
+        result: 'baselineEmissions',
+        compute: v => v.methaneDestroyed * v.gwpMethane + v.electricityGenerated * v.gridEmissionFactor
+      },
+      {
+        key: 'projectEmissions',
+        symbol: 'PE_y',
+        label: 'Project emissions from electricity consumption',
+        formula: 'PE_y = EC_PJ,y × EF_grid,y',
+        unit: 'tCO2e',
+        category: 'project',
+        result: 'projectEmissions',
+        compute: v => v.electricityConsumed * v.gridEmissionFactor
+      },
+      netReductionsStep,
+      creditsStep
+    ]
+  },
+
+  'enteric-methane': {
+    name: 'Feed additives reducing enteric methane',
+    inputs: [
+      { key: 'animals', symbol: 'N_animals', label: 'Animals receiving the feed additive', unit: 'head' },
+      { key: 'feedingDays', symbol: 'D_y', label: 'Days the additive was fed', unit: 'days' },
+      { key: 'baselineEmissionFactor', symbol: 'EF_BL,CH4', label: 'Baseline enteric methane emission factor', unit: 'kg CH4/head/day' },
+      { key: 'projectEmissionFactor', symbol: 'EF_PJ,CH4', label: 'Project enteric methane emission factor', unit: 'kg CH4/head/day' },
+      INPUTS.gwpMethane,
+      { key: 'feedEmissions', symbol: 'PE_feed,y', label: 'Emissions from producing and transporting the additive', unit: 'tCO2e', default: 0, aggregation: 'sum' }
+    ],
+    steps: [
+      {
+        key: 'baselineEmissions',
+        symbol: 'BE_y',
+        label: 'Baseline enteric methane emissions',
+        formula: 'BE_y = N_animals × D_y × EF_BL,CH4 × GWP_CH4 / 1000',
+        unit: 'tCO2e',
+        category: 'baseline',
+        result: 'baselineEmissions',
+        compute: v => v.animals * v.feedingDays * v.baselineEmissionFactor * v.gwpMethane / 1000
+      },
+      {
+        key: 'projectEmissions',
+        symbol: 'PE_y',
+        label: 'Project enteric methane and additive emissions',
+        formula: 'PE_y = N_animals × D_y × EF_PJ,CH4 × GWP_CH4 / 1000 + PE_feed,y',
+        unit: 'tCO2e',
+        category: 'project',
+        result: 'projectEmissions',
+        compute: v => v.animals * v.feedingDays * v.projectEmissionFactor * v.gwpMethane / 1000 + v.feedEmissions
+      },
+      netReductionsStep,
+      creditsStep
+    ]
+  },
+
+  'energy-savings': {
+    name: 'Metered energy savings against a baseline',
+    inputs: [
+      { key: 'baselineElectricity', symbol: 'EC_BL,y', label: 'Baseline electricity consumption, adjusted to project conditions', unit: 'MWh', aggregation: 'sum' },
+      { key: 'projectElectricity', symbol: 'EC_PJ,y', label: 'Project electricity consumption', unit: 'MWh', aggregation: 'sum' },
+      INPUTS.gridEmissionFactor,
+      { key: 'baselineFuel', symbol: 'FC_BL,y', label: 'Baseline fossil fuel consumption', unit: 'GJ', default: 0, aggregation: 'sum' },
+      { key: 'projectFuel', symbol: 'FC_PJ,y', label: 'Project fossil fuel consumption', unit: 'GJ', default: 0, aggregation: 'sum' },
+      INPUTS.fossilFuelEmissionFactor
+    ],
+    steps: [
+      {
+        key: 'baselineEmissions',
+        symbol: 'BE_y',
+        label: 'Baseline emissions from electricity and fuel',
+        formula: 'BE_y = EC_BL,y × EF_grid,y + FC_BL,y × EF_FF',
+        unit: 'tCO2e',
+        category: 'baseline',
+        result: 'baselineEmissions',
+        compute: v => v.baselineElectricity * v.gridEmissionFactor + v.baselineFuel * v.fossilFuelEmissionFactor
+      },
+      {
+        key: 'projectEmissions',
+        symbol: 'PE_y',
+        label: 'Project emissions from electricity and fuel',
+        formula: 'PE_y = EC_PJ,y × EF_grid,y + FC_PJ,y × EF_FF',
+        unit: 'tCO2e',
+        category: 'project',
+        result: 'projectEmissions',
+        compute: v => v.projectElectricity * v.gridEmissionFactor + v.projectFuel * v.fossilFuelEmissionFactor
+      },
+      netReductionsStep,
+      creditsStep
+    ]
+  },
+
+  'product-intensity': {
+    name: 'Lower emission intensity per unit of product',
+    inputs: [
+      { key: 'production', symbol: 'P_y', label: 'Product output', unit: 'm3', aggregation: 'sum' },
+      { key: 'baselineIntensity', symbol: 'EI_BL', label: 'Baseline emission intensity', unit: 'tCO2e/m3' },
+      { key: 'projectIntensity', symbol: 'EI_PJ,y', label: 'Project emission intensity', unit: 'tCO2e/m3' }
+    ],
+    steps: [
+      {
+        key: 'baselineEmissions',
+        symbol: 'BE_y',
+        label: 'Baseline emissions for the same output',
+        formula: 'BE_y = P_y × EI_BL',
+        unit: 'tCO2e',
+        category: 'baseline',
+        result: 'baselineEmissions',
+        compute: v => v.production * v.baselineIntensity
+      },
+      {
+        key: 'projectEmissions',
+        symbol: 'PE_y',
+        label: 'Project emissions',
+        formula: 'PE_y = P_y × EI_PJ,y',
+        unit: 'tCO2e',
+        category: 'project',
+        result: 'projectEmissions',
+        compute: v => v.production * v.projectIntensity
+      },
+      netReductionsStep,
+      creditsStep
+    ]
+  },
+
+  'avoided-deforestation': {
+    name: 'Avoided deforestation and conversion (REDD)',
+    inputs: [
+      { key: 'baselineDeforestation', symbol: 'A_BSL,y', label: 'Baseline deforestation in the project area', unit: 'ha', aggregation: 'sum' },
+      { key: 'projectDeforestation', symbol: 'A_PJ,y', label: 'Observed deforestation in the project area', unit: 'ha', default: 0, aggregation: 'sum' },
+      { key: 'forestCarbonStock', symbol: 'C_forest', label: 'Carbon stock of the forest class', unit: 'tC/ha' },
+      { key: 'postConversionCarbonStock', symbol: 'C_post', label: 'Carbon stock after conversion', unit: 'tC/ha', default: 0 },
+      { ...INPUTS.leakagePercent, label: 'Activity-shifting and market leakage' },
+      INPUTS.nonPermanenceRisk
+    ],
+    steps: [
+      {
+        key: 'carbonStockChange',
+        symbol: 'ΔC',
+        label: 'Carbon stock change per hectare deforested',
+        formula: 'ΔC = (C_forest - C_post) × 44 / 12',
+        unit: 'tCO2e/ha',
+        category: 'baseline',
+        compute: v => (v.forestCarbonStock - v.postConversionCarbonStock) * CO2_PER_C
+      },
+      {
+        key: 'baselineEmissions',
+        symbol: 'BE_y',
+        label: 'Baseline emissions from deforestation',
+        formula: 'BE_y = A_BSL,y × ΔC',
+        unit: 'tCO2e',
+        category: 'baseline',
+        result: 'baselineEmissions',
+        compute: v => v.baselineDeforestation * v.carbonStockChange
+      },
+      {
+        key: 'projectEmissions',
+        symbol: 'PE_y',
+        label: 'Project emissions from remaining deforestation',
+        formula: 'PE_y = A_PJ,y × ΔC',
+        unit: 'tCO2e',
+        category: 'project',
+        result: 'projectEmissions',
+        compute: v => v.projectDeforestation * v.carbonStockChange
+      },
+      {
+        key: 'leakageEmissions',
+        symbol: 'LE_y',
+        label: 'Leakage emissions',
+        formula: 'LE_y = max(BE_y - PE_y, 0) × LK / 100',
+        unit: 'tCO2e',
+        category: 'leakage',
+        result: 'leakageEmissions',
+        compute: v => Math.max(v.baselineEmissions - v.projectEmissions, 0) * v.leakagePercent / 100
+      },
+      netReductionsStep,
+      bufferStep,
+      creditsStep
+    ]
+  },
+
+  'carbon-removals': {
+    name: 'Carbon removals from planting and restoration',
+    inputs: [
+      { key: 'projectStockChange', symbol: 'ΔC_PJ,y', label: 'Change in project carbon stocks over the period', unit: 'tC', aggregation: 'sum' },
+      { key: 'baselineStockChange', symbol: 'ΔC_BSL,y', label: 'Change in baseline carbon stocks over the period', unit: 'tC', default: 0, aggregation: 'sum' },
+      { key: 'projectGhgEmissions', symbol: 'GHG_E,y', label: 'Project emissions from fertilizer, fuel and biomass burning', unit: 'tCO2e', default: 0, aggregation: 'sum' },
+      { ...INPUTS.leakagePercent, default: 0 },
+      INPUTS.nonPermanenceRisk
+    ],
+    steps: [
+      {
+        key: 'baselineEmissions',
+        symbol: 'BE_y',
+        label: 'Baseline net emissions (removals are negative)',
+        formula: 'BE_y = -ΔC_BSL,y × 44 / 12',
+        unit: 'tCO2e',
+        category: 'baseline',
+        result: 'baselineEmissions',
+        compute: v => -v.baselineStockChange * CO2_PER_C
+      },
+      {
+        key: 'projectEmissions',
+        symbol: 'PE_y',
+        label: 'Project net emissions (removals are negative)',
+        formula: 'PE_y = GHG_E,y - ΔC_PJ,y × 44 / 12',
+        unit: 'tCO2e',
+        category: 'project',
+        result: 'projectEmissions',
+        compute: v => v.projectGhgEmissions - v.projectStockChange * CO2_PER_C
+      },
+      {
+        key: 'leakageEmissions',
+        symbol: 'LE_y',
+        label: 'Leakage from displaced activities',
+        formula: 'LE_y = max(BE_y - PE_y, 0) × LK / 100',
+        unit: 'tCO2e',
+        category: 'leakage',
+        result: 'leakageEmissions',
+        compute: v => Math.max(v.baselineEmissions - v.projectEmissions, 0) * v.leakagePercent / 100
+      },
+      netReductionsStep,
+      bufferStep,
+      creditsStep
+    ]
+  }
+};
+
+/**
+ * Resolves the calculation model for a methodology
+ * @param {string} methodologyId - Methodology identifier
+ * @returns {Object|null} - Model with its id, or null when the methodology has none
+ */
+export function getCalculationModel(methodologyId) {
+  const id = getMethodology(methodologyId)?.calculationModel;
+  return id && CALCULATION_MODELS[id] ? { id, ...CALCULATION_MODELS[id] } : null;
+}
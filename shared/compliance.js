@@ -0,0 +1,108 @@
+/**
+ * Pre-submission compliance report vocabulary and the standard-specific
+ * limits applied by the rules in server/services/compliance, shared by the
+ * API and the client
+ */
+
+import { STANDARDS } from './standards.js';
+
+// Blocking items must be resolved before submission; warnings should be reviewed
+export const COMPLIANCE_SEVERITIES = ['blocking', 'warning'];
+
+export const COMPLIANCE_SEVERITY_LABELS = {
+  blocking: 'Blocking',
+  warning: 'Warning'
+};
+
+// Weight of an item in the score, so one blocking item counts as much as three warnings
+export const COMPLIANCE_SEVERITY_WEIGHTS = {
+  blocking: 3,
+  warning: 1
+};
+
+export const COMPLIANCE_CATEGORIES = [
+  'project-data',
+  'crediting-period',
+  'methodology',
+  'sections',
+  'sdg',
+  'safeguards',
+  'stakeholders',
+  'boundary',
+  'monitoring',
+  'submission'
+];
+
+export const COMPLIANCE_CATEGORY_LABELS = {
+  'project-data': 'Project data',
+  'crediting-period': 'Crediting period',
+  methodology: 'Methodology',
+  sections: 'Document sections',
+  sdg: 'SDG contributions',
+  safeguards: 'Safeguards',
+  stakeholders: 'Stakeholder consultation',
+  boundary: 'Project boundary',
+  monitoring: 'Monitoring',
+  submission: 'Submission package'
+};
+
+// blocked: at least one blocking item failed; review: only warnings failed; ready: everything passed
+export const COMPLIANCE_STATUSES = ['blocked', 'review', 'ready'];
+
+export const COMPLIANCE_STATUS_LABELS = {
+  blocked: 'Not ready',
+  review: 'Ready with warnings',
+  ready: 'Ready'
+};
+
+// Crediting period length, in years, each standard accepts for a single period.
+// Land use projects (AFOLU) have long fixed periods; other projects short ones,
+// which may be renewed, so the limit applies to the period entered on the project.
+// Set per standard in the standards registry.
+export const CREDITING_PERIOD_LIMITS = Object.fromEntries(
+  Object.entries(STANDARDS)
+    .filter(([, { creditingPeriod }]) => creditingPeriod)
+    .map(([standard, { creditingPeriod }]) => [standard, creditingPeriod])
+);
+
+// Project types that always fall under land use rules, whatever the methodology
+const LAND_USE_PROJECT_TYPES = ['afforestation', 'reforestation'];
+
+/**
+ * Whether a project is a land use (AFOLU) project, which needs a mapped
+ * boundary and the land use crediting period
+ * @param {Object} project - { projectType }
+ * @param {Object|null} methodology - Methodology registry entry
+ * @returns {boolean}
+ */
+export function isLandUseProject(project, methodology) {
+  return LAND_USE_PROJECT_TYPES.includes(project.projectType) || /AFOLU/.test(methodology?.scope || '');
+}
+
+/**
+ * Scores checked items: the weighted share of items that passed
+ * @param {Array<Object>} items - [{ severity, passed }]
+ * @returns {Object} - { score: 0-100, status, blocking, warnings } where blocking and warnings count failed items
+ */
+export function scoreCompliance(items) {
+  const total = items.reduce((sum, item) => sum + COMPLIANCE_SEVERITY_WEIGHTS[item.severity], 0);
+  const passed = items
+    .filter(item => item.passed)
+    .reduce((sum, item) => sum + COMPLIANCE_SEVERITY_WEIGHTS[item.severity], 0);
+  const blocking = items.filter(item => !item.passed && item.severity === 'blocking').length;
+  const warnings = items.filter(item => !item.passed && item.severity === 'warning').length;
+
+  let status = 'ready';
+  if (blocking > 0) {
+    status = 'blocked';
+  } else if (warnings > 0) {
+    status = 'review';
+  }
+
+  return {
+    score: total === 0 ? 100 : Math.round((passed / total) * 100),
+    status,
+    blocking,
+    warnings
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Local stakeholder consultation records: the events held, who attended and
+ * the comments raised, shared by the API and the client
+ */
+
+export const CONSULTATION_FORMATS = ['meeting', 'workshop', 'focus-group', 'interview', 'site-visit', 'online'];
+
+export const CONSULTATION_FORMAT_LABELS = {
+  meeting: 'Public meeting',
+  workshop: 'Workshop',
+  'focus-group': 'Focus group',
+  interview: 'Interview',
+  'site-visit': 'Site visit',
+  online: 'Online consultation'
+};
+
+export const STAKEHOLDER_GROUPS = [
+  'local-community',
+  'indigenous-peoples',
+  'women',
+  'landowners',
+  'workers',
+  'local-government',
+  'national-government',
+  'ngo',
+  'private-sector',
+  'other'
+];
+
+export const STAKEHOLDER_GROUP_LABELS = {
+  'local-community': 'Local community',
+  'indigenous-peoples': 'Indigenous peoples',
+  women: 'Women\'s groups',
+  landowners: 'Landowners and land users',
+  workers: 'Workers',
+  'local-government': 'Local government',
+  'national-government': 'National government',
+  ngo: 'NGOs and civil society',
+  'private-sector': 'Private sector',
+  other: 'Other'
+};
+
+// Gold Standard asks for attendance broken down by gender
+export const ATTENDEE_GENDERS = ['female', 'male', 'other'];
+
+export const ATTENDEE_GENDER_LABELS = {
+  female: 'Female',
+  male: 'Male',
+  other: 'Other'
+};
+
+// Attendee list columns and the headers an imported CSV may use for them
+export const ATTENDEE_COLUMNS = {
+  name: ['name', 'full name', 'attendee', 'participant'],
+  organization: ['organization', 'organisation', 'affiliation', 'community', 'village'],
+  stakeholderGroup: ['stakeholder group', 'group', 'category', 'stakeholder type'],
+  gender: ['gender', 'sex'],
+  contact: ['contact', 'email', 'phone', 'telephone']
+};
+
+const normalize = value => String(value ?? '').trim().toLowerCase();
+
+/**
+ * Reads a stakeholder group from free text, matching ids and labels
+ * @param {string} value - Cell text, e.g. "Women's groups" or "ngo"
+ * @returns {string|null} - Key of STAKEHOLDER_GROUP_LABELS, or null when blank
+ */
+export function parseStakeholderGroup(value) {
+  const text = normalize(value);
+  if (!text) return null;
+  return STAKEHOLDER_GROUPS.find(group => group === text.replace(/\s+/g, '-') || normalize(STAKEHOLDER_GROUP_LABELS[group]) === text)
+    || 'other';
+}
+
+/**
+ * Reads a gender from free text: "F", "female" and "woman" are all understood
+ * @param {string} value - Cell text
+ * @returns {string|null} - One of ATTENDEE_GENDERS, or null when blank or unrecognised
+ */
+export function parseGender(value) {
+  const text = normalize(value);
+  if (['f', 'female', 'woman', 'w'].includes(text)) return 'female';
+  if (['m', 'male', 'man'].includes(text)) return 'male';
+  if (['other', 'o', 'non-binary', 'x'].includes(text)) return 'other';
+  return null;
+}
+
+// A comment is answered once the project developer has recorded a response
+export const isCommentAnswered = comment => Boolean(comment.response?.trim());
+
+/**
+ * Totals across a project's consultation events
+ * @param {Array<Object>} consultations - [{ date, attendees, comments }]
+ * @returns {Object} - { events, firstDate, lastDate, attendees, female, comments, answered }
+ */
+export function summarizeConsultations(consultations = []) {
+  const dates = consultations.map(consultation => new Date(consultation.date)).filter(date => !Number.isNaN(date.getTime()));
+  const attendees = consultations.flatMap(consultation => consultation.attendees || []);
+  const comments = consultations.flatMap(consultation => consultation.comments || []);
+
+  return {
+    events: consultations.length,
+    firstDate: dates.length > 0 ? new Date(Math.min(...dates)) : null,
+    lastDate: dates.length > 0 ? new Date(Math.max(...dates)) : null,
+    attendees: attendees.length,
+    female: attendees.filter(attendee => attendee.gender === 'female').length,
+    comments: comments.length,
+    answered: comments.filter(isCommentAnswered).length
+  };
+}
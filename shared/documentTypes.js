@@ -0,0 +1,64 @@
+/**
+ * Document categories and accepted upload formats
+ */
+
+export const DOCUMENT_TYPES = {
+  'project-design-document': 'Project Design Document',
+  'supporting-documentation': 'Supporting Documentation',
+  'baseline-study': 'Baseline Study',
+  'feasibility-report': 'Feasibility Report',
+  'stakeholder-consultation': 'Stakeholder Consultation Records',
+  'stakeholder-consultation-report': 'Stakeholder Consultation Report',
+  'validation-report': 'Validation Report',
+  'registration-proof': 'Registration Proof',
+  'listing-form': 'Listing Form',
+  'listing-confirmation': 'Listing Confirmation',
+  'monitoring-report': 'Monitoring Report',
+  'monitoring-data': 'Monitoring Data',
+  'verification-report': 'Verification Report',
+  'attestation-of-title': 'Attestation of Title',
+  'regulatory-compliance-attestation': 'Attestation of Regulatory Compliance',
+  'verification-statement': 'Verification Statement',
+  'issuance-request': 'Issuance Request',
+  'issuance-confirmation': 'Issuance Confirmation',
+  other: 'Other'
+};
+
+export const UPLOAD_FILE_TYPES = {
+  pdf: { mimeTypes: ['application/pdf'], extensions: ['.pdf'] },
+  docx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx']
+  },
+  xlsx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    extensions: ['.xlsx']
+  },
+  // Windows browsers report CSV files with the Excel MIME type
+  csv: { mimeTypes: ['text/csv', 'application/vnd.ms-excel'], extensions: ['.csv'] },
+  txt: { mimeTypes: ['text/plain'], extensions: ['.txt'] },
+  png: { mimeTypes: ['image/png'], extensions: ['.png'] },
+  jpeg: { mimeTypes: ['image/jpeg'], extensions: ['.jpg', '.jpeg'] }
+};
+
+export const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
+
+export const UPLOAD_ACCEPT = Object.values(UPLOAD_FILE_TYPES)
+  .flatMap(type => [...type.extensions, ...type.mimeTypes])
+  .join(',');
+
+/**
+ * Resolves the upload file type from a filename and declared MIME type
+ * @param {string} filename - Original filename
+ * @param {string} mimeType - MIME type reported by the browser
+ * @returns {string|null} - Key of UPLOAD_FILE_TYPES, or null when not accepted
+ */
+export function resolveUploadType(filename, mimeType) {
+  const extension = filename.slice(filename.lastIndexOf('.')).toLowerCase();
+
+  const match = Object.entries(UPLOAD_FILE_TYPES).find(([, type]) =>
+    type.extensions.includes(extension) && (!mimeType || type.mimeTypes.includes(mimeType) || mimeType === 'application/octet-stream')
+  );
+
+  return match ? match[0] : null;
+}
@@ -0,0 +1,53 @@
+/**
+ * Findings raised by validation and verification bodies (VVBs) and the
+ * states they move through, shared by the API and the client
+ */
+
+import { canPerform } from './permissions.js';
+
+export const FINDING_TYPES = ['CAR', 'CL', 'FAR'];
+
+export const FINDING_TYPE_LABELS = {
+  CAR: 'Corrective Action Request',
+  CL: 'Clarification Request',
+  FAR: 'Forward Action Request'
+};
+
+// open waits on the project team, responded waits on the VVB, closed is accepted by the VVB
+export const FINDING_STATUSES = ['open', 'responded', 'closed'];
+
+export const FINDING_STATUS_LABELS = {
+  open: 'Open',
+  responded: 'Responded',
+  closed: 'Closed'
+};
+
+/**
+ * Whether a finding is still unresolved after its due date
+ * @param {Object} finding - { status, dueDate }
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export function isFindingOverdue(finding, now = new Date()) {
+  return finding.status !== 'closed' && Boolean(finding.dueDate) && new Date(finding.dueDate) < now;
+}
+
+/**
+ * Whether a user can close a finding: anyone who can edit the project once
+ * the team has responded, and project admins at any time
+ * @param {Object} finding - { status }
+ * @param {string} role - The user's project role
+ * @returns {boolean}
+ */
+export function canCloseFinding(finding, role) {
+  return finding.status === 'responded' ? canPerform(role, 'edit') : canPerform(role, 'manageFindings');
+}
+
+/**
+ * Display reference of a finding, e.g. "CAR 3"
+ * @param {Object} finding - { type, number }
+ * @returns {string}
+ */
+export function formatFindingReference(finding) {
+  return `${finding.type} ${finding.number}`;
+}
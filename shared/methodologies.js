@@ -0,0 +1,656 @@
+/**
+ * Machine-readable registry of the methodologies supported per target standard.
+ *
+ * Each entry lists the project types it covers, the parameters a project must
+ * supply to assess it, its applicability conditions and the calculation model
+ * (see calculationModels.js) that quantifies its emission reductions.
+ * Conditions are rules evaluated by shared/applicability.js against the project, where
+ * `parameters.<key>` refers to project.methodologyParameters and `derived.<key>`
+ * to values computed from the project (see applicability.js).
+ */
+
+// Frequently reused parameter definitions
+const PARAMETERS = {
+  yearsAsForest: {
+    key: 'yearsAsForest',
+    label: 'Years the project area has been forest before the start date',
+    type: 'number',
+    unit: 'years'
+  },
+  yearsWithoutForest: {
+    key: 'yearsWithoutForest',
+    label: 'Years the project area has been without forest cover before the start date',
+    type: 'number',
+    unit: 'years'
+  },
+  deforestationAgent: {
+    key: 'deforestationAgent',
+    label: 'Baseline deforestation type',
+    type: 'select',
+    options: [
+      { value: 'planned', label: 'Planned (legally sanctioned conversion)' },
+      { value: 'unplanned', label: 'Unplanned (frontier or mosaic)' }
+    ]
+  },
+  peatDrainage: {
+    key: 'peatDrainage',
+    label: 'Project activities drain peatland or wetland soils',
+    type: 'boolean'
+  },
+  areaHectares: {
+    key: 'areaHectares',
+    label: 'Project area',
+    type: 'number',
+    unit: 'ha'
+  },
+  gridConnected: {
+    key: 'gridConnected',
+    label: 'Project supplies electricity to a grid',
+    type: 'boolean'
+  },
+  installedCapacityMW: {
+    key: 'installedCapacityMW',
+    label: 'Installed electrical capacity',
+    type: 'number',
+    unit: 'MW'
+  },
+  thermalCapacityMWth: {
+    key: 'thermalCapacityMWth',
+    label: 'Installed thermal capacity',
+    type: 'number',
+    unit: 'MWth'
+  },
+  nonRenewableBiomass: {
+    key: 'nonRenewableBiomass',
+    label: 'Baseline fuel includes non-renewable biomass',
+    type: 'boolean'
+  },
+  householdOrCommunityScale: {
+    key: 'householdOrCommunityScale',
+    label: 'Technology is deployed at household, institutional or community scale',
+    type: 'boolean'
+  },
+  captureRequiredByLaw: {
+    key: 'captureRequiredByLaw',
+    label: 'Landfill gas capture is required by regulation',
+    type: 'boolean'
+  },
+  inUnitedStates: {
+    key: 'inUnitedStates',
+    label: 'Project is located in the United States or its territories',
+    type: 'boolean'
+  }
+};
+
+// Type I small-scale CDM limit (15 MW electrical or 45 MW thermal) and type III limit (60 ktCO2e/yr)
+const SMALL_SCALE_THERMAL_MWTH = 45;
+const SMALL_SCALE_ELECTRIC_MW = 15;
+const SMALL_SCALE_TYPE_III_TCO2E = 60000;
+
+const forestHistoryRule = {
+  id: 'forest-10-years',
+  description: 'The project area has qualified as forest for at least 10 years before the project start date',
+  rule: { field: 'parameters.yearsAsForest', op: 'gte', value: 10 }
+};
+
+const noForestHistoryRule = {
+  id: 'non-forest-10-years',
+  description: 'The project area has not been forest for at least 10 years before the project start date',
+  rule: { field: 'parameters.yearsWithoutForest', op: 'gte', value: 10 }
+};
+
+const regulatorySurplusRule = {
+  id: 'regulatory-surplus',
+  description: 'Landfill gas capture is not required by applicable regulations',
+  rule: { field: 'parameters.captureRequiredByLaw', op: 'eq', value: false }
+};
+
+const unitedStatesRule = {
+  id: 'united-states',
+  description: 'The project is located in the United States or its territories',
+  rule: { field: 'parameters.inUnitedStates', op: 'eq', value: true }
+};
+
+const noDrainageRule = {
+  id: 'no-drainage',
+  description: 'Project activities do not drain peatland or wetland soils',
+  rule: { field: 'parameters.peatDrainage', op: 'eq', value: false }
+};
+
+export const METHODOLOGIES = [
+  {
+    id: 'VM0004',
+    standard: 'verra',
+    name: 'Avoided Planned Deforestation',
+    version: '2.0',
+    scope: 'AFOLU (Sectoral Scope 14) - REDD',
+    projectTypes: ['other'],
+    calculationModel: 'avoided-deforestation',
+    parameters: [PARAMETERS.yearsAsForest, PARAMETERS.deforestationAgent, PARAMETERS.peatDrainage, PARAMETERS.areaHectares],
+    applicability: [
+      forestHistoryRule,
+      {
+        id: 'planned-conversion',
+        description: 'In the baseline the forest would be converted under a legally sanctioned plan',
+        rule: { field: 'parameters.deforestationAgent', op: 'eq', value: 'planned' }
+      },
+      noDrainageRule
+    ]
+  },
+  {
+    id: 'VM0006',
+    standard: 'verra',
+    name: 'Avoided Unplanned Deforestation (Mosaic)',
+    version: '2.2',
+    scope: 'AFOLU (Sectoral Scope 14) - REDD',
+    projectTypes: ['other'],
+    calculationModel: 'avoided-deforestation',
+    parameters: [PARAMETERS.yearsAsForest, PARAMETERS.deforestationAgent, PARAMETERS.areaHectares],
+    applicability: [
+      forestHistoryRule,
+      {
+        id: 'unplanned-deforestation',
+        description: 'Baseline deforestation is unplanned and driven by agents in a mosaic landscape',
+        rule: { field: 'parameters.deforestationAgent', op: 'eq', value: 'unplanned' }
+      }
+    ]
+  },
+  {
+    id: 'VM0007',
+    standard: 'verra',
+    name: 'REDD+ Methodology Framework',
+    version: '1.6',
+    scope: 'AFOLU (Sectoral Scope 14) - REDD, ARR, WRC',
+    projectTypes: ['other', 'reforestation'],
+    calculationModel: 'avoided-deforestation',
+    parameters: [PARAMETERS.yearsAsForest, PARAMETERS.deforestationAgent, PARAMETERS.peatDrainage, PARAMETERS.areaHectares],
+    applicability: [
+      {
+        id: 'baseline-threat',
+        description: 'The baseline involves planned or unplanned deforestation or degradation',
+        rule: { field: 'parameters.deforestationAgent', op: 'in', value: ['planned', 'unplanned'] }
+      },
+      forestHistoryRule,
+      noDrainageRule
+    ]
+  },
+  {
+    id: 'VM0009',
+    standard: 'verra',
+    name: 'Avoided Ecosystem Conversion',
+    version: '3.0',
+    scope: 'AFOLU (Sectoral Scope 14) - REDD, ACoGS',
+    projectTypes: ['other'],
+    calculationModel: 'avoided-deforestation',
+    parameters: [
+      {
+        key: 'ecosystemType',
+        label: 'Threatened ecosystem',
+        type: 'select',
+        options: [
+          { value: 'forest', label: 'Forest' },
+          { value: 'grassland', label: 'Grassland' },
+          { value: 'shrubland', label: 'Shrubland' }
+        ]
+      },
+      PARAMETERS.deforestationAgent,
+      PARAMETERS.areaHectares
+    ],
+    applicability: [
+      {
+        id: 'native-ecosystem',
+        description: 'The project area is native forest, grassland or shrubland',
+        rule: { field: 'parameters.ecosystemType', op: 'in', value: ['forest', 'grassland', 'shrubland'] }
+      },
+      {
+        id: 'unplanned-conversion',
+        description: 'Baseline conversion is unplanned (mosaic or frontier)',
+        rule: { field: 'parameters.deforestationAgent', op: 'eq', value: 'unplanned' }
+      }
+    ]
+  },
+  {
+    id: 'VM0015',
+    standard: 'verra',
+    name: 'Avoided Unplanned Deforestation',
+    version: '1.1',
+    scope: 'AFOLU (Sectoral Scope 14) - REDD',
+    projectTypes: ['other'],
+    calculationModel: 'avoided-deforestation',
+    parameters: [PARAMETERS.yearsAsForest, PARAMETERS.deforestationAgent, PARAMETERS.peatDrainage, PARAMETERS.areaHectares],
+    applicability: [
+      forestHistoryRule,
+      {
+        id: 'unplanned-deforestation',
+        description: 'Baseline deforestation is unplanned',
+        rule: { field: 'parameters.deforestationAgent', op: 'eq', value: 'unplanned' }
+      },
+      noDrainageRule
+    ]
+  },
+  {
+    id: 'VM0025',
+    standard: 'verra',
+    name: 'Campus Clean Energy and Energy Efficiency',
+    version: '1.0',
+    scope: 'Energy demand (Sectoral Scope 3)',
+    projectTypes: ['energy-efficiency', 'renewable-energy'],
+    calculationModel: 'energy-savings',
+    parameters: [
+      { key: 'campusFacility', label: 'Measures are implemented across a single campus', type: 'boolean' },
+      { key: 'baselineEnergyMetered', label: 'Baseline energy use is metered', type: 'boolean' }
+    ],
+    applicability: [
+      {
+        id: 'campus',
+        description: 'The project is implemented on a campus under a single owner or operator',
+        rule: { field: 'parameters.campusFacility', op: 'eq', value: true }
+      },
+      {
+        id: 'metered-baseline',
+        description: 'Baseline energy consumption is metered for at least one year',
+        rule: { field: 'parameters.baselineEnergyMetered', op: 'eq', value: true }
+      }
+    ]
+  },
+  {
+    id: 'VM0031',
+    standard: 'verra',
+    name: 'Precast Concrete Production',
+    version: '1.0',
+    scope: 'Manufacturing industries (Sectoral Scope 4)',
+    projectTypes: ['energy-efficiency'],
+    calculationModel: 'product-intensity',
+    parameters: [
+      { key: 'precastProduction', label: 'Facility produces precast concrete products', type: 'boolean' },
+      { key: 'clinkerReduction', label: 'Project reduces cement content per unit of product', type: 'boolean' }
+    ],
+    applicability: [
+      {
+        id: 'precast',
+        description: 'The facility produces precast concrete products',
+        rule: { field: 'parameters.precastProduction', op: 'eq', value: true }
+      },
+      {
+        id: 'cement-reduction',
+        description: 'Emission reductions come from reduced cement use per unit of product',
+        rule: { field: 'parameters.clinkerReduction', op: 'eq', value: true }
+      }
+    ]
+  },
+  {
+    id: 'VM0033',
+    standard: 'verra',
+    name: 'Tidal Wetland and Seagrass Restoration',
+    version: '2.1',
+    scope: 'AFOLU (Sectoral Scope 14) - WRC',
+    projectTypes: ['afforestation', 'reforestation'],
+    calculationModel: 'carbon-removals',
+    parameters: [
+      {
+        key: 'wetlandType',
+        label: 'Restored ecosystem',
+        type: 'select',
+        options: [
+          { value: 'tidal-wetland', label: 'Tidal wetland (marsh or mangrove)' },
+          { value: 'seagrass', label: 'Seagrass meadow' },
+          { value: 'other', label: 'Other' }
+        ]
+      },
+      PARAMETERS.peatDrainage,
+      PARAMETERS.areaHectares
+    ],
+    applicability: [
+      {
+        id: 'tidal-ecosystem',
+        description: 'The project restores tidal wetlands or seagrass meadows',
+        rule: { field: 'parameters.wetlandType', op: 'in', value: ['tidal-wetland', 'seagrass'] }
+      },
+      noDrainageRule
+    ]
+  },
+  {
+    id: 'VM0041',
+    standard: 'verra',
+    name: 'Reduction of Enteric Methane',
+    version: '2.0',
+    scope: 'Livestock and manure management (Sectoral Scope 15)',
+    projectTypes: ['methane-capture', 'other'],
+    calculationModel: 'enteric-methane',
+    parameters: [
+      { key: 'ruminantLivestock', label: 'Project animals are ruminant livestock', type: 'boolean' },
+      { key: 'feedIngredientApproved', label: 'Feed ingredient is approved by the national authority', type: 'boolean' }
+    ],
+    applicability: [
+      {
+        id: 'ruminants',
+        description: 'The project applies to ruminant livestock',
+        rule: { field: 'parameters.ruminantLivestock', op: 'eq', value: true }
+      },
+      {
+        id: 'approved-feed',
+        description: 'The feed ingredient is approved for use by the relevant authority',
+        rule: { field: 'parameters.feedIngredientApproved', op: 'eq', value: true }
+      }
+    ]
+  },
+  {
+    id: 'VM0047',
+    standard: 'verra',
+    name: 'Afforestation, Reforestation and Revegetation',
+    version: '1.0',
+    scope: 'AFOLU (Sectoral Scope 14) - ARR',
+    projectTypes: ['afforestation', 'reforestation'],
+    calculationModel: 'carbon-removals',
+    parameters: [PARAMETERS.yearsWithoutForest, PARAMETERS.peatDrainage, PARAMETERS.areaHectares],
+    applicability: [noForestHistoryRule, noDrainageRule]
+  },
+  {
+    id: 'ACM0001',
+    standard: 'verra',
+    name: 'Flaring or Use of Landfill Gas',
+    version: '19.0',
+    scope: 'Waste handling and disposal (Sectoral Scope 13)',
+    projectTypes: ['methane-capture'],
+    calculationModel: 'methane-destruction',
+    parameters: [
+      PARAMETERS.captureRequiredByLaw,
+      {
+        key: 'gasUse',
+        label: 'Use of captured gas',
+        type: 'select',
+        options: [
+          { value: 'flaring', label: 'Flaring' },
+          { value: 'electricity', label: 'Electricity generation' },
+          { value: 'heat', label: 'Heat generation' },
+          { value: 'pipeline', label: 'Supply to a natural gas network' }
+        ]
+      }
+    ],
+    applicability: [
+      regulatorySurplusRule,
+      {
+        id: 'gas-use',
+        description: 'Captured gas is flared or used for electricity, heat or pipeline supply',
+        rule: { field: 'parameters.gasUse', op: 'in', value: ['flaring', 'electricity', 'heat', 'pipeline'] }
+      }
+    ]
+  },
+  {
+    id: 'ACM0002',
+    standard: 'verra',
+    name: 'Grid-connected Electricity Generation from Renewable Sources',
+    version: '21.0',
+    scope: 'Energy industries (Sectoral Scope 1)',
+    projectTypes: ['renewable-energy'],
+    calculationModel: 'grid-electricity',
+    parameters: [
+      PARAMETERS.gridConnected,
+      PARAMETERS.installedCapacityMW,
+      {
+        key: 'technology',
+        label: 'Generation technology',
+        type: 'select',
+        options: [
+          { value: 'solar', label: 'Solar' },
+          { value: 'wind', label: 'Wind' },
+          { value: 'hydro', label: 'Hydro' },
+          { value: 'geothermal', label: 'Geothermal' },
+          { value: 'tidal', label: 'Tidal or wave' }
+        ]
+      },
+      { key: 'powerDensity', label: 'Reservoir power density (hydro only)', type: 'number', unit: 'W/m²' }
+    ],
+    applicability: [
+      {
+        id: 'grid-connected',
+        description: 'The plant supplies electricity to a national or regional grid',
+        rule: { field: 'parameters.gridConnected', op: 'eq', value: true }
+      },
+      {
+        id: 'renewable-technology',
+        description: 'The plant uses solar, wind, hydro, geothermal or tidal/wave energy',
+        rule: { field: 'parameters.technology', op: 'in', value: ['solar', 'wind', 'hydro', 'geothermal', 'tidal'] }
+      },
+      {
+        id: 'hydro-power-density',
+        description: 'Hydro plants with new reservoirs have a power density above 4 W/m²',
+        rule: {
+          if: { field: 'parameters.technology', op: 'eq', value: 'hydro' },
+          then: { field: 'parameters.powerDensity', op: 'gt', value: 4 }
+        }
+      }
+    ]
+  },
+  {
+    id: 'GS-TPDDTEC',
+    standard: 'gold-standard',
+    name: 'Technologies and Practices to Displace Decentralized Thermal Energy Consumption',
+    version: '3.1',
+    scope: 'Energy (household and community thermal energy)',
+    projectTypes: ['energy-efficiency', 'renewable-energy'],
+    calculationModel: 'biomass-cookstoves',
+    parameters: [
+      {
+        key: 'technologyType',
+        label: 'Technology',
+        type: 'select',
+        options: [
+          { value: 'cookstove', label: 'Improved cookstove' },
+          { value: 'water-treatment', label: 'Water treatment' },
+          { value: 'biodigester', label: 'Biodigester' },
+          { value: 'solar-cooker', label: 'Solar cooker' }
+        ]
+      },
+      PARAMETERS.householdOrCommunityScale,
+      PARAMETERS.nonRenewableBiomass
+    ],
+    applicability: [
+      {
+        id: 'thermal-technology',
+        description: 'The technology displaces decentralized thermal energy use',
+        rule: { field: 'parameters.technologyType', op: 'in', value: ['cookstove', 'water-treatment', 'biodigester', 'solar-cooker'] }
+      },
+      {
+        id: 'decentralized',
+        description: 'Technologies are used by households, institutions or communities',
+        rule: { field: 'parameters.householdOrCommunityScale', op: 'eq', value: true }
+      }
+    ]
+  },
+  {
+    id: 'GS-CMP',
+    standard: 'gold-standard',
+    name: 'Community Metered Safe Water Supply',
+    version: '1.0',
+    scope: 'Energy (safe water supply)',
+    projectTypes: ['energy-efficiency', 'other'],
+    calculationModel: 'safe-water',
+    parameters: [
+      { key: 'meteredSupply', label: 'Water supplied is metered at the point of distribution', type: 'boolean' },
+      { key: 'baselineBoiling', label: 'Baseline treatment is boiling with fossil fuel or non-renewable biomass', type: 'boolean' }
+    ],
+    applicability: [
+      {
+        id: 'metered',
+        description: 'Safe water supplied to the community is metered',
+        rule: { field: 'parameters.meteredSupply', op: 'eq', value: true }
+      },
+      {
+        id: 'baseline-boiling',
+        description: 'In the baseline water is boiled using fossil fuel or non-renewable biomass',
+        rule: { field: 'parameters.baselineBoiling', op: 'eq', value: true }
+      }
+    ]
+  },
+  {
+    id: 'GS-AR',
+    standard: 'gold-standard',
+    name: 'Afforestation/Reforestation GHG Emissions Reduction & Sequestration',
+    version: '2.0',
+    scope: 'Land use and forests',
+    projectTypes: ['afforestation', 'reforestation'],
+    calculationModel: 'carbon-removals',
+    parameters: [PARAMETERS.yearsWithoutForest, PARAMETERS.peatDrainage, PARAMETERS.areaHectares],
+    applicability: [noForestHistoryRule, noDrainageRule]
+  },
+  {
+    id: 'AMS-I.E',
+    standard: 'gold-standard',
+    name: 'Switch from Non-Renewable Biomass for Thermal Applications',
+    version: '13.0',
+    scope: 'Energy industries (small scale, type I)',
+    projectTypes: ['renewable-energy', 'energy-efficiency'],
+    calculationModel: 'biomass-cookstoves',
+    parameters: [PARAMETERS.nonRenewableBiomass, PARAMETERS.thermalCapacityMWth],
+    applicability: [
+      {
+        id: 'non-renewable-biomass',
+        description: 'The project displaces non-renewable biomass used for thermal applications',
+        rule: { field: 'parameters.nonRenewableBiomass', op: 'eq', value: true }
+      },
+      {
+        id: 'small-scale-thermal',
+        description: `Installed thermal capacity does not exceed ${SMALL_SCALE_THERMAL_MWTH} MWth`,
+        rule: { field: 'parameters.thermalCapacityMWth', op: 'lte', value: SMALL_SCALE_THERMAL_MWTH }
+      }
+    ]
+  },
+  {
+    id: 'AMS-III.BL',
+    standard: 'gold-standard',
+    name: 'Integrated Methodology for Electrification of Communities',
+    version: '3.0',
+    scope: 'Energy demand (small scale, type III)',
+    projectTypes: ['renewable-energy'],
+    calculationModel: 'grid-electricity',
+    parameters: [
+      { key: 'unelectrifiedCommunities', label: 'Communities had no grid connection before the project', type: 'boolean' },
+      PARAMETERS.installedCapacityMW
+    ],
+    applicability: [
+      {
+        id: 'unelectrified',
+        description: 'Consumers were not connected to a national or regional grid before the project',
+        rule: { field: 'parameters.unelectrifiedCommunities', op: 'eq', value: true }
+      },
+      {
+        id: 'small-scale-electric',
+        description: `Installed capacity does not exceed ${SMALL_SCALE_ELECTRIC_MW} MW`,
+        rule: { field: 'parameters.installedCapacityMW', op: 'lte', value: SMALL_SCALE_ELECTRIC_MW }
+      },
+      {
+        id: 'small-scale-reductions',
+        description: `Emission reductions do not exceed ${SMALL_SCALE_TYPE_III_TCO2E.toLocaleString('en')} tCO2e per year`,
+        rule: { field: 'derived.annualEmissionReductions', op: 'lte', value: SMALL_SCALE_TYPE_III_TCO2E }
+      }
+    ]
+  },
+  {
+    id: 'AMS-I.C',
+    standard: 'gold-standard',
+    name: 'Thermal Energy Production with or without Electricity',
+    version: '22.0',
+    scope: 'Energy industries (small scale, type I)',
+    projectTypes: ['renewable-energy'],
+    calculationModel: 'thermal-energy',
+    parameters: [PARAMETERS.thermalCapacityMWth, { key: 'renewableFuel', label: 'Thermal energy is produced from renewable sources', type: 'boolean' }],
+    applicability: [
+      {
+        id: 'renewable-thermal',
+        description: 'Thermal energy is produced from renewable energy sources',
+        rule: { field: 'parameters.renewableFuel', op: 'eq', value: true }
+      },
+      {
+        id: 'small-scale-thermal',
+        description: `Installed thermal capacity does not exceed ${SMALL_SCALE_THERMAL_MWTH} MWth`,
+        rule: { field: 'parameters.thermalCapacityMWth', op: 'lte', value: SMALL_SCALE_THERMAL_MWTH }
+      }
+    ]
+  },
+  {
+    id: 'AMS-III.AV',
+    standard: 'gold-standard',
+    name: 'Low GHG Emitting Safe Drinking Water Production Systems',
+    version: '8.0',
+    scope: 'Energy demand (small scale, type III)',
+    projectTypes: ['energy-efficiency', 'other'],
+    calculationModel: 'safe-water',
+    parameters: [
+      { key: 'meetsWaterQuality', label: 'Treated water meets national or WHO drinking water standards', type: 'boolean' },
+      PARAMETERS.householdOrCommunityScale
+    ],
+    applicability: [
+      {
+        id: 'water-quality',
+        description: 'Treated water meets national or WHO drinking water quality standards',
+        rule: { field: 'parameters.meetsWaterQuality', op: 'eq', value: true }
+      },
+      {
+        id: 'small-scale-reductions',
+        description: `Emission reductions do not exceed ${SMALL_SCALE_TYPE_III_TCO2E.toLocaleString('en')} tCO2e per year`,
+        rule: { field: 'derived.annualEmissionReductions', op: 'lte', value: SMALL_SCALE_TYPE_III_TCO2E }
+      }
+    ]
+  },
+  {
+    id: 'ACR-LFG',
+    standard: 'acr',
+    name: 'Landfill Gas Destruction and Beneficial Use Projects',
+    version: '2.0',
+    scope: 'Waste handling and disposal',
+    projectTypes: ['methane-capture'],
+    calculationModel: 'methane-destruction',
+    parameters: [PARAMETERS.captureRequiredByLaw],
+    applicability: [regulatorySurplusRule]
+  },
+  {
+    id: 'ACR-ARR',
+    standard: 'acr',
+    name: 'Afforestation and Reforestation of Degraded Lands',
+    version: '1.2',
+    scope: 'AFOLU - ARR',
+    projectTypes: ['afforestation', 'reforestation'],
+    calculationModel: 'carbon-removals',
+    parameters: [PARAMETERS.yearsWithoutForest, PARAMETERS.peatDrainage, PARAMETERS.areaHectares],
+    applicability: [noForestHistoryRule, noDrainageRule]
+  },
+  {
+    id: 'CAR-LFG',
+    standard: 'car',
+    name: 'U.S. Landfill Protocol',
+    version: '6.0',
+    scope: 'Waste handling and disposal',
+    projectTypes: ['methane-capture'],
+    calculationModel: 'methane-destruction',
+    parameters: [PARAMETERS.inUnitedStates, PARAMETERS.captureRequiredByLaw],
+    applicability: [unitedStatesRule, regulatorySurplusRule]
+  },
+  {
+    id: 'CAR-FOREST',
+    standard: 'car',
+    name: 'U.S. Forest Protocol',
+    version: '5.1',
+    scope: 'AFOLU - Reforestation and improved forest management',
+    projectTypes: ['reforestation'],
+    calculationModel: 'carbon-removals',
+    parameters: [PARAMETERS.inUnitedStates, PARAMETERS.areaHectares],
+    applicability: [unitedStatesRule]
+  }
+];
+
+/**
+ * Lists methodologies matching a standard and, optionally, a project type
+ * @param {Object} filters - { standard, projectType }
+ * @returns {Array} - Matching methodology entries
+ */
+export function findMethodologies({ standard, projectType } = {}) {
+  return METHODOLOGIES.filter(methodology =>
+    (!standard || methodology.standard === standard) &&
+    (!projectType || methodology.projectTypes.includes(projectType))
+  );
+}
+
+export function getMethodology(methodologyId) {
+  return METHODOLOGIES.find(methodology => methodology.id === methodologyId) || null;
+}
@@ -0,0 +1,18 @@
+/**
+ * Monitoring period and time-series QA/QC vocabularies shared by the API and the client
+ */
+
+export const MONITORING_PERIOD_STATUSES = ['open', 'closed'];
+
+// passed and flagged come from the automatic checks; approved and rejected from a reviewer
+export const QA_STATUSES = ['passed', 'flagged', 'approved', 'rejected'];
+
+export const QA_STATUS_LABELS = {
+  passed: 'Passed',
+  flagged: 'Needs review',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+// Series in these states feed emission reduction calculations
+export const USABLE_QA_STATUSES = ['passed', 'approved'];
@@ -0,0 +1,34 @@
+/**
+ * Notification types and delivery preferences shared by the API and the client
+ */
+
+export const NOTIFICATION_TYPES = ['status-change', 'comment', 'extraction-complete'];
+
+export const NOTIFICATION_TYPE_LABELS = {
+  'status-change': 'Workflow status changes',
+  comment: 'Comments and review decisions',
+  'extraction-complete': 'Document extraction results'
+};
+
+// inApp shows the notification in the inbox; email includes it in the daily digest
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  'status-change': { inApp: true, email: true },
+  comment: { inApp: true, email: true },
+  'extraction-complete': { inApp: true, email: false }
+};
+
+/**
+ * Fills a user's stored preferences in with the defaults, ignoring unknown types
+ * @param {Object} stored - { [type]: { inApp, email } }, possibly partial
+ * @returns {Object} - Preferences for every notification type
+ */
+export function resolveNotificationPreferences(stored = {}) {
+  return Object.fromEntries(NOTIFICATION_TYPES.map((type) => {
+    const defaults = DEFAULT_NOTIFICATION_PREFERENCES[type];
+    const own = stored?.[type] || {};
+    return [type, {
+      inApp: typeof own.inApp === 'boolean' ? own.inApp : defaults.inApp,
+      email: typeof own.email === 'boolean' ? own.email : defaults.email
+    }];
+  }));
+}
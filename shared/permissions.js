@@ -0,0 +1,120 @@
+/**
+ * Project and organization roles and the actions each allows, shared by the
+ * API middleware and the client so hidden actions and rejected requests
+ * always agree.
+ *
+ * Roles are ordered from least to most access; the project owner is not a
+ * collaborator but holds every permission an admin has, and is the only one
+ * who can delete the project.
+ *
+ * Projects belong to an organization. Every member can view the
+ * organization's projects; organization admins and owners have full control
+ * over all of them, as if they owned each one.
+ */
+
+import { COLLABORATOR_ROLES } from './projectSchema.js';
+
+export const PROJECT_ROLES = [...COLLABORATOR_ROLES, 'owner'];
+
+export const PROJECT_ROLE_LABELS = {
+  viewer: 'Viewer',
+  editor: 'Editor',
+  admin: 'Admin',
+  owner: 'Owner'
+};
+
+export const PROJECT_ROLE_DESCRIPTIONS = {
+  viewer: 'Can view the project, its documents, calculations and monitoring data',
+  editor: 'Can also edit project data, upload and generate documents and move the workflow on',
+  admin: 'Can also invite collaborators, change their roles, close findings without a response and delete findings',
+  owner: 'Full control, including deleting the project'
+};
+
+// Least role each action requires
+export const PROJECT_PERMISSIONS = {
+  view: 'viewer',
+  edit: 'editor',
+  manageCollaborators: 'admin',
+  manageFindings: 'admin',
+  delete: 'owner'
+};
+
+const idOf = value => String(value?._id ?? value ?? '');
+
+export const ORGANIZATION_ROLES = ['member', 'admin', 'owner'];
+
+export const ORGANIZATION_ROLE_LABELS = {
+  member: 'Member',
+  admin: 'Admin',
+  owner: 'Owner'
+};
+
+export const ORGANIZATION_ROLE_DESCRIPTIONS = {
+  member: 'Can view every project in the organization and create new ones',
+  admin: 'Can also manage members and has full control over all projects',
+  owner: 'Can also rename the organization and appoint other owners'
+};
+
+// Least organization role each action requires
+export const ORGANIZATION_PERMISSIONS = {
+  view: 'member',
+  createProject: 'member',
+  manageMembers: 'admin',
+  manageProjects: 'admin',
+  manageOrganization: 'owner'
+};
+
+const rank = (roles, role) => roles.indexOf(role);
+
+/**
+ * Returns the current user's role in an organization
+ * @param {Object} organization - Organization with members, populated or not
+ * @param {string} userId - Current user id
+ * @returns {string|null} - owner, admin, member, or null when not a member
+ */
+export function getOrganizationRole(organization, userId) {
+  if (!organization || !userId) return null;
+  const member = (organization.members || []).find(m => idOf(m.user) === String(userId));
+  return member?.role || null;
+}
+
+/**
+ * Checks whether an organization role allows an action
+ * @param {string} role - Organization role
+ * @param {string} action - Key of ORGANIZATION_PERMISSIONS
+ * @returns {boolean}
+ */
+export function canPerformInOrganization(role, action) {
+  const required = ORGANIZATION_PERMISSIONS[action];
+  if (!role || !required) return false;
+  return rank(ORGANIZATION_ROLES, role) >= rank(ORGANIZATION_ROLES, required);
+}
+
+/**
+ * Returns the current user's role on a project
+ * @param {Object} project - Project with owner and collaborators, populated or not
+ * @param {string} userId - Current user id
+ * @param {string} [organizationRole] - User's role in the project's organization
+ * @returns {string|null} - owner, admin, editor, viewer, or null without access
+ */
+export function getProjectRole(project, userId, organizationRole = null) {
+  if (!project || !userId) return null;
+  if (idOf(project.owner) === String(userId)) return 'owner';
+  if (canPerformInOrganization(organizationRole, 'manageProjects')) return 'owner';
+
+  const collaborator = (project.collaborators || []).find(c => idOf(c.user) === String(userId));
+  if (collaborator) return collaborator.role;
+  return organizationRole ? 'viewer' : null;
+}
+
+/**
+ * Checks whether a role allows an action
+ * @param {string} role - Project role
+ * @param {string} action - Key of PROJECT_PERMISSIONS
+ * @returns {boolean}
+ */
+export function canPerform(role, action) {
+  const required = PROJECT_PERMISSIONS[action];
+  if (!role || !required) return false;
+  return rank(PROJECT_ROLES, role) >= rank(PROJECT_ROLES, required);
+}
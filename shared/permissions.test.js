@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PROJECT_ROLES,
+  PROJECT_PERMISSIONS,
+  ORGANIZATION_ROLES,
+  ORGANIZATION_PERMISSIONS,
+  canPerform,
+  canPerformInOrganization,
+  getProjectRole,
+  getOrganizationRole
+} from './permissions.js';
+
+// Actions each role may perform, spelled out rather than derived from the rank order
+const PROJECT_ACTIONS = {
+  viewer: ['view'],
+  editor: ['view', 'edit'],
+  admin: ['view', 'edit', 'manageCollaborators', 'manageFindings'],
+  owner: ['view', 'edit', 'manageCollaborators', 'manageFindings', 'delete']
+};
+
+const ORGANIZATION_ACTIONS = {
+  member: ['view', 'createProject'],
+  admin: ['view', 'createProject', 'manageMembers', 'manageProjects'],
+  owner: ['view', 'createProject', 'manageMembers', 'manageProjects', 'manageOrganization']
+};
+
+const project = {
+  owner: 'u-owner',
+  collaborators: [
+    { user: { _id: 'u-viewer', name: 'Vi' }, role: 'viewer' },
+    { user: 'u-editor', role: 'editor' },
+    { user: 'u-admin', role: 'admin' }
+  ]
+};
+
+const organization = {
+  members: [
+    { user: 'u-member', role: 'member' },
+    { user: { _id: 'u-org-admin' }, role: 'admin' },
+    { user: 'u-org-owner', role: 'owner' }
+  ]
+};
+
+test('roles are ordered from least to most access', () => {
+  assert.deepEqual(PROJECT_ROLES, ['viewer', 'editor', 'admin', 'owner']);
+  assert.deepEqual(ORGANIZATION_ROLES, ['member', 'admin', 'owner']);
+});
+
+test('every project action is covered', () => {
+  assert.deepEqual(Object.keys(PROJECT_PERMISSIONS).sort(), [...PROJECT_ACTIONS.owner].sort());
+  assert.deepEqual(Object.keys(ORGANIZATION_PERMISSIONS).sort(), [...ORGANIZATION_ACTIONS.owner].sort());
+});
+
+PROJECT_ROLES.forEach((role) => {
+  test(`a project ${role} can perform exactly its actions`, () => {
+    Object.keys(PROJECT_PERMISSIONS).forEach((action) => {
+      assert.equal(canPerform(role, action), PROJECT_ACTIONS[role].includes(action), action);
+    });
+  });
+});
+
+ORGANIZATION_ROLES.forEach((role) => {
+  test(`an organization ${role} can perform exactly its actions`, () => {
+    Object.keys(ORGANIZATION_PERMISSIONS).forEach((action) => {
+      assert.equal(canPerformInOrganization(role, action), ORGANIZATION_ACTIONS[role].includes(action), action);
+    });
+  });
+});
+
+test('missing or unknown roles and actions are refused', () => {
+  assert.equal(canPerform(null, 'view'), false);
+  assert.equal(canPerform('guest', 'view'), false);
+  assert.equal(canPerform('owner', 'publish'), false);
+  assert.equal(canPerformInOrganization(undefined, 'view'), false);
+  assert.equal(canPerformInOrganization('guest', 'view'), false);
+  assert.equal(canPerformInOrganization('owner', 'publish'), false);
+  // Roles from one scale mean nothing on the other
+  assert.equal(canPerform('member', 'view'), false);
+  assert.equal(canPerformInOrganization('editor', 'view'), false);
+});
+
+test('project roles come from ownership or the collaborator list', () => {
+  assert.equal(getProjectRole(project, 'u-owner'), 'owner');
+  assert.equal(getProjectRole({ ...project, owner: { _id: 'u-owner' } }, 'u-owner'), 'owner');
+  assert.equal(getProjectRole(project, 'u-viewer'), 'viewer');
+  assert.equal(getProjectRole(project, 'u-editor'), 'editor');
+  assert.equal(getProjectRole(project, 'u-admin'), 'admin');
+  assert.equal(getProjectRole(project, 'u-stranger'), null);
+  assert.equal(getProjectRole(null, 'u-owner'), null);
+  assert.equal(getProjectRole(project, null), null);
+});
+
+test('organization roles widen project access', () => {
+  assert.equal(getProjectRole(project, 'u-stranger', 'member'), 'viewer');
+  assert.equal(getProjectRole(project, 'u-stranger', 'admin'), 'owner');
+  assert.equal(getProjectRole(project, 'u-stranger', 'owner'), 'owner');
+  // A collaborator role outranks plain membership
+  assert.equal(getProjectRole(project, 'u-editor', 'member'), 'editor');
+  assert.equal(getProjectRole(project, 'u-viewer', 'admin'), 'owner');
+});
+
+test('organization roles come from the member list', () => {
+  assert.equal(getOrganizationRole(organization, 'u-member'), 'member');
+  assert.equal(getOrganizationRole(organization, 'u-org-admin'), 'admin');
+  assert.equal(getOrganizationRole(organization, 'u-org-owner'), 'owner');
+  assert.equal(getOrganizationRole(organization, 'u-stranger'), null);
+  assert.equal(getOrganizationRole({}, 'u-member'), null);
+  assert.equal(getOrganizationRole(null, 'u-member'), null);
+});
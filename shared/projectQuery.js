@@ -0,0 +1,90 @@
+/**
+ * Query parameters of the project list, shared so the API and the Projects
+ * page (which keeps them in its URL) read and validate them the same way.
+ */
+
+import { PROJECT_TYPES, TARGET_STANDARDS } from './projectSchema.js';
+import { WORKFLOW_STATUSES } from './workflow.js';
+
+export const PAGE_SIZES = [5, 10, 25, 50, 100];
+export const DEFAULT_PAGE_SIZE = 10;
+export const DEFAULT_SORT = '-createdAt';
+
+// Sort keys accepted in ?sort=, mapped to the project field they order by
+export const PROJECT_SORT_FIELDS = {
+  name: 'name',
+  projectType: 'projectType',
+  country: 'location.country',
+  targetStandard: 'targetStandard',
+  estimatedCredits: 'estimatedCredits',
+  area: 'boundary.areaHectares',
+  status: 'status',
+  createdAt: 'createdAt'
+};
+
+// Filters holding one or more values from a fixed vocabulary, sent comma separated
+const LIST_FILTERS = {
+  projectType: PROJECT_TYPES,
+  targetStandard: TARGET_STANDARDS,
+  status: WORKFLOW_STATUSES
+};
+
+const toList = (value, allowed) => String(value ?? '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(item => allowed.includes(item));
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toPositiveInteger = (value, fallback) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isInteger(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * Normalizes raw list parameters, dropping anything unknown or malformed
+ * @param {Object} params - Query string values, e.g. req.query or Object.fromEntries(searchParams)
+ * @returns {Object} - { search, projectType, targetStandard, status, country, minCredits, maxCredits, sort, page, limit }
+ */
+export function parseProjectQuery(params = {}) {
+  const sortKey = String(params.sort || '').replace(/^-/, '');
+  const limit = toPositiveInteger(params.limit, DEFAULT_PAGE_SIZE);
+
+  return {
+    search: String(params.search ?? '').trim(),
+    ...Object.fromEntries(Object.entries(LIST_FILTERS).map(([key, allowed]) => [key, toList(params[key], allowed)])),
+    country: String(params.country ?? '').trim(),
+    minCredits: toNumber(params.minCredits),
+    maxCredits: toNumber(params.maxCredits),
+    sort: PROJECT_SORT_FIELDS[sortKey] ? String(params.sort) : DEFAULT_SORT,
+    page: toPositiveInteger(params.page, 1),
+    limit: Math.min(limit, PAGE_SIZES[PAGE_SIZES.length - 1])
+  };
+}
+
+/**
+ * Turns a parsed query back into query string values, leaving out defaults
+ * so shared URLs stay short
+ * @param {Object} query - Output of parseProjectQuery, possibly modified
+ * @returns {Object} - Plain string values for URLSearchParams or axios params
+ */
+export function serializeProjectQuery(query) {
+  const params = {};
+
+  if (query.search) params.search = query.search;
+  Object.keys(LIST_FILTERS).forEach((key) => {
+    if (query[key]?.length) params[key] = query[key].join(',');
+  });
+  if (query.country) params.country = query.country;
+  if (query.minCredits !== null && query.minCredits !== undefined) params.minCredits = String(query.minCredits);
+  if (query.maxCredits !== null && query.maxCredits !== undefined) params.maxCredits = String(query.maxCredits);
+  if (query.sort && query.sort !== DEFAULT_SORT) params.sort = query.sort;
+  if (query.page > 1) params.page = String(query.page);
+  if (query.limit && query.limit !== DEFAULT_PAGE_SIZE) params.limit = String(query.limit);
+
+  return params;
+}
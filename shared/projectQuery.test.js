@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseProjectQuery, serializeProjectQuery, DEFAULT_PAGE_SIZE, DEFAULT_SORT, PAGE_SIZES } from './projectQuery.js';
+
+const DEFAULTS = {
+  search: '',
+  projectType: [],
+  targetStandard: [],
+  status: [],
+  country: '',
+  minCredits: null,
+  maxCredits: null,
+  sort: DEFAULT_SORT,
+  page: 1,
+  limit: DEFAULT_PAGE_SIZE
+};
+
+test('missing parameters take their defaults', () => {
+  assert.deepEqual(parseProjectQuery(), DEFAULTS);
+  assert.deepEqual(parseProjectQuery({}), DEFAULTS);
+  assert.deepEqual(serializeProjectQuery(parseProjectQuery()), {});
+});
+
+test('valid parameters are kept', () => {
+  assert.deepEqual(parseProjectQuery({
+    search: '  mangrove ',
+    projectType: 'reforestation,afforestation',
+    targetStandard: 'verra',
+    status: 'draft, submitted',
+    country: ' Kenya ',
+    minCredits: '100',
+    maxCredits: '2500.5',
+    sort: '-name',
+    page: '3',
+    limit: '25'
+  }), {
+    search: 'mangrove',
+    projectType: ['reforestation', 'afforestation'],
+    targetStandard: ['verra'],
+    status: ['draft', 'submitted'],
+    country: 'Kenya',
+    minCredits: 100,
+    maxCredits: 2500.5,
+    sort: '-name',
+    page: 3,
+    limit: 25
+  });
+});
+
+test('unknown filter values are dropped', () => {
+  const query = parseProjectQuery({ projectType: 'reforestation,mining,', targetStandard: 'nope', status: 'Draft' });
+  assert.deepEqual(query.projectType, ['reforestation']);
+  assert.deepEqual(query.targetStandard, []);
+  assert.deepEqual(query.status, []);
+});
+
+test('malformed numbers are ignored', () => {
+  const query = parseProjectQuery({ minCredits: 'lots', maxCredits: '  ', page: 'two', limit: 'all' });
+  assert.equal(query.minCredits, null);
+  assert.equal(query.maxCredits, null);
+  assert.equal(query.page, 1);
+  assert.equal(query.limit, DEFAULT_PAGE_SIZE);
+
+  assert.equal(parseProjectQuery({ minCredits: 'Infinity' }).minCredits, null);
+  assert.equal(parseProjectQuery({ minCredits: '0' }).minCredits, 0);
+});
+
+test('page and limit are clamped', () => {
+  assert.equal(parseProjectQuery({ page: '0' }).page, 1);
+  assert.equal(parseProjectQuery({ page: '-4' }).page, 1);
+  assert.equal(parseProjectQuery({ limit: '0' }).limit, DEFAULT_PAGE_SIZE);
+  assert.equal(parseProjectQuery({ limit: '100000' }).limit, PAGE_SIZES[PAGE_SIZES.length - 1]);
+});
+
+test('unknown sort keys fall back to the default', () => {
+  assert.equal(parseProjectQuery({ sort: 'password' }).sort, DEFAULT_SORT);
+  assert.equal(parseProjectQuery({ sort: '-location.country' }).sort, DEFAULT_SORT);
+  assert.equal(parseProjectQuery({ sort: '--name' }).sort, DEFAULT_SORT);
+  assert.equal(parseProjectQuery({ sort: 'country' }).sort, 'country');
+  assert.equal(parseProjectQuery({ sort: '-area' }).sort, '-area');
+});
+
+test('serializing leaves out defaults and round-trips', () => {
+  const params = { search: 'mangrove', status: 'draft,submitted', minCredits: '0', sort: 'name', page: '2', limit: '50' };
+  assert.deepEqual(serializeProjectQuery(parseProjectQuery(params)), params);
+  assert.deepEqual(serializeProjectQuery({ ...DEFAULTS, page: 1 }), {});
+});
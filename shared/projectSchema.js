@@ -0,0 +1,49 @@
+/**
+ * Project field vocabularies shared by the API models and the client forms
+ */
+
+import { STANDARDS } from './standards.js';
+
+export const PROJECT_TYPES = [
+  'afforestation',
+  'reforestation',
+  'renewable-energy',
+  'methane-capture',
+  'energy-efficiency',
+  'other'
+];
+
+export const PROJECT_TYPE_LABELS = {
+  afforestation: 'Afforestation',
+  reforestation: 'Reforestation',
+  'renewable-energy': 'Renewable Energy',
+  'methane-capture': 'Methane Capture',
+  'energy-efficiency': 'Energy Efficiency',
+  other: 'Other'
+};
+
+// Derived from the standards registry, in its order
+export const TARGET_STANDARDS = Object.keys(STANDARDS);
+
+export const TARGET_STANDARD_LABELS = Object.fromEntries(
+  Object.entries(STANDARDS).map(([standard, { name }]) => [standard, name])
+);
+
+export const COLLABORATOR_ROLES = ['viewer', 'editor', 'admin'];
+
+// Labels for ProjectSchema paths shown in missing-field, extraction and compliance lists
+export const PROJECT_FIELD_LABELS = {
+  name: 'Project Name',
+  description: 'Description',
+  projectType: 'Project Type',
+  'location.country': 'Country',
+  'location.region': 'Region',
+  'location.coordinates.latitude': 'Latitude',
+  'location.coordinates.longitude': 'Longitude',
+  startDate: 'Start Date',
+  endDate: 'End Date',
+  targetStandard: 'Target Standard',
+  methodologyId: 'Methodology',
+  estimatedCredits: 'Estimated Credits',
+  calculation: 'Emission Reductions Calculation'
+};
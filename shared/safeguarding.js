@@ -0,0 +1,125 @@
+/**
+ * Gold Standard Safeguarding Principles questionnaire, shared by the API
+ * and the client. Each question asks whether the project could cause a
+ * harm; a "yes" is a risk that needs a mitigation action.
+ */
+
+export const SAFEGUARDING_PRINCIPLES = [
+  {
+    id: 'human-rights',
+    title: 'Human rights',
+    questions: [
+      { id: 'human-rights-discrimination', text: 'Could the project discriminate against, or deny the rights of, any person or group?' },
+      { id: 'human-rights-labour', text: 'Could the project involve forced labour or child labour, directly or in its supply chain?' }
+    ]
+  },
+  {
+    id: 'gender',
+    title: 'Gender equality and women\'s rights',
+    questions: [
+      { id: 'gender-access', text: 'Could the project restrict women\'s access to resources, decision-making or project benefits?' },
+      { id: 'gender-violence', text: 'Could the project expose women or girls to gender-based violence or exploitation?' }
+    ]
+  },
+  {
+    id: 'community-health',
+    title: 'Community health, safety and working conditions',
+    questions: [
+      { id: 'community-health-safety', text: 'Could the project create health or safety risks for local communities?' },
+      { id: 'community-health-working-conditions', text: 'Could working conditions fall short of national labour law or the ILO core labour standards?' }
+    ]
+  },
+  {
+    id: 'cultural-heritage',
+    title: 'Cultural heritage, indigenous peoples, displacement and resettlement',
+    questions: [
+      { id: 'cultural-heritage-sites', text: 'Could the project damage cultural heritage sites or restrict cultural practices?' },
+      { id: 'cultural-heritage-indigenous', text: 'Could the project affect the lands, resources or rights of indigenous peoples?' },
+      { id: 'cultural-heritage-displacement', text: 'Could the project lead to physical or economic displacement of people?' }
+    ]
+  },
+  {
+    id: 'corruption',
+    title: 'Corruption',
+    questions: [
+      { id: 'corruption-practices', text: 'Could the project involve bribery, fraud, extortion or other corrupt practices?' }
+    ]
+  },
+  {
+    id: 'economic-impacts',
+    title: 'Economic impacts',
+    questions: [
+      { id: 'economic-impacts-livelihoods', text: 'Could the project harm livelihoods or existing economic activity in the area?' },
+      { id: 'economic-impacts-benefits', text: 'Could the project\'s benefits be shared inequitably among stakeholders?' }
+    ]
+  },
+  {
+    id: 'climate',
+    title: 'Climate and environment',
+    questions: [
+      { id: 'climate-emissions', text: 'Could the project increase greenhouse gas emissions outside its boundary?' },
+      { id: 'climate-vulnerability', text: 'Could climate change impacts undermine the project or increase local vulnerability?' }
+    ]
+  },
+  {
+    id: 'land-water-soil',
+    title: 'Land, water and soil',
+    questions: [
+      { id: 'land-water-soil-degradation', text: 'Could the project cause soil erosion, degradation or contamination?' },
+      { id: 'land-water-soil-water', text: 'Could the project reduce water availability or water quality?' }
+    ]
+  },
+  {
+    id: 'pollution',
+    title: 'Pollution',
+    questions: [
+      { id: 'pollution-waste', text: 'Could the project release pollutants or generate hazardous or other waste?' }
+    ]
+  },
+  {
+    id: 'biodiversity',
+    title: 'Biodiversity and ecosystems',
+    questions: [
+      { id: 'biodiversity-habitats', text: 'Could the project affect protected areas, critical habitats or threatened species?' },
+      { id: 'biodiversity-invasive', text: 'Could the project introduce invasive alien species or genetically modified organisms?' }
+    ]
+  }
+];
+
+export const SAFEGUARDING_QUESTIONS = SAFEGUARDING_PRINCIPLES.flatMap(principle => (
+  principle.questions.map(question => ({ ...question, principle: principle.id }))
+));
+
+export const SAFEGUARDING_QUESTION_IDS = SAFEGUARDING_QUESTIONS.map(question => question.id);
+
+// yes: the project could cause the harm and needs a mitigation action
+export const SAFEGUARDING_ANSWERS = ['yes', 'no'];
+
+export const SAFEGUARDING_ANSWER_LABELS = {
+  yes: 'Risk identified',
+  no: 'No risk'
+};
+
+/**
+ * Progress of the questionnaire: unanswered questions, answers without a
+ * justification, and risks without a mitigation action
+ * @param {Array<Object>} answers - Project safeguarding: [{ question, answer, justification, mitigation }]
+ * @returns {Object} - { total, answered, risks, unanswered, unjustified, unmitigated } where the last three are question ids
+ */
+export function summarizeSafeguarding(answers = []) {
+  const byQuestion = new Map(answers.map(answer => [answer.question, answer]));
+  const responses = SAFEGUARDING_QUESTIONS.map(question => ({ question, answer: byQuestion.get(question.id) }));
+  const answered = responses.filter(({ answer }) => SAFEGUARDING_ANSWERS.includes(answer?.answer));
+  const risks = answered.filter(({ answer }) => answer.answer === 'yes');
+
+  return {
+    total: SAFEGUARDING_QUESTIONS.length,
+    answered: answered.length,
+    risks: risks.length,
+    unanswered: responses.filter(response => !answered.includes(response)).map(({ question }) => question.id),
+    unjustified: answered.filter(({ answer }) => !answer.justification?.trim()).map(({ question }) => question.id),
+    unmitigated: risks.filter(({ answer }) => !answer.mitigation?.trim()).map(({ question }) => question.id)
+  };
+}
+
+export const getSafeguardingQuestion = id => SAFEGUARDING_QUESTIONS.find(question => question.id === id) || null;
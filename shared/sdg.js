@@ -0,0 +1,77 @@
+/**
+ * Sustainable Development Goal (SDG) contributions a project claims and
+ * monitors, shared by the API and the client
+ */
+
+export const SDG_GOALS = {
+  1: 'No Poverty',
+  2: 'Zero Hunger',
+  3: 'Good Health and Well-being',
+  4: 'Quality Education',
+  5: 'Gender Equality',
+  6: 'Clean Water and Sanitation',
+  7: 'Affordable and Clean Energy',
+  8: 'Decent Work and Economic Growth',
+  9: 'Industry, Innovation and Infrastructure',
+  10: 'Reduced Inequalities',
+  11: 'Sustainable Cities and Communities',
+  12: 'Responsible Consumption and Production',
+  13: 'Climate Action',
+  14: 'Life Below Water',
+  15: 'Life on Land',
+  16: 'Peace, Justice and Strong Institutions',
+  17: 'Partnerships for the Goals'
+};
+
+export const SDG_GOAL_NUMBERS = Object.keys(SDG_GOALS).map(Number);
+
+export const SDG_MONITORING_FREQUENCIES = ['monthly', 'quarterly', 'biannual', 'annual', 'monitoring-period'];
+
+export const SDG_MONITORING_FREQUENCY_LABELS = {
+  monthly: 'Monthly',
+  quarterly: 'Quarterly',
+  biannual: 'Every six months',
+  annual: 'Annually',
+  'monitoring-period': 'Once per monitoring period'
+};
+
+// Gold Standard projects contribute to at least three SDGs, one of them Climate Action
+export const GOLD_STANDARD_MIN_SDGS = 3;
+export const GOLD_STANDARD_REQUIRED_SDG = 13;
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+export const formatSdg = goal => `SDG ${goal}: ${SDG_GOALS[goal] || 'Unknown goal'}`;
+
+/**
+ * Lists what keeps a project's SDG contributions from meeting the Gold
+ * Standard requirements: the goals covered, and for each contribution an
+ * indicator with baseline and target values and a monitoring frequency
+ * @param {Array<Object>} contributions - Project sdgContributions
+ * @returns {Array<string>} - Problems, empty when the contributions are complete
+ */
+export function checkSdgContributions(contributions = []) {
+  const problems = [];
+  const goals = new Set(contributions.map(contribution => contribution.goal));
+
+  if (goals.size < GOLD_STANDARD_MIN_SDGS) {
+    problems.push(`Contributions cover ${goals.size} SDG${goals.size === 1 ? '' : 's'}; Gold Standard projects need at least ${GOLD_STANDARD_MIN_SDGS}`);
+  }
+  if (!goals.has(GOLD_STANDARD_REQUIRED_SDG)) {
+    problems.push(`${formatSdg(GOLD_STANDARD_REQUIRED_SDG)} is required`);
+  }
+
+  contributions.forEach((contribution) => {
+    const missing = [
+      isBlank(contribution.indicator) && 'indicator',
+      isBlank(contribution.baselineValue) && 'baseline value',
+      isBlank(contribution.targetValue) && 'target value',
+      isBlank(contribution.monitoringFrequency) && 'monitoring frequency'
+    ].filter(Boolean);
+    if (missing.length > 0) {
+      problems.push(`${formatSdg(contribution.goal)}${contribution.indicator ? ` (${contribution.indicator})` : ''} has no ${missing.join(', ')}`);
+    }
+  });
+
+  return problems;
+}
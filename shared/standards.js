@@ -0,0 +1,129 @@
+/**
+ * Carbon standards a project can target: names, credit units, document
+ * names, crediting period limits and workflow requirements, shared by the
+ * API and the client. The project vocabularies and compliance limits are
+ * derived from this registry.
+ */
+
+import { DOCUMENT_TYPES } from './documentTypes.js';
+
+export const STANDARDS = {
+  verra: {
+    name: 'Verra (VCS)',
+    // Matched against text extracted from uploaded documents
+    keywords: /verra|verified carbon standard|\bVCS\b/i,
+    creditUnit: 'VCU',
+    documentLabels: {
+      'project-design-document': 'Project Description'
+    },
+    creditingPeriod: {
+      landUse: { min: 20, max: 100 },
+      other: { min: 1, max: 10 }
+    },
+    additionality: 'Additionality is demonstrated using the VCS Tool for the Demonstration and Assessment of Additionality (VT0008) or the methodology-specific procedure.',
+    workflow: {}
+  },
+  'gold-standard': {
+    name: 'Gold Standard',
+    keywords: /gold standard|GS4GG/i,
+    creditUnit: 'VER',
+    documentLabels: {},
+    creditingPeriod: {
+      landUse: { min: 30, max: 50 },
+      other: { min: 1, max: 10 }
+    },
+    additionality: 'Additionality is demonstrated following the Gold Standard additionality requirements and the applied methodology.',
+    workflow: {}
+  },
+  acr: {
+    name: 'American Carbon Registry (ACR)',
+    keywords: /american carbon registry|\bACR\b/i,
+    creditUnit: 'ERT',
+    documentLabels: {
+      'project-design-document': 'GHG Project Plan',
+      'listing-form': 'ACR Listing Form'
+    },
+    creditingPeriod: {
+      landUse: { min: 20, max: 40 },
+      other: { min: 1, max: 10 }
+    },
+    additionality: 'Additionality is demonstrated by passing a regulatory surplus test and either the performance standard defined in the applied methodology or the three-prong test (regulatory surplus, common practice and implementation barrier), as the methodology requires.',
+    // ACR lists the project before validation and needs the project
+    // proponent's attestations with each verification
+    workflow: {
+      submitted: {
+        name: 'Submitted for Listing',
+        requiredDocuments: ['project-design-document', 'supporting-documentation', 'listing-form']
+      },
+      verification: {
+        requiredDocuments: ['verification-report', 'attestation-of-title', 'regulatory-compliance-attestation']
+      }
+    }
+  },
+  car: {
+    name: 'Climate Action Reserve (CAR)',
+    keywords: /climate action reserve|\bCAR\b/i,
+    creditUnit: 'CRT',
+    documentLabels: {
+      'project-design-document': 'Project Submittal Form',
+      'monitoring-report': 'Project Reporting Form'
+    },
+    creditingPeriod: {
+      landUse: { min: 1, max: 100 },
+      other: { min: 1, max: 10 }
+    },
+    additionality: 'Additionality is demonstrated by passing the legal requirement test and the performance standard test defined in the applied protocol.',
+    // The Reserve lists projects on submittal and has no separate validation;
+    // the verification of the first reporting period confirms eligibility
+    workflow: {
+      submitted: {
+        name: 'Submitted for Listing',
+        requiredDocuments: ['project-design-document', 'supporting-documentation']
+      },
+      validated: {
+        name: 'Listed',
+        requiredDocuments: ['listing-confirmation']
+      },
+      verification: {
+        requiredDocuments: ['verification-report', 'attestation-of-title', 'regulatory-compliance-attestation']
+      }
+    }
+  },
+  other: {
+    name: 'Other',
+    keywords: null,
+    creditUnit: null,
+    documentLabels: {},
+    creditingPeriod: null,
+    additionality: 'Additionality is demonstrated following the requirements of the target standard and the applied methodology.',
+    workflow: {}
+  }
+};
+
+export function getStandard(standard) {
+  return STANDARDS[standard] || null;
+}
+
+export function getStandardLabel(standard) {
+  return STANDARDS[standard]?.name || standard;
+}
+
+/**
+ * Label for a project's estimated credits in the standard's credit unit
+ * @param {string} standard - Target standard identifier
+ * @returns {string} - e.g. "Estimated ERTs", or "Estimated Credits" without a unit
+ */
+export function getCreditLabel(standard) {
+  const unit = STANDARDS[standard]?.creditUnit;
+  return unit ? `Estimated ${unit}s` : 'Estimated Credits';
+}
+
+/**
+ * Name a standard gives a document type, e.g. the ACR GHG Project Plan
+ * @param {string} standard - Target standard identifier
+ * @param {string} documentType - Key of DOCUMENT_TYPES
+ * @returns {string}
+ */
+export function getDocumentLabel(standard, documentType) {
+  return STANDARDS[standard]?.documentLabels[documentType] || DOCUMENT_TYPES[documentType] || documentType;
+}
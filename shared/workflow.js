@@ -0,0 +1,157 @@
+/**
+ * Project workflow states through the verification lifecycle
+ */
+
+import { STANDARDS } from './standards.js';
+
+export const workflowStates = {
+  draft: {
+    name: 'Draft',
+    allowedTransitions: ['in-progress'],
+    requiredDocuments: [] // No required docs for draft state
+  },
+  'in-progress': {
+    name: 'In Progress',
+    allowedTransitions: ['submitted', 'draft'],
+    requiredDocuments: ['project-design-document'] // PDD required to move to in-progress
+  },
+  submitted: {
+    name: 'Submitted for Validation',
+    allowedTransitions: ['in-progress', 'validated'],
+    requiredDocuments: ['project-design-document', 'supporting-documentation'],
+    // The PDD compliance check must report no blocking items first
+    requiresCompliance: true
+  },
+  validated: {
+    name: 'Validated',
+    allowedTransitions: ['registered'],
+    requiredDocuments: ['validation-report']
+  },
+  registered: {
+    name: 'Registered',
+    allowedTransitions: ['monitoring'],
+    requiredDocuments: ['registration-proof']
+  },
+  monitoring: {
+    name: 'Monitoring',
+    allowedTransitions: ['verification'],
+    requiredDocuments: ['monitoring-report']
+  },
+  verification: {
+    name: 'Under Verification',
+    allowedTransitions: ['verified', 'monitoring'],
+    requiredDocuments: ['verification-report']
+  },
+  verified: {
+    name: 'Verified',
+    allowedTransitions: ['issuance', 'monitoring'],
+    requiredDocuments: ['verification-statement'],
+    // Every CAR, CL and FAR raised by the verification body must be closed first
+    requiresClosedFindings: true
+  },
+  issuance: {
+    name: 'Issuance Requested',
+    allowedTransitions: ['issued', 'verified'],
+    requiredDocuments: ['issuance-request']
+  },
+  issued: {
+    name: 'Credits Issued',
+    allowedTransitions: ['monitoring'],
+    requiredDocuments: ['issuance-confirmation']
+  }
+};
+
+export const WORKFLOW_STATUSES = Object.keys(workflowStates);
+
+// Project permission (see permissions.js) needed to move a project between states
+export const TRANSITION_ACTION = 'edit';
+
+/**
+ * A workflow state with the target standard's overrides applied, e.g. the
+ * listing documents ACR requires on submission
+ * @param {string} status - Workflow status
+ * @param {string} [standard] - Target standard identifier
+ * @returns {Object|null} - { name, allowedTransitions, requiredDocuments, ... }
+ */
+export function getWorkflowState(status, standard) {
+  const state = workflowStates[status];
+  if (!state) {
+    return null;
+  }
+  return { ...state, ...STANDARDS[standard]?.workflow[status] };
+}
+
+export function getStatusName(status, standard) {
+  return getWorkflowState(status, standard)?.name || status;
+}
+
+export function getAllowedTransitions(status) {
+  return workflowStates[status]?.allowedTransitions || [];
+}
+
+/**
+ * Checks whether a project may move between two workflow states
+ * @param {string} fromStatus - Current project status
+ * @param {string} toStatus - Requested status
+ * @param {Array<string>} documentTypes - documentType of every document on the project
+ * @param {number} openFindingCount - Verification findings on the project that are not closed
+ * @param {number} complianceBlockers - Blocking items in the project's compliance report
+ * @param {string} [standard] - Target standard, whose workflow requirements apply
+ * @returns {Object} - { allowed, message, missingDocuments, openFindings, complianceBlockers }
+ */
+export function checkTransition(fromStatus, toStatus, documentTypes = [], openFindingCount = 0, complianceBlockers = 0, standard = null) {
+  const currentState = workflowStates[fromStatus];
+  const targetState = getWorkflowState(toStatus, standard);
+
+  if (!targetState) {
+    return { allowed: false, message: `Unknown status ${toStatus}`, missingDocuments: [], openFindings: 0, complianceBlockers: 0 };
+  }
+
+  if (!currentState || !currentState.allowedTransitions.includes(toStatus)) {
+    return {
+      allowed: false,
+      message: `Cannot transition from ${fromStatus} to ${toStatus}`,
+      missingDocuments: [],
+      openFindings: 0,
+      complianceBlockers: 0
+    };
+  }
+
+  const missingDocuments = targetState.requiredDocuments.filter(
+    requiredDoc => !documentTypes.includes(requiredDoc)
+  );
+  const openFindings = targetState.requiresClosedFindings ? openFindingCount : 0;
+  const blockers = targetState.requiresCompliance ? complianceBlockers : 0;
+
+  if (missingDocuments.length > 0) {
+    return {
+      allowed: false,
+      message: 'Missing required documents for this transition',
+      missingDocuments,
+      openFindings,
+      complianceBlockers: blockers
+    };
+  }
+
+  if (openFindings > 0) {
+    return {
+      allowed: false,
+      message: `${openFindings} verification finding${openFindings === 1 ? ' is' : 's are'} not closed yet`,
+      missingDocuments,
+      openFindings,
+      complianceBlockers: blockers
+    };
+  }
+
+  if (blockers > 0) {
+    return {
+      allowed: false,
+      message: `The compliance check reports ${blockers} blocking issue${blockers === 1 ? '' : 's'}`,
+      missingDocuments,
+      openFindings,
+      complianceBlockers: blockers
+    };
+  }
+
+  return { allowed: true, message: null, missingDocuments: [], openFindings: 0, complianceBlockers: 0 };
+}
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkTransition,
+  getWorkflowState,
+  getStatusName,
+  getAllowedTransitions,
+  WORKFLOW_STATUSES,
+  TRANSITION_ACTION
+} from './workflow.js';
+import { canPerform } from './permissions.js';
+import { STANDARDS } from './standards.js';
+
+const SUBMISSION_DOCUMENTS = ['project-design-document', 'supporting-documentation'];
+
+test('an allowed transition with its documents passes', () => {
+  assert.deepEqual(checkTransition('draft', 'in-progress', ['project-design-document']), {
+    allowed: true,
+    message: null,
+    missingDocuments: [],
+    openFindings: 0,
+    complianceBlockers: 0
+  });
+});
+
+test('transitions outside the state machine are refused', () => {
+  const skipped = checkTransition('draft', 'validated', ['validation-report']);
+  assert.equal(skipped.allowed, false);
+  assert.equal(skipped.message, 'Cannot transition from draft to validated');
+
+  const unknown = checkTransition('draft', 'archived');
+  assert.equal(unknown.allowed, false);
+  assert.equal(unknown.message, 'Unknown status archived');
+
+  assert.equal(checkTransition('nonsense', 'draft').allowed, false);
+});
+
+test('every allowed transition leads to a known state', () => {
+  WORKFLOW_STATUSES.forEach((status) => {
+    getAllowedTransitions(status).forEach(target => assert.ok(WORKFLOW_STATUSES.includes(target), `${status} → ${target}`));
+  });
+  assert.deepEqual(getAllowedTransitions('nonsense'), []);
+});
+
+test('missing documents block the transition and are listed', () => {
+  const result = checkTransition('in-progress', 'submitted', ['project-design-document']);
+  assert.equal(result.allowed, false);
+  assert.equal(result.message, 'Missing required documents for this transition');
+  assert.deepEqual(result.missingDocuments, ['supporting-documentation']);
+});
+
+test('compliance blockers only matter when moving to a state that requires the check', () => {
+  const blocked = checkTransition('in-progress', 'submitted', SUBMISSION_DOCUMENTS, 0, 2);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.complianceBlockers, 2);
+  assert.equal(blocked.message, 'The compliance check reports 2 blocking issues');
+
+  assert.equal(checkTransition('submitted', 'in-progress', ['project-design-document'], 0, 2).allowed, true);
+});
+
+test('open findings block verification but not other transitions', () => {
+  const blocked = checkTransition('verification', 'verified', ['verification-statement'], 1);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.openFindings, 1);
+  assert.equal(blocked.message, '1 verification finding is not closed yet');
+
+  assert.equal(checkTransition('verification', 'monitoring', ['monitoring-report'], 3).allowed, true);
+  assert.equal(checkTransition('verification', 'verified', ['verification-statement'], 0).allowed, true);
+});
+
+test('moving the workflow needs a role that can edit the project', () => {
+  assert.equal(canPerform('viewer', TRANSITION_ACTION), false);
+  ['editor', 'admin', 'owner'].forEach(role => assert.equal(canPerform(role, TRANSITION_ACTION), true, role));
+  assert.equal(canPerform(null, TRANSITION_ACTION), false);
+});
+
+test('ACR projects are submitted for listing with the listing form', () => {
+  assert.equal(getStatusName('submitted', 'acr'), 'Submitted for Listing');
+  assert.equal(getStatusName('submitted', 'verra'), 'Submitted for Validation');
+
+  const result = checkTransition('in-progress', 'submitted', SUBMISSION_DOCUMENTS, 0, 0, 'acr');
+  assert.equal(result.allowed, false);
+  assert.deepEqual(result.missingDocuments, ['listing-form']);
+  assert.equal(checkTransition('in-progress', 'submitted', [...SUBMISSION_DOCUMENTS, 'listing-form'], 0, 0, 'acr').allowed, true);
+});
+
+test('CAR projects are listed rather than validated', () => {
+  assert.equal(getStatusName('validated', 'car'), 'Listed');
+  assert.deepEqual(getWorkflowState('validated', 'car').requiredDocuments, ['listing-confirmation']);
+  assert.equal(checkTransition('submitted', 'validated', ['validation-report'], 0, 0, 'car').allowed, false);
+  assert.equal(checkTransition('submitted', 'validated', ['listing-confirmation'], 0, 0, 'car').allowed, true);
+});
+
+test('ACR and CAR verifications need the attestations', () => {
+  ['acr', 'car'].forEach((standard) => {
+    const result = checkTransition('monitoring', 'verification', ['verification-report'], 0, 0, standard);
+    assert.deepEqual(result.missingDocuments, ['attestation-of-title', 'regulatory-compliance-attestation'], standard);
+  });
+  assert.equal(checkTransition('monitoring', 'verification', ['verification-report'], 0, 0, 'gold-standard').allowed, true);
+});
+
+test('overrides keep the base transitions and flags', () => {
+  Object.keys(STANDARDS).forEach((standard) => {
+    WORKFLOW_STATUSES.forEach((status) => {
+      const state = getWorkflowState(status, standard);
+      assert.deepEqual(state.allowedTransitions, getAllowedTransitions(status), `${standard} ${status}`);
+    });
+    assert.equal(getWorkflowState('submitted', standard).requiresCompliance, true);
+    assert.equal(getWorkflowState('verified', standard).requiresClosedFindings, true);
+  });
+  assert.equal(getWorkflowState('archived', 'acr'), null);
+  assert.deepEqual(getWorkflowState('submitted'), getWorkflowState('submitted', 'unknown-standard'));
+});